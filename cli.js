@@ -13,8 +13,324 @@ import { program } from 'commander';
 import fs from 'fs';
 import path from 'path';
 
-import { generate, calculatePricingOnly, previewMilestones, renderFromJson } from './lib/pipeline.js';
-import { slugify, generateOutputPath, ensureDir } from './lib/file_utils.js';
+import { generate, resumeRun, calculatePricingOnly, comparePricing, previewMilestones, renderFromJson } from './lib/pipeline.js';
+import { slugify, generateOutputPath, ensureDir, extractClientName } from './lib/file_utils.js';
+import { DEFAULT_FIXTURES_PATH } from './lib/fixture_adapter.js';
+import { resolveClock, FIXED_CLOCK_TIME } from './lib/run_clock.js';
+import { listProviders, resolveProviderName } from './lib/llm_provider.js';
+import { getCacheStats, clearCache } from './lib/response_cache.js';
+import { STAGES, loadManifest } from './lib/run_checkpoint.js';
+import { loadBatchJobs, runBatch } from './lib/batch_runner.js';
+import { listFormats, detectFormat, loadAuditFile } from './lib/audit_formats.js';
+import { listCurrencies, getCurrency, formatMoney } from './lib/currency.js';
+import { listLocales, resolveLocale, formatDate } from './lib/locale.js';
+import { listMilestoneTemplates, getMilestoneTemplate, DEFAULT_MILESTONE_TEMPLATE } from './lib/milestone_builder.js';
+import { resolveCapacity, toUTCDate } from './lib/effort_scheduler.js';
+import { listHolidayCalendars, resolveHolidayCalendar } from './lib/holiday_calendar.js';
+import { listTiers, resolveTiers } from './lib/proposal_tiers.js';
+import { listAddOns, listOptionValues, listPricingModels, listRetainerTerms, resolvePricingModel } from './lib/pricing_calculator.js';
+import { formatPricingLedger } from './lib/pricing_ledger.js';
+import { listPricingOptions, loadPricingConfig, resolvePricingOptions } from './lib/pricing_options.js';
+import { CONFIG_FILES, selectProfile, mergeProfileOptions } from './lib/project_config.js';
+import { loadScenario, formatScenarioTable } from './lib/pricing_scenarios.js';
+import { loadRequirements } from './lib/requirements.js';
+import { reviewProposal } from './lib/proposal_review.js';
+import { findLLMField, regenerateField, applyFieldValue } from './lib/llm_batch_executor.js';
+
+/**
+ * Commander collector for repeatable options (accepts comma-separated values too)
+ */
+function collectValues(value, previous = []) {
+  return previous.concat(value.split(',').map(v => v.trim()).filter(Boolean));
+}
+
+/**
+ * Commander collector for repeatable file-path options (a path may contain commas)
+ */
+function collectPaths(value, previous = []) {
+  return previous.concat(value);
+}
+
+/**
+ * Find what is missing from the selected LLM provider's configuration
+ * @param {Object} options - { provider, useGroq, fixturesPath, baseUrl, models }
+ * @returns {Object} { provider, errors: message lines, empty when configured }
+ */
+function findProviderConfigErrors(options) {
+  const provider = resolveProviderName(options);
+  if (!listProviders().includes(provider)) {
+    return { provider, errors: [`Unknown provider "${provider}". Available: ${listProviders().join(', ')}`] };
+  }
+
+  // Validate API key
+  if (provider === 'gemini' && !process.env.GEMINI_API_KEY) {
+    return { provider, errors: ['GEMINI_API_KEY environment variable required', 'Set it in .env file or use --use-groq flag'] };
+  }
+  if (provider === 'groq' && !process.env.GROQ_API_KEY) {
+    return { provider, errors: ['GROQ_API_KEY environment variable required when using --use-groq'] };
+  }
+  if (provider === 'fixture' && !fs.existsSync(options.fixturesPath)) {
+    return { provider, errors: [`Fixture file not found: ${options.fixturesPath}`] };
+  }
+  if (provider === 'openai-compatible' && !options.baseUrl && !process.env.OPENAI_COMPATIBLE_BASE_URL) {
+    return { provider, errors: ['--base-url or OPENAI_COMPATIBLE_BASE_URL required when using --provider openai-compatible'] };
+  }
+  if (provider === 'openai-compatible' && !options.models && !process.env.OPENAI_COMPATIBLE_MODELS) {
+    return { provider, errors: ['--models or OPENAI_COMPATIBLE_MODELS required when using --provider openai-compatible'] };
+  }
+
+  return { provider, errors: [] };
+}
+
+/**
+ * Check that the selected LLM provider is configured; exits on error
+ * @param {Object} options - { provider, useGroq, fixturesPath, baseUrl, models }
+ * @returns {string} Resolved provider name
+ */
+function checkProviderConfig(options) {
+  const { provider, errors } = findProviderConfigErrors(options);
+  if (errors.length > 0) {
+    const [message, ...hints] = errors;
+    console.error(`Error: ${message}`);
+    hints.forEach(hint => console.error(hint));
+    process.exit(1);
+  }
+  return provider;
+}
+
+/**
+ * Check a --currency value against pricing/currencies.json; exits on error
+ * @param {string} currency - Currency code, or undefined for the default
+ * @returns {string|undefined} Normalized currency code
+ */
+function checkCurrency(currency) {
+  if (!currency) return undefined;
+  try {
+    return getCurrency(currency).code;
+  } catch (error) {
+    console.error(`Error: ${error.message}`);
+    process.exit(1);
+  }
+}
+
+const CURRENCY_HELP = `Billing currency: ${listCurrencies().join(' | ')} (default: audit bleed currency, else USD)`;
+
+/**
+ * Check a --locale value against the locales/ strings files; exits on error
+ * @param {string} locale - Locale code, or undefined for the default
+ * @returns {string|undefined} Canonical locale code
+ */
+function checkLocale(locale) {
+  if (!locale) return undefined;
+  try {
+    return resolveLocale(locale);
+  } catch (error) {
+    console.error(`Error: ${error.message}`);
+    process.exit(1);
+  }
+}
+
+const LOCALE_HELP = `Proposal language and date/number format: ${listLocales().join(' | ')} (default: en-US)`;
+
+/**
+ * Check a --milestone-template value against pricing/milestone_templates.json; exits on error
+ * @param {string} name - Template name, or undefined for the default
+ * @returns {string|undefined} Template name
+ */
+function checkMilestoneTemplate(name) {
+  if (!name) return undefined;
+  try {
+    return getMilestoneTemplate(name).name;
+  } catch (error) {
+    console.error(`Error: ${error.message}`);
+    process.exit(1);
+  }
+}
+
+const MILESTONE_TEMPLATE_HELP = `Phase 2 milestone template: ${listMilestoneTemplates().join(' | ')} (default: ${DEFAULT_MILESTONE_TEMPLATE})`;
+
+/**
+ * Check --team-size / --hours-per-week; exits on error
+ * @param {Object} options - Commander options ({ teamSize, hoursPerWeek })
+ * @returns {Object} { teamSize, hoursPerWeek }, undefined where not given
+ */
+function checkCapacity(options) {
+  try {
+    resolveCapacity({ team_size: options.teamSize, hours_per_week: options.hoursPerWeek });
+  } catch (error) {
+    console.error(`Error: ${error.message}`);
+    process.exit(1);
+  }
+  return {
+    teamSize: options.teamSize && Number(options.teamSize),
+    hoursPerWeek: options.hoursPerWeek && Number(options.hoursPerWeek)
+  };
+}
+
+/**
+ * Check --start-date / --holidays; exits on error
+ * @param {Object} options - Commander options ({ startDate, holidays })
+ * @returns {Object} { startDate, holidays }
+ */
+function checkCalendar(options) {
+  try {
+    if (options.startDate) toUTCDate(options.startDate);
+    resolveHolidayCalendar(options.holidays);
+  } catch (error) {
+    console.error(`Error: ${error.message}`);
+    process.exit(1);
+  }
+  return { startDate: options.startDate, holidays: options.holidays };
+}
+
+const START_DATE_HELP = 'First day of Phase 2 work, YYYY-MM-DD (default: next working day)';
+const HOLIDAYS_HELP = `Holiday calendar: ${listHolidayCalendars().join(' | ')} | <file.json> | none (default: locale country)`;
+
+/**
+ * Check a --tiers value against pricing/proposal_tiers.json; exits on error
+ * @param {string|boolean} tiers - Comma-separated tier IDs, true for all, or undefined
+ * @returns {Array<string>|undefined} Tier IDs
+ */
+function checkTiers(tiers) {
+  if (!tiers) return undefined;
+  try {
+    return resolveTiers(tiers).map(tier => tier.tier_id);
+  } catch (error) {
+    console.error(`Error: ${error.message}`);
+    process.exit(1);
+  }
+}
+
+/**
+ * Check an --add-ons value against pricing/add_ons.json; exits on error
+ * @param {string|boolean} addOns - Comma-separated add-on IDs, true for the whole catalog, or undefined
+ * @returns {Array<string>|undefined} Add-on IDs
+ */
+function checkAddOns(addOns) {
+  if (!addOns) return undefined;
+  const ids = addOns === true ? listAddOns() : addOns.split(',').map(a => a.trim()).filter(Boolean);
+  const unknown = ids.filter(id => !listAddOns().includes(id));
+  if (unknown.length > 0) {
+    console.error(`Error: Unknown add-on: ${unknown.join(', ')}. Available: ${listAddOns().join(', ')}`);
+    process.exit(1);
+  }
+  return ids;
+}
+
+const ADD_ONS_HELP = `Offer optional add-ons (not in the total): all, or a comma-separated subset of ${listAddOns().join(', ')}`;
+
+/**
+ * Check a --requirements file parses; exits on error
+ * @param {string} file - Markdown or JSON requirements file, or undefined
+ * @returns {Object|undefined} Loaded requirements (for the summary line)
+ */
+function checkRequirements(file) {
+  if (!file) return undefined;
+  try {
+    return loadRequirements(file);
+  } catch (error) {
+    console.error(`Error: ${error.message}`);
+    process.exit(1);
+  }
+}
+
+const REQUIREMENTS_HELP = 'Client requirements (Markdown or JSON): in-scope items, constraints and notes merged into the scope and prompts';
+
+/**
+ * Check --pricing-model and --retainer-term; exits on error
+ * @returns {Object} { pricingModel, retainerTerm }
+ */
+function checkPricingModel(options) {
+  try {
+    const model = resolvePricingModel({
+      pricing_model: options.pricingModel,
+      retainer_term_months: options.retainerTerm
+    });
+    return { pricingModel: options.pricingModel && model.pricing_model, retainerTerm: model.retainer_term_months };
+  } catch (error) {
+    console.error(`Error: ${error.message}`);
+    process.exit(1);
+  }
+}
+
+const PRICING_MODEL_HELP = `Pricing model: ${listPricingModels().join(' | ')} (default: fixed_price)`;
+const RETAINER_TERM_HELP = `Retainer term in months: ${listRetainerTerms().join(' | ')} (default: pricing/base_rates.json retainer)`;
+
+/**
+ * Fill in options the command line left unset from the selected config profile; exits on error
+ * @param {Object} options - Commander options ({ profile, config, ... })
+ * @param {Command} command - The command, to tell typed options from defaults
+ * @returns {Object} Options with typed flags over profile values, plus profileName when a profile applies
+ */
+function applyProfile(options, command) {
+  let selected;
+  try {
+    selected = selectProfile({ configPath: options.config, profile: options.profile });
+  } catch (error) {
+    console.error(`Error: ${error.message}`);
+    process.exit(1);
+  }
+  if (!selected) return options;
+
+  const merged = mergeProfileOptions(selected, options, key => command.getOptionValueSource(key));
+  // --use-groq is a provider flag too
+  if (options.useGroq && !options.provider) delete merged.provider;
+  return merged;
+}
+
+const PROFILE_HELP = `Config profile from ${CONFIG_FILES.join(' or ')} (default: its default_profile)`;
+const CONFIG_HELP = `Project config file with profiles (default: ${CONFIG_FILES.join(' or ')} in the current directory)`;
+
+/**
+ * Merge profile pricing, --pricing-config and the pricing flags (flags win) and check the result; exits on error
+ * @param {Object} options - Commander options
+ * @param {Object} checked - Already-checked flag values ({ currency, milestone_template, pricing_model, retainer_term_months })
+ * @returns {Object} { pricingOptions, validDays }
+ */
+function checkPricingOptions(options, checked = {}) {
+  try {
+    const { valid_days: validDays, ...pricingOptions } = resolvePricingOptions([
+      { source: `profile "${options.profileName}" pricing`, options: options.profilePricing || {} },
+      { source: options.pricingConfig, options: options.pricingConfig ? loadPricingConfig(options.pricingConfig) : {} },
+      {
+        source: 'command-line flags',
+        options: {
+          ...checked,
+          timeline_pressure: options.timelinePressure,
+          client_readiness: options.clientReadiness,
+          data_sensitivity: options.dataSensitivity,
+          commitment_type: options.commitmentType,
+          payment_terms: options.paymentTerms,
+          is_referral: options.referral,
+          early_adopter: options.earlyAdopter === false ? false : undefined,
+          audit_credit_amount: options.auditCredit,
+          valid_days: options.validDays
+        }
+      }
+    ]);
+    return { pricingOptions, validDays };
+  } catch (error) {
+    console.error(`Error: ${error.message}`);
+    process.exit(1);
+  }
+}
+
+const PRICING_CONFIG_HELP = `JSON file of pricing options (${listPricingOptions().join(', ')}); flags override it`;
+const TIMELINE_PRESSURE_HELP = `Timeline pressure: ${listOptionValues('timeline_pressure').join(' | ')} (default: standard)`;
+const CLIENT_READINESS_HELP = `Client technical readiness: ${listOptionValues('client_readiness').join(' | ')} (default: standard)`;
+const DATA_SENSITIVITY_HELP = `Data sensitivity: ${listOptionValues('data_sensitivity').join(' | ')} (default: from the industry)`;
+const COMMITMENT_TYPE_HELP = `Commitment discount: ${listOptionValues('commitment_type').join(' | ')}`;
+const PAYMENT_TERMS_HELP = `Payment terms discount: ${listOptionValues('payment_terms').join(' | ')} (default: net_15)`;
+const AUDIT_CREDIT_HELP = 'Audit credit in the billing currency, 0 for none (default: 100 USD converted)';
+
+const PRICING_APPENDIX_HELP = 'Write the pricing ledger as an internal appendix (<output>_pricing_appendix.txt; never in the client document)';
+
+const TIERS_HELP = `Offer Good/Better/Best options: all tiers, or a comma-separated subset of ${listTiers().join(', ')}`;
+
+const FIXED_CLOCK_HELP = `Freeze timestamps, IDs and the proposal number at an ISO instant for reproducible output (default instant: ${FIXED_CLOCK_TIME}; SOURCE_DATE_EPOCH works too)`;
+
+const TEAM_SIZE_HELP = 'People working Phase 2 fixes in parallel (default: pricing/base_rates.json scheduling)';
+const HOURS_PER_WEEK_HELP = 'Delivery hours per person per week (default: pricing/base_rates.json scheduling)';
 
 /**
  * Generate organized output path for a proposal
@@ -35,25 +351,6 @@ function generateProposalOutputPath(clientName, ext, outputDir = 'output') {
   return result.path;
 }
 
-/**
- * Extract client name from audit JSON or project plan
- * @param {string} auditPath - Path to audit JSON or project_plan JSON
- * @returns {string} Client name or default
- */
-function extractClientName(auditPath) {
-  try {
-    const data = JSON.parse(fs.readFileSync(auditPath, 'utf8'));
-    return data.project_identity?.client_name ||
-           data.project?.client?.name ||
-           data.client?.account_name ||
-           data.prepared_for?.account_name ||
-           data.company_name ||
-           'client';
-  } catch {
-    return 'client';
-  }
-}
-
 import { validateProposal, formatErrors, formatWarnings } from './lib/validate.js';
 
 program
@@ -64,25 +361,70 @@ program
 // Main generate command
 program
   .command('generate <audit> [output]')
-  .description('Generate proposal from audit report')
+  .description('Generate proposal from audit report (JSON or CSV/TSV sheet)')
   .option('-o, --output <path>', 'Output directory or file path')
-  .option('-p, --platform <type>', 'Platform: "upwork" | "direct"', 'direct')
+  .option('-p, --platform <type>', 'Platform: "upwork" | "direct" (default: DEFAULT_PLATFORM, else direct)')
+  .option('--profile <name>', PROFILE_HELP)
+  .option('--config <file>', CONFIG_HELP)
+  .option('--template <file>', 'Custom HTML template')
+  .option('--currency <code>', CURRENCY_HELP)
+  .option('--locale <code>', LOCALE_HELP)
+  .option('--milestone-template <name>', MILESTONE_TEMPLATE_HELP)
+  .option('--tiers [list]', TIERS_HELP)
+  .option('--add-ons [list]', ADD_ONS_HELP)
+  .option('--pricing-model <model>', PRICING_MODEL_HELP)
+  .option('--retainer-term <months>', RETAINER_TERM_HELP)
+  .option('--pricing-appendix', PRICING_APPENDIX_HELP)
+  .option('--requirements <file>', REQUIREMENTS_HELP)
+  .option('--pricing-config <file>', PRICING_CONFIG_HELP)
+  .option('--timeline-pressure <speed>', TIMELINE_PRESSURE_HELP)
+  .option('--client-readiness <level>', CLIENT_READINESS_HELP)
+  .option('--data-sensitivity <level>', DATA_SENSITIVITY_HELP)
+  .option('--commitment-type <type>', COMMITMENT_TYPE_HELP)
+  .option('--payment-terms <terms>', PAYMENT_TERMS_HELP)
+  .option('--referral', 'Apply the referral discount')
+  .option('--no-early-adopter', 'Leave out early adopter pricing')
+  .option('--audit-credit <amount>', AUDIT_CREDIT_HELP)
+  .option('--valid-days <n>', 'Proposal validity period in days (default: 14)')
+  .option('--team-size <n>', TEAM_SIZE_HELP)
+  .option('--hours-per-week <n>', HOURS_PER_WEEK_HELP)
+  .option('--start-date <date>', START_DATE_HELP)
+  .option('--holidays <calendar>', HOLIDAYS_HELP)
   .option('--skip-pdf', 'Skip PDF generation')
   .option('--save-json', 'Save intermediate JSON')
   .option('--use-groq', 'Use Groq API')
+  .option('--provider <name>', `LLM provider: ${listProviders().map(p => `"${p}"`).join(' | ')}`)
+  .option('--fixtures <file>', 'Recorded LLM responses for --provider fixture', DEFAULT_FIXTURES_PATH)
+  .option('--base-url <url>', 'API base URL for --provider openai-compatible (e.g. http://localhost:11434/v1)')
+  .option('--models <list>', 'Comma-separated model fallback order for the provider')
+  .option('--auth-header <name>', 'Auth header name for --provider openai-compatible (default: Authorization)')
+  .option('--fixed-clock [iso]', FIXED_CLOCK_HELP)
+  .option('--no-cache', 'Bypass the LLM response cache')
+  .option('--refresh <placeholder>', 'Regenerate a placeholder despite a cache hit (repeatable)', collectValues, [])
+  .option('--cache-dir <dir>', 'LLM response cache directory (default: .cache/llm_responses)')
+  .option('--run-dir <dir>', 'Checkpoint directory for this run (default: <output dir>/runs/<output name>)')
+  .option('--from-stage <name>', `First stage to run, loading earlier ones from --run-dir: ${STAGES.join(' | ')}`)
+  .option('--to-stage <name>', `Last stage to run: ${STAGES.join(' | ')}`)
   .option('-f, --force', 'Force generation')
-  .action(async (auditPath, outputArg, options) => {
+  .action(async (auditPath, outputArg, options, command) => {
     try {
-      // Validate API key
-      if (!options.useGroq && !process.env.GEMINI_API_KEY) {
-        console.error('Error: GEMINI_API_KEY environment variable required');
-        console.error('Set it in .env file or use --use-groq flag');
-        process.exit(1);
-      }
-      if (options.useGroq && !process.env.GROQ_API_KEY) {
-        console.error('Error: GROQ_API_KEY environment variable required when using --use-groq');
-        process.exit(1);
-      }
+      options = applyProfile(options, command);
+      const provider = checkProviderConfig({ ...options, fixturesPath: options.fixtures });
+      const currency = checkCurrency(options.currency);
+      const locale = checkLocale(options.locale);
+      const milestoneTemplate = checkMilestoneTemplate(options.milestoneTemplate);
+      const { teamSize, hoursPerWeek } = checkCapacity(options);
+      const { startDate, holidays } = checkCalendar(options);
+      const tiers = checkTiers(options.tiers);
+      const addOns = checkAddOns(options.addOns);
+      const requirements = checkRequirements(options.requirements);
+      const { pricingModel, retainerTerm } = checkPricingModel(options);
+      const { pricingOptions, validDays } = checkPricingOptions(options, {
+        currency,
+        milestone_template: milestoneTemplate,
+        pricing_model: pricingModel,
+        retainer_term_months: retainerTerm
+      });
 
       // Validate input exists
       if (!fs.existsSync(auditPath)) {
@@ -117,19 +459,244 @@ program
 
       console.log(`\nGenerating proposal from: ${auditPath}`);
       console.log(`Output: ${outputPath}`);
-      console.log(`Platform: ${options.platform}`);
-      if (options.useGroq) console.log('Using: Groq API');
+      if (options.profileName) console.log(`Profile: ${options.profileName} (${options.profileSource})`);
+      if (options.platform) console.log(`Platform: ${options.platform}`);
+      if (currency) console.log(`Currency: ${currency}`);
+      if (locale) console.log(`Locale: ${locale}`);
+      if (milestoneTemplate) console.log(`Milestones: ${milestoneTemplate}`);
+      if (tiers) console.log(`Tiers: ${tiers.join(', ')}`);
+      if (addOns) console.log(`Add-ons: ${addOns.join(', ')}`);
+      if (pricingModel) console.log(`Pricing: ${pricingModel}${retainerTerm ? ` (${retainerTerm} months)` : ''}`);
+      if (options.pricingConfig) console.log(`Pricing config: ${options.pricingConfig}`);
+      if (requirements) console.log(`Requirements: ${requirements.source} (${requirements.items.length} items)`);
+      if (teamSize || hoursPerWeek) {
+        const capacity = resolveCapacity({ team_size: teamSize, hours_per_week: hoursPerWeek });
+        console.log(`Team: ${capacity.team_size} × ${capacity.hours_per_week}h/week`);
+      }
+      if (startDate) console.log(`Start: ${startDate}`);
+      if (holidays) console.log(`Holidays: ${holidays}`);
+      if (provider === 'groq') console.log('Using: Groq API');
+      if (provider === 'fixture') console.log(`Using: Fixture responses (${options.fixtures})`);
+      if (provider === 'openai-compatible') {
+        console.log(`Using: OpenAI-compatible API (${options.baseUrl || process.env.OPENAI_COMPATIBLE_BASE_URL})`);
+      }
       console.log('');
 
       const result = await generate(auditPath, outputPath, {
         platform: options.platform,
+        currency,
+        locale,
+        milestoneTemplate,
+        teamSize,
+        hoursPerWeek,
+        startDate,
+        holidays,
+        tiers,
+        addOns,
+        pricingModel,
+        retainerTerm,
+        pricingAppendix: options.pricingAppendix,
+        pricingOptions,
+        validDays,
+        requirements: options.requirements,
+        proposalConfig: options.proposalConfig,
+        templatePath: options.template ? path.resolve(options.template) : options.templatePath,
         skipPdf: options.skipPdf,
         saveJson: options.saveJson,
-        useGroq: options.useGroq,
+        useGroq: provider === 'groq',
+        provider,
+        fixturesPath: options.fixtures,
+        baseUrl: options.baseUrl,
+        models: options.models,
+        authHeader: options.authHeader,
+        fixedClock: options.fixedClock,
+        noCache: !options.cache,
+        refresh: options.refresh,
+        cacheDir: options.cacheDir,
+        runDir: options.runDir,
+        fromStage: options.fromStage,
+        toStage: options.toStage,
         force: options.force
       });
 
-      if (result.success) {
+      if (result.success && result.lastStage !== STAGES[STAGES.length - 1]) {
+        console.log(`\n✓ Stopped after "${result.lastStage}". Continue with: node cli.js resume ${result.runDir}`);
+      } else if (result.success) {
+        console.log('\n✓ Proposal generated successfully');
+      } else {
+        console.error('\n✗ Proposal generation failed');
+        process.exit(1);
+      }
+    } catch (error) {
+      console.error('Error:', error.message);
+      if (process.env.DEBUG) console.error(error.stack);
+      process.exit(1);
+    }
+  });
+
+// Batch generate command
+program
+  .command('generate-batch <input>')
+  .description('Generate proposals for a directory of audits or a batch manifest JSON')
+  .option('-o, --output <dir>', 'Base output directory', 'output')
+  .option('-c, --concurrency <n>', 'Audits processed at once', '2')
+  .option('-p, --platform <type>', 'Platform: "upwork" | "direct" (default: DEFAULT_PLATFORM, else direct; manifest jobs may override)')
+  .option('--profile <name>', PROFILE_HELP)
+  .option('--config <file>', CONFIG_HELP)
+  .option('--template <file>', 'Custom HTML template')
+  .option('--currency <code>', `${CURRENCY_HELP}; manifest jobs may override`)
+  .option('--locale <code>', `${LOCALE_HELP}; manifest jobs may override`)
+  .option('--milestone-template <name>', `${MILESTONE_TEMPLATE_HELP}; manifest jobs may override`)
+  .option('--tiers [list]', `${TIERS_HELP}; manifest jobs may override`)
+  .option('--add-ons [list]', `${ADD_ONS_HELP}; manifest jobs may override`)
+  .option('--pricing-model <model>', `${PRICING_MODEL_HELP}; manifest jobs may override`)
+  .option('--retainer-term <months>', `${RETAINER_TERM_HELP}; manifest jobs may override`)
+  .option('--pricing-appendix', `${PRICING_APPENDIX_HELP}; manifest jobs may override`)
+  .option('--requirements <file>', `${REQUIREMENTS_HELP}; manifest jobs may override`)
+  .option('--pricing-config <file>', PRICING_CONFIG_HELP)
+  .option('--timeline-pressure <speed>', TIMELINE_PRESSURE_HELP)
+  .option('--client-readiness <level>', CLIENT_READINESS_HELP)
+  .option('--data-sensitivity <level>', DATA_SENSITIVITY_HELP)
+  .option('--commitment-type <type>', COMMITMENT_TYPE_HELP)
+  .option('--payment-terms <terms>', PAYMENT_TERMS_HELP)
+  .option('--referral', 'Apply the referral discount')
+  .option('--no-early-adopter', 'Leave out early adopter pricing')
+  .option('--audit-credit <amount>', AUDIT_CREDIT_HELP)
+  .option('--valid-days <n>', 'Proposal validity period in days (default: 14); manifest jobs may override')
+  .option('--team-size <n>', `${TEAM_SIZE_HELP}; manifest jobs may override`)
+  .option('--hours-per-week <n>', `${HOURS_PER_WEEK_HELP}; manifest jobs may override`)
+  .option('--start-date <date>', `${START_DATE_HELP}; manifest jobs may override`)
+  .option('--holidays <calendar>', `${HOLIDAYS_HELP}; manifest jobs may override`)
+  .option('--skip-pdf', 'Skip PDF generation')
+  .option('--save-json', 'Save intermediate JSON')
+  .option('--use-groq', 'Use Groq API')
+  .option('--provider <name>', `LLM provider: ${listProviders().map(p => `"${p}"`).join(' | ')}`)
+  .option('--fixtures <file>', 'Recorded LLM responses for --provider fixture', DEFAULT_FIXTURES_PATH)
+  .option('--base-url <url>', 'API base URL for --provider openai-compatible')
+  .option('--models <list>', 'Comma-separated model fallback order for the provider')
+  .option('--auth-header <name>', 'Auth header name for --provider openai-compatible')
+  .option('--fixed-clock [iso]', FIXED_CLOCK_HELP)
+  .option('--no-cache', 'Bypass the LLM response cache')
+  .option('--cache-dir <dir>', 'LLM response cache directory (default: .cache/llm_responses)')
+  .option('-f, --force', 'Force generation')
+  .action(async (input, options, command) => {
+    try {
+      options = applyProfile(options, command);
+      const provider = checkProviderConfig({ ...options, fixturesPath: options.fixtures });
+      const currency = checkCurrency(options.currency);
+      const locale = checkLocale(options.locale);
+      const milestoneTemplate = checkMilestoneTemplate(options.milestoneTemplate);
+      const { teamSize, hoursPerWeek } = checkCapacity(options);
+      const { startDate, holidays } = checkCalendar(options);
+      const tiers = checkTiers(options.tiers);
+      const addOns = checkAddOns(options.addOns);
+      checkRequirements(options.requirements);
+      const { pricingModel, retainerTerm } = checkPricingModel(options);
+      const { pricingOptions, validDays } = checkPricingOptions(options, {
+        currency,
+        milestone_template: milestoneTemplate,
+        pricing_model: pricingModel,
+        retainer_term_months: retainerTerm
+      });
+
+      const concurrency = parseInt(options.concurrency, 10);
+      if (!Number.isInteger(concurrency) || concurrency < 1) {
+        console.error(`Error: --concurrency must be a positive integer, got "${options.concurrency}"`);
+        process.exit(1);
+      }
+
+      const jobs = loadBatchJobs(input);
+      if (jobs.length === 0) {
+        console.error(`Error: No audit files found in ${input}`);
+        process.exit(1);
+      }
+
+      const summary = await runBatch(jobs, {
+        concurrency,
+        outputDir: options.output,
+        platform: options.platform,
+        currency,
+        locale,
+        milestoneTemplate,
+        teamSize,
+        hoursPerWeek,
+        startDate,
+        holidays,
+        tiers,
+        addOns,
+        pricingModel,
+        retainerTerm,
+        pricingAppendix: options.pricingAppendix,
+        pricingOptions,
+        validDays,
+        requirements: options.requirements,
+        proposalConfig: options.proposalConfig,
+        templatePath: options.template ? path.resolve(options.template) : options.templatePath,
+        skipPdf: options.skipPdf,
+        saveJson: options.saveJson,
+        useGroq: provider === 'groq',
+        provider,
+        fixturesPath: options.fixtures,
+        baseUrl: options.baseUrl,
+        models: options.models,
+        authHeader: options.authHeader,
+        fixedClock: options.fixedClock,
+        noCache: !options.cache,
+        cacheDir: options.cacheDir,
+        force: options.force
+      });
+
+      console.log('\n=== Batch Summary ===\n');
+      console.log(`Succeeded: ${summary.succeeded}/${summary.total}`);
+      if (summary.invalid > 0) console.log(`Invalid:   ${summary.invalid}`);
+      if (summary.failed > 0) console.log(`Failed:    ${summary.failed}`);
+      console.log(`Duration:  ${summary.duration_ms}ms`);
+      console.log(`CSV:       ${summary.summaryPaths.csv}`);
+      console.log(`JSON:      ${summary.summaryPaths.json}`);
+
+      process.exit(summary.succeeded === summary.total ? 0 : 1);
+    } catch (error) {
+      console.error('Error:', error.message);
+      if (process.env.DEBUG) console.error(error.stack);
+      process.exit(1);
+    }
+  });
+
+// Resume command
+program
+  .command('resume <run-dir>')
+  .description('Resume a checkpointed generate run from its last good stage')
+  .option('--from-stage <name>', `Stage to restart from (default: first incomplete): ${STAGES.join(' | ')}`)
+  .option('--to-stage <name>', `Last stage to run: ${STAGES.join(' | ')}`)
+  .option('--skip-pdf', 'Skip PDF generation')
+  .option('-f, --force', 'Continue even if validation fails')
+  .action(async (runDir, options) => {
+    try {
+      if (!fs.existsSync(runDir)) {
+        console.error(`Error: Run directory not found: ${runDir}`);
+        process.exit(1);
+      }
+
+      const manifest = loadManifest(runDir);
+      checkProviderConfig(manifest.options);
+
+      console.log(`\nResuming run: ${runDir}`);
+      console.log(`Audit:  ${manifest.audit_path}`);
+      console.log(`Output: ${manifest.output_path}`);
+      console.log('');
+
+      const overrides = {
+        fromStage: options.fromStage,
+        toStage: options.toStage
+      };
+      if (options.skipPdf) overrides.skipPdf = true;
+      if (options.force) overrides.force = true;
+
+      const result = await resumeRun(runDir, overrides);
+
+      if (result.success && result.lastStage !== STAGES[STAGES.length - 1]) {
+        console.log(`\n✓ Stopped after "${result.lastStage}". Continue with: node cli.js resume ${result.runDir}`);
+      } else if (result.success) {
         console.log('\n✓ Proposal generated successfully');
       } else {
         console.error('\n✗ Proposal generation failed');
@@ -208,42 +775,276 @@ program
     }
   });
 
+// Review command
+program
+  .command('review <proposal>')
+  .description('Review the LLM-written fields of a proposal JSON: accept, edit or regenerate each, then re-render')
+  .option('-o, --output <path>', 'HTML output path (default: the proposal path with .html)')
+  .option('--skip-pdf', 'Skip PDF generation')
+  .option('--no-render', 'Save the reviewed JSON without rendering')
+  .option('--template <file>', 'Custom HTML template')
+  .option('--use-groq', 'Use Groq API for regeneration')
+  .option('--provider <name>', `LLM provider for regeneration: ${listProviders().map(p => `"${p}"`).join(' | ')}`)
+  .option('--fixtures <file>', 'Recorded LLM responses for --provider fixture', DEFAULT_FIXTURES_PATH)
+  .option('--base-url <url>', 'API base URL for --provider openai-compatible')
+  .option('--models <list>', 'Comma-separated model fallback order for the provider')
+  .option('--auth-header <name>', 'Auth header name for --provider openai-compatible')
+  .option('--fixed-clock [iso]', FIXED_CLOCK_HELP)
+  .option('-f, --force', 'Render even if validation fails')
+  .action(async (proposalPath, options) => {
+    try {
+      if (!fs.existsSync(proposalPath)) {
+        console.error(`Error: File not found: ${proposalPath}`);
+        process.exit(1);
+      }
+      const proposal = JSON.parse(fs.readFileSync(proposalPath, 'utf8'));
+      console.log(`\nReviewing: ${proposalPath}`);
+
+      const result = await reviewProposal(proposal, {
+        // Checked on the first regenerate, so accepting and editing need no provider
+        llmOptions: () => {
+          const { provider, errors } = findProviderConfigErrors({ ...options, fixturesPath: options.fixtures });
+          if (errors.length > 0) throw new Error(errors.join('. '));
+          return {
+            useGroq: provider === 'groq',
+            provider,
+            fixturesPath: options.fixtures,
+            baseUrl: options.baseUrl,
+            models: options.models,
+            authHeader: options.authHeader
+          };
+        }
+      });
+
+      console.log(`\n${result.completed ? 'Review complete' : 'Review stopped'}: ${result.changes.length} change(s)`);
+      if (result.changes.length > 0) {
+        fs.writeFileSync(proposalPath, JSON.stringify(result.proposal, null, 2));
+        console.log(`✓ Saved: ${proposalPath}`);
+      }
+      if (!options.render) return;
+
+      const outputPath = options.output || proposalPath.replace(/\.json$/i, '') + '.html';
+      const rendered = await renderFromJson(proposalPath, outputPath, {
+        skipPdf: options.skipPdf,
+        templatePath: options.template,
+        force: options.force,
+        clock: resolveClock({ fixedClock: options.fixedClock })
+      });
+
+      console.log(`✓ HTML: ${rendered.htmlPath}`);
+      if (rendered.pdfPath) console.log(`✓ PDF:  ${rendered.pdfPath}`);
+    } catch (error) {
+      console.error('Error:', error.message);
+      process.exit(1);
+    }
+  });
+
+// Regenerate command
+program
+  .command('regenerate <proposal>')
+  .description('Regenerate one LLM-written field of a proposal JSON without re-running the pipeline')
+  .option('--field <name>', 'Field to regenerate: placeholder name (e.g. milestone_2_2_description) or path')
+  .option('--instruction <text>', 'Revision instruction, e.g. "mention the CRM sync"')
+  .option('-o, --output <file>', 'Write the updated JSON here (default: overwrite the proposal)')
+  .option('--use-groq', 'Use Groq API')
+  .option('--provider <name>', `LLM provider: ${listProviders().map(p => `"${p}"`).join(' | ')}`)
+  .option('--fixtures <file>', 'Recorded LLM responses for --provider fixture', DEFAULT_FIXTURES_PATH)
+  .option('--base-url <url>', 'API base URL for --provider openai-compatible')
+  .option('--models <list>', 'Comma-separated model fallback order for the provider')
+  .option('--auth-header <name>', 'Auth header name for --provider openai-compatible')
+  .action(async (proposalPath, options) => {
+    try {
+      if (!fs.existsSync(proposalPath)) {
+        console.error(`Error: File not found: ${proposalPath}`);
+        process.exit(1);
+      }
+      if (!options.field) {
+        console.error('Error: --field is required (e.g. --field milestone_2_2_description)');
+        process.exit(1);
+      }
+      const provider = checkProviderConfig({ ...options, fixturesPath: options.fixtures });
+
+      const proposal = JSON.parse(fs.readFileSync(proposalPath, 'utf8'));
+      const field = findLLMField(proposal, options.field);
+
+      console.log(`\nRegenerating: ${field.placeholder_name} (${field.path})`);
+      if (options.instruction) console.log(`Instruction: ${options.instruction}`);
+
+      const content = await regenerateField(proposal, field, {
+        instruction: options.instruction,
+        useGroq: provider === 'groq',
+        provider,
+        fixturesPath: options.fixtures,
+        baseUrl: options.baseUrl,
+        models: options.models,
+        authHeader: options.authHeader
+      });
+      applyFieldValue(proposal, field, content, { revision: 'regenerated', instruction: options.instruction });
+
+      console.log('\nBefore:');
+      console.log(`  ${Array.isArray(field.value) ? field.value.join('\n  ') : field.value}`);
+      console.log('After:');
+      console.log(`  ${Array.isArray(content) ? content.join('\n  ') : content}`);
+
+      const outputPath = options.output || proposalPath;
+      fs.writeFileSync(outputPath, JSON.stringify(proposal, null, 2));
+      console.log(`\n✓ Saved: ${outputPath}`);
+
+      const validation = validateProposal(proposal);
+      if (!validation.valid) {
+        console.log('✗ Validation failed');
+        console.log(formatErrors(validation.errors));
+      }
+      console.log(`Render with: node cli.js render ${outputPath} <output.html>`);
+    } catch (error) {
+      console.error('Error:', error.message);
+      process.exit(1);
+    }
+  });
+
 // Calculate pricing command
 program
   .command('calculate-pricing <audit>')
-  .description('Calculate pricing from audit report (no generation)')
-  .option('-c, --pricing-config <file>', 'Custom pricing configuration')
+  .description('Calculate pricing from audit report, JSON or CSV/TSV (no generation)')
+  .option('-c, --pricing-config <file>', PRICING_CONFIG_HELP)
+  .option('--timeline-pressure <speed>', TIMELINE_PRESSURE_HELP)
+  .option('--client-readiness <level>', CLIENT_READINESS_HELP)
+  .option('--data-sensitivity <level>', DATA_SENSITIVITY_HELP)
+  .option('--commitment-type <type>', COMMITMENT_TYPE_HELP)
+  .option('--payment-terms <terms>', PAYMENT_TERMS_HELP)
+  .option('--referral', 'Apply the referral discount')
+  .option('--no-early-adopter', 'Leave out early adopter pricing')
+  .option('--audit-credit <amount>', AUDIT_CREDIT_HELP)
+  .option('--currency <code>', CURRENCY_HELP)
+  .option('--locale <code>', LOCALE_HELP)
+  .option('--milestone-template <name>', MILESTONE_TEMPLATE_HELP)
+  .option('--add-ons [list]', ADD_ONS_HELP)
+  .option('--pricing-model <model>', PRICING_MODEL_HELP)
+  .option('--retainer-term <months>', RETAINER_TERM_HELP)
+  .option('--explain', 'Print the step-by-step pricing ledger')
   .option('--json', 'Output as JSON')
   .action(async (auditPath, options) => {
     try {
+      const currency = checkCurrency(options.currency);
+      const locale = checkLocale(options.locale);
+      const milestoneTemplate = checkMilestoneTemplate(options.milestoneTemplate);
+      const addOns = checkAddOns(options.addOns);
+      const { pricingModel, retainerTerm } = checkPricingModel(options);
+      const { pricingOptions } = checkPricingOptions(options, {
+        currency,
+        milestone_template: milestoneTemplate,
+        pricing_model: pricingModel,
+        retainer_term_months: retainerTerm
+      });
       if (!fs.existsSync(auditPath)) {
         console.error(`Error: File not found: ${auditPath}`);
         process.exit(1);
       }
 
-      let pricingOptions = {};
-      if (options.pricingConfig) {
-        pricingOptions = JSON.parse(fs.readFileSync(options.pricingConfig, 'utf8'));
-      }
-
-      const result = await calculatePricingOnly(auditPath, pricingOptions);
+      const result = await calculatePricingOnly(auditPath, {
+        ...pricingOptions,
+        locale,
+        add_ons: addOns
+      });
 
       if (options.json) {
         console.log(JSON.stringify(result, null, 2));
+      } else if (options.explain) {
+        console.log('');
+        console.log(formatPricingLedger(result.pricing.ledger, { locale: result.pricing.locale }));
       } else {
         console.log('\n=== Pricing Calculation ===\n');
+        console.log(`Currency:        ${result.summary.currency}`);
         console.log(`Base Price:      ${result.summary.base_price}`);
         console.log(`Multiplier:      ${result.summary.multiplier}x`);
         console.log(`Final Price:     ${result.summary.final_price}`);
         console.log('');
         console.log(`Monthly Bleed:   ${result.summary.monthly_bleed}`);
         console.log(`Payback Period:  ${result.summary.payback}`);
-        console.log('\n=== Milestone Breakdown ===\n');
-        const ms = result.pricing.milestones;
-        console.log(`2.1 Design:  ${ms.design.amount.toLocaleString('en-US', { style: 'currency', currency: 'USD', minimumFractionDigits: 0 })} (${ms.design.percentage}%)`);
-        console.log(`2.2 Build:   ${ms.build.amount.toLocaleString('en-US', { style: 'currency', currency: 'USD', minimumFractionDigits: 0 })} (${ms.build.percentage}%)`);
-        console.log(`2.3 Test:    ${ms.test.amount.toLocaleString('en-US', { style: 'currency', currency: 'USD', minimumFractionDigits: 0 })} (${ms.test.percentage}%)`);
-        console.log(`2.4 Deploy:  ${ms.deploy.amount.toLocaleString('en-US', { style: 'currency', currency: 'USD', minimumFractionDigits: 0 })} (${ms.deploy.percentage}%)`);
+        const money = amount => formatMoney(amount, result.summary.currency, result.pricing.locale);
+        const retainer = result.pricing.retainer;
+        if (retainer) {
+          const comparison = result.roi.monthly_comparison;
+          console.log('\n=== Retainer ===\n');
+          console.log(`Term:            ${retainer.term_months} months`);
+          console.log(`Monthly Fee:     ${money(retainer.monthly_fee)} (first month ${money(retainer.first_month_fee)} after audit credit)`);
+          console.log(`Included Hours:  ${retainer.included_hours}/month`);
+          console.log(`Overage Rate:    ${money(retainer.overage_rate)}/hour`);
+          console.log(`Contract Value:  ${money(retainer.total_contract_value)}`);
+          console.log(`Fee vs Recovery: ${comparison.monthly_fee.display} vs ${comparison.monthly_recovery.display} (net ${comparison.net_monthly_value.display}/month)`);
+        } else if (result.pricing.time_and_materials) {
+          const tm = result.pricing.time_and_materials;
+          console.log('\n=== Time and Materials ===\n');
+          for (const role of tm.rate_card) {
+            console.log(`${role.role_name.padEnd(26)} ${`${money(role.rate)}/h`.padEnd(10)} × ${String(role.hours).padStart(4)}h = ${money(role.amount)}`);
+          }
+          const { low, expected, high } = tm.estimated_hours;
+          console.log('');
+          console.log(`Estimated Hours: ${low}–${high} (expected ${expected})`);
+          console.log(`Estimate:        ${money(tm.estimate.low)}–${money(tm.estimate.high)} (expected ${money(tm.estimate.expected)})`);
+          console.log(`Not to Exceed:   ${money(tm.not_to_exceed)} (expected + ${tm.buffer_percent}%)`);
+        } else {
+          console.log('\n=== Milestone Breakdown ===\n');
+          const ms = result.pricing.milestones;
+          for (const milestone of Object.values(ms)) {
+            const label = `${milestone.milestone_number} ${milestone.milestone_name}:`;
+            console.log(`${label.padEnd(12)} ${money(milestone.amount)} (${milestone.percentage}%)`);
+          }
+        }
+
+        if (result.add_ons?.length > 0) {
+          console.log('\n=== Optional Add-ons (not in total) ===\n');
+          for (const addOn of result.add_ons) {
+            const basis = addOn.pricing_basis === 'hours' ? ` (${addOn.hours}h × ${addOn.hourly_rate.display})` : '';
+            const billing = addOn.billing === 'monthly' ? '/month' : '';
+            console.log(`${addOn.name.padEnd(24)} ${addOn.price.display}${billing}${basis}`);
+          }
+        }
+      }
+    } catch (error) {
+      console.error('Error:', error.message);
+      process.exit(1);
+    }
+  });
+
+// Compare pricing scenarios command
+program
+  .command('compare-pricing <audit>')
+  .description('Price what-if scenarios of one audit side by side (multipliers, discounts, price, milestones, payback)')
+  .option('--scenario <file>', 'Scenario JSON of pricing options, e.g. {"industry": "healthcare"} (repeatable)', collectPaths, [])
+  .option('--no-baseline', 'Leave out the baseline column (shared options only)')
+  .option('--currency <code>', `${CURRENCY_HELP}; scenarios may override`)
+  .option('--locale <code>', LOCALE_HELP)
+  .option('--milestone-template <name>', `${MILESTONE_TEMPLATE_HELP}; scenarios may override`)
+  .option('--json', 'Output as JSON')
+  .action(async (auditPath, options) => {
+    try {
+      const currency = checkCurrency(options.currency);
+      const locale = checkLocale(options.locale);
+      const milestoneTemplate = checkMilestoneTemplate(options.milestoneTemplate);
+      if (!fs.existsSync(auditPath)) {
+        console.error(`Error: File not found: ${auditPath}`);
+        process.exit(1);
+      }
+      if (options.scenario.length === 0) {
+        console.error('Error: Give at least one --scenario <file>');
+        process.exit(1);
+      }
+
+      const scenarios = options.scenario.map(loadScenario);
+      if (options.baseline) scenarios.unshift({ name: 'baseline', options: {} });
+
+      const results = comparePricing(auditPath, scenarios, {
+        currency,
+        locale,
+        milestone_template: milestoneTemplate
+      });
+
+      if (options.json) {
+        console.log(JSON.stringify(results, null, 2));
+      } else {
+        console.log('\n=== Pricing Scenarios ===\n');
+        console.log(formatScenarioTable(results));
       }
     } catch (error) {
       console.error('Error:', error.message);
@@ -255,15 +1056,35 @@ program
 program
   .command('preview-milestones <audit>')
   .description('Preview milestone structure from audit')
+  .option('--currency <code>', CURRENCY_HELP)
+  .option('--locale <code>', LOCALE_HELP)
+  .option('--milestone-template <name>', MILESTONE_TEMPLATE_HELP)
+  .option('--team-size <n>', TEAM_SIZE_HELP)
+  .option('--hours-per-week <n>', HOURS_PER_WEEK_HELP)
+  .option('--start-date <date>', START_DATE_HELP)
+  .option('--holidays <calendar>', HOLIDAYS_HELP)
   .option('--json', 'Output as JSON')
   .action(async (auditPath, options) => {
     try {
+      const currency = checkCurrency(options.currency);
+      const locale = checkLocale(options.locale);
+      const milestoneTemplate = checkMilestoneTemplate(options.milestoneTemplate);
+      const { teamSize, hoursPerWeek } = checkCapacity(options);
+      const { startDate, holidays } = checkCalendar(options);
       if (!fs.existsSync(auditPath)) {
         console.error(`Error: File not found: ${auditPath}`);
         process.exit(1);
       }
 
-      const phases = await previewMilestones(auditPath);
+      const phases = await previewMilestones(auditPath, {
+        currency,
+        locale,
+        milestone_template: milestoneTemplate,
+        team_size: teamSize,
+        hours_per_week: hoursPerWeek,
+        start_date: startDate,
+        holiday_calendar: holidays
+      });
 
       if (options.json) {
         console.log(JSON.stringify(phases, null, 2));
@@ -273,11 +1094,27 @@ program
           const stateIcon = { complete: '✓', current: '►', upcoming: '○' }[phase.state];
           console.log(`${stateIcon} Phase ${phase.phase_number}: ${phase.phase_name} [${phase.state}]`);
 
+          if (phase.schedule) {
+            const { schedule } = phase;
+            const basis = schedule.method === 'effort'
+              ? `${schedule.total_hours}h of fixes, ${schedule.team_size} × ${schedule.hours_per_week}h/week`
+              : 'price-based estimate';
+            console.log(`    ${formatDate(schedule.start_date, locale)} – ${formatDate(schedule.end_date, locale)} (${basis})`);
+            if (schedule.holidays?.length > 0) {
+              const skipped = schedule.holidays.map(h => `${h.name} (${formatDate(h.date, locale)})`);
+              console.log(`    Holidays (${schedule.holiday_calendar}): ${skipped.join(', ')}`);
+            }
+            for (const warning of schedule.warnings || []) {
+              console.log(`    ⚠ ${warning}`);
+            }
+          }
+
           if (phase.milestones) {
             for (const ms of phase.milestones) {
               const price = ms.price_allocation?.display || '';
               const duration = ms.duration?.display || '';
-              console.log(`    ${ms.milestone_number} ${ms.milestone_name} ${duration} ${price}`);
+              const dates = ms.start_date ? ` ${formatDate(ms.start_date, locale)} – ${formatDate(ms.end_date, locale)}` : '';
+              console.log(`    ${ms.milestone_number} ${ms.milestone_name} ${duration}${dates} ${price}`);
 
               if (ms.deliverables?.length > 0) {
                 for (const del of ms.deliverables.slice(0, 3)) {
@@ -298,5 +1135,119 @@ program
     }
   });
 
+// Formats command
+program
+  .command('formats [audit]')
+  .description('List registered audit input formats, or detect the format of an audit file')
+  .option('--json', 'Output as JSON')
+  .action((auditPath, options) => {
+    try {
+      if (auditPath) {
+        if (!fs.existsSync(auditPath)) {
+          console.error(`Error: File not found: ${auditPath}`);
+          process.exit(1);
+        }
+
+        const detected = detectFormat(loadAuditFile(auditPath));
+        if (options.json) {
+          console.log(JSON.stringify({
+            name: detected.name,
+            confidence: detected.confidence,
+            schema_valid: detected.schema_valid,
+            schema_errors: detected.schema_errors,
+            candidates: detected.candidates
+          }, null, 2));
+          return;
+        }
+
+        console.log(`\nDetected: ${detected.name} (confidence ${detected.confidence})`);
+        console.log(`Schema:   ${detected.schema_valid ? 'valid' : 'invalid'}`);
+        for (const err of detected.schema_errors) {
+          console.log(`  - ${err.path || '/'} ${err.message}`);
+        }
+        console.log('\nCandidates:');
+        for (const c of detected.candidates) {
+          console.log(`  ${c.name}: ${c.confidence}`);
+        }
+        return;
+      }
+
+      const formats = listFormats();
+      if (options.json) {
+        console.log(JSON.stringify(formats.map(f => ({
+          name: f.name,
+          description: f.description,
+          schema: f.schema.$id,
+          extensions: f.extensions || ['.json']
+        })), null, 2));
+        return;
+      }
+
+      console.log('\n=== Audit Input Formats ===\n');
+      for (const format of formats) {
+        console.log(`${format.name.padEnd(22)} ${format.description}`);
+      }
+      console.log('\nDetection picks the highest confidence; ties go to the format listed first.');
+    } catch (error) {
+      console.error('Error:', error.message);
+      process.exit(1);
+    }
+  });
+
+// Cache commands
+const cacheCommand = program
+  .command('cache')
+  .description('Manage the on-disk LLM response cache');
+
+cacheCommand
+  .command('stats')
+  .description('Show cache size and entries per prompt')
+  .option('--cache-dir <dir>', 'Cache directory (default: .cache/llm_responses)')
+  .option('--json', 'Output as JSON')
+  .action((options) => {
+    try {
+      const stats = getCacheStats(options.cacheDir);
+
+      if (options.json) {
+        console.log(JSON.stringify(stats, null, 2));
+        return;
+      }
+
+      console.log('\n=== LLM Response Cache ===\n');
+      console.log(`Directory:  ${stats.cacheDir}`);
+      console.log(`Entries:    ${stats.entries}`);
+      console.log(`Size:       ${(stats.sizeBytes / 1024).toFixed(1)} KB`);
+      if (stats.entries > 0) {
+        console.log(`Oldest:     ${stats.oldest}`);
+        console.log(`Newest:     ${stats.newest}`);
+        console.log('\nBy prompt:');
+        for (const [promptId, count] of Object.entries(stats.byPrompt)) {
+          console.log(`  ${promptId}: ${count}`);
+        }
+        console.log('\nBy model:');
+        for (const [model, count] of Object.entries(stats.byModel)) {
+          console.log(`  ${model}: ${count}`);
+        }
+      }
+    } catch (error) {
+      console.error('Error:', error.message);
+      process.exit(1);
+    }
+  });
+
+cacheCommand
+  .command('clear')
+  .description('Delete all cached LLM responses')
+  .option('--cache-dir <dir>', 'Cache directory (default: .cache/llm_responses)')
+  .action((options) => {
+    try {
+      const removed = clearCache(options.cacheDir);
+      console.log(`✓ Removed ${removed} cached response${removed === 1 ? '' : 's'}`);
+    } catch (error) {
+      console.error('Error:', error.message);
+      process.exit(1);
+    }
+  });
+
 // Parse and run
 program.parse();
@@ -0,0 +1,397 @@
+/**
+ * audit_formats.js - Audit Input Format Registry
+ *
+ * Each upstream audit format is an adapter that scores how well a parsed
+ * input matches it and maps it to the common normalized structure consumed by
+ * extract_proposal.js. Adding a format means registering one adapter here,
+ * not editing the extractor.
+ *
+ * Format adapter interface:
+ *   name         - Registry key (e.g. 'traffic_light_report')
+ *   description  - One line for `cli.js formats`
+ *   schema       - JSON Schema for the adapter's input (schemas/audit_formats/)
+ *   detect(data) - Confidence 0..1 that data is this format (0 = not this format)
+ *   normalize(data, context) - Normalized audit: { format, document, client, scorecard, bleed, fixes, workflow, ... }
+ *                  context.now is the run's clock time, used when the input carries no date
+ *                  May include missing_sections: [label] for expected sections the input lacked
+ *   extensions   - Optional: file extensions read by parse() instead of JSON.parse (e.g. ['.csv'])
+ *   parse(content, filePath) - Optional: turn raw file content into the object passed to detect/normalize
+ *
+ * Detection picks the highest confidence; ties go to the earlier-registered adapter.
+ */
+
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import Ajv2020 from 'ajv/dist/2020.js';
+import { spreadsheetFormat } from './spreadsheet_format.js';
+import { markdownFormat } from './markdown_format.js';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+const SCHEMA_DIR = path.join(__dirname, '../schemas/audit_formats');
+
+const ajv = new Ajv2020({ allErrors: true, strict: false, allowUnionTypes: true });
+
+/**
+ * Load an input schema from schemas/audit_formats/
+ */
+function loadFormatSchema(fileName) {
+  return JSON.parse(fs.readFileSync(path.join(SCHEMA_DIR, fileName), 'utf8'));
+}
+
+/**
+ * Fraction-style score: base confidence plus a share for each optional signal present
+ */
+function scoreSignals(base, signals) {
+  const bonus = (1 - base) / signals.length;
+  return Math.round((base + signals.filter(Boolean).length * bonus) * 100) / 100;
+}
+
+/**
+ * Traffic Light Report format (from ai_audit_report)
+ */
+const trafficLightReport = {
+  name: 'traffic_light_report',
+  description: 'Traffic Light Report from ai_audit_report (document + scorecard)',
+  schema: loadFormatSchema('traffic_light_report.schema.json'),
+
+  detect(data) {
+    if (!data.document || !data.scorecard) return 0;
+    return scoreSignals(0.7, [
+      data.prepared_for,
+      data.revenue_bleed || data.bleed,
+      data.fixes || data.recommended_fixes
+    ]);
+  },
+
+  normalize(data) {
+    // Handle fixes - could be array directly or { items: [...] }
+    let fixes = data.fixes || data.recommended_fixes || [];
+    if (fixes.items && Array.isArray(fixes.items)) {
+      fixes = fixes.items;
+    }
+
+    // Normalize scorecard - convert rows to categories format for compatibility
+    const scorecard = normalizeScorecard(data.scorecard);
+
+    return {
+      format: 'traffic_light_report',
+      document: data.document,
+      client: data.prepared_for,
+      producer: data.prepared_by,
+      scorecard: scorecard,
+      bleed: data.revenue_bleed || data.bleed,
+      fixes: fixes,
+      executive_summary: data.executive_summary || data.scorecard?.executive_summary,
+      cta: data.cta,
+      workflow: extractWorkflowFromScorecard(data.scorecard)
+    };
+  }
+};
+
+/**
+ * Simple audit format (flat findings/fixes/bleed)
+ */
+const simpleAudit = {
+  name: 'simple_audit',
+  description: 'Flat audit with top-level findings, fixes and bleed',
+  schema: loadFormatSchema('simple_audit.schema.json'),
+
+  detect(data) {
+    if (!data.audit_date && !data.findings) return 0;
+    return scoreSignals(0.5, [
+      Array.isArray(data.findings),
+      data.client || data.client_name || data.prepared_for,
+      data.bleed || data.revenue_bleed,
+      data.fixes || data.recommended_fixes
+    ]);
+  },
+
+  normalize(data, { now = new Date() } = {}) {
+    return {
+      format: 'simple_audit',
+      document: {
+        created_at: data.audit_date || data.date || now.toISOString(),
+        document_id: data.audit_id || data.id
+      },
+      client: data.client || data.prepared_for || { account_name: data.client_name },
+      scorecard: { categories: data.findings || data.categories || [] },
+      bleed: data.bleed || data.revenue_bleed,
+      fixes: data.fixes || data.recommended_fixes || [],
+      workflow: data.workflow
+    };
+  }
+};
+
+/**
+ * Project plan format (from ai_sales_engineering)
+ */
+const projectPlan = {
+  name: 'project_plan',
+  description: 'Project plan from ai_sales_engineering (project_identity / project.client)',
+  schema: loadFormatSchema('project_plan.schema.json'),
+
+  detect(data) {
+    if (!data.project_identity && !data.project?.client) return 0;
+    return scoreSignals(0.6, [
+      data.project_identity,
+      data.project?.client,
+      data.scope,
+      data.value || data.meta
+    ]);
+  },
+
+  normalize(data, { now = new Date() } = {}) {
+    // Map project plan objectives to pseudo-findings for proposal
+    const objectives = data.scope?.objectives || [];
+    const findings = objectives.map(obj => ({
+      category_name: 'Implementation Objectives',
+      status: 'critical',
+      findings: [obj]
+    }));
+
+    // Map scope items to fixes
+    const fixes = (data.scope?.in_scope || []).slice(0, 5).map((item, i) => ({
+      id: i + 1,
+      problem: `Current process gap: ${item}`,
+      fix: item,
+      impact: 'Process improvement'
+    }));
+
+    return {
+      format: 'project_plan',
+      document: {
+        created_at: data.meta?.generated_at || now.toISOString(),
+        document_id: data.meta?.plan_id
+      },
+      client: {
+        account_name: data.project_identity?.client_name || data.project?.client?.name,
+        industry: data.project?.client?.industry,
+        tier: data.project?.client?.tier
+      },
+      scorecard: { categories: findings },
+      bleed: data.value?.revenue_bleed || null,
+      fixes: fixes,
+      workflow: {
+        name: data.project?.summary || data.project_identity?.project_name,
+        categories: objectives
+      },
+      // Pass through the full project plan for proposal builder
+      project_plan: data
+    };
+  }
+};
+
+/**
+ * Raw intake format (fallback for anything unrecognized)
+ */
+const rawIntake = {
+  name: 'raw_intake',
+  description: 'Fallback: reads client, bleed and fixes if present',
+  schema: loadFormatSchema('raw_intake.schema.json'),
+
+  detect() {
+    return 0.1;
+  },
+
+  normalize(data, { now = new Date() } = {}) {
+    return {
+      format: 'raw_intake',
+      document: { created_at: now.toISOString() },
+      client: data.client || {},
+      scorecard: { categories: [] },
+      bleed: data.bleed,
+      fixes: data.fixes || [],
+      workflow: data.workflow
+    };
+  }
+};
+
+/**
+ * Registered format adapters, in tie-break priority order
+ */
+const FORMAT_REGISTRY = [trafficLightReport, simpleAudit, projectPlan, spreadsheetFormat, markdownFormat, rawIntake];
+
+/**
+ * Register a format adapter (replaces an existing adapter with the same name)
+ * @param {Object} adapter - Object implementing the format adapter interface
+ * @param {Object} options - { before: name } to insert ahead of an adapter (default: before raw_intake)
+ */
+export function registerFormat(adapter, options = {}) {
+  for (const key of ['name', 'detect', 'normalize', 'schema']) {
+    if (!adapter[key]) {
+      throw new Error(`Format adapter is missing "${key}"`);
+    }
+  }
+
+  const existing = FORMAT_REGISTRY.findIndex(a => a.name === adapter.name);
+  if (existing !== -1) {
+    FORMAT_REGISTRY[existing] = adapter;
+    return;
+  }
+
+  const before = FORMAT_REGISTRY.findIndex(a => a.name === (options.before || 'raw_intake'));
+  FORMAT_REGISTRY.splice(before === -1 ? FORMAT_REGISTRY.length : before, 0, adapter);
+}
+
+/**
+ * List registered format adapters
+ * @returns {Array<Object>} Adapters in priority order
+ */
+export function listFormats() {
+  return [...FORMAT_REGISTRY];
+}
+
+/**
+ * Get a registered adapter by name
+ */
+export function getFormat(name) {
+  const adapter = FORMAT_REGISTRY.find(a => a.name === name);
+  if (!adapter) {
+    throw new Error(`Unknown audit format: ${name}. Available: ${FORMAT_REGISTRY.map(a => a.name).join(', ')}`);
+  }
+  return adapter;
+}
+
+/**
+ * Validate data against an adapter's input schema
+ * @returns {Object} { valid, errors: [{ path, message }] }
+ */
+export function validateFormatInput(adapter, data) {
+  const validate = ajv.getSchema(adapter.schema.$id) || ajv.compile(adapter.schema);
+  const valid = validate(data);
+
+  return {
+    valid,
+    errors: (validate.errors || []).map(err => ({
+      path: err.instancePath || '',
+      message: err.message
+    }))
+  };
+}
+
+/**
+ * Detect the format of parsed audit data
+ * @param {Object} data - Parsed audit input
+ * @returns {Object} { adapter, name, confidence, schema_valid, schema_errors, candidates }
+ */
+export function detectFormat(data) {
+  const candidates = FORMAT_REGISTRY
+    .map(adapter => ({ adapter, confidence: adapter.detect(data) || 0 }))
+    .filter(c => c.confidence > 0);
+
+  // Stable: on equal confidence the earlier-registered adapter wins
+  const best = candidates.reduce((top, c) => (c.confidence > top.confidence ? c : top), candidates[0]);
+  const schemaCheck = validateFormatInput(best.adapter, data);
+
+  return {
+    adapter: best.adapter,
+    name: best.adapter.name,
+    confidence: best.confidence,
+    schema_valid: schemaCheck.valid,
+    schema_errors: schemaCheck.errors,
+    candidates: candidates.map(c => ({ name: c.adapter.name, confidence: c.confidence }))
+  };
+}
+
+/**
+ * File extensions readable as audit input (JSON plus any adapter parsers)
+ */
+export function getAuditExtensions() {
+  return ['.json', ...FORMAT_REGISTRY.flatMap(a => a.extensions || [])];
+}
+
+/**
+ * Read an audit file into the object passed to detectFormat
+ * JSON is parsed directly; other extensions go to the adapter that declares them.
+ * @param {string} filePath - Audit file path
+ * @returns {Object} Parsed audit input
+ */
+export function loadAuditFile(filePath) {
+  const ext = path.extname(filePath).toLowerCase();
+  if (ext === '.xlsx' || ext === '.xls') {
+    throw new Error(`Excel workbooks are not read directly: export the sheet as CSV (${filePath})`);
+  }
+
+  const content = fs.readFileSync(filePath, 'utf8');
+  const adapter = FORMAT_REGISTRY.find(a => a.parse && a.extensions?.includes(ext));
+  return adapter ? adapter.parse(content, filePath) : JSON.parse(content);
+}
+
+/**
+ * Normalize scorecard from ai_audit_report format to expected format
+ * Converts rows[] with finding objects to categories[] with findings arrays
+ */
+function normalizeScorecard(scorecard) {
+  if (!scorecard) return { categories: [] };
+
+  // If already has categories array, return as-is
+  if (scorecard.categories) {
+    return scorecard;
+  }
+
+  // Convert rows to categories
+  if (scorecard.rows && Array.isArray(scorecard.rows)) {
+    const categories = scorecard.rows.map(row => {
+      // Extract finding text - could be string or object
+      const findingText = typeof row.finding === 'string'
+        ? row.finding
+        : row.finding?.summary || row.finding?.risk || '';
+
+      return {
+        category_name: row.category,
+        status: row.status,
+        findings: [findingText].filter(Boolean)
+      };
+    });
+
+    return {
+      categories: categories,
+      executive_summary: scorecard.executive_summary,
+      overall: scorecard.overall
+    };
+  }
+
+  return { categories: [] };
+}
+
+/**
+ * Extract workflow info from scorecard categories
+ */
+function extractWorkflowFromScorecard(scorecard) {
+  if (!scorecard?.categories) return null;
+
+  // Look for workflow name in category names or findings
+  const categories = scorecard.categories;
+  const workflowHints = [];
+
+  for (const cat of categories) {
+    if (cat.category_name) {
+      workflowHints.push(cat.category_name);
+    }
+    if (cat.findings) {
+      for (const finding of cat.findings) {
+        if (finding.includes('workflow') || finding.includes('process')) {
+          workflowHints.push(finding);
+        }
+      }
+    }
+  }
+
+  return {
+    name: workflowHints[0] || 'Business Process',
+    categories: categories.map(c => c.category_name)
+  };
+}
+
+export default {
+  registerFormat,
+  listFormats,
+  getFormat,
+  detectFormat,
+  validateFormatInput,
+  getAuditExtensions,
+  loadAuditFile
+};
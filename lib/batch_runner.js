@@ -0,0 +1,261 @@
+/**
+ * batch_runner.js - Batch Proposal Generation
+ *
+ * Runs the full pipeline over many audits with bounded concurrency. Jobs share
+ * one RateLimiter so concurrent LLM calls stay inside each model's RPM budget,
+ * a failed job is recorded and the batch moves on, and a CSV + JSON summary is
+ * written next to the outputs.
+ *
+ * Input is either a directory of audit files or a manifest:
+ *   [ "audits/acme.json", { "audit": "audits/globex.json", "platform": "upwork", "output": "out/globex.html" } ]
+ * or { "jobs": [ ... ] }. Relative paths resolve against the manifest's directory.
+ */
+
+import fs from 'fs';
+import path from 'path';
+import { generate } from './pipeline.js';
+import { RateLimiter } from './rate_limiter.js';
+import { getDefaultRunDir } from './run_checkpoint.js';
+import { getAuditExtensions } from './audit_formats.js';
+import { generateOutputPath, generateTimestamp, ensureDir, extractClientName } from './file_utils.js';
+
+/**
+ * Audit file extensions picked up from a batch directory
+ */
+export const AUDIT_EXTENSIONS = getAuditExtensions();
+
+/**
+ * Summary columns, in CSV order
+ */
+const SUMMARY_COLUMNS = [
+  'client',
+  'status',
+  'total_price',
+  'total_price_display',
+  'payback_months',
+  'payback_display',
+  'valid',
+  'validation_errors',
+  'validation_warnings',
+  'html_path',
+  'pdf_path',
+  'json_path',
+  'run_dir',
+  'audit_path',
+  'llm_requests',
+  'duration_ms',
+  'error'
+];
+
+/**
+ * Load batch jobs from a directory of audits or a manifest file
+ * @param {string} input - Directory or manifest JSON path
+ * @returns {Array<Object>} Jobs: { audit, output?, platform?, currency?, locale?, milestone_template?, team_size?, hours_per_week?, start_date?, holidays?, tiers?, add_ons?, pricing_model?, retainer_term_months?, pricing_appendix?, valid_days? }
+ */
+export function loadBatchJobs(input) {
+  if (!fs.existsSync(input)) {
+    throw new Error(`Batch input not found: ${input}`);
+  }
+
+  if (fs.statSync(input).isDirectory()) {
+    return fs.readdirSync(input)
+      .filter(f => AUDIT_EXTENSIONS.includes(path.extname(f).toLowerCase()))
+      .sort()
+      .map(f => ({ audit: path.resolve(input, f) }));
+  }
+
+  const manifest = JSON.parse(fs.readFileSync(input, 'utf8'));
+  const entries = Array.isArray(manifest) ? manifest : manifest.jobs;
+  if (!Array.isArray(entries)) {
+    throw new Error(`Batch manifest must be an array of jobs or { "jobs": [...] }: ${input}`);
+  }
+
+  const baseDir = path.dirname(path.resolve(input));
+  return entries.map((entry, index) => {
+    const job = typeof entry === 'string' ? { audit: entry } : { ...entry };
+    if (!job.audit) {
+      throw new Error(`Batch manifest job ${index + 1} is missing "audit": ${input}`);
+    }
+
+    job.audit = path.resolve(baseDir, job.audit);
+    if (job.output) {
+      job.output = path.resolve(baseDir, job.output);
+    }
+    if (job.requirements) {
+      job.requirements = path.resolve(baseDir, job.requirements);
+    }
+    return job;
+  });
+}
+
+/**
+ * Run the pipeline for every job
+ * @param {Array<Object>} jobs - Jobs from loadBatchJobs
+ * @param {Object} options - Pipeline options plus batch options
+ * @param {number} options.concurrency - Jobs in flight at once (default: 2)
+ * @param {string} options.outputDir - Base output directory (default: output)
+ * @param {RateLimiter} options.rateLimiter - Shared limiter (default: new RateLimiter())
+ * @returns {Promise<Object>} Summary with per-job rows and summary file paths
+ */
+export async function runBatch(jobs, options = {}) {
+  const { concurrency = 2, outputDir = 'output', ...pipelineOptions } = options;
+  const rateLimiter = options.rateLimiter || new RateLimiter();
+  const startTime = Date.now();
+  const rows = new Array(jobs.length);
+  let nextIndex = 0;
+
+  console.log(`Batch: ${jobs.length} audit(s), concurrency ${concurrency}`);
+
+  // Fixed pool of workers pulling the next job index
+  const worker = async () => {
+    while (nextIndex < jobs.length) {
+      const index = nextIndex++;
+      rows[index] = await runJob(jobs[index], index, jobs.length, {
+        ...pipelineOptions,
+        rateLimiter
+      }, outputDir);
+    }
+  };
+
+  const workerCount = Math.min(Math.max(1, concurrency), jobs.length);
+  await Promise.all(Array.from({ length: workerCount }, worker));
+
+  const summary = {
+    generated_at: new Date().toISOString(),
+    total: rows.length,
+    succeeded: rows.filter(r => r.status === 'success').length,
+    invalid: rows.filter(r => r.status === 'invalid').length,
+    failed: rows.filter(r => r.status === 'failed').length,
+    concurrency,
+    duration_ms: Date.now() - startTime,
+    rate_limiter: { ...rateLimiter.stats },
+    jobs: rows
+  };
+
+  const paths = writeBatchSummary(summary, outputDir);
+  return { ...summary, summaryPaths: paths };
+}
+
+/**
+ * Run one job, never throwing
+ */
+async function runJob(job, index, total, options, outputDir) {
+  const label = `[batch ${index + 1}/${total}]`;
+  const clientName = extractClientName(job.audit);
+  const jobStart = Date.now();
+
+  const row = {
+    client: clientName,
+    status: 'failed',
+    audit_path: job.audit,
+    html_path: null,
+    pdf_path: null,
+    json_path: null,
+    run_dir: null,
+    error: null
+  };
+
+  try {
+    const outputPath = job.output || generateOutputPath({
+      outputDir,
+      type: 'proposal',
+      company: clientName,
+      // Audit file name keeps concurrent outputs for the same client apart
+      project: path.basename(job.audit, path.extname(job.audit)),
+      ext: 'html'
+    }).path;
+    row.run_dir = path.resolve(getDefaultRunDir(outputPath));
+
+    console.log(`${label} ${path.basename(job.audit)} → ${outputPath}`);
+
+    const result = await generate(job.audit, outputPath, {
+      ...options,
+      platform: job.platform || options.platform,
+      currency: job.currency || options.currency,
+      locale: job.locale || options.locale,
+      milestoneTemplate: job.milestone_template || options.milestoneTemplate,
+      teamSize: job.team_size || options.teamSize,
+      hoursPerWeek: job.hours_per_week || options.hoursPerWeek,
+      startDate: job.start_date || options.startDate,
+      holidays: job.holidays || options.holidays,
+      tiers: job.tiers || options.tiers,
+      addOns: job.add_ons || options.addOns,
+      pricingModel: job.pricing_model || options.pricingModel,
+      retainerTerm: job.retainer_term_months || options.retainerTerm,
+      pricingAppendix: job.pricing_appendix ?? options.pricingAppendix,
+      validDays: job.valid_days || options.validDays,
+      requirements: job.requirements || options.requirements,
+      runDir: row.run_dir
+    });
+
+    Object.assign(row, {
+      client: result.proposal?.client || clientName,
+      status: result.success ? 'success' : 'invalid',
+      total_price: result.proposal?.total_price,
+      total_price_display: result.proposal?.total_price_display,
+      payback_months: result.proposal?.payback_months,
+      payback_display: result.proposal?.payback_display,
+      valid: result.validation?.valid,
+      validation_errors: result.validation?.errors,
+      validation_warnings: result.validation?.warnings,
+      html_path: result.outputPath,
+      pdf_path: result.pdfPath,
+      json_path: result.jsonPath || null,
+      llm_requests: result.llmUsage?.requestCount
+    });
+    if (!result.success) {
+      row.error = 'Validation failed';
+    }
+  } catch (error) {
+    row.error = error.message;
+  }
+
+  row.duration_ms = Date.now() - jobStart;
+  const mark = row.status === 'success' ? '✓' : '✗';
+  console.log(`${label} ${mark} ${row.client}: ${row.status}${row.error ? ` (${row.error})` : ''}`);
+
+  return row;
+}
+
+/**
+ * Write the batch summary as JSON and CSV
+ * @param {Object} summary - Batch summary
+ * @param {string} outputDir - Directory for summary files
+ * @returns {Object} { json, csv } paths
+ */
+export function writeBatchSummary(summary, outputDir) {
+  ensureDir(outputDir);
+  const base = path.join(outputDir, `batch_summary_${generateTimestamp()}`);
+
+  fs.writeFileSync(`${base}.json`, JSON.stringify(summary, null, 2));
+  fs.writeFileSync(`${base}.csv`, toCsv(summary.jobs));
+
+  return { json: `${base}.json`, csv: `${base}.csv` };
+}
+
+/**
+ * Render summary rows as CSV
+ */
+function toCsv(rows) {
+  const lines = [SUMMARY_COLUMNS.join(',')];
+  for (const row of rows) {
+    lines.push(SUMMARY_COLUMNS.map(col => escapeCsv(row[col])).join(','));
+  }
+  return lines.join('\n') + '\n';
+}
+
+/**
+ * Quote a CSV cell when needed
+ */
+function escapeCsv(value) {
+  if (value === null || value === undefined) return '';
+  const text = String(value);
+  return /[",\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+export default {
+  AUDIT_EXTENSIONS,
+  loadBatchJobs,
+  runBatch,
+  writeBatchSummary
+};
@@ -0,0 +1,132 @@
+/**
+ * Currency Support for AI Proposals
+ * Billing currencies, FX conversion from the base currency and locale-aware money formatting
+ *
+ * Configured in pricing/currencies.json. Pricing config amounts (rates, minimums,
+ * discount thresholds) are in the base currency and converted with fx_rate; a
+ * currency may define its own hourly_rates instead.
+ */
+
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+const CURRENCY_CONFIG = JSON.parse(
+  fs.readFileSync(path.join(__dirname, '../pricing/currencies.json'), 'utf8')
+);
+
+export const BASE_CURRENCY = CURRENCY_CONFIG.base_currency;
+
+/**
+ * List configured currency codes
+ */
+export function listCurrencies() {
+  return Object.keys(CURRENCY_CONFIG.currencies);
+}
+
+/**
+ * Get a currency's config, rejecting unknown codes
+ * @param {string} code - ISO 4217 code (case-insensitive)
+ * @returns {Object} { code, fx_rate, locale, hourly_rates? }
+ */
+export function getCurrency(code = BASE_CURRENCY) {
+  const upper = String(code).toUpperCase();
+  const currency = CURRENCY_CONFIG.currencies[upper];
+  if (!currency) {
+    throw new Error(`Unknown currency: ${code}. Available: ${listCurrencies().join(', ')}`);
+  }
+  return { code: upper, ...currency };
+}
+
+/**
+ * Resolve the billing currency: explicit option, then the audit's bleed currency, then the base currency
+ * Unconfigured audit currencies fall back to the base currency (convertBleed then rejects the bleed).
+ * @param {string} requested - Currency option (e.g. from --currency)
+ * @param {Object} extracted - Extracted audit data
+ * @returns {string} Currency code
+ */
+export function resolveCurrency(requested, extracted = {}) {
+  if (requested) {
+    return getCurrency(requested).code;
+  }
+
+  const auditCurrency = String(extracted.bleed?.currency || '').toUpperCase();
+  return CURRENCY_CONFIG.currencies[auditCurrency] ? auditCurrency : BASE_CURRENCY;
+}
+
+/**
+ * Convert an amount between configured currencies via the base currency
+ * @param {number} amount - Amount in `from`
+ * @param {string} from - Source currency (default: base currency)
+ * @param {string} to - Target currency
+ * @returns {number} Amount in `to` (unrounded)
+ */
+export function convertAmount(amount, from = BASE_CURRENCY, to = BASE_CURRENCY) {
+  const source = getCurrency(from);
+  const target = getCurrency(to);
+  if (source.code === target.code) return amount;
+  return amount / source.fx_rate * target.fx_rate;
+}
+
+/**
+ * Monthly bleed from extracted audit data, in the billing currency
+ * Bleed in an unconfigured currency is rejected: there is no FX rate to convert it with.
+ * @param {Object} bleed - Extracted bleed ({ monthly_amount, currency })
+ * @param {string} currency - Billing currency
+ * @returns {number} Monthly amount
+ */
+export function convertBleed(bleed, currency) {
+  const amount = bleed?.monthly_amount || 0;
+  const bleedCurrency = bleed?.currency || currency;
+  if (!CURRENCY_CONFIG.currencies[bleedCurrency]) {
+    throw new Error(`Audit bleed is in ${bleedCurrency}, which has no FX rate in pricing/currencies.json. Available: ${listCurrencies().join(', ')}`);
+  }
+  if (bleedCurrency === currency) {
+    return amount;
+  }
+  return Math.round(convertAmount(amount, bleedCurrency, currency));
+}
+
+/**
+ * Format money for display in the currency's locale
+ * @param {number} amount - Amount
+ * @param {string} currency - ISO 4217 code (default: base currency)
+ * @param {string} locale - Override the currency's configured locale
+ * @returns {string} e.g. "$12,500", "£9,500", "11.500 €"
+ */
+export function formatMoney(amount, currency = BASE_CURRENCY, locale) {
+  const code = String(currency).toUpperCase();
+  const displayLocale = locale || CURRENCY_CONFIG.currencies[code]?.locale || 'en-US';
+
+  return new Intl.NumberFormat(displayLocale, {
+    style: 'currency',
+    currency: code,
+    minimumFractionDigits: 0,
+    maximumFractionDigits: 0
+  }).format(amount);
+}
+
+/**
+ * Build a money object ({ amount, currency, display }) as used throughout the proposal schema
+ */
+export function toMoney(amount, currency = BASE_CURRENCY, locale) {
+  return {
+    amount,
+    currency: String(currency).toUpperCase(),
+    display: formatMoney(amount, currency, locale)
+  };
+}
+
+export default {
+  BASE_CURRENCY,
+  listCurrencies,
+  getCurrency,
+  resolveCurrency,
+  convertAmount,
+  convertBleed,
+  formatMoney,
+  toMoney
+};
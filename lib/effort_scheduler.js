@@ -0,0 +1,252 @@
+/**
+ * Effort-Based Scheduling for AI Proposals
+ * Schedules recommended-fix hours on a delivery team and lays milestones out on a working calendar
+ *
+ * Each fix is worked by one person from start to finish. A fix starts once every fix
+ * it depends on is done and a person is free; ties go to the audit's fix order.
+ * Default team capacity lives in pricing/base_rates.json "scheduling".
+ * Calendar helpers skip weekends and, given a holiday calendar, its holidays.
+ */
+
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { getHoliday, holidaysBetween } from './holiday_calendar.js';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+const BASE_RATES = JSON.parse(
+  fs.readFileSync(path.join(__dirname, '../pricing/base_rates.json'), 'utf8')
+);
+
+export const WORK_DAYS_PER_WEEK = 5;
+
+/**
+ * Resolve team capacity from options, falling back to pricing/base_rates.json
+ * @param {Object} options - { team_size, hours_per_week } (hours per person)
+ * @returns {Object} { team_size, hours_per_week }
+ */
+export function resolveCapacity(options = {}) {
+  const defaults = BASE_RATES.scheduling;
+  const capacity = {
+    team_size: Number(options.team_size ?? defaults.team_size),
+    hours_per_week: Number(options.hours_per_week ?? defaults.hours_per_week)
+  };
+
+  if (!Number.isInteger(capacity.team_size) || capacity.team_size < 1) {
+    throw new Error(`Team size must be a positive integer, got "${options.team_size}"`);
+  }
+  if (!(capacity.hours_per_week >= 1) || capacity.hours_per_week > 80) {
+    throw new Error(`Hours per week must be between 1 and 80, got "${options.hours_per_week}"`);
+  }
+  return capacity;
+}
+
+/**
+ * Order fixes so each comes after its dependencies, keeping audit order where free
+ * Unknown dependency IDs are dropped with a warning; cycles throw.
+ */
+function orderByDependencies(fixes, warnings) {
+  const ids = new Set(fixes.map(f => f.fix_id));
+  const pending = fixes.map(fix => ({
+    ...fix,
+    depends_on: fix.depends_on.filter(dep => {
+      if (ids.has(dep)) return true;
+      warnings.push(`Fix ${fix.fix_id} depends on unknown fix ${dep}; dependency ignored`);
+      return false;
+    })
+  }));
+
+  const ordered = [];
+  const done = new Set();
+  while (pending.length > 0) {
+    const index = pending.findIndex(fix => fix.depends_on.every(dep => done.has(dep)));
+    if (index === -1) {
+      throw new Error(`Fix dependencies form a cycle between: ${pending.map(f => f.fix_id).join(', ')}`);
+    }
+    const [fix] = pending.splice(index, 1);
+    ordered.push(fix);
+    done.add(fix.fix_id);
+  }
+  return ordered;
+}
+
+/**
+ * Schedule fix hours on the team
+ * @param {Array<Object>} fixes - [{ fix_id, label, hours, depends_on? }] in priority order
+ * @param {Object} capacity - From resolveCapacity
+ * @returns {Object} { fixes: [{ ..., person, start_day, end_day }], total_hours, makespan_days, warnings }
+ *   Days are working days from the start of fix work (fractional).
+ */
+export function scheduleFixes(fixes, capacity) {
+  const warnings = [];
+  const hoursPerDay = capacity.hours_per_week / WORK_DAYS_PER_WEEK;
+  const normalized = fixes.map(fix => ({
+    ...fix,
+    fix_id: String(fix.fix_id),
+    depends_on: (fix.depends_on || []).map(String)
+  }));
+
+  const personFreeAt = new Array(capacity.team_size).fill(0);
+  const endDays = new Map();
+  const scheduled = orderByDependencies(normalized, warnings).map(fix => {
+    const readyAt = Math.max(0, ...fix.depends_on.map(dep => endDays.get(dep)));
+
+    // Person who can start soonest (lowest index on ties)
+    let person = 0;
+    for (let p = 1; p < personFreeAt.length; p++) {
+      if (Math.max(readyAt, personFreeAt[p]) < Math.max(readyAt, personFreeAt[person])) person = p;
+    }
+
+    const startDay = Math.max(readyAt, personFreeAt[person]);
+    const endDay = startDay + fix.hours / hoursPerDay;
+    personFreeAt[person] = endDay;
+    endDays.set(fix.fix_id, endDay);
+
+    return { ...fix, person: person + 1, start_day: startDay, end_day: endDay };
+  });
+
+  return {
+    fixes: scheduled,
+    total_hours: scheduled.reduce((sum, fix) => sum + fix.hours, 0),
+    makespan_days: Math.max(0, ...scheduled.map(fix => fix.end_day)),
+    warnings
+  };
+}
+
+/**
+ * Parse a YYYY-MM-DD date (or Date) as a UTC calendar day
+ */
+export function toUTCDate(date) {
+  if (date instanceof Date) {
+    return new Date(Date.UTC(date.getFullYear(), date.getMonth(), date.getDate()));
+  }
+  const match = /^(\d{4})-(\d{2})-(\d{2})$/.exec(String(date));
+  const parsed = match && new Date(Date.UTC(Number(match[1]), Number(match[2]) - 1, Number(match[3])));
+  if (!parsed || toISODate(parsed) !== String(date)) {
+    throw new Error(`Invalid date "${date}": expected YYYY-MM-DD`);
+  }
+  return parsed;
+}
+
+/**
+ * Format a UTC calendar day as YYYY-MM-DD
+ */
+export function toISODate(date) {
+  return date.toISOString().slice(0, 10);
+}
+
+/**
+ * Whether a UTC calendar day is a working day
+ * @param {Date} date - UTC calendar day
+ * @param {Object|null} calendar - Holiday calendar (holiday_calendar.js); null skips weekends only
+ */
+export function isWorkingDay(date, calendar = null) {
+  const day = date.getUTCDay();
+  return day !== 0 && day !== 6 && !getHoliday(calendar, date);
+}
+
+/**
+ * Move forward to the first working day on or after a date
+ */
+export function nextWorkingDay(date, calendar = null) {
+  const current = toUTCDate(date);
+  while (!isWorkingDay(current, calendar)) {
+    current.setUTCDate(current.getUTCDate() + 1);
+  }
+  return current;
+}
+
+/**
+ * Add working days to a date (weekends and calendar holidays skipped)
+ * @param {Date|string} date - Working day to count from
+ * @param {number} days - Working days to add (0 returns the date itself)
+ * @param {Object|null} calendar - Holiday calendar
+ * @returns {Date} UTC calendar day
+ */
+export function addWorkingDays(date, days, calendar = null) {
+  const current = nextWorkingDay(date, calendar);
+  let remaining = days;
+  while (remaining > 0) {
+    current.setUTCDate(current.getUTCDate() + 1);
+    if (isWorkingDay(current, calendar)) remaining--;
+  }
+  return current;
+}
+
+/**
+ * Working days a milestone duration covers
+ */
+function durationInWorkingDays(duration) {
+  const days = duration?.unit === 'business_days'
+    ? duration.value
+    : (duration?.value || 1) * WORK_DAYS_PER_WEEK;
+  return Math.max(1, Math.ceil(days));
+}
+
+/**
+ * Lay milestones end to end on the working calendar
+ * A start date on a weekend or holiday moves to the next working day.
+ * @param {Array<Object>} milestones - Milestones with duration { value, unit: weeks | business_days }
+ * @param {string|Date} startDate - First day of work (default: next working day after today)
+ * @param {Object|null} calendar - Holiday calendar
+ * @param {Date} today - Day the default start counts from (default: now)
+ * @returns {Array<Object>} [{ start_date, end_date, working_days, holidays }] per milestone,
+ *   dates as YYYY-MM-DD; holidays are the [{ date, name }] skipped inside the milestone
+ */
+export function scheduleMilestoneDates(milestones, startDate, calendar = null, today = new Date()) {
+  let cursor = startDate ? nextWorkingDay(startDate, calendar) : addWorkingDays(today, 1, calendar);
+
+  return milestones.map(milestone => {
+    const workingDays = durationInWorkingDays(milestone.duration);
+    const start = cursor;
+    const end = addWorkingDays(start, workingDays - 1, calendar);
+    cursor = addWorkingDays(end, 1, calendar);
+    return {
+      start_date: toISODate(start),
+      end_date: toISODate(end),
+      working_days: workingDays,
+      holidays: weekdayHolidays(calendar, toISODate(start), toISODate(end))
+    };
+  });
+}
+
+/**
+ * Holidays that fall on weekdays between two dates (the ones that cost working time)
+ */
+export function weekdayHolidays(calendar, startDate, endDate) {
+  return holidaysBetween(calendar, startDate, endDate).filter(holiday => {
+    const day = toUTCDate(holiday.date).getUTCDay();
+    return day !== 0 && day !== 6;
+  });
+}
+
+/**
+ * Calendar dates for each scheduled fix, counted from the first day of fix work
+ */
+export function datesForFixes(schedule, startDate, calendar = null) {
+  return schedule.fixes.map(fix => ({
+    ...fix,
+    start_date: toISODate(addWorkingDays(startDate, Math.floor(fix.start_day), calendar)),
+    end_date: toISODate(addWorkingDays(
+      startDate,
+      Math.max(Math.ceil(fix.end_day) - 1, Math.floor(fix.start_day)),
+      calendar
+    ))
+  }));
+}
+
+export default {
+  WORK_DAYS_PER_WEEK,
+  resolveCapacity,
+  scheduleFixes,
+  scheduleMilestoneDates,
+  datesForFixes,
+  weekdayHolidays,
+  isWorkingDay,
+  nextWorkingDay,
+  addWorkingDays,
+  toUTCDate,
+  toISODate
+};
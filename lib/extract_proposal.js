@@ -3,33 +3,46 @@
  * Parses Traffic Light Reports and other audit formats into proposal intake data
  */
 
-import fs from 'fs';
 import path from 'path';
+import { detectFormat, loadAuditFile } from './audit_formats.js';
+import { formatMoney, listCurrencies, BASE_CURRENCY } from './currency.js';
+import { systemClock } from './run_clock.js';
 
 /**
  * Extract proposal-relevant data from an audit report
- * @param {string|Object} auditInput - Path to audit JSON or parsed object
+ * @param {string|Object} auditInput - Path to audit JSON/CSV or parsed object
+ * @param {Object} options - Extraction options
+ * @param {Object} options.clock - Run clock for audits without a date (see run_clock.js)
  * @returns {Object} Extracted proposal intake data
  */
-function extractFromAudit(auditInput) {
+function extractFromAudit(auditInput, options = {}) {
   let auditData;
 
   if (typeof auditInput === 'string') {
-    const content = fs.readFileSync(auditInput, 'utf8');
-    auditData = JSON.parse(content);
+    auditData = loadAuditFile(auditInput);
   } else {
     auditData = auditInput;
   }
 
-  // Normalize different audit report formats
-  const normalized = normalizeAuditFormat(auditData);
+  // Detect the input format and normalize through its adapter
+  const detected = detectFormat(auditData);
+  const now = (options.clock || systemClock).now();
+  const normalized = detected.adapter.normalize(auditData, { now });
 
   return {
+    // Detected input format
+    source_format: {
+      name: detected.name,
+      confidence: detected.confidence,
+      schema_valid: detected.schema_valid,
+      schema_errors: detected.schema_errors
+    },
+
     // Client information
     client: extractClientInfo(normalized),
 
     // Audit reference data
-    audit: extractAuditReference(normalized),
+    audit: extractAuditReference(normalized, now),
 
     // Workflow details
     workflow: extractWorkflowInfo(normalized),
@@ -53,167 +66,21 @@ function extractFromAudit(auditInput) {
 }
 
 /**
- * Normalize scorecard from ai_audit_report format to expected format
- * Converts rows[] with finding objects to categories[] with findings arrays
+ * Audit data for pricing and scheduling: the normalized audit with the extracted recommended
+ * fixes, so the price and the timeline are estimated from the same fix list
+ * @param {Object} extracted - Output from extractFromAudit
+ * @returns {Object} Normalized audit with recommended_fixes
  */
-function normalizeScorecard(scorecard) {
-  if (!scorecard) return { categories: [] };
-
-  // If already has categories array, return as-is
-  if (scorecard.categories) {
-    return scorecard;
-  }
-
-  // Convert rows to categories
-  if (scorecard.rows && Array.isArray(scorecard.rows)) {
-    const categories = scorecard.rows.map(row => {
-      // Extract finding text - could be string or object
-      const findingText = typeof row.finding === 'string'
-        ? row.finding
-        : row.finding?.summary || row.finding?.risk || '';
-
-      return {
-        category_name: row.category,
-        status: row.status,
-        findings: [findingText].filter(Boolean)
-      };
-    });
-
-    return {
-      categories: categories,
-      executive_summary: scorecard.executive_summary,
-      overall: scorecard.overall
-    };
-  }
-
-  return { categories: [] };
+function getPricingInput(extracted) {
+  return { ...(extracted.raw_audit || extracted), recommended_fixes: extracted.recommended_fixes || [] };
 }
 
 /**
  * Normalize different audit report formats to a common structure
+ * Thin wrapper over the format registry (see audit_formats.js)
  */
 function normalizeAuditFormat(data) {
-  // Handle Traffic Light Report format (from ai_audit_report)
-  if (data.document && data.scorecard) {
-    // Handle fixes - could be array directly or { items: [...] }
-    let fixes = data.fixes || data.recommended_fixes || [];
-    if (fixes.items && Array.isArray(fixes.items)) {
-      fixes = fixes.items;
-    }
-
-    // Normalize scorecard - convert rows to categories format for compatibility
-    const scorecard = normalizeScorecard(data.scorecard);
-
-    return {
-      format: 'traffic_light_report',
-      document: data.document,
-      client: data.prepared_for,
-      producer: data.prepared_by,
-      scorecard: scorecard,
-      bleed: data.revenue_bleed || data.bleed,
-      fixes: fixes,
-      executive_summary: data.executive_summary || data.scorecard?.executive_summary,
-      cta: data.cta,
-      workflow: extractWorkflowFromScorecard(data.scorecard)
-    };
-  }
-
-  // Handle simple audit format
-  if (data.audit_date || data.findings) {
-    return {
-      format: 'simple_audit',
-      document: {
-        created_at: data.audit_date || data.date || new Date().toISOString(),
-        document_id: data.audit_id || data.id
-      },
-      client: data.client || data.prepared_for || { account_name: data.client_name },
-      scorecard: { categories: data.findings || data.categories || [] },
-      bleed: data.bleed || data.revenue_bleed,
-      fixes: data.fixes || data.recommended_fixes || [],
-      workflow: data.workflow
-    };
-  }
-
-  // Handle project_plan format (from ai_sales_engineering)
-  if (data.project_identity || data.project?.client) {
-    // Map project plan objectives to pseudo-findings for proposal
-    const objectives = data.scope?.objectives || [];
-    const findings = objectives.map(obj => ({
-      category_name: 'Implementation Objectives',
-      status: 'critical',
-      findings: [obj]
-    }));
-
-    // Map scope items to fixes
-    const fixes = (data.scope?.in_scope || []).slice(0, 5).map((item, i) => ({
-      id: i + 1,
-      problem: `Current process gap: ${item}`,
-      fix: item,
-      impact: 'Process improvement'
-    }));
-
-    return {
-      format: 'project_plan',
-      document: {
-        created_at: data.meta?.generated_at || new Date().toISOString(),
-        document_id: data.meta?.plan_id
-      },
-      client: {
-        account_name: data.project_identity?.client_name || data.project?.client?.name,
-        industry: data.project?.client?.industry,
-        tier: data.project?.client?.tier
-      },
-      scorecard: { categories: findings },
-      bleed: data.value?.revenue_bleed || null,
-      fixes: fixes,
-      workflow: {
-        name: data.project?.summary || data.project_identity?.project_name,
-        categories: objectives
-      },
-      // Pass through the full project plan for proposal builder
-      project_plan: data
-    };
-  }
-
-  // Handle raw intake format
-  return {
-    format: 'raw_intake',
-    document: { created_at: new Date().toISOString() },
-    client: data.client || {},
-    scorecard: { categories: [] },
-    bleed: data.bleed,
-    fixes: data.fixes || [],
-    workflow: data.workflow
-  };
-}
-
-/**
- * Extract workflow info from scorecard categories
- */
-function extractWorkflowFromScorecard(scorecard) {
-  if (!scorecard?.categories) return null;
-
-  // Look for workflow name in category names or findings
-  const categories = scorecard.categories;
-  const workflowHints = [];
-
-  for (const cat of categories) {
-    if (cat.category_name) {
-      workflowHints.push(cat.category_name);
-    }
-    if (cat.findings) {
-      for (const finding of cat.findings) {
-        if (finding.includes('workflow') || finding.includes('process')) {
-          workflowHints.push(finding);
-        }
-      }
-    }
-  }
-
-  return {
-    name: workflowHints[0] || 'Business Process',
-    categories: categories.map(c => c.category_name)
-  };
+  return detectFormat(data).adapter.normalize(data);
 }
 
 /**
@@ -263,12 +130,12 @@ function inferIndustry(normalized) {
 /**
  * Extract audit reference data
  */
-function extractAuditReference(normalized) {
+function extractAuditReference(normalized, now = new Date()) {
   const doc = normalized.document || {};
 
   return {
     audit_id: doc.document_id || doc.audit_id,
-    audit_date: doc.created_at || new Date().toISOString(),
+    audit_date: doc.created_at || now.toISOString(),
     report_type: normalized.format === 'traffic_light_report' ? 'Traffic Light Report' : 'Audit Report',
     workflow_name: normalized.workflow?.name
   };
@@ -384,7 +251,8 @@ function extractRecommendedFixes(normalized) {
       fix: fix.fix || fix.solution || fix.recommendation,
       impact: impact || fix.expected_impact,
       effort_tier: effortTier || 'moderate',
-      priority: fix.priority || index + 1
+      priority: fix.priority || index + 1,
+      depends_on: [].concat(fix.depends_on || fix.dependencies || []).map(String)
     };
   });
 }
@@ -408,12 +276,16 @@ function extractBleedData(normalized) {
     amount = parseFloat(amount.replace(/[^0-9.]/g, '')) || 0;
   }
 
+  // Currency may sit next to the amount (monthly_total.currency) or on the bleed itself
+  const rawCurrency = String(bleed.currency || bleed.total?.currency || bleed.monthly_total?.currency || '').toUpperCase();
+  const currency = /^[A-Z]{3}$/.test(rawCurrency) ? rawCurrency : BASE_CURRENCY;
+
   return {
     monthly_amount: amount,
-    currency: bleed.currency || 'USD',
+    currency: currency,
     period: bleed.period || 'month',
     breakdown: bleed.breakdown || bleed.line_items || [],
-    display: formatMoney(amount)
+    display: formatMoney(amount, currency)
   };
 }
 
@@ -496,17 +368,6 @@ function detectDataSensitivity(normalized) {
   return 'standard';
 }
 
-/**
- * Format money for display
- */
-function formatMoney(amount, currency = 'USD') {
-  return new Intl.NumberFormat('en-US', {
-    style: 'currency',
-    currency: currency,
-    minimumFractionDigits: 0,
-    maximumFractionDigits: 0
-  }).format(amount);
-}
 
 /**
  * Validate extracted data has minimum required fields
@@ -522,10 +383,19 @@ function validateExtraction(extracted) {
     errors.push('Missing revenue bleed amount');
   }
 
+  if (extracted.bleed?.currency && !listCurrencies().includes(extracted.bleed.currency)) {
+    errors.push(`Bleed currency ${extracted.bleed.currency} has no FX rate in pricing/currencies.json`);
+  }
+
   if (!extracted.findings?.length && !extracted.recommended_fixes?.length) {
     errors.push('No findings or fixes found in audit');
   }
 
+  // Sections a document-style input (e.g. Markdown) was expected to have
+  for (const section of extracted.raw_audit?.missing_sections || []) {
+    errors.push(`Section not found in audit: ${section}`);
+  }
+
   return {
     valid: errors.length === 0,
     errors: errors
@@ -534,6 +404,7 @@ function validateExtraction(extracted) {
 
 export {
   extractFromAudit,
+  getPricingInput,
   normalizeAuditFormat,
   extractClientInfo,
   extractAuditReference,
@@ -548,6 +419,7 @@ export {
 
 export default {
   extractFromAudit,
+  getPricingInput,
   normalizeAuditFormat,
   extractClientInfo,
   extractAuditReference,
@@ -17,6 +17,7 @@
 
 import fs from 'fs';
 import path from 'path';
+import { loadAuditFile, detectFormat } from './audit_formats.js';
 
 /**
  * Convert any string to a URL-safe slug
@@ -305,6 +306,26 @@ export function parseOutputFilename(filename) {
   };
 }
 
+/**
+ * Extract client name from an audit file or project plan
+ * @param {string} auditPath - Path to audit JSON, project_plan JSON or audit spreadsheet
+ * @returns {string} Client name or default
+ */
+export function extractClientName(auditPath) {
+  try {
+    const data = loadAuditFile(auditPath);
+    return data.project_identity?.client_name ||
+           data.project?.client?.name ||
+           data.client?.account_name ||
+           data.prepared_for?.account_name ||
+           data.company_name ||
+           detectFormat(data).adapter.normalize(data).client?.account_name ||
+           'client';
+  } catch {
+    return 'client';
+  }
+}
+
 export default {
   slugify,
   generateTimestamp,
@@ -314,5 +335,6 @@ export default {
   generateRelatedPaths,
   generateInputPath,
   moveToOld,
-  parseOutputFilename
+  parseOutputFilename,
+  extractClientName
 };
@@ -0,0 +1,131 @@
+/**
+ * fixture_adapter.js - Offline Fixture/Replay Adapter for LLM Execution
+ *
+ * Answers each prompt from a local JSON file keyed by prompt ID instead of
+ * calling a live API. Used for offline runs, CI, and reproducible output.
+ *
+ * Fixture format (see test/fixtures/mock_llm_responses.json):
+ *   { "<prompt_id>": { "response": "...", "tokens_used": 42 } }
+ * or, for prompts shared by several placeholders:
+ *   { "<prompt_id>": { "<variant>": { "response": "..." } } }
+ * or, to answer with a tagged section of the user prompt unchanged (e.g. the
+ * final HTML review's "no corrections needed" reply):
+ *   { "<prompt_id>": { "echo": "document_content" } }
+ */
+
+import fs from 'fs';
+import path from 'path';
+import crypto from 'crypto';
+import { fileURLToPath } from 'url';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+/**
+ * Default fixture file used when no path is given
+ */
+export const DEFAULT_FIXTURES_PATH = path.join(__dirname, '../test/fixtures/mock_llm_responses.json');
+
+/**
+ * Fixture API Adapter
+ */
+export class FixtureAdapter {
+  constructor(options = {}) {
+    this.name = 'fixture';
+    this.label = 'Fixture';
+    this.models = ['fixture'];
+    this.fixturesPath = path.resolve(options.fixturesPath || DEFAULT_FIXTURES_PATH);
+
+    this.fallbackDelayMs = 0;
+    this.retryDelayMs = 0;
+    this.waitOnRateLimit = false;
+
+    if (!fs.existsSync(this.fixturesPath)) {
+      throw new Error(`Fixture file not found: ${this.fixturesPath}`);
+    }
+
+    // Loaded per adapter instance so edits to the file are picked up on the next run
+    const content = fs.readFileSync(this.fixturesPath, 'utf8');
+    this.responses = JSON.parse(content);
+    // Part of the response cache key, so edited fixtures are never served from the cache
+    this.fixturesHash = crypto.createHash('sha256').update(content).digest('hex');
+  }
+
+  /**
+   * Return the recorded response for a prompt
+   * @param {Object} request - Request from the LLM client
+   * @param {string} request.promptId - Prompt ID to look up
+   * @param {Array<string>} request.variantKeys - Candidate keys for prompts with per-placeholder variants
+   * @returns {Promise<{text: string, usage: Object}>} Recorded response text and token usage
+   */
+  async complete(request) {
+    const promptId = request.promptId;
+    if (!promptId) {
+      throw new Error('Fixture adapter requires a promptId');
+    }
+
+    const entry = this.responses[promptId];
+    if (!entry) {
+      throw new Error(`No fixture response for prompt: ${promptId}`);
+    }
+
+    const record = resolveRecord(entry, request.variantKeys || []);
+    if (!record) {
+      const tried = (request.variantKeys || []).join(', ') || 'none';
+      throw new Error(`No fixture variant for prompt ${promptId} (tried: ${tried})`);
+    }
+
+    // Array responses are returned as a bulleted list, matching what a live model emits
+    let text;
+    if (record.echo) {
+      text = echoSection(request.userPrompt || '', record.echo, promptId);
+    } else if (Array.isArray(record.response)) {
+      text = record.response.map(item => `- ${item}`).join('\n');
+    } else {
+      text = String(record.response);
+    }
+
+    return {
+      text,
+      usage: {
+        inputTokens: 0,
+        outputTokens: record.tokens_used || 0,
+        totalTokens: record.tokens_used || 0
+      }
+    };
+  }
+}
+
+/**
+ * Pick the direct record or the first matching variant record
+ */
+function resolveRecord(entry, variantKeys) {
+  if (entry.response !== undefined || entry.echo) {
+    return entry;
+  }
+
+  for (const key of variantKeys) {
+    if (key && (entry[key]?.response !== undefined || entry[key]?.echo)) {
+      return entry[key];
+    }
+  }
+
+  return null;
+}
+
+/**
+ * Content of the <tag>...</tag> section of a user prompt
+ */
+function echoSection(userPrompt, tag, promptId) {
+  const start = userPrompt.indexOf(`<${tag}>`);
+  const end = userPrompt.lastIndexOf(`</${tag}>`);
+  if (start === -1 || end < start) {
+    throw new Error(`Fixture for prompt ${promptId} echoes <${tag}>, but the prompt has no such section`);
+  }
+  return userPrompt.slice(start + tag.length + 2, end).trim();
+}
+
+export default {
+  FixtureAdapter,
+  DEFAULT_FIXTURES_PATH
+};
@@ -0,0 +1,77 @@
+/**
+ * gemini_adapter.js - Gemini API Adapter for LLM Execution
+ *
+ * Primary provider. Speaks the Gemini generateContent REST API.
+ * Retries, model fallback and token accounting live in llm_provider.js.
+ */
+
+import { MODEL_FALLBACK_ORDER } from './model_config.js';
+
+/**
+ * Gemini API Adapter
+ */
+export class GeminiAdapter {
+  constructor(options = {}) {
+    this.name = 'gemini';
+    this.label = 'Gemini';
+    this.apiKey = options.apiKey || process.env.GEMINI_API_KEY;
+    this.models = options.models || MODEL_FALLBACK_ORDER;
+
+    // Client behaviour: pause before switching models, wait out quota when no fallback is left
+    this.fallbackDelayMs = 2000;
+    this.retryDelayMs = 5000;
+    this.waitOnRateLimit = true;
+  }
+
+  /**
+   * Send a single request to one model
+   * @param {Object} request - { model, systemPrompt, userPrompt, maxTokens, temperature }
+   * @returns {Promise<{text: string, usage: Object}>} Raw text and token usage
+   */
+  async complete(request) {
+    if (!this.apiKey) {
+      throw new Error('GEMINI_API_KEY not set');
+    }
+
+    const fullPrompt = `${request.systemPrompt}\n\n${request.userPrompt}`;
+    const body = {
+      contents: [{ parts: [{ text: fullPrompt }] }],
+      generationConfig: {
+        maxOutputTokens: request.maxTokens || 18000,
+        temperature: request.temperature ?? 0.3
+      }
+    };
+
+    // Use v1beta for Gemini 3 models, v1 for others
+    const apiVersion = request.model.startsWith('gemini-3') ? 'v1beta' : 'v1';
+    const baseUrl = `https://generativelanguage.googleapis.com/${apiVersion}/models`;
+    const url = `${baseUrl}/${request.model}:generateContent?key=${this.apiKey}`;
+
+    const response = await fetch(url, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify(body)
+    });
+
+    if (!response.ok) {
+      const errorText = await response.text();
+      throw new Error(`Gemini API error ${response.status}: ${errorText}`);
+    }
+
+    const data = await response.json();
+    const usage = data.usageMetadata || {};
+
+    return {
+      text: data.candidates?.[0]?.content?.parts?.[0]?.text || '',
+      usage: {
+        inputTokens: usage.promptTokenCount || 0,
+        outputTokens: usage.candidatesTokenCount || 0,
+        totalTokens: usage.totalTokenCount || 0
+      }
+    };
+  }
+}
+
+export default {
+  GeminiAdapter
+};
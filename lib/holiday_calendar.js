@@ -0,0 +1,241 @@
+/**
+ * Holiday Calendars for AI Proposals
+ * Per-country non-working days used when laying milestones on the calendar
+ *
+ * Calendars live in holidays/<COUNTRY>.json (or any file with the same shape).
+ * Holidays are rules rather than dates, so any year can be expanded:
+ *   { "date": "12-25" }                                   fixed day
+ *   { "month": 11, "weekday": "thursday", "nth": 4 }     nth weekday (-1 = last)
+ *   { "month": 5, "weekday": "monday", "on_or_before": 24 }
+ *   { "easter_offset": -2 }                               days from Easter Sunday
+ * "observed" moves weekend holidays: nearest_weekday (Sat -> Fri, Sun -> Mon),
+ * next_weekday (to the next free weekday) or none. "closures" lists one-off YYYY-MM-DD dates.
+ */
+
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+const HOLIDAYS_DIR = path.join(__dirname, '../holidays');
+
+const WEEKDAYS = ['sunday', 'monday', 'tuesday', 'wednesday', 'thursday', 'friday', 'saturday'];
+const OBSERVANCE = ['nearest_weekday', 'next_weekday', 'none'];
+
+/**
+ * List country codes with a calendar file
+ */
+export function listHolidayCalendars() {
+  return fs.readdirSync(HOLIDAYS_DIR)
+    .filter(f => f.endsWith('.json'))
+    .map(f => path.basename(f, '.json'))
+    .sort();
+}
+
+/**
+ * Check a calendar's rules, naming the first bad entry
+ */
+function validateCalendar(calendar, source) {
+  if (!Array.isArray(calendar.holidays)) {
+    throw new Error(`Holiday calendar ${source} needs a "holidays" array`);
+  }
+  if (calendar.observed && !OBSERVANCE.includes(calendar.observed)) {
+    throw new Error(`Holiday calendar ${source}: "observed" must be one of ${OBSERVANCE.join(', ')}`);
+  }
+
+  for (const rule of calendar.holidays) {
+    const label = `Holiday calendar ${source}: "${rule.name || JSON.stringify(rule)}"`;
+    if (!rule.name) throw new Error(`${label} needs a name`);
+    if ('date' in rule) {
+      if (!/^\d{2}-\d{2}$/.test(rule.date)) throw new Error(`${label} date must be MM-DD`);
+    } else if ('easter_offset' in rule) {
+      if (!Number.isInteger(rule.easter_offset)) throw new Error(`${label} easter_offset must be an integer`);
+    } else if ('weekday' in rule) {
+      if (!WEEKDAYS.includes(rule.weekday)) throw new Error(`${label} weekday must be one of ${WEEKDAYS.join(', ')}`);
+      if (!(rule.month >= 1 && rule.month <= 12)) throw new Error(`${label} month must be 1-12`);
+      if (!('nth' in rule) && !('on_or_before' in rule)) throw new Error(`${label} needs nth or on_or_before`);
+    } else {
+      throw new Error(`${label} needs date, easter_offset or weekday`);
+    }
+  }
+
+  for (const date of calendar.closures || []) {
+    if (!/^\d{4}-\d{2}-\d{2}$/.test(date)) {
+      throw new Error(`Holiday calendar ${source}: closure "${date}" must be YYYY-MM-DD`);
+    }
+  }
+}
+
+/**
+ * Load a holiday calendar by country code or file path
+ * @param {string} name - Country code (case-insensitive, e.g. "US") or path to a calendar JSON file
+ * @returns {Object} { country, label, observed, holidays, closures }
+ */
+export function loadHolidayCalendar(name) {
+  const isFile = name.endsWith('.json') || name.includes('/') || name.includes('\\');
+  const filePath = isFile ? path.resolve(name) : path.join(HOLIDAYS_DIR, `${name.toUpperCase()}.json`);
+  if (!fs.existsSync(filePath)) {
+    throw new Error(isFile
+      ? `Holiday calendar file not found: ${name}`
+      : `Unknown holiday calendar: ${name}. Available: ${listHolidayCalendars().join(', ')}`);
+  }
+
+  const calendar = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+  validateCalendar(calendar, name);
+  return {
+    country: calendar.country || path.basename(filePath, '.json'),
+    label: calendar.label || name,
+    observed: calendar.observed || 'none',
+    holidays: calendar.holidays,
+    closures: calendar.closures || [],
+    years: new Map()
+  };
+}
+
+/**
+ * Resolve the calendar option: "none" for weekends only, a country or file, else the locale's country
+ * @param {string} name - Calendar option (e.g. from --holidays)
+ * @param {string} locale - Proposal locale; its region picks the default calendar when one exists
+ * @returns {Object|null} Calendar, or null for weekends only
+ */
+export function resolveHolidayCalendar(name, locale) {
+  if (name === 'none') return null;
+  if (name) return loadHolidayCalendar(name);
+
+  const region = String(locale || '').split('-')[1];
+  return region && listHolidayCalendars().includes(region.toUpperCase())
+    ? loadHolidayCalendar(region)
+    : null;
+}
+
+/**
+ * Easter Sunday (Gregorian) as [month, day]
+ */
+function easterSunday(year) {
+  const a = year % 19;
+  const b = Math.floor(year / 100);
+  const c = year % 100;
+  const d = Math.floor(b / 4);
+  const e = b % 4;
+  const f = Math.floor((b + 8) / 25);
+  const g = Math.floor((b - f + 1) / 3);
+  const h = (19 * a + b - d - g + 15) % 30;
+  const i = Math.floor(c / 4);
+  const k = c % 4;
+  const l = (32 + 2 * e + 2 * i - h - k) % 7;
+  const m = Math.floor((a + 11 * h + 22 * l) / 451);
+  const month = Math.floor((h + l - 7 * m + 114) / 31);
+  const day = ((h + l - 7 * m + 114) % 31) + 1;
+  return [month, day];
+}
+
+/**
+ * Date a holiday rule falls on in a year (UTC)
+ */
+function ruleDate(rule, year) {
+  if (rule.date) {
+    const [month, day] = rule.date.split('-').map(Number);
+    return new Date(Date.UTC(year, month - 1, day));
+  }
+  if ('easter_offset' in rule) {
+    const [month, day] = easterSunday(year);
+    return new Date(Date.UTC(year, month - 1, day + rule.easter_offset));
+  }
+
+  const weekday = WEEKDAYS.indexOf(rule.weekday);
+  if ('on_or_before' in rule) {
+    const date = new Date(Date.UTC(year, rule.month - 1, rule.on_or_before));
+    date.setUTCDate(date.getUTCDate() - ((date.getUTCDay() - weekday + 7) % 7));
+    return date;
+  }
+  if (rule.nth < 0) {
+    const last = new Date(Date.UTC(year, rule.month, 0));
+    last.setUTCDate(last.getUTCDate() - ((last.getUTCDay() - weekday + 7) % 7) + (rule.nth + 1) * 7);
+    return last;
+  }
+  const first = new Date(Date.UTC(year, rule.month - 1, 1));
+  first.setUTCDate(1 + ((weekday - first.getUTCDay() + 7) % 7) + (rule.nth - 1) * 7);
+  return first;
+}
+
+/**
+ * Holidays in a year as observed, keyed by YYYY-MM-DD
+ * @returns {Map<string, string>} Date -> holiday name
+ */
+function holidaysForYear(calendar, year) {
+  if (calendar.years.has(year)) return calendar.years.get(year);
+
+  const days = new Map();
+  const dated = calendar.holidays
+    .map(rule => ({ name: rule.name, date: ruleDate(rule, year) }))
+    .sort((a, b) => a.date - b.date);
+
+  for (const { name, date } of dated) {
+    const day = date.getUTCDay();
+    if (day === 0 || day === 6) {
+      if (calendar.observed === 'nearest_weekday') {
+        date.setUTCDate(date.getUTCDate() + (day === 6 ? -1 : 1));
+      } else if (calendar.observed === 'next_weekday') {
+        // Substitute days stack: Christmas on Saturday and Boxing Day on Sunday land on Monday and Tuesday
+        do {
+          date.setUTCDate(date.getUTCDate() + 1);
+        } while (date.getUTCDay() === 0 || date.getUTCDay() === 6 || days.has(date.toISOString().slice(0, 10)));
+      }
+    }
+    days.set(date.toISOString().slice(0, 10), name);
+  }
+
+  for (const closure of calendar.closures) {
+    if (closure.startsWith(`${year}-`) && !days.has(closure)) days.set(closure, 'Closure');
+  }
+
+  calendar.years.set(year, days);
+  return days;
+}
+
+/**
+ * Holiday name for a UTC calendar day, or null
+ * @param {Object|null} calendar - From loadHolidayCalendar (null: no holidays)
+ * @param {Date} date - UTC calendar day
+ */
+export function getHoliday(calendar, date) {
+  if (!calendar) return null;
+  const iso = date.toISOString().slice(0, 10);
+  // Observed dates can cross into the neighbouring year (New Year's Day on a Saturday)
+  const year = date.getUTCFullYear();
+  for (const observedYear of [year, year + 1]) {
+    const name = holidaysForYear(calendar, observedYear).get(iso);
+    if (name) return name;
+  }
+  return null;
+}
+
+/**
+ * Holidays between two dates, inclusive
+ * @param {Object|null} calendar - From loadHolidayCalendar
+ * @param {string} startDate - YYYY-MM-DD
+ * @param {string} endDate - YYYY-MM-DD
+ * @returns {Array<Object>} [{ date, name }]
+ */
+export function holidaysBetween(calendar, startDate, endDate) {
+  if (!calendar) return [];
+  const holidays = [];
+  const current = new Date(`${startDate}T00:00:00Z`);
+  const end = new Date(`${endDate}T00:00:00Z`);
+  while (current <= end) {
+    const name = getHoliday(calendar, current);
+    if (name) holidays.push({ date: current.toISOString().slice(0, 10), name });
+    current.setUTCDate(current.getUTCDate() + 1);
+  }
+  return holidays;
+}
+
+export default {
+  listHolidayCalendars,
+  loadHolidayCalendar,
+  resolveHolidayCalendar,
+  getHoliday,
+  holidaysBetween
+};
@@ -10,15 +10,11 @@ import fs from 'fs';
 import path from 'path';
 import { fileURLToPath } from 'url';
 import Mustache from 'mustache';
-import { MODEL_CONFIGS, MODEL_FALLBACK_ORDER, getNextFallbackModel, isRateLimitError, parseRetryAfter } from './model_config.js';
-import { GroqAdapter } from './groq_adapter.js';
+import { createLLMClient } from './llm_provider.js';
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
 
-// Gemini API base URL
-const GEMINI_BASE_URL = 'https://generativelanguage.googleapis.com/v1/models';
-
 // Load prompt registry
 const PROMPT_REGISTRY = JSON.parse(
   fs.readFileSync(path.join(__dirname, '../prompts/proposal_prompt_registry.json'), 'utf8')
@@ -32,7 +28,6 @@ const PROMPT_REGISTRY = JSON.parse(
  * @returns {Promise<string>} Path to the corrected HTML file
  */
 async function runFinalHtmlPass(htmlPath, context = {}, options = {}) {
-  const useGroq = options.useGroq || false;
   const skipFinalPass = options.skipFinalPass || false;
 
   // Skip if explicitly disabled
@@ -66,6 +61,7 @@ async function runFinalHtmlPass(htmlPath, context = {}, options = {}) {
     client_name: context.client_name || 'Client',
     total_price: context.total_price || '$0',
     platform: context.platform || 'direct',
+    output_language: context.output_language,
     html_content: htmlContent
   };
 
@@ -79,13 +75,15 @@ async function runFinalHtmlPass(htmlPath, context = {}, options = {}) {
 
   try {
     // Call LLM
-    let correctedHtml;
-    if (useGroq) {
-      const adapter = new GroqAdapter({ apiKey: process.env.GROQ_API_KEY });
-      correctedHtml = await adapter.generate(promptDef.system_prompt, userPrompt);
-    } else {
-      correctedHtml = await generateWithGemini(promptDef.system_prompt, userPrompt);
-    }
+    const client = options.llmClient || createLLMClient(options);
+    const response = await client.generate(promptDef.system_prompt, userPrompt, {
+      promptId: promptDef.prompt_id,
+      maxTokens: 32000, // Large token limit for full HTML
+      temperature: 0.1 // Low temperature for minimal changes
+    });
+
+    // Extract HTML from response (in case LLM wrapped it in markdown)
+    const correctedHtml = extractHtml(response);
     const llmDuration = Date.now() - llmStartTime;
     console.log(`    LLM response: ${llmDuration}ms (${(llmDuration/1000).toFixed(1)}s)`);
 
@@ -143,88 +141,6 @@ async function runFinalHtmlPass(htmlPath, context = {}, options = {}) {
   }
 }
 
-/**
- * Generate with Gemini using REST API
- */
-async function generateWithGemini(systemPrompt, userPrompt, retries = 2) {
-  const apiKey = process.env.GEMINI_API_KEY;
-  if (!apiKey) {
-    throw new Error('GEMINI_API_KEY not set');
-  }
-
-  const fullPrompt = `${systemPrompt}\n\n${userPrompt}`;
-  const body = {
-    contents: [{ parts: [{ text: fullPrompt }] }],
-    generationConfig: {
-      maxOutputTokens: 32000, // Large token limit for full HTML
-      temperature: 0.1 // Low temperature for minimal changes
-    }
-  };
-
-  let currentModel = MODEL_FALLBACK_ORDER[0]; // gemini-3-pro-preview (mandatory)
-  let lastError;
-
-  for (let attempt = 0; attempt <= retries; attempt++) {
-    try {
-      // Use v1beta for Gemini 3 models, v1 for others
-      const apiVersion = currentModel.startsWith('gemini-3') ? 'v1beta' : 'v1';
-      const baseUrl = `https://generativelanguage.googleapis.com/${apiVersion}/models`;
-      const url = `${baseUrl}/${currentModel}:generateContent?key=${apiKey}`;
-
-      console.log(`    [LLM] Model: ${currentModel}, attempt ${attempt + 1}/${retries + 1}`);
-      const fetchStart = Date.now();
-
-      const response = await fetch(url, {
-        method: 'POST',
-        headers: { 'Content-Type': 'application/json' },
-        body: JSON.stringify(body)
-      });
-
-      const fetchDuration = Date.now() - fetchStart;
-
-      if (!response.ok) {
-        const errorText = await response.text();
-        console.log(`    [LLM] Error after ${fetchDuration}ms: ${response.status}`);
-        throw new Error(`Gemini API error ${response.status}: ${errorText}`);
-      }
-
-      const data = await response.json();
-      const content = data.candidates?.[0]?.content?.parts?.[0]?.text || '';
-      const outputTokensEst = Math.ceil(content.length / 4);
-      console.log(`    [LLM] Success: ${fetchDuration}ms, output ~${outputTokensEst} tokens`);
-
-      // Extract HTML from response (in case LLM wrapped it in markdown)
-      return extractHtml(content);
-
-    } catch (error) {
-      lastError = error;
-
-      if (isRateLimitError(error)) {
-        const nextModel = getNextFallbackModel(currentModel);
-        if (nextModel) {
-          console.log(`  Rate limit, falling back to ${nextModel}`);
-          currentModel = nextModel;
-          await sleep(2000);
-          continue;
-        }
-
-        const retryAfter = parseRetryAfter(error);
-        console.log(`  Rate limit, waiting ${Math.ceil(retryAfter / 1000)}s...`);
-        await sleep(retryAfter);
-        continue;
-      }
-
-      if (attempt < retries) {
-        await sleep(5000 * (attempt + 1));
-        continue;
-      }
-      break;
-    }
-  }
-
-  throw lastError;
-}
-
 /**
  * Extract HTML from LLM response (handles markdown code blocks)
  */
@@ -367,7 +283,8 @@ function manualPolishHTML(html) {
     const text = match[1];
     // Check if the text doesn't end with punctuation but looks like a sentence
     if (text.length > 20 && !text.match(/[.!?:,]$/)) {
-      polished = polished.replace(match[0], `>${text}.</` + match[0].split('</')[1]);
+      // Replacer function: the text may contain "$&" and similar patterns (e.g. "8.500 $/month")
+      polished = polished.replace(match[0], () => `>${text}.</` + match[0].split('</')[1]);
       brokenCount++;
     }
   }
@@ -467,13 +384,6 @@ function summarizeHTMLChanges(original, polished) {
   return changes;
 }
 
-/**
- * Sleep helper
- */
-function sleep(ms) {
-  return new Promise(resolve => setTimeout(resolve, ms));
-}
-
 export {
   runFinalHtmlPass,
   manualPolishHTML,
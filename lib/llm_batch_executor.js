@@ -1,21 +1,22 @@
 /**
  * LLM Batch Executor for Proposal Narratives
- * Generates narrative content for proposal placeholders using Gemini/Groq
+ * Generates narrative content for proposal placeholders through the unified LLM client
  */
 
 import fs from 'fs';
 import path from 'path';
 import { fileURLToPath } from 'url';
 import Mustache from 'mustache';
-import { MODEL_CONFIGS, MODEL_FALLBACK_ORDER, getNextFallbackModel, isRateLimitError, parseRetryAfter } from './model_config.js';
-import { GroqAdapter } from './groq_adapter.js';
+import { createLLMClient } from './llm_provider.js';
+import { ResponseCache, computeCacheKey } from './response_cache.js';
+import { formatMoney } from './currency.js';
+import { DEFAULT_LOCALE, formatDate, getLanguageName } from './locale.js';
+import { getMilestoneTemplate } from './milestone_builder.js';
+import { requirementsPromptContext } from './requirements.js';
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
 
-// Gemini API base URL
-const GEMINI_BASE_URL = 'https://generativelanguage.googleapis.com/v1/models';
-
 /**
  * Load prompt registry fresh for each execution
  * IMPORTANT: Do NOT cache at module level to prevent data leakage between projects
@@ -34,10 +35,6 @@ const PLACEHOLDER_TO_PROMPT = {
   'phase_1_description': 'phase_description_v1',
   'phase_2_description': 'phase_description_v1',
   'phase_3_description': 'phase_description_v1',
-  'milestone_2_1_description': 'milestone_description_v1',
-  'milestone_2_2_description': 'milestone_description_v1',
-  'milestone_2_3_description': 'milestone_description_v1',
-  'milestone_2_4_description': 'milestone_description_v1',
   'scope_in_items': 'scope_in_items_v1',
   'scope_out_items': 'scope_out_items_v1',
   'assumptions': 'assumptions_v1',
@@ -45,16 +42,41 @@ const PLACEHOLDER_TO_PROMPT = {
   'cta_subtext': 'cta_subtext_v1'
 };
 
+// Placeholders whose count depends on the milestone template (milestone_2_1_description, ...)
+const PLACEHOLDER_PATTERNS = [
+  { pattern: /^milestone_\d+_\d+_description$/, promptId: 'milestone_description_v1' }
+];
+
+/**
+ * Get the prompt ID for a placeholder name
+ */
+function getPromptId(placeholderName) {
+  return PLACEHOLDER_TO_PROMPT[placeholderName] ||
+    PLACEHOLDER_PATTERNS.find(p => p.pattern.test(placeholderName))?.promptId;
+}
+
 /**
  * Fill all LLM placeholders in a proposal
  * @param {Object} proposal - Proposal with placeholders
  * @param {Object} context - Additional context for prompts
  * @param {Object} options - Execution options
+ * @param {boolean} options.noCache - Bypass the response cache entirely
+ * @param {Array<string>} options.refresh - Placeholder names to regenerate despite a cache hit
+ * @param {string} options.cacheDir - Cache directory override
  * @returns {Object} Proposal with filled content
  */
 async function fillProposalPlaceholders(proposal, context = {}, options = {}) {
-  const useGroq = options.useGroq || false;
+  const client = options.llmClient || createLLMClient(options);
   const placeholders = findAllPlaceholders(proposal);
+  const cache = options.noCache
+    ? null
+    : new ResponseCache({ cacheDir: options.cacheDir, refresh: options.refresh });
+
+  for (const name of options.refresh || []) {
+    if (!placeholders.some(p => p.placeholder_name === name)) {
+      console.warn(`--refresh ${name}: no such placeholder in this proposal`);
+    }
+  }
 
   // Load prompt registry fresh for each execution to prevent data leakage
   const promptRegistry = loadPromptRegistry();
@@ -65,7 +87,7 @@ async function fillProposalPlaceholders(proposal, context = {}, options = {}) {
   const fullContext = buildPromptContext(proposal, context);
 
   // Generate all content
-  const results = await generateAllContent(placeholders, fullContext, useGroq, options, promptRegistry);
+  const results = await generateAllContent(placeholders, fullContext, client, promptRegistry, cache);
 
   // Apply results to proposal
   const filledProposal = JSON.parse(JSON.stringify(proposal));
@@ -73,9 +95,116 @@ async function fillProposalPlaceholders(proposal, context = {}, options = {}) {
     setValueAtPath(filledProposal, result.path, result.content);
   }
 
+  // Record which fields the LLM wrote and with which prompt, so they can be reviewed
+  // and regenerated once the placeholders are gone
+  filledProposal.internal = {
+    ...filledProposal.internal,
+    llm_fields: placeholders.map((placeholder, i) => ({
+      path: placeholder.path,
+      placeholder: placeholder.placeholder_name,
+      prompt_id: getPromptId(placeholder.placeholder_name),
+      filled: results[i].success
+    }))
+  };
+
   return filledProposal;
 }
 
+/**
+ * List the LLM-written fields of a proposal with their current values
+ * Uses the record made by fillProposalPlaceholders, or the placeholders still present
+ * in an unfilled proposal.
+ * @param {Object} proposal - Proposal JSON
+ * @returns {Array<Object>} [{ path, placeholder_name, value }]
+ */
+function listLLMFields(proposal) {
+  const fields = proposal.internal?.llm_fields
+    ? proposal.internal.llm_fields.map(field => ({
+      path: field.path,
+      placeholder_name: field.placeholder,
+      prompt_id: field.prompt_id
+    }))
+    : findAllPlaceholders(proposal).map(({ path, placeholder_name }) => ({
+      path,
+      placeholder_name,
+      prompt_id: getPromptId(placeholder_name)
+    }));
+  return fields.map(field => ({ ...field, value: getValueAtPath(proposal, field.path) }));
+}
+
+/**
+ * Find one LLM field by placeholder name (milestone_2_2_description) or path
+ * @param {Object} proposal - Proposal JSON
+ * @param {string} name - Placeholder name or path
+ * @returns {Object} Field from listLLMFields
+ */
+function findLLMField(proposal, name) {
+  const fields = listLLMFields(proposal);
+  const field = fields.find(f => f.placeholder_name === name || f.path === name);
+  if (!field) {
+    const known = fields.map(f => f.placeholder_name).join(', ');
+    throw new Error(`No LLM-written field "${name}" in this proposal. Fields: ${known || 'none recorded'}`);
+  }
+  return field;
+}
+
+/**
+ * Apply a new value to an LLM field and record the change on internal.llm_fields
+ * @param {Object} proposal - Proposal JSON (changed in place)
+ * @param {Object} field - { path, placeholder_name }
+ * @param {string|Array<string>} value - New content
+ * @param {Object} change - { revision: "edited" | "regenerated", instruction }
+ */
+function applyFieldValue(proposal, field, value, change = {}) {
+  setValueAtPath(proposal, field.path, value);
+
+  proposal.internal = proposal.internal || {};
+  proposal.internal.llm_fields = proposal.internal.llm_fields || [];
+  let entry = proposal.internal.llm_fields.find(f => f.path === field.path);
+  if (!entry) {
+    entry = { path: field.path, placeholder: field.placeholder_name };
+    proposal.internal.llm_fields.push(entry);
+  }
+
+  // A regenerated field was written by the current prompt; an edited one keeps its prompt_id
+  if (change.revision === 'regenerated') entry.prompt_id = getPromptId(field.placeholder_name);
+  entry.filled = true;
+  entry.revision = change.revision;
+  if (change.instruction) {
+    entry.instruction = change.instruction;
+  } else {
+    delete entry.instruction;
+  }
+}
+
+/**
+ * Generate a fresh value for one LLM field, optionally following a revision instruction
+ * The response cache is bypassed, so asking again gives a new answer.
+ * @param {Object} proposal - Proposal JSON (the prompt context is rebuilt from it)
+ * @param {Object} field - { path, placeholder_name } from listLLMFields or findLLMField
+ * @param {Object} options - { instruction, llmClient, context, ...createLLMClient options }
+ * @returns {Promise<string|Array<string>>} New content (not yet applied to the proposal)
+ */
+function regenerateField(proposal, field, options = {}) {
+  if (!getPromptId(field.placeholder_name)) {
+    throw new Error(`No prompt mapping for: ${field.placeholder_name}`);
+  }
+  const client = options.llmClient || createLLMClient(options);
+  const context = buildPromptContext(proposal, options.context);
+  if (options.instruction) {
+    const previous = getValueAtPath(proposal, field.path);
+    context.revision_instruction = options.instruction;
+    context.previous_content = Array.isArray(previous) ? previous.map(item => `- ${item}`).join('\n') : previous;
+  }
+
+  return generateSingleContent(
+    { path: field.path, placeholder_name: field.placeholder_name },
+    context,
+    client,
+    loadPromptRegistry()
+  );
+}
+
 /**
  * Find all placeholder paths in proposal
  */
@@ -106,6 +235,8 @@ function findAllPlaceholders(obj, path = '', results = []) {
  * Build context object for prompt templates
  */
 function buildPromptContext(proposal, additionalContext = {}) {
+  const zeroAmount = formatMoney(0, proposal.pricing?.currency, proposal.pricing?.locale);
+  const locale = proposal.rendering?.locale || DEFAULT_LOCALE;
   const context = {
     // Client info
     client_name: proposal.prepared_for?.account_name || 'Client',
@@ -114,7 +245,7 @@ function buildPromptContext(proposal, additionalContext = {}) {
     // Audit info
     audit_date: proposal.audit_reference?.audit_date || 'Recent',
     workflow_name: proposal.audit_reference?.workflow_name || 'Business Process',
-    bleed_amount: proposal.audit_reference?.bleed_total?.display || '$0',
+    bleed_amount: proposal.audit_reference?.bleed_total?.display || zeroAmount,
     key_findings: (proposal.audit_reference?.key_findings || []).join('\n- '),
 
     // Recommended fixes from audit (for bespoke SOW cards)
@@ -122,19 +253,22 @@ function buildPromptContext(proposal, additionalContext = {}) {
     technical_solutions: extractTechnicalSolutions(proposal),
 
     // Pricing info
-    total_price: proposal.pricing?.total?.display || '$0',
-    annual_recovery: proposal.roi?.annual_recovery?.display || '$0',
-    monthly_recovery: proposal.roi?.monthly_recovery?.display || '$0',
+    total_price: proposal.pricing?.total?.display || zeroAmount,
+    annual_recovery: proposal.roi?.annual_recovery?.display || zeroAmount,
+    monthly_recovery: proposal.roi?.monthly_recovery?.display || zeroAmount,
     payback_months: proposal.roi?.payback_period_months || 0,
 
     // Validity
     valid_until: proposal.document?.valid_until ?
-      new Date(proposal.document.valid_until).toLocaleDateString('en-US', {
-        month: 'long', day: 'numeric', year: 'numeric'
-      }) : 'TBD',
+      formatDate(proposal.document.valid_until, locale) : 'TBD',
 
     // Platform
     platform: proposal.rendering?.platform || 'direct',
+    milestone_template: proposal.pricing?.milestone_template,
+
+    // Output language (only set for non-default locales, so en-US prompts are unchanged)
+    locale: locale,
+    output_language: locale !== DEFAULT_LOCALE ? getLanguageName(locale) : undefined,
 
     // Systems
     systems_list: extractSystems(proposal).join(', ') || 'primary systems',
@@ -142,6 +276,9 @@ function buildPromptContext(proposal, additionalContext = {}) {
     // Timeline
     timeline: extractTotalTimeline(proposal),
 
+    // Client requirements from --requirements (client_requirements, client_constraints, client_notes)
+    ...requirementsPromptContext(proposal.scope?.requirements),
+
     ...additionalContext
   };
 
@@ -154,7 +291,11 @@ function buildPromptContext(proposal, additionalContext = {}) {
       if (phase.milestones) {
         for (const milestone of phase.milestones) {
           const msKey = milestone.milestone_number.replace('.', '_');
+          const installment = (proposal.pricing?.payment_schedule?.installments || [])
+            .find(i => i.milestone_id === milestone.milestone_number);
           context[`milestone_${msKey}_name`] = milestone.milestone_name;
+          context[`milestone_${msKey}_key`] = milestone.milestone_key;
+          context[`milestone_${msKey}_percentage`] = installment?.percentage;
           context[`milestone_${msKey}_duration`] = milestone.duration?.display || '';
           context[`milestone_${msKey}_price`] = milestone.price_allocation?.display || '';
           context[`milestone_${msKey}_deliverables`] = (milestone.deliverables || [])
@@ -229,23 +370,12 @@ function extractTotalTimeline(proposal) {
  * Generate all content using LLM
  * @param {Array} placeholders - Placeholders to fill
  * @param {Object} context - Context for prompts
- * @param {boolean} useGroq - Whether to use Groq
- * @param {Object} options - Additional options
+ * @param {LLMClient} client - Unified LLM client
  * @param {Object} promptRegistry - Fresh prompt registry instance
+ * @param {ResponseCache|null} cache - Response cache, or null when disabled
  */
-async function generateAllContent(placeholders, context, useGroq, options, promptRegistry) {
+async function generateAllContent(placeholders, context, client, promptRegistry, cache = null) {
   const results = [];
-  let adapter;
-
-  if (useGroq) {
-    adapter = new GroqAdapter({ apiKey: process.env.GROQ_API_KEY });
-  } else {
-    adapter = {
-      apiKey: process.env.GEMINI_API_KEY,
-      currentModel: MODEL_FALLBACK_ORDER[0],
-      fallbackHistory: []
-    };
-  }
 
   // Process placeholders with batching
   const batchConfig = promptRegistry.batch_config || { max_concurrent: 5 };
@@ -256,7 +386,7 @@ async function generateAllContent(placeholders, context, useGroq, options, promp
     const batchResults = await Promise.all(
       batch.map(async (placeholder) => {
         try {
-          const content = await generateSingleContent(placeholder, context, adapter, useGroq, promptRegistry);
+          const content = await generateSingleContent(placeholder, context, client, promptRegistry, cache);
           return {
             path: placeholder.path,
             content: content,
@@ -284,6 +414,9 @@ async function generateAllContent(placeholders, context, useGroq, options, promp
 
   const successCount = results.filter(r => r.success).length;
   console.log(`Generated ${successCount}/${results.length} narrative sections`);
+  if (cache) {
+    console.log(`Cache: ${cache.stats.hits} hits, ${cache.stats.writes} stored (${cache.cacheDir})`);
+  }
 
   return results;
 }
@@ -292,12 +425,12 @@ async function generateAllContent(placeholders, context, useGroq, options, promp
  * Generate content for a single placeholder
  * @param {Object} placeholder - Placeholder info
  * @param {Object} context - Context for prompts
- * @param {Object} adapter - LLM adapter (Gemini or Groq)
- * @param {boolean} useGroq - Whether to use Groq
+ * @param {LLMClient} client - Unified LLM client
  * @param {Object} promptRegistry - Fresh prompt registry instance
+ * @param {ResponseCache|null} cache - Response cache, or null when disabled
  */
-async function generateSingleContent(placeholder, context, adapter, useGroq, promptRegistry) {
-  const promptId = PLACEHOLDER_TO_PROMPT[placeholder.placeholder_name];
+async function generateSingleContent(placeholder, context, client, promptRegistry, cache = null) {
+  const promptId = getPromptId(placeholder.placeholder_name);
 
   if (!promptId) {
     console.warn(`No prompt mapping for: ${placeholder.placeholder_name}`);
@@ -315,14 +448,45 @@ async function generateSingleContent(placeholder, context, adapter, useGroq, pro
   const enhancedContext = enhanceContextForPlaceholder(placeholder.placeholder_name, context);
 
   // Render prompt template
-  const userPrompt = Mustache.render(promptDef.user_prompt_template, enhancedContext);
+  let userPrompt = Mustache.render(promptDef.user_prompt_template, enhancedContext);
 
-  // Call LLM
-  let content;
-  if (useGroq) {
-    content = await generateWithGroq(adapter, promptDef.system_prompt, userPrompt);
-  } else {
-    content = await generateWithGemini(adapter, promptDef.system_prompt, userPrompt);
+  // Tell the model which language to write in (part of the prompt, so also of the cache key)
+  if (enhancedContext.output_language && promptRegistry.language_instruction) {
+    userPrompt += '\n' + Mustache.render(promptRegistry.language_instruction, enhancedContext);
+  }
+
+  // Revision requested through regenerateField
+  if (enhancedContext.revision_instruction && promptRegistry.revision_instruction) {
+    userPrompt += '\n' + Mustache.render(promptRegistry.revision_instruction, enhancedContext);
+  }
+
+  // Serve from cache unless this placeholder is being refreshed. Keyed on the requested model, so a
+  // response a fallback model gave is found again on the next run, which starts on the primary model.
+  const cacheKey = computeCacheKey({
+    ...client.cacheIdentity(),
+    model: client.requestedModel,
+    promptId,
+    systemPrompt: promptDef.system_prompt,
+    userPrompt
+  });
+  let content = cache?.shouldRead(placeholder.placeholder_name) ? cache.get(cacheKey) : null;
+
+  if (content === null) {
+    // Call LLM
+    content = await client.generate(promptDef.system_prompt, userPrompt, {
+      promptId,
+      variantKeys: getFixtureVariantKeys(placeholder.placeholder_name, enhancedContext),
+      maxTokens: 18000,
+      temperature: 0.3
+    });
+
+    // The entry records the model that actually answered (may differ after fallback)
+    cache?.set(cacheKey, {
+      promptId,
+      placeholder: placeholder.placeholder_name,
+      provider: client.provider,
+      model: client.model
+    }, content);
   }
 
   // Post-process based on output type
@@ -356,123 +520,64 @@ function enhanceContextForPlaceholder(placeholderName, baseContext) {
   }
 
   // Add milestone-specific context
-  const msMatch = placeholderName.match(/milestone_(\d)_(\d)/);
+  const msMatch = placeholderName.match(/milestone_(\d+)_(\d+)/);
   if (msMatch) {
     const msNum = `${msMatch[1]}.${msMatch[2]}`;
+    const msKey = `${msMatch[1]}_${msMatch[2]}`;
+    const templateMilestone = getTemplateMilestone(msNum, context.milestone_template);
     context.milestone_number = msNum;
-    context.milestone_name = context[`milestone_${msMatch[1]}_${msMatch[2]}_name`] || getMilestoneName(msNum);
-    context.duration = context[`milestone_${msMatch[1]}_${msMatch[2]}_duration`] || '';
-    context.price_allocation = context[`milestone_${msMatch[1]}_${msMatch[2]}_price`] || '';
-    context.percentage = getMilestonePercentage(msNum);
-    context.deliverables = context[`milestone_${msMatch[1]}_${msMatch[2]}_deliverables`] || '';
+    context.milestone_key = context[`milestone_${msKey}_key`] || templateMilestone?.key;
+    context.milestone_name = context[`milestone_${msKey}_name`] || getMilestoneName(msNum, context.milestone_template);
+    context.milestone_focus = templateMilestone?.prompt_focus || '';
+    context.duration = context[`milestone_${msKey}_duration`] || '';
+    context.price_allocation = context[`milestone_${msKey}_price`] || '';
+    context.percentage = context[`milestone_${msKey}_percentage`] ?? getMilestonePercentage(msNum, context.milestone_template);
+    context.deliverables = context[`milestone_${msKey}_deliverables`] || '';
   }
 
   return context;
 }
 
 /**
- * Get milestone name by number
+ * Candidate fixture keys for prompts shared by several placeholders
+ * e.g. phase_description_v1 -> "phase_2", milestone_description_v1 -> "build"
  */
-function getMilestoneName(msNum) {
-  const names = {
-    '2.1': 'Design',
-    '2.2': 'Build',
-    '2.3': 'Test',
-    '2.4': 'Deploy'
-  };
-  return names[msNum] || 'Milestone';
+function getFixtureVariantKeys(placeholderName, context) {
+  const keys = [placeholderName];
+
+  if (context.phase_number) {
+    keys.push(`phase_${context.phase_number}`);
+  }
+  if (context.milestone_key) {
+    keys.push(context.milestone_key);
+  }
+  if (context.milestone_name) {
+    keys.push(String(context.milestone_name).toLowerCase());
+  }
+
+  return keys;
 }
 
 /**
- * Get milestone percentage by number
+ * Get a Phase 2 milestone's template entry by number ("2.3" -> third milestone)
  */
-function getMilestonePercentage(msNum) {
-  const percentages = {
-    '2.1': 20,
-    '2.2': 45,
-    '2.3': 15,
-    '2.4': 20
-  };
-  return percentages[msNum] || 25;
+function getTemplateMilestone(msNum, templateName) {
+  const index = parseInt(msNum.split('.')[1], 10) - 1;
+  return getMilestoneTemplate(templateName).milestones[index];
 }
 
 /**
- * Generate with Gemini using REST API (same pattern as ai_audit_report)
+ * Get milestone name by number
  */
-async function generateWithGemini(adapter, systemPrompt, userPrompt, retries = 2) {
-  if (!adapter.apiKey) {
-    throw new Error('Gemini API key not set');
-  }
-
-  const fullPrompt = `${systemPrompt}\n\n${userPrompt}`;
-  const body = {
-    contents: [{ parts: [{ text: fullPrompt }] }],
-    generationConfig: {
-      maxOutputTokens: 18000,
-      temperature: 0.3
-    }
-  };
-
-  let lastError;
-
-  for (let attempt = 0; attempt <= retries; attempt++) {
-    try {
-      // Use v1beta for Gemini 3 models, v1 for others
-      const apiVersion = adapter.currentModel.startsWith('gemini-3') ? 'v1beta' : 'v1';
-      const baseUrl = `https://generativelanguage.googleapis.com/${apiVersion}/models`;
-      const url = `${baseUrl}/${adapter.currentModel}:generateContent?key=${adapter.apiKey}`;
-
-      const response = await fetch(url, {
-        method: 'POST',
-        headers: { 'Content-Type': 'application/json' },
-        body: JSON.stringify(body)
-      });
-
-      if (!response.ok) {
-        const errorText = await response.text();
-        throw new Error(`Gemini API error ${response.status}: ${errorText}`);
-      }
-
-      const data = await response.json();
-      const content = data.candidates?.[0]?.content?.parts?.[0]?.text || '';
-
-      return content.trim();
-    } catch (error) {
-      lastError = error;
-
-      if (isRateLimitError(error)) {
-        const nextModel = getNextFallbackModel(adapter.currentModel);
-        if (nextModel) {
-          console.log(`Rate limit hit, falling back to ${nextModel}`);
-          adapter.currentModel = nextModel;
-          adapter.fallbackHistory.push({ from: adapter.currentModel, to: nextModel });
-          await sleep(2000);
-          continue;
-        }
-
-        const retryAfter = parseRetryAfter(error);
-        console.log(`Rate limit hit, waiting ${Math.ceil(retryAfter / 1000)}s...`);
-        await sleep(retryAfter);
-        continue;
-      }
-
-      const isRetryable = error.message.includes('fetch failed') || error.message.includes('network');
-      if (isRetryable && attempt < retries) {
-        await sleep(5000 * (attempt + 1));
-        continue;
-      }
-      break;
-    }
-  }
-
-  throw lastError;
+function getMilestoneName(msNum, templateName) {
+  return getTemplateMilestone(msNum, templateName)?.name || 'Milestone';
 }
 
 /**
- * Generate with Groq
+ * Get milestone percentage by number
  */
-async function generateWithGroq(adapter, systemPrompt, userPrompt) {
-  return adapter.generate(systemPrompt, userPrompt);
+function getMilestonePercentage(msNum, templateName) {
+  return getTemplateMilestone(msNum, templateName)?.percentage || 25;
 }
 
 /**
@@ -628,6 +733,13 @@ function validateOutput(content, constraints) {
   }
 }
 
+/**
+ * Get value at path in object ("scope.in_scope[2]")
+ */
+function getValueAtPath(obj, path) {
+  return path.replace(/\[(\d+)\]/g, '.$1').split('.').reduce((current, part) => current?.[part], obj);
+}
+
 /**
  * Set value at path in object
  */
@@ -656,15 +768,29 @@ function sleep(ms) {
 export {
   fillProposalPlaceholders,
   findAllPlaceholders,
+  listLLMFields,
+  findLLMField,
+  applyFieldValue,
+  regenerateField,
   buildPromptContext,
   generateSingleContent,
+  getPromptId,
+  getValueAtPath,
+  setValueAtPath,
   PLACEHOLDER_TO_PROMPT
 };
 
 export default {
   fillProposalPlaceholders,
   findAllPlaceholders,
+  listLLMFields,
+  findLLMField,
+  applyFieldValue,
+  regenerateField,
   buildPromptContext,
   generateSingleContent,
+  getPromptId,
+  getValueAtPath,
+  setValueAtPath,
   PLACEHOLDER_TO_PROMPT
 };
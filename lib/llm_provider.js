@@ -0,0 +1,251 @@
+/**
+ * llm_provider.js - Unified LLM Client and Provider Registry
+ *
+ * Every LLM call in the pipeline (placeholder fill, final HTML pass) goes
+ * through LLMClient. The client owns retries, model fallback, token
+ * accounting and response normalization; provider adapters only send one
+ * request to one model.
+ *
+ * LLMProvider adapter interface:
+ *   name              - Registry key (e.g. 'gemini')
+ *   label             - Display name used in logs and errors
+ *   models            - Fallback order, best model first
+ *   fallbackDelayMs   - Pause before switching to the next model
+ *   retryDelayMs      - Base backoff for network retries (multiplied by attempt)
+ *   waitOnRateLimit   - Wait out the quota when no fallback model is left
+ *   baseUrl           - Endpoint, when configurable (optional; part of the response cache key)
+ *   fixturesHash      - Hash of recorded responses (optional; part of the response cache key)
+ *   complete(request) - Resolves { text, usage: { inputTokens, outputTokens, totalTokens } }
+ *
+ * Adding a vendor: write an adapter file and register it below.
+ */
+
+import { GeminiAdapter } from './gemini_adapter.js';
+import { GroqAdapter } from './groq_adapter.js';
+import { FixtureAdapter } from './fixture_adapter.js';
+import { OpenAICompatibleAdapter } from './openai_compatible_adapter.js';
+import {
+  getNextFallbackModel,
+  isRateLimitError,
+  isPayloadTooLargeError,
+  isRetryableNetworkError,
+  parseRetryAfter
+} from './model_config.js';
+
+/**
+ * Registered provider adapters, keyed by provider name
+ */
+const PROVIDER_REGISTRY = {
+  gemini: GeminiAdapter,
+  groq: GroqAdapter,
+  'openai-compatible': OpenAICompatibleAdapter,
+  fixture: FixtureAdapter
+};
+
+/**
+ * Register a provider adapter
+ * @param {string} name - Provider name used by --provider
+ * @param {Function} AdapterClass - Class implementing the LLMProvider interface
+ */
+export function registerProvider(name, AdapterClass) {
+  PROVIDER_REGISTRY[name] = AdapterClass;
+}
+
+/**
+ * List registered provider names
+ * @returns {Array<string>} Provider names
+ */
+export function listProviders() {
+  return Object.keys(PROVIDER_REGISTRY);
+}
+
+/**
+ * Resolve provider name from pipeline options (supports legacy useGroq flag)
+ * @param {Object} options - Pipeline options
+ * @returns {string} Provider name
+ */
+export function resolveProviderName(options = {}) {
+  return options.provider || (options.useGroq ? 'groq' : 'gemini');
+}
+
+/**
+ * Unified LLM client
+ */
+export class LLMClient {
+  /**
+   * @param {Object} options - Client options
+   * @param {string} options.provider - Registered provider name (default: gemini)
+   * @param {string} options.model - Starting model (default: first in fallback order)
+   * @param {number} options.maxRetries - Network/quota retries per call (default: 2)
+   * @param {boolean} options.verbose - Log calls and fallbacks (default: true)
+   * @param {RateLimiter} options.rateLimiter - Shared request spacing across clients (optional)
+   */
+  constructor(options = {}) {
+    const providerName = options.provider || 'gemini';
+    const AdapterClass = PROVIDER_REGISTRY[providerName];
+    if (!AdapterClass) {
+      throw new Error(`Unknown LLM provider: ${providerName}. Available: ${listProviders().join(', ')}`);
+    }
+
+    this.adapter = new AdapterClass(options);
+    this.provider = providerName;
+    this.model = options.model || this.adapter.models[0];
+    // The model asked for, kept when a fallback switches this.model (response cache key)
+    this.requestedModel = this.model;
+    this.maxRetries = options.maxRetries ?? 2;
+    this.verbose = options.verbose !== false;
+    this.rateLimiter = options.rateLimiter || null;
+
+    this.stats = {
+      provider: providerName,
+      requestCount: 0,
+      failedCount: 0,
+      inputTokens: 0,
+      outputTokens: 0,
+      tokensUsed: 0,
+      modelUsed: this.model,
+      fallbackHistory: []
+    };
+  }
+
+  log(message) {
+    if (this.verbose) {
+      console.log(`    [LLM] ${message}`);
+    }
+  }
+
+  /**
+   * Generate text for a prompt pair
+   * @param {string} systemPrompt - System prompt
+   * @param {string} userPrompt - Rendered user prompt
+   * @param {Object} options - Per-call options passed through to the adapter
+   *   (maxTokens, temperature, promptId, variantKeys, maxRetries)
+   * @returns {Promise<string>} Normalized response text
+   */
+  async generate(systemPrompt, userPrompt, options = {}) {
+    const maxRetries = options.maxRetries ?? this.maxRetries;
+    // Fallbacks do not consume retries, so allow one attempt per model on top
+    const maxAttempts = maxRetries + this.adapter.models.length;
+    let retries = 0;
+    let lastError;
+
+    for (let attempt = 0; attempt < maxAttempts; attempt++) {
+      try {
+        if (this.rateLimiter) {
+          await this.rateLimiter.acquire(this.provider, this.model);
+        }
+
+        const startTime = Date.now();
+        const result = await this.adapter.complete({
+          ...options,
+          model: this.model,
+          systemPrompt,
+          userPrompt
+        });
+
+        this.recordUsage(result.usage);
+        this.log(`${this.model}: ${Date.now() - startTime}ms, ${result.usage?.totalTokens || 0} tokens`);
+
+        return normalizeResponse(result.text);
+      } catch (error) {
+        lastError = error;
+
+        if (isRateLimitError(error) || isPayloadTooLargeError(error)) {
+          const nextModel = getNextFallbackModel(this.model, this.adapter.models);
+          if (nextModel && nextModel !== this.model) {
+            const reason = isRateLimitError(error) ? 'Rate limit' : 'Request too large';
+            this.log(`${reason} on ${this.model}, falling back to ${nextModel}`);
+            this.switchModel(nextModel);
+            await sleep(this.adapter.fallbackDelayMs);
+            continue;
+          }
+
+          if (isRateLimitError(error) && this.adapter.waitOnRateLimit && retries < maxRetries) {
+            retries++;
+            const retryAfter = parseRetryAfter(error);
+            this.log(`Rate limit, waiting ${Math.ceil(retryAfter / 1000)}s...`);
+            await sleep(retryAfter);
+            continue;
+          }
+          break;
+        }
+
+        if (isRetryableNetworkError(error) && retries < maxRetries) {
+          retries++;
+          const retryDelay = this.adapter.retryDelayMs * retries;
+          this.log(`Retry ${retries}/${maxRetries} after ${retryDelay / 1000}s...`);
+          await sleep(retryDelay);
+          continue;
+        }
+        break;
+      }
+    }
+
+    this.stats.failedCount++;
+    throw new Error(`${this.adapter.label} API call failed: ${lastError.message}`);
+  }
+
+  /**
+   * What besides the prompt and model decides this client's answers, for the response cache key
+   * @returns {Object} { provider, baseUrl, fixturesHash }
+   */
+  cacheIdentity() {
+    return {
+      provider: this.provider,
+      baseUrl: this.adapter.baseUrl || null,
+      fixturesHash: this.adapter.fixturesHash || null
+    };
+  }
+
+  switchModel(nextModel) {
+    this.stats.fallbackHistory.push({ from: this.model, to: nextModel });
+    this.model = nextModel;
+    this.stats.modelUsed = nextModel;
+  }
+
+  recordUsage(usage = {}) {
+    this.stats.requestCount++;
+    this.stats.inputTokens += usage.inputTokens || 0;
+    this.stats.outputTokens += usage.outputTokens || 0;
+    this.stats.tokensUsed += usage.totalTokens || 0;
+  }
+
+  getStats() {
+    return { ...this.stats, fallbackHistory: [...this.stats.fallbackHistory] };
+  }
+}
+
+/**
+ * Create an LLM client from pipeline options
+ * @param {Object} options - Pipeline options (provider, useGroq, fixturesPath, ...)
+ * @returns {LLMClient} Client instance
+ */
+export function createLLMClient(options = {}) {
+  return new LLMClient({ ...options, provider: resolveProviderName(options) });
+}
+
+/**
+ * Normalize raw provider text: coerce to string, trim, and unwrap a response
+ * that is entirely one markdown code block
+ */
+export function normalizeResponse(text) {
+  const trimmed = String(text ?? '').trim();
+  const fenced = trimmed.match(/^```[a-zA-Z]*\s*\n?([\s\S]*?)\n?```$/);
+  return fenced ? fenced[1].trim() : trimmed;
+}
+
+/**
+ * Sleep helper
+ */
+function sleep(ms) {
+  return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+export default {
+  LLMClient,
+  createLLMClient,
+  registerProvider,
+  listProviders,
+  resolveProviderName,
+  normalizeResponse
+};
@@ -0,0 +1,135 @@
+/**
+ * Proposal Localization
+ * Static copy from locales/<locale>.json, plus locale-aware dates, numbers and durations
+ *
+ * Locale files only need the keys they translate; anything missing falls back
+ * to en-US. Placeholders in strings use {name}.
+ */
+
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+const LOCALES_DIR = path.join(__dirname, '../locales');
+
+export const DEFAULT_LOCALE = 'en-US';
+
+const localeCache = new Map();
+
+/**
+ * List locales with a strings file
+ */
+export function listLocales() {
+  return fs.readdirSync(LOCALES_DIR)
+    .filter(f => f.endsWith('.json'))
+    .map(f => path.basename(f, '.json'))
+    .sort();
+}
+
+/**
+ * Canonicalize a locale code ('es-mx' -> 'es-MX'), rejecting locales without a strings file
+ * @param {string} locale - BCP 47 locale
+ * @returns {string} Canonical locale
+ */
+export function resolveLocale(locale = DEFAULT_LOCALE) {
+  let canonical;
+  try {
+    [canonical] = Intl.getCanonicalLocales(locale);
+  } catch {
+    canonical = locale;
+  }
+
+  if (!listLocales().includes(canonical)) {
+    throw new Error(`Unknown locale: ${locale}. Available: ${listLocales().join(', ')}`);
+  }
+  return canonical;
+}
+
+/**
+ * Deep-merge locale strings over the fallback (arrays replace, objects merge)
+ */
+function mergeStrings(fallback, strings) {
+  const merged = { ...fallback };
+  for (const [key, value] of Object.entries(strings)) {
+    merged[key] = value && typeof value === 'object' && !Array.isArray(value)
+      ? mergeStrings(fallback[key] || {}, value)
+      : value;
+  }
+  return merged;
+}
+
+/**
+ * Load static copy for a locale, with en-US fallback for missing keys
+ * @param {string} locale - BCP 47 locale (default: en-US)
+ * @returns {Object} Strings: { locale, terms, scope, cta, units }
+ */
+export function loadLocale(locale = DEFAULT_LOCALE) {
+  const canonical = resolveLocale(locale);
+  if (!localeCache.has(canonical)) {
+    const read = code => JSON.parse(fs.readFileSync(path.join(LOCALES_DIR, `${code}.json`), 'utf8'));
+    const strings = canonical === DEFAULT_LOCALE
+      ? read(DEFAULT_LOCALE)
+      : mergeStrings(read(DEFAULT_LOCALE), read(canonical));
+    localeCache.set(canonical, { ...strings, locale: canonical });
+  }
+  return localeCache.get(canonical);
+}
+
+/**
+ * Fill {name} placeholders in a string
+ */
+export function formatText(template, values = {}) {
+  return template.replace(/\{(\w+)\}/g, (match, key) => (key in values ? String(values[key]) : match));
+}
+
+/**
+ * English name of the locale's language for LLM instructions, e.g. "Spanish (Mexico)"
+ */
+export function getLanguageName(locale = DEFAULT_LOCALE) {
+  const [language, region] = locale.split('-');
+  const names = new Intl.DisplayNames(['en'], { type: 'language' });
+  const regions = new Intl.DisplayNames(['en'], { type: 'region' });
+  return region ? `${names.of(language)} (${regions.of(region)})` : names.of(language);
+}
+
+/**
+ * Format a date as a long date in the locale ("March 5, 2025", "5. März 2025")
+ * @param {string|Date} date - Date or ISO string (default: now)
+ * @param {string} locale - BCP 47 locale
+ */
+export function formatDate(date, locale = DEFAULT_LOCALE) {
+  return new Date(date || Date.now()).toLocaleDateString(locale, {
+    month: 'long',
+    day: 'numeric',
+    year: 'numeric',
+    // Calendar days (YYYY-MM-DD) parse as UTC midnight; keep them on the same day everywhere
+    ...(/^\d{4}-\d{2}-\d{2}$/.test(String(date)) && { timeZone: 'UTC' })
+  });
+}
+
+/**
+ * Format a count with its unit ("3 weeks", "1,5 Monate")
+ * @param {number} value - Count
+ * @param {string} unit - Plural unit key from the locale's units (weeks, months, business_days)
+ * @param {string} locale - BCP 47 locale
+ */
+export function formatUnit(value, unit, locale = DEFAULT_LOCALE) {
+  const { units } = loadLocale(locale);
+  const key = value === 1 ? unit.replace(/s$/, '') : unit;
+  const template = units[key] || `{n} ${key.replace(/_/g, ' ')}`;
+  return formatText(template, { n: new Intl.NumberFormat(locale).format(value) });
+}
+
+export default {
+  DEFAULT_LOCALE,
+  listLocales,
+  resolveLocale,
+  loadLocale,
+  formatText,
+  getLanguageName,
+  formatDate,
+  formatUnit
+};
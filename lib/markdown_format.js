@@ -0,0 +1,385 @@
+/**
+ * markdown_format.js - Markdown Audit Report Adapter
+ *
+ * Reads an auditor's Markdown write-up and maps it into the normalized audit
+ * structure used by extract_proposal.js. Sections are found by heading:
+ *
+ *   # <title>                 Preamble fields: Client, Industry, Contact, Title, Email, Workflow
+ *   ## Findings               Sub-headings are categories ("### Order Processing (critical)");
+ *                             bullets are findings; tables use category/finding/status/systems
+ *   ## Recommended Fixes      Bullets ("Problem: fix (complex). Impact: ..."), tables with
+ *                             problem/fix/effort/impact/priority, or one sub-heading per fix
+ *                             with "Fix:", "Effort:", "Impact:" bullets
+ *   ## Revenue Bleed          Bullets or table rows with an amount and period ("$3,200/month");
+ *                             a "Total" line wins over the sum of the items
+ *
+ * Sections that cannot be found are listed in `missing_sections` and reported
+ * by validateExtraction().
+ */
+
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { parseAmount, PERIOD_TO_MONTHLY } from './spreadsheet_format.js';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+/**
+ * Sections looked up by heading, in report order
+ */
+const SECTION_PATTERNS = {
+  findings: { label: 'Findings', pattern: /findings|observations|scorecard/i },
+  fixes: { label: 'Recommended Fixes', pattern: /fix|recommendation/i },
+  bleed: { label: 'Revenue Bleed', pattern: /bleed|cost of inaction|revenue (loss|leak)/i }
+};
+
+const STATUS_WORDS = /\b(critical|warning|healthy|good|red|yellow|amber|green)\b/i;
+const EFFORT_WORDS = /\b(trivial|moderate|complex|critical)\b/i;
+const CURRENCY_SYMBOLS = { '$': 'USD', '€': 'EUR', '£': 'GBP' };
+
+/**
+ * Strip inline Markdown (bold, italics, code, links)
+ */
+function stripInline(text) {
+  return text
+    .replace(/\[([^\]]*)\]\([^)]*\)/g, '$1')
+    .replace(/(\*\*|__|`)/g, '')
+    .replace(/(^|\s)[*_](\S[^*_]*)[*_](?=\s|$|[.,;:])/g, '$1$2')
+    .trim();
+}
+
+/**
+ * Normalize a field or column name: "Effort Tier" -> "effort_tier"
+ */
+function normalizeKey(key) {
+  return key.trim().toLowerCase().replace(/[^a-z0-9]+/g, '_').replace(/^_|_$/g, '');
+}
+
+/**
+ * Split "Key: value" text, or null when the text is not a field
+ */
+function parseField(text) {
+  const match = text.match(/^([A-Za-z][A-Za-z /-]{0,30}):\s*(.+)$/);
+  return match ? { key: normalizeKey(match[1]), value: match[2].trim() } : null;
+}
+
+/**
+ * Split a table line into cells
+ */
+function splitTableRow(line) {
+  return line.trim().replace(/^\||\|$/g, '').split('|').map(cell => stripInline(cell));
+}
+
+/**
+ * Parse Markdown into heading sections with bullets, tables, fields and paragraphs
+ * @param {string} content - Markdown text
+ * @returns {Array<Object>} Sections: { heading, level, bullets, tables, fields, paragraphs }
+ */
+export function parseMarkdownSections(content) {
+  const newSection = (heading, level) => ({ heading, level, bullets: [], tables: [], fields: {}, paragraphs: [] });
+  const sections = [newSection(null, 0)];
+  const lines = content.replace(/^\uFEFF/, '').split(/\r?\n/);
+  let table = null;
+
+  for (const rawLine of lines) {
+    const line = rawLine.trim();
+    const section = sections[sections.length - 1];
+
+    if (line.startsWith('|')) {
+      const cells = splitTableRow(line);
+      if (!table) {
+        table = { headers: cells.map(normalizeKey), rows: [] };
+        section.tables.push(table);
+      } else if (!cells.every(cell => /^:?-+:?$/.test(cell))) {
+        table.rows.push(Object.fromEntries(table.headers.map((h, i) => [h, cells[i] || ''])));
+      }
+      continue;
+    }
+    table = null;
+
+    const heading = line.match(/^(#{1,6})\s+(.+?)\s*#*$/);
+    if (heading) {
+      sections.push(newSection(stripInline(heading[2]), heading[1].length));
+      continue;
+    }
+
+    const bullet = line.match(/^(?:[-*+]|\d+[.)])\s+(.+)$/);
+    const text = stripInline(bullet ? bullet[1] : line);
+    if (!text) continue;
+
+    const field = parseField(text);
+    if (field && !(field.key in section.fields)) {
+      section.fields[field.key] = field.value;
+    }
+    if (bullet) {
+      section.bullets.push(text);
+    } else {
+      section.paragraphs.push(text);
+    }
+  }
+
+  return sections;
+}
+
+/**
+ * Find a section by heading pattern, plus every deeper section nested under it
+ * @returns {Object|null} { section, children }
+ */
+function findSection(sections, pattern) {
+  const index = sections.findIndex(s => s.heading && pattern.test(s.heading));
+  if (index === -1) return null;
+
+  const section = sections[index];
+  const children = [];
+  for (const next of sections.slice(index + 1)) {
+    if (next.level <= section.level) break;
+    children.push(next);
+  }
+  return { section, children };
+}
+
+/**
+ * Parse an amount and period from text like "$3,200/month" or "18,000 per year"
+ * @param {string} text - Bullet, paragraph or table cells
+ * @param {boolean} requireUnit - Ignore bare numbers without a currency or period
+ * @returns {Object|null} { amount, period, currency }
+ */
+function parseMoneyText(text, requireUnit = true) {
+  const match = text.match(/([$€£])?\s?(\d[\d,]*(?:\.\d+)?)\s*(k\b)?/i);
+  if (!match) return null;
+
+  const period = text.match(/\b(month|monthly|mo|year|yearly|annual|annually|yr|week|weekly|wk)\b/i)?.[1].toLowerCase();
+  const periodKey = { mo: 'month', yr: 'year', annually: 'annual', wk: 'week' }[period] || period || 'month';
+  const code = text.match(/\b(USD|EUR|GBP|CAD|AUD)\b/)?.[1];
+  if (requireUnit && !match[1] && !code && !period) return null;
+
+  return {
+    amount: parseAmount(match[2]) * (match[3] ? 1000 : 1),
+    period: periodKey,
+    currency: code || CURRENCY_SYMBOLS[match[1]] || null
+  };
+}
+
+/**
+ * Build scorecard categories from the Findings section
+ */
+function buildCategories(found) {
+  const categories = [];
+  const addFinding = (name, status, finding, systems = []) => {
+    let category = categories.find(c => c.category_name === name);
+    if (!category) {
+      category = { category_name: name, status, findings: [], systems: [] };
+      categories.push(category);
+    }
+    category.findings.push(finding);
+    category.systems.push(...systems);
+  };
+
+  for (const section of [found.section, ...found.children]) {
+    const isCategory = section !== found.section;
+    const status = isCategory ? section.heading.match(STATUS_WORDS)?.[1].toLowerCase() : undefined;
+    const name = isCategory
+      ? section.heading.replace(/\s*[([][^)\]]*[)\]]\s*$/, '').replace(/^[\d.]+\s*/, '') || 'General'
+      : 'General';
+
+    for (const bullet of section.bullets) {
+      addFinding(name, status, bullet);
+    }
+    for (const table of section.tables) {
+      for (const row of table.rows) {
+        const finding = row.finding || row.findings || row.issue || row.observation;
+        if (!finding) continue;
+        addFinding(
+          row.category || row.area || name,
+          (row.status || row.severity || status || '').toLowerCase() || undefined,
+          finding,
+          (row.systems || '').split(/[;,]/).map(s => s.trim()).filter(Boolean)
+        );
+      }
+    }
+  }
+
+  return categories;
+}
+
+/**
+ * Split a fix bullet: "Problem: fix (complex). Impact: ..."
+ */
+function parseFixBullet(text) {
+  const [body, impact] = text.split(/\s*\bImpact:\s*/i);
+  const effort = body.match(EFFORT_WORDS)?.[1].toLowerCase();
+  const cleaned = body.replace(/\s*\((?:effort:\s*)?(trivial|moderate|complex|critical)\)\s*/i, ' ').replace(/[\s.;]+$/, '').trim();
+  const parts = cleaned.split(/\s+(?:—|–|->|→)\s+|:\s+/);
+
+  return {
+    problem: parts.length > 1 ? parts[0] : undefined,
+    fix: parts.length > 1 ? parts.slice(1).join(': ') : cleaned,
+    effort_tier: effort,
+    impact: impact?.trim()
+  };
+}
+
+/**
+ * Build fixes from the Recommended Fixes section
+ */
+function buildFixes(found) {
+  const fixes = [];
+
+  // One sub-heading per fix with "Fix:", "Effort:", "Impact:" fields
+  for (const child of found.children) {
+    const fields = child.fields;
+    if (!fields.fix && !fields.solution) continue;
+    fixes.push({
+      problem: fields.problem || child.heading.replace(/^[\d.]+\s*/, ''),
+      fix: fields.fix || fields.solution,
+      effort_tier: (fields.effort || fields.effort_tier || '').match(EFFORT_WORDS)?.[1].toLowerCase(),
+      impact: fields.impact,
+      systems: (fields.systems || '').split(/[;,]/).map(s => s.trim()).filter(Boolean)
+    });
+  }
+
+  if (fixes.length === 0) {
+    for (const bullet of found.section.bullets) {
+      fixes.push(parseFixBullet(bullet));
+    }
+  }
+
+  for (const table of found.section.tables) {
+    for (const row of table.rows) {
+      const fix = row.fix || row.solution || row.recommendation;
+      if (!fix) continue;
+      fixes.push({
+        problem: row.problem || row.issue,
+        fix,
+        effort_tier: (row.effort_tier || row.effort || '').match(EFFORT_WORDS)?.[1].toLowerCase(),
+        impact: row.impact,
+        priority: row.priority ? parseInt(row.priority, 10) : undefined
+      });
+    }
+  }
+
+  return fixes.map((fix, i) => ({ id: i + 1, ...fix, priority: fix.priority || i + 1 }));
+}
+
+/**
+ * Build monthly bleed from the Revenue Bleed section
+ */
+function buildBleed(found) {
+  const lineItems = [];
+  let total = null;
+  let currency = null;
+
+  const addItem = (label, text, requireUnit = true) => {
+    const money = parseMoneyText(text, requireUnit);
+    if (!money) return;
+    currency = currency || money.currency;
+    const monthly = Math.round(money.amount * (PERIOD_TO_MONTHLY[money.period] ?? 1));
+    if (/^(monthly\s+)?total/i.test(label)) {
+      total = monthly;
+      return;
+    }
+    lineItems.push({ category: label, amount: money.amount, period: money.period, monthly_amount: monthly });
+  };
+
+  for (const section of [found.section, ...found.children]) {
+    for (const text of [...section.bullets, ...section.paragraphs]) {
+      const field = parseField(text);
+      addItem(field ? text.slice(0, text.indexOf(':')).trim() : text, field ? field.value : text);
+    }
+    for (const table of section.tables) {
+      for (const row of table.rows) {
+        const amount = row.amount || row.monthly_amount || row.cost;
+        if (!amount) continue;
+        addItem(row.item || row.category || row.description || 'Item', `${amount} ${row.period || ''}`, false);
+      }
+    }
+  }
+
+  return {
+    amount: total ?? lineItems.reduce((sum, item) => sum + item.monthly_amount, 0),
+    currency: currency || 'USD',
+    period: 'month',
+    line_items: lineItems
+  };
+}
+
+/**
+ * Markdown format adapter
+ */
+export const markdownFormat = {
+  name: 'markdown',
+  description: 'Markdown audit write-up with Findings, Recommended Fixes and Revenue Bleed headings',
+  schema: JSON.parse(fs.readFileSync(path.join(__dirname, '../schemas/audit_formats/markdown.schema.json'), 'utf8')),
+  extensions: ['.md', '.markdown'],
+
+  /**
+   * Parse Markdown into sections
+   * @param {string} content - File content
+   * @param {string} filePath - Source path
+   * @returns {Object} { source_file, markdown_title, markdown_sections }
+   */
+  parse(content, filePath = '') {
+    const sections = parseMarkdownSections(content);
+    return {
+      source_file: path.basename(filePath),
+      markdown_title: sections.find(s => s.level === 1)?.heading || null,
+      markdown_sections: sections
+    };
+  },
+
+  detect(data) {
+    return Array.isArray(data.markdown_sections) ? 1 : 0;
+  },
+
+  normalize(data, { now = new Date() } = {}) {
+    const sections = data.markdown_sections;
+
+    // Client fields may sit in the preamble, under the title or in a "Client" section
+    const fields = Object.assign({}, ...sections
+      .filter(s => s.level <= 1 || /client|prepared for/i.test(s.heading || ''))
+      .map(s => s.fields));
+
+    const found = {};
+    const missing = [];
+    for (const [key, { label, pattern }] of Object.entries(SECTION_PATTERNS)) {
+      found[key] = findSection(sections, pattern);
+      if (!found[key]) missing.push(label);
+    }
+
+    const categories = found.findings ? buildCategories(found.findings) : [];
+    const [contactName, contactTitle] = (fields.contact || '').split(/,\s*/);
+    const date = fields.date ? new Date(fields.date) : null;
+    const workflowSection = findSection(sections, /workflow|process overview/i);
+
+    return {
+      format: 'markdown',
+      document: {
+        created_at: (date && !isNaN(date) ? date : now).toISOString(),
+        document_id: data.source_file,
+        title: data.markdown_title
+      },
+      client: {
+        account_name: fields.client || fields.company || fields.account || fields.prepared_for,
+        industry: fields.industry,
+        contact_name: contactName || undefined,
+        contact_title: fields.title || fields.contact_title || contactTitle,
+        email: fields.email
+      },
+      scorecard: { categories },
+      bleed: found.bleed ? buildBleed(found.bleed) : null,
+      fixes: found.fixes ? buildFixes(found.fixes) : [],
+      workflow: {
+        name: fields.workflow || fields.process,
+        description: workflowSection?.section.paragraphs.join(' ') || undefined,
+        categories: categories.map(c => c.category_name)
+      },
+      missing_sections: missing
+    };
+  }
+};
+
+export default {
+  markdownFormat,
+  parseMarkdownSections
+};
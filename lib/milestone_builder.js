@@ -3,18 +3,72 @@
  * Constructs the canonical Phase 1/2/3 structure with nested milestones
  */
 
-import { v4 as uuidv4 } from 'uuid';
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { formatMoney, toMoney, BASE_CURRENCY } from './currency.js';
+import { formatText, formatUnit } from './locale.js';
+import {
+  WORK_DAYS_PER_WEEK,
+  resolveCapacity,
+  scheduleFixes,
+  scheduleMilestoneDates,
+  datesForFixes,
+  weekdayHolidays
+} from './effort_scheduler.js';
+import { resolveHolidayCalendar } from './holiday_calendar.js';
+import { systemClock } from './run_clock.js';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+const MILESTONE_TEMPLATES = JSON.parse(
+  fs.readFileSync(path.join(__dirname, '../pricing/milestone_templates.json'), 'utf8')
+);
+
+export const DEFAULT_MILESTONE_TEMPLATE = MILESTONE_TEMPLATES.default_template;
+
+/**
+ * List milestone template names
+ */
+export function listMilestoneTemplates() {
+  return Object.keys(MILESTONE_TEMPLATES.templates);
+}
+
+/**
+ * Get a Phase 2 milestone template, rejecting unknown names and malformed templates
+ * @param {string} name - Template name (default: default_template)
+ * @returns {Object} { name, label, milestones: [{ key, name, percentage, summary, due_event, deliverables, ... }] }
+ */
+export function getMilestoneTemplate(name = DEFAULT_MILESTONE_TEMPLATE) {
+  const template = MILESTONE_TEMPLATES.templates[name || DEFAULT_MILESTONE_TEMPLATE];
+  if (!template) {
+    throw new Error(`Unknown milestone template: ${name}. Available: ${listMilestoneTemplates().join(', ')}`);
+  }
+
+  const keys = template.milestones.map(m => m.key);
+  if (keys.length === 0 || new Set(keys).size !== keys.length || keys.includes('total')) {
+    throw new Error(`Milestone template ${name} needs one or more milestones with unique keys (not "total")`);
+  }
+  const totalPercentage = template.milestones.reduce((sum, m) => sum + m.percentage, 0);
+  if (totalPercentage !== 100) {
+    throw new Error(`Milestone template ${name} percentages sum to ${totalPercentage}, expected 100`);
+  }
+
+  return { name: name || DEFAULT_MILESTONE_TEMPLATE, ...template };
+}
 
 /**
  * Build the complete phase structure for a proposal
  * @param {Object} auditData - Parsed audit report data
  * @param {Object} pricing - Pricing breakdown from pricing_calculator
  * @param {Object} options - Additional options
+ * @param {Object} options.clock - Run clock for IDs and the default dates (see run_clock.js)
  * @returns {Array} Array of three phases
  */
 export function buildPhases(auditData, pricing, options = {}) {
   return [
-    buildPhase1Audit(auditData),
+    buildPhase1Audit(auditData, pricing.currency, pricing.locale, options),
     buildPhase2Stabilize(auditData, pricing, options),
     buildPhase3Scale(auditData, options)
   ];
@@ -23,20 +77,21 @@ export function buildPhases(auditData, pricing, options = {}) {
 /**
  * Build Phase 1: Audit (completed)
  */
-export function buildPhase1Audit(auditData) {
+export function buildPhase1Audit(auditData, currency = BASE_CURRENCY, locale, options = {}) {
+  const clock = options.clock || systemClock;
   const auditDate = auditData.document?.created_at ||
     auditData.audit_date ||
-    new Date().toISOString();
+    clock.now().toISOString();
 
   return {
-    phase_id: uuidv4(),
+    phase_id: clock.uuid(),
     phase_number: 1,
     phase_name: 'Audit',
     state: 'complete',
     description: '[LLM_PLACEHOLDER: phase_1_description]',
     milestones: [
       {
-        milestone_id: uuidv4(),
+        milestone_id: clock.uuid(),
         milestone_number: '1.1',
         milestone_name: 'AI Process Audit',
         description: 'Comprehensive analysis of current workflow, systems, and operational efficiency.',
@@ -54,14 +109,10 @@ export function buildPhase1Audit(auditData) {
             description: 'Actionable improvements with expected ROI'
           }
         ],
-        duration: {
-          value: auditData.audit_duration_days || 3,
-          unit: 'business_days',
-          display: `${auditData.audit_duration_days || 3} business days`
-        },
+        duration: formatDuration(auditData.audit_duration_days || 3, 'business_days', locale),
         price_allocation: {
           amount: 0,
-          currency: 'USD',
+          currency: currency,
           display: 'Completed'
         }
       }
@@ -71,254 +122,143 @@ export function buildPhase1Audit(auditData) {
 
 /**
  * Build Phase 2: Stabilize (current proposal)
+ * Milestones follow the pricing's milestone template (pricing/milestone_templates.json)
+ * @param {Object} options - Additional options
+ * @param {Array<Object>} options.fix_hours - Per-fix hours (estimateFixHours); schedules the timeline from effort
+ * @param {number} options.team_size - People on the build (default: pricing/base_rates.json scheduling)
+ * @param {number} options.hours_per_week - Hours per person per week
+ * @param {string} options.start_date - First day of work, YYYY-MM-DD (default: next working day)
+ * @param {string} options.holiday_calendar - Country code or calendar file, "none" for weekends only
+ *   (default: the locale's country when holidays/ has it)
  */
 export function buildPhase2Stabilize(auditData, pricing, options = {}) {
-  const milestoneAllocations = pricing.milestones;
-  const workflowName = auditData.workflow?.name ||
-    auditData.workflow_name ||
-    'workflow automation';
+  const clock = options.clock || systemClock;
+  const template = getMilestoneTemplate(pricing.milestone_template);
+  const currency = pricing.currency || BASE_CURRENCY;
+  const locale = options.locale || pricing.locale;
+  const durationOptions = { ...options, locale, milestone_template: template.name };
+
+  // Schedule the fix hours when there are any; otherwise estimate from price (thresholds are in the base currency)
+  const schedule = options.fix_hours?.length
+    ? scheduleFixes(options.fix_hours, resolveCapacity(options))
+    : null;
+  const durations = schedule
+    ? estimateEffortDurations(schedule, durationOptions)
+    : estimateDurations(pricing.final_price / (pricing.fx_rate || 1), durationOptions);
 
-  // Estimate durations based on pricing
-  const durations = estimateDurations(pricing.final_price, options);
+  const milestones = template.milestones.map(milestone => buildMilestone(
+    auditData,
+    milestone,
+    pricing.milestones[milestone.key],
+    durations[milestone.key],
+    currency,
+    pricing.locale,
+    clock
+  ));
+
+  // Calendar dates, milestones end to end, skipping weekends and holidays
+  const calendar = resolveHolidayCalendar(options.holiday_calendar, locale);
+  const dates = scheduleMilestoneDates(milestones, options.start_date, calendar, clock.now());
+  milestones.forEach((milestone, index) => Object.assign(milestone, dates[index]));
 
   return {
-    phase_id: uuidv4(),
+    phase_id: clock.uuid(),
     phase_number: 2,
     phase_name: 'Stabilize',
     state: 'current',
     description: '[LLM_PLACEHOLDER: phase_2_description]',
-    milestones: [
-      buildMilestone21Design(auditData, milestoneAllocations.design, durations.design),
-      buildMilestone22Build(auditData, milestoneAllocations.build, durations.build),
-      buildMilestone23Test(auditData, milestoneAllocations.test, durations.test),
-      buildMilestone24Deploy(auditData, milestoneAllocations.deploy, durations.deploy)
-    ]
+    milestones: milestones,
+    schedule: buildScheduleSummary(schedule, template, milestones, calendar, options)
   };
 }
 
 /**
- * Milestone 2.1: Design
+ * Milestone that carries the fix work: flagged fix_work, else the largest share
  */
-function buildMilestone21Design(auditData, allocation, duration) {
-  return {
-    milestone_id: uuidv4(),
-    milestone_number: '2.1',
-    milestone_name: 'Design',
-    description: '[LLM_PLACEHOLDER: milestone_2_1_description]',
-    deliverables: [
-      {
-        name: 'Requirements Document',
-        description: 'Finalized functional and technical requirements',
-        acceptance_criteria: [
-          'All stakeholder requirements captured',
-          'Success metrics defined',
-          'Client sign-off obtained'
-        ]
-      },
-      {
-        name: 'Solution Architecture',
-        description: 'Technical design for system integrations and data flows',
-        acceptance_criteria: [
-          'Integration points mapped for all systems',
-          'Data schema defined',
-          'Security requirements addressed'
-        ]
-      },
-      {
-        name: 'Implementation Plan',
-        description: 'Detailed project timeline and resource allocation',
-        acceptance_criteria: [
-          'Task breakdown with dependencies',
-          'Risk mitigation strategies',
-          'Communication cadence established'
-        ]
-      }
-    ],
-    duration: duration,
-    price_allocation: {
-      amount: allocation.amount,
-      currency: 'USD',
-      display: formatMoney(allocation.amount)
-    }
-  };
+function getFixWorkMilestone(template) {
+  return template.milestones.find(m => m.fix_work) ||
+    template.milestones.reduce((largest, m) => (m.percentage > largest.percentage ? m : largest));
 }
 
 /**
- * Milestone 2.2: Build
+ * Summarize how the Phase 2 timeline was estimated, with per-fix dates for effort schedules
  */
-function buildMilestone22Build(auditData, allocation, duration) {
-  const fixes = auditData.recommended_fixes || [];
-  const deliverables = [];
-
-  // Core system development
-  deliverables.push({
-    name: 'Core Automation System',
-    description: 'Primary workflow automation implementation',
-    acceptance_criteria: [
-      'All critical path automations functional',
-      'Error handling implemented',
-      'Logging and monitoring in place'
-    ]
-  });
-
-  // Integration development
-  const systems = auditData.systems ||
-    auditData.workflow?.systems_involved || [];
-  if (systems.length > 1) {
-    deliverables.push({
-      name: 'System Integrations',
-      description: `Connections between ${systems.slice(0, 3).join(', ')}${systems.length > 3 ? ' and others' : ''}`,
-      acceptance_criteria: [
-        'API connections established and tested',
-        'Data synchronization verified',
-        'Failover handling configured'
-      ]
-    });
-  }
-
-  // AI components if applicable
-  const hasAI = fixes.some(f =>
-    (f.fix || f.description || '').toLowerCase().includes('ai') ||
-    (f.fix || f.description || '').toLowerCase().includes('automat')
-  );
-  if (hasAI) {
-    deliverables.push({
-      name: 'AI Processing Components',
-      description: 'Machine learning or AI-powered automation elements',
-      acceptance_criteria: [
-        'Model accuracy meets requirements',
-        'Processing latency within SLA',
-        'Edge cases handled gracefully'
-      ]
-    });
-  }
-
-  // Internal testing
-  deliverables.push({
-    name: 'Internal Testing Complete',
-    description: 'Developer testing and code review',
-    acceptance_criteria: [
-      'Unit tests passing',
-      'Integration tests complete',
-      'Code review approved'
-    ]
-  });
+function buildScheduleSummary(schedule, template, milestones, calendar, options) {
+  const startDate = milestones[0].start_date;
+  const endDate = milestones[milestones.length - 1].end_date;
+  const summary = {
+    method: schedule ? 'effort' : 'price',
+    start_date: startDate,
+    end_date: endDate,
+    working_days: milestones.reduce((sum, m) => sum + m.working_days, 0),
+    holiday_calendar: calendar ? calendar.country : 'none',
+    holidays: weekdayHolidays(calendar, startDate, endDate)
+  };
+  if (!schedule) return summary;
 
+  const capacity = resolveCapacity(options);
+  const fixWork = milestones.find(m => m.milestone_key === getFixWorkMilestone(template).key);
   return {
-    milestone_id: uuidv4(),
-    milestone_number: '2.2',
-    milestone_name: 'Build',
-    description: '[LLM_PLACEHOLDER: milestone_2_2_description]',
-    deliverables: deliverables,
-    duration: duration,
-    price_allocation: {
-      amount: allocation.amount,
-      currency: 'USD',
-      display: formatMoney(allocation.amount)
-    }
+    ...summary,
+    team_size: capacity.team_size,
+    hours_per_week: capacity.hours_per_week,
+    total_hours: schedule.total_hours,
+    fixes: datesForFixes(schedule, fixWork.start_date, calendar).map(fix => ({
+      fix_id: fix.fix_id,
+      label: fix.label,
+      hours: fix.hours,
+      depends_on: fix.depends_on,
+      person: fix.person,
+      start_date: fix.start_date,
+      end_date: fix.end_date
+    })),
+    warnings: schedule.warnings
   };
 }
 
+// Conditions a template deliverable can require via "when"
+const DELIVERABLE_CONDITIONS = {
+  multiple_systems: ({ systems }) => systems.length > 1,
+  ai_fixes: ({ fixes }) => fixes.some(f =>
+    (f.fix || f.description || '').toLowerCase().includes('ai') ||
+    (f.fix || f.description || '').toLowerCase().includes('automat')
+  )
+};
+
 /**
- * Milestone 2.3: Test
+ * Build one Phase 2 milestone from its template entry and price allocation
  */
-function buildMilestone23Test(auditData, allocation, duration) {
-  return {
-    milestone_id: uuidv4(),
-    milestone_number: '2.3',
-    milestone_name: 'Test',
-    description: '[LLM_PLACEHOLDER: milestone_2_3_description]',
-    deliverables: [
-      {
-        name: 'Alpha Testing',
-        description: 'Internal QA with synthetic data',
-        acceptance_criteria: [
-          'All test scenarios passed',
-          'Performance benchmarks met',
-          'Bug fixes completed'
-        ]
-      },
-      {
-        name: 'Beta Testing',
-        description: 'Client stakeholder testing with real workflows',
-        acceptance_criteria: [
-          'User acceptance criteria met',
-          'Feedback incorporated',
-          'Sign-off from key stakeholders'
-        ]
-      },
-      {
-        name: 'Performance Validation',
-        description: 'Load testing and optimization',
-        acceptance_criteria: [
-          'Response times within SLA',
-          'System stable under expected load',
-          'No memory leaks or resource issues'
-        ]
-      }
-    ],
-    duration: duration,
-    price_allocation: {
-      amount: allocation.amount,
-      currency: 'USD',
-      display: formatMoney(allocation.amount)
-    }
+function buildMilestone(auditData, templateMilestone, allocation, duration, currency, locale, clock) {
+  const facts = {
+    systems: auditData.systems || auditData.workflow?.systems_involved || [],
+    fixes: auditData.recommended_fixes || []
   };
-}
+  const systemsText = `${facts.systems.slice(0, 3).join(', ')}${facts.systems.length > 3 ? ' and others' : ''}`;
 
-/**
- * Milestone 2.4: Deploy
- */
-function buildMilestone24Deploy(auditData, allocation, duration) {
-  return {
-    milestone_id: uuidv4(),
-    milestone_number: '2.4',
-    milestone_name: 'Deploy',
-    description: '[LLM_PLACEHOLDER: milestone_2_4_description]',
-    deliverables: [
-      {
-        name: 'Production Deployment',
-        description: 'Live system deployment with monitoring',
-        acceptance_criteria: [
-          'System live in production',
-          'Monitoring dashboards active',
-          'Alerting configured'
-        ]
-      },
-      {
-        name: 'User Training',
-        description: 'Training sessions for end users and administrators',
-        acceptance_criteria: [
-          'All designated users trained',
-          'Training materials delivered',
-          'Q&A sessions completed'
-        ]
-      },
-      {
-        name: 'Documentation Package',
-        description: 'Technical and user documentation',
-        acceptance_criteria: [
-          'User guide delivered',
-          'Admin documentation complete',
-          'Troubleshooting guide provided'
-        ]
-      },
-      {
-        name: 'Go-Live Support',
-        description: 'Dedicated support during initial production period',
-        acceptance_criteria: [
-          'Support coverage confirmed',
-          'Escalation paths defined',
-          'Warranty period begins'
-        ]
+  const deliverables = templateMilestone.deliverables
+    .filter(deliverable => {
+      if (!deliverable.when) return true;
+      const condition = DELIVERABLE_CONDITIONS[deliverable.when];
+      if (!condition) {
+        throw new Error(`Unknown deliverable condition "${deliverable.when}" in milestone ${templateMilestone.key}`);
       }
-    ],
+      return condition(facts);
+    })
+    .map(deliverable => ({
+      name: deliverable.name,
+      description: formatText(deliverable.description, { systems: systemsText }),
+      acceptance_criteria: deliverable.acceptance_criteria
+    }));
+
+  return {
+    milestone_id: clock.uuid(),
+    milestone_number: allocation.milestone_number,
+    milestone_name: allocation.milestone_name,
+    milestone_key: templateMilestone.key,
+    description: `[LLM_PLACEHOLDER: milestone_${allocation.milestone_number.replace('.', '_')}_description]`,
+    deliverables: deliverables,
     duration: duration,
-    price_allocation: {
-      amount: allocation.amount,
-      currency: 'USD',
-      display: formatMoney(allocation.amount)
-    }
+    price_allocation: toMoney(allocation.amount, currency, locale)
   };
 }
 
@@ -327,8 +267,9 @@ function buildMilestone24Deploy(auditData, allocation, duration) {
  * This phase is intentionally marked as optional for upselling purposes
  */
 export function buildPhase3Scale(auditData, options = {}) {
+  const clock = options.clock || systemClock;
   return {
-    phase_id: uuidv4(),
+    phase_id: clock.uuid(),
     phase_number: 3,
     phase_name: 'Scale',
     phase_label: 'Phase 3: Scale (Optional)',
@@ -338,7 +279,7 @@ export function buildPhase3Scale(auditData, options = {}) {
     description: '[LLM_PLACEHOLDER: phase_3_description]',
     milestones: [
       {
-        milestone_id: uuidv4(),
+        milestone_id: clock.uuid(),
         milestone_number: '3.1',
         milestone_name: 'Optimize',
         description: 'Performance optimization and efficiency improvements based on production metrics.',
@@ -348,7 +289,7 @@ export function buildPhase3Scale(auditData, options = {}) {
         ]
       },
       {
-        milestone_id: uuidv4(),
+        milestone_id: clock.uuid(),
         milestone_number: '3.2',
         milestone_name: 'Expand',
         description: 'Extension to additional workflows, teams, or business units.',
@@ -363,6 +304,7 @@ export function buildPhase3Scale(auditData, options = {}) {
 
 /**
  * Estimate milestone durations based on price
+ * @returns {Object} { total, <milestone key>: duration, ... } for the options.milestone_template milestones
  */
 export function estimateDurations(totalPrice, options = {}) {
   // Base duration estimation: roughly 1 week per $5K
@@ -378,73 +320,94 @@ export function estimateDurations(totalPrice, options = {}) {
 
   const adjustedWeeks = Math.max(2, Math.ceil(totalWeeks * pressureMultiplier));
 
-  // Distribute across milestones (roughly matching price allocation)
-  const designWeeks = Math.max(1, Math.ceil(adjustedWeeks * 0.2));
-  const buildWeeks = Math.max(1, Math.ceil(adjustedWeeks * 0.45));
-  const testWeeks = Math.max(1, Math.ceil(adjustedWeeks * 0.15));
-  const deployWeeks = Math.max(1, Math.ceil(adjustedWeeks * 0.2));
+  // Distribute across milestones (duration_share, else matching price allocation)
+  const locale = options.locale;
+  const durations = { total: formatDuration(adjustedWeeks, 'weeks', locale) };
+  for (const milestone of getMilestoneTemplate(options.milestone_template).milestones) {
+    const share = milestone.duration_share ?? milestone.percentage / 100;
+    durations[milestone.key] = formatDuration(Math.max(1, Math.ceil(adjustedWeeks * share)), 'weeks', locale);
+  }
 
-  return {
-    total: formatDuration(adjustedWeeks, 'weeks'),
-    design: formatDuration(designWeeks, 'weeks'),
-    build: formatDuration(buildWeeks, 'weeks'),
-    test: formatDuration(testWeeks, 'weeks'),
-    deploy: formatDuration(deployWeeks, 'weeks')
-  };
+  return durations;
 }
 
 /**
- * Format duration object
+ * Estimate milestone durations from a fix schedule
+ * The fix-work milestone takes the scheduled fix time; the others scale with their share
+ * @param {Object} schedule - From scheduleFixes
+ * @returns {Object} { total, <milestone key>: duration, ... }
  */
-export function formatDuration(value, unit) {
-  const displayUnit = value === 1 ? unit.replace(/s$/, '') : unit;
+export function estimateEffortDurations(schedule, options = {}) {
+  const template = getMilestoneTemplate(options.milestone_template);
+  const fixWork = getFixWorkMilestone(template);
+  const shareOf = milestone => milestone.duration_share ?? milestone.percentage / 100;
+  const fixWeeks = schedule.makespan_days / WORK_DAYS_PER_WEEK;
+
+  const durations = {};
+  let totalWeeks = 0;
+  for (const milestone of template.milestones) {
+    const weeks = milestone === fixWork
+      ? fixWeeks
+      : fixWeeks * shareOf(milestone) / shareOf(fixWork);
+    const roundedWeeks = Math.max(1, Math.ceil(weeks));
+    durations[milestone.key] = formatDuration(roundedWeeks, 'weeks', options.locale);
+    totalWeeks += roundedWeeks;
+  }
+  durations.total = formatDuration(totalWeeks, 'weeks', options.locale);
+
+  return durations;
+}
+
+/**
+ * Format duration object (display in the locale, default en-US)
+ */
+export function formatDuration(value, unit, locale) {
   return {
     value: value,
     unit: unit,
-    display: `${value} ${displayUnit}`
+    display: formatUnit(value, unit, locale)
   };
 }
 
-/**
- * Format money for display
- */
-export function formatMoney(amount, currency = 'USD') {
-  return new Intl.NumberFormat('en-US', {
-    style: 'currency',
-    currency: currency,
-    minimumFractionDigits: 0,
-    maximumFractionDigits: 0
-  }).format(amount);
-}
+// Money formatting lives in currency.js; re-exported for existing importers
+export { formatMoney };
 
 /**
- * Calculate total duration from all milestones
+ * Calculate total duration of the proposed (current) phase
+ * Counted in working days so weeks and business_days milestones add up; the completed
+ * audit is not part of the proposed work.
  */
-export function calculateTotalDuration(phases) {
-  let totalWeeks = 0;
+export function calculateTotalDuration(phases, locale) {
+  let workingDays = 0;
 
   for (const phase of phases) {
-    if (phase.state !== 'upcoming') {
+    if (phase.state === 'current') {
       for (const milestone of (phase.milestones || [])) {
         if (milestone.duration?.unit === 'weeks') {
-          totalWeeks += milestone.duration.value;
+          workingDays += milestone.duration.value * WORK_DAYS_PER_WEEK;
         } else if (milestone.duration?.unit === 'business_days') {
-          totalWeeks += milestone.duration.value / 5;
+          workingDays += milestone.duration.value;
         }
       }
     }
   }
 
-  return formatDuration(Math.ceil(totalWeeks), 'weeks');
+  return workingDays % WORK_DAYS_PER_WEEK === 0
+    ? formatDuration(workingDays / WORK_DAYS_PER_WEEK, 'weeks', locale)
+    : formatDuration(workingDays, 'business_days', locale);
 }
 
 export default {
+  DEFAULT_MILESTONE_TEMPLATE,
+  listMilestoneTemplates,
+  getMilestoneTemplate,
   buildPhases,
   buildPhase1Audit,
   buildPhase2Stabilize,
   buildPhase3Scale,
   calculateTotalDuration,
   estimateDurations,
+  estimateEffortDurations,
   formatDuration,
   formatMoney
 };
@@ -1,7 +1,8 @@
 /**
- * model_config.js - Gemini API Model Configuration and Fallback
+ * model_config.js - LLM Model Configuration and Fallback
  *
- * Defines model priority order and rate limits for automatic fallback.
+ * Defines model priority order and rate limits for automatic fallback,
+ * plus the error classifiers shared by every provider adapter.
  * Free tier limits are enforced by Google - when exceeded, we fall back to next available model.
  */
 
@@ -108,6 +109,46 @@ export const MODEL_FALLBACK_ORDER = [
   'gemini-2.5-pro'            // Fallback 5: High quality but slowest (2 RPM)
 ];
 
+/**
+ * Groq model configuration
+ * Free tier: 30 RPM, 14400 RPD per model
+ */
+export const GROQ_MODELS = {
+  'llama-3.3-70b-versatile': {
+    rpm: 30,
+    rpd: 14400,
+    context: 128000,
+    tier: 'premium'
+  },
+  'llama-3.1-8b-instant': {
+    rpm: 30,
+    rpd: 14400,
+    context: 128000,
+    tier: 'fast'
+  },
+  // Decommissioned models (Aug-Dec 2025):
+  // - llama3-70b-8192 → use llama-3.3-70b-versatile
+  // - llama3-8b-8192 → use llama-3.1-8b-instant
+  // - gemma2-9b-it → use llama-3.1-8b-instant
+  // - mixtral-8x7b-32768 → decommissioned
+  // - mistral-saba-24b → decommissioned
+  'llama-3.2-1b-preview': {
+    rpm: 30,
+    rpd: 14400,
+    context: 8192,
+    tier: 'lite'
+  }
+};
+
+/**
+ * Groq model fallback order - updated 2025-12-15
+ * Active models only. See GROQ_MODELS comments for decommissioned models.
+ */
+export const GROQ_FALLBACK_ORDER = [
+  'llama-3.3-70b-versatile',
+  'llama-3.1-8b-instant'
+];
+
 /**
  * Calculate rate limit delay for a model
  * @param {string} modelId - Model identifier
@@ -134,22 +175,23 @@ export function getModelDelay(modelId, usePaidTier = false) {
 /**
  * Get the next fallback model
  * @param {string} currentModel - Current model that failed
+ * @param {Array<string>} fallbackOrder - Provider fallback order (default: Gemini)
  * @returns {string|null} Next model to try, or null if no fallback available
  */
-export function getNextFallbackModel(currentModel) {
-  const currentIndex = MODEL_FALLBACK_ORDER.indexOf(currentModel);
+export function getNextFallbackModel(currentModel, fallbackOrder = MODEL_FALLBACK_ORDER) {
+  const currentIndex = fallbackOrder.indexOf(currentModel);
 
   if (currentIndex === -1) {
     // Unknown model, start from beginning
-    return MODEL_FALLBACK_ORDER[0];
+    return fallbackOrder[0] || null;
   }
 
-  if (currentIndex >= MODEL_FALLBACK_ORDER.length - 1) {
+  if (currentIndex >= fallbackOrder.length - 1) {
     // Already at last model
     return null;
   }
 
-  return MODEL_FALLBACK_ORDER[currentIndex + 1];
+  return fallbackOrder[currentIndex + 1];
 }
 
 /**
@@ -169,6 +211,37 @@ export function isRateLimitError(error) {
   );
 }
 
+/**
+ * Check if error means the request was too large for the model
+ * @param {Error} error - Error object
+ * @returns {boolean} True if payload too large error
+ */
+export function isPayloadTooLargeError(error) {
+  const message = error.message || '';
+
+  return (
+    message.includes('413') ||
+    message.includes('Request too large') ||
+    message.includes('context_length_exceeded')
+  );
+}
+
+/**
+ * Check if error is a transient network error worth retrying
+ * @param {Error} error - Error object
+ * @returns {boolean} True if retryable
+ */
+export function isRetryableNetworkError(error) {
+  const message = error.message || '';
+
+  return (
+    message.includes('fetch failed') ||
+    message.includes('network') ||
+    message.includes('ECONNRESET') ||
+    message.includes('timeout')
+  );
+}
+
 /**
  * Parse retry-after time from error
  * @param {Error} error - Error object
@@ -212,9 +285,13 @@ export function getModelInfo(modelId) {
 export default {
   MODEL_CONFIGS,
   MODEL_FALLBACK_ORDER,
+  GROQ_MODELS,
+  GROQ_FALLBACK_ORDER,
   getModelDelay,
   getNextFallbackModel,
   isRateLimitError,
+  isPayloadTooLargeError,
+  isRetryableNetworkError,
   parseRetryAfter,
   getModelInfo
 };
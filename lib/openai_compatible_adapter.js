@@ -0,0 +1,162 @@
+/**
+ * openai_compatible_adapter.js - OpenAI-Compatible API Adapter for LLM Execution
+ *
+ * Talks to any server exposing the OpenAI chat-completions shape:
+ * self-hosted Ollama, llama.cpp server, vLLM, LM Studio, or hosted gateways.
+ * Retries, model fallback and token accounting live in llm_provider.js.
+ *
+ * Configuration (options take precedence over environment):
+ *   baseUrl    / OPENAI_COMPATIBLE_BASE_URL   e.g. http://localhost:11434/v1
+ *   models     / OPENAI_COMPATIBLE_MODELS     comma-separated fallback order
+ *   apiKey     / OPENAI_COMPATIBLE_API_KEY    omitted for unauthenticated local servers
+ *   authHeader / OPENAI_COMPATIBLE_AUTH_HEADER header name (default: Authorization)
+ *   timeoutMs  / OPENAI_COMPATIBLE_TIMEOUT_MS  per-request timeout (default: 120000)
+ */
+
+const DEFAULT_TIMEOUT_MS = 120000;
+
+/**
+ * Parse a model list from an array or comma-separated string
+ * @param {Array<string>|string} models - Model list
+ * @returns {Array<string>} Model IDs
+ */
+export function parseModelList(models) {
+  if (Array.isArray(models)) {
+    return models.filter(Boolean);
+  }
+  return String(models || '')
+    .split(',')
+    .map(m => m.trim())
+    .filter(Boolean);
+}
+
+/**
+ * Build the chat-completions endpoint from a base URL
+ * Accepts either the API root (".../v1") or the full endpoint
+ */
+export function buildChatCompletionsUrl(baseUrl) {
+  const trimmed = String(baseUrl).replace(/\/+$/, '');
+  if (trimmed.endsWith('/chat/completions')) {
+    return trimmed;
+  }
+  return `${trimmed}/chat/completions`;
+}
+
+/**
+ * OpenAI-Compatible API Adapter
+ */
+export class OpenAICompatibleAdapter {
+  constructor(options = {}) {
+    this.name = 'openai-compatible';
+    this.label = 'OpenAI-compatible';
+
+    const baseUrl = options.baseUrl || process.env.OPENAI_COMPATIBLE_BASE_URL;
+    if (!baseUrl) {
+      throw new Error('OpenAI-compatible provider requires a base URL. Use --base-url or set OPENAI_COMPATIBLE_BASE_URL.');
+    }
+    this.baseUrl = buildChatCompletionsUrl(baseUrl);
+
+    this.models = parseModelList(options.models || process.env.OPENAI_COMPATIBLE_MODELS);
+    if (this.models.length === 0) {
+      throw new Error('OpenAI-compatible provider requires at least one model. Use --models or set OPENAI_COMPATIBLE_MODELS.');
+    }
+
+    this.apiKey = options.apiKey || process.env.OPENAI_COMPATIBLE_API_KEY || '';
+    this.apiKeyEnv = 'OPENAI_COMPATIBLE_API_KEY';
+    this.authHeader = options.authHeader || process.env.OPENAI_COMPATIBLE_AUTH_HEADER || 'Authorization';
+    this.requireApiKey = false;
+
+    // A hung server would otherwise block the run; a timeout is retried like a network error
+    this.timeoutMs = Number(options.timeoutMs || process.env.OPENAI_COMPATIBLE_TIMEOUT_MS || DEFAULT_TIMEOUT_MS);
+    if (!Number.isInteger(this.timeoutMs) || this.timeoutMs <= 0) {
+      throw new Error(`OpenAI-compatible timeout must be a positive number of milliseconds, got ${options.timeoutMs || process.env.OPENAI_COMPATIBLE_TIMEOUT_MS}`);
+    }
+
+    // Client behaviour: local servers have no quota, so retry instead of waiting
+    this.fallbackDelayMs = 0;
+    this.retryDelayMs = 2000;
+    this.waitOnRateLimit = false;
+  }
+
+  /**
+   * Build request headers, including auth when a key is configured
+   */
+  buildHeaders() {
+    const headers = { 'Content-Type': 'application/json' };
+
+    if (this.apiKey) {
+      // Standard servers expect "Authorization: Bearer <key>"; custom headers (e.g. api-key) take the raw key
+      headers[this.authHeader] = this.authHeader.toLowerCase() === 'authorization'
+        ? `Bearer ${this.apiKey}`
+        : this.apiKey;
+    }
+
+    return headers;
+  }
+
+  /**
+   * Send a single chat-completions request to one model
+   * @param {Object} request - { model, systemPrompt, userPrompt, maxTokens, temperature }
+   * @returns {Promise<{text: string, usage: Object}>} Raw text and token usage
+   */
+  async complete(request) {
+    if (this.requireApiKey && !this.apiKey) {
+      throw new Error(`${this.label} API key not configured. Set ${this.apiKeyEnv} environment variable.`);
+    }
+
+    const body = {
+      model: request.model,
+      messages: [
+        { role: 'system', content: request.systemPrompt },
+        { role: 'user', content: request.userPrompt }
+      ],
+      temperature: request.temperature ?? 0.3,
+      max_tokens: request.maxTokens || 2000
+    };
+
+    const signal = AbortSignal.timeout(this.timeoutMs);
+    const timedOut = error => {
+      if (signal.aborted) {
+        return new Error(`${this.label} request timeout after ${this.timeoutMs}ms`);
+      }
+      return error;
+    };
+
+    let response;
+    try {
+      response = await fetch(this.baseUrl, {
+        method: 'POST',
+        headers: this.buildHeaders(),
+        body: JSON.stringify(body),
+        signal
+      });
+    } catch (error) {
+      throw timedOut(error);
+    }
+
+    const data = await response.json().catch(error => {
+      if (signal.aborted) throw timedOut(error);
+      return {};
+    });
+
+    if (!response.ok) {
+      const errorMsg = data.error?.message || response.statusText;
+      throw new Error(`${this.label} API error ${response.status}: ${errorMsg}`);
+    }
+
+    return {
+      text: data.choices?.[0]?.message?.content || '',
+      usage: {
+        inputTokens: data.usage?.prompt_tokens || 0,
+        outputTokens: data.usage?.completion_tokens || 0,
+        totalTokens: data.usage?.total_tokens || 0
+      }
+    };
+  }
+}
+
+export default {
+  OpenAICompatibleAdapter,
+  parseModelList,
+  buildChatCompletionsUrl
+};
@@ -7,13 +7,21 @@ import fs from 'fs';
 import path from 'path';
 import { fileURLToPath } from 'url';
 import Mustache from 'mustache';
-import { extractFromAudit, validateExtraction } from './extract_proposal.js';
+import { extractFromAudit, getPricingInput, validateExtraction } from './extract_proposal.js';
 import { buildProposal, getPlaceholderPaths } from './transform_proposal.js';
-import { calculatePricing, calculateROI, formatMoney } from './pricing_calculator.js';
+import { calculatePricing, calculateROI, formatMoney, priceAddOns } from './pricing_calculator.js';
+import { formatPricingLedger } from './pricing_ledger.js';
+import { loadRequirements } from './requirements.js';
+import { resolveCurrency, convertBleed } from './currency.js';
+import { getMilestoneTemplate } from './milestone_builder.js';
+import { DEFAULT_LOCALE, formatDate, formatText, getLanguageName, loadLocale } from './locale.js';
 import { fillProposalPlaceholders } from './llm_batch_executor.js';
+import { createLLMClient } from './llm_provider.js';
+import { resolveClock, systemClock } from './run_clock.js';
 import { validateProposal, validateAndRepair, formatErrors, formatWarnings } from './validate.js';
 import { generatePDF, generatePDFFromString, validatePageFit } from './pdf_generator.js';
 import { runFinalHtmlPass, manualPolishHTML } from './html_final_pass.js';
+import { STAGES, openRun, loadManifest, resolveResumeStage } from './run_checkpoint.js';
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
@@ -23,9 +31,15 @@ const TEMPLATE_PATH = path.join(__dirname, '../templates/proposal_template.html'
 
 /**
  * Full proposal generation pipeline
+ * Each stage's output is checkpointed into a run directory (see run_checkpoint.js)
  * @param {string} auditPath - Path to audit JSON
  * @param {string} outputPath - Path for output HTML
  * @param {Object} options - Generation options
+ * @param {string} options.runDir - Run directory (default: <output dir>/runs/<output name>)
+ * @param {string} options.fromStage - First stage to execute; earlier stages load from checkpoints
+ * @param {string} options.toStage - Last stage to execute
+ * @param {Object} options.clock - Run clock (default: see resolveClock)
+ * @param {string|boolean} options.fixedClock - Freeze the run clock at this instant for reproducible output
  * @returns {Promise<Object>} Generation result
  */
 async function generate(auditPath, outputPath, options = {}) {
@@ -34,108 +48,235 @@ async function generate(auditPath, outputPath, options = {}) {
     stages: {},
     success: false,
     outputPath: null,
-    pdfPath: null
+    pdfPath: null,
+    runDir: null
   };
+  let run = null;
+  let currentStage = null;
 
   try {
+    // One LLM client for every stage so fallback state and token usage are shared
+    const llmClient = options.llmClient || createLLMClient(options);
+    // A fixed clock (--fixed-clock, SOURCE_DATE_EPOCH) with seeded IDs makes the output reproducible
+    const clock = resolveClock(options);
+    options = { ...options, llmClient, clock };
+
+    run = openRun({ auditPath, outputPath, options });
+    results.runDir = run.runDir;
+    if (options.fromStage && options.fromStage !== STAGES[0]) {
+      console.log(`Resuming from stage "${options.fromStage}" (${run.runDir})`);
+    }
+
+    // Stage outputs, loaded lazily from checkpoints when a stage is not re-run
+    const state = {};
+    const stageOutput = stage => state[stage] ?? (state[stage] = run.load(stage));
+
     // Stage 1: Extract
-    console.log('Stage 1: Extracting data from audit report...');
-    const extracted = await runExtract(auditPath, options);
-    results.stages.extract = { success: true, data: summarizeExtracted(extracted) };
+    if (run.shouldRun('extract')) {
+      currentStage = 'extract';
+      console.log('Stage 1: Extracting data from audit report...');
+      state.extract = await runExtract(auditPath, options);
+      run.save('extract', state.extract);
+      results.stages.extract = { success: true, data: summarizeExtracted(state.extract) };
+    }
+    if (run.isLast('extract')) return completeRun(results, llmClient, startTime, 'extract');
 
     // Stage 2: Transform
-    console.log('Stage 2: Building proposal structure...');
-    const proposal = await runTransform(extracted, options);
-    results.stages.transform = { success: true, placeholders: getPlaceholderPaths(proposal).length };
+    if (run.shouldRun('transform')) {
+      currentStage = 'transform';
+      console.log('Stage 2: Building proposal structure...');
+      state.transform = await runTransform(stageOutput('extract'), options);
+      run.save('transform', state.transform);
+      results.stages.transform = { success: true, placeholders: getPlaceholderPaths(state.transform).length };
+    }
+    if (run.isLast('transform')) return completeRun(results, llmClient, startTime, 'transform');
 
     // Stage 3: LLM Fill
-    console.log('Stage 3: Generating narrative content...');
-    const filledProposal = await runLLMFill(proposal, extracted, options);
-    results.stages.llmFill = { success: true };
+    if (run.shouldRun('fill')) {
+      currentStage = 'fill';
+      console.log('Stage 3: Generating narrative content...');
+      state.fill = await runLLMFill(stageOutput('transform'), stageOutput('extract'), options);
+      run.save('fill', state.fill);
+      results.stages.llmFill = { success: true };
+    }
+    if (run.isLast('fill')) return completeRun(results, llmClient, startTime, 'fill');
 
     // Stage 4: Validate
-    console.log('Stage 4: Validating proposal...');
-    const validation = await runValidate(filledProposal);
-    results.stages.validate = validation;
-
-    if (!validation.valid && !options.force) {
-      console.error('Validation failed. Use --force to generate anyway.');
-      console.error(formatErrors(validation.errors));
-      return results;
+    if (run.shouldRun('validate')) {
+      currentStage = 'validate';
+      console.log('Stage 4: Validating proposal...');
+      const filled = stageOutput('fill');
+      const validation = await runValidate(filled);
+      results.stages.validate = validation;
+      results.validation = summarizeValidation(validation);
+
+      if (!validation.valid && !options.force) {
+        run.fail('validate', 'Validation failed');
+        console.error('Validation failed. Use --force to generate anyway.');
+        console.error(formatErrors(validation.errors));
+        console.error(`Fix ${run.checkpointPath('fill')} and resume with --from-stage validate`);
+        return results;
+      }
+
+      // validateAndRepair repairs in place, so the checkpoint carries the repaired proposal
+      state.validate = { ...validation, proposal: filled };
+      run.save('validate', state.validate);
     }
+    if (run.isLast('validate')) return completeRun(results, llmClient, startTime, 'validate');
+
+    const validated = stageOutput('validate');
+    const filledProposal = validated.proposal;
+    results.validation = results.validation || summarizeValidation(validated);
+    results.proposal = summarizeProposal(filledProposal);
 
     // Stage 5: Render
-    console.log('Stage 5: Rendering HTML...');
-    const htmlPath = await runRender(filledProposal, outputPath, options);
-    results.stages.render = { success: true, path: htmlPath };
-    results.outputPath = htmlPath;
+    if (run.shouldRun('render')) {
+      currentStage = 'render';
+      console.log('Stage 5: Rendering HTML...');
+      await runRender(filledProposal, outputPath, options);
+      run.save('render', fs.readFileSync(outputPath, 'utf8'), { path: outputPath });
+      results.stages.render = { success: true, path: outputPath };
+    }
+    results.outputPath = outputPath;
+    if (filledProposal.internal?.pricing_ledger) {
+      results.appendixPath = writePricingAppendix(filledProposal, outputPath);
+    }
+    if (run.isLast('render')) return completeRun(results, llmClient, startTime, 'render');
 
     // Stage 6: HTML Polish Pass (ALWAYS runs - mandatory LLM polish)
-    console.log('Stage 6: Running final HTML polish...');
-    const polishResult = await runFinalHtmlPass(htmlPath, {
-      client_name: filledProposal.prepared_for?.account_name || 'Client',
-      total_price: filledProposal.pricing?.total?.display || '$0',
-      platform: filledProposal.rendering?.platform || 'direct'
-    }, {
-      useGroq: options.useGroq || false
-    });
-
-    results.stages.htmlPolish = {
-      success: true,
-      method: 'llm',
-      changes: polishResult.changes
-    };
-
-    if (polishResult.changes?.length > 0) {
-      console.log(`  Polish applied: ${polishResult.changes.length} improvement(s)`);
-    }
+    if (run.shouldRun('polish')) {
+      currentStage = 'polish';
+      console.log('Stage 6: Running final HTML polish...');
+
+      // Polish rewrites the output in place; start from the unpolished render
+      fs.writeFileSync(outputPath, stageOutput('render'), 'utf8');
+
+      const polishResult = await runFinalHtmlPass(outputPath, {
+        client_name: filledProposal.prepared_for?.account_name || 'Client',
+        total_price: filledProposal.pricing?.total?.display || '$0',
+        platform: filledProposal.rendering?.platform || 'direct',
+        output_language: outputLanguage(filledProposal)
+      }, {
+        llmClient: options.llmClient
+      });
+
+      results.stages.htmlPolish = {
+        success: true,
+        method: 'llm',
+        changes: polishResult.changes
+      };
+
+      if (polishResult.changes?.length > 0) {
+        console.log(`  Polish applied: ${polishResult.changes.length} improvement(s)`);
+      }
 
-    // Save intermediate JSON if requested
-    if (options.saveJson) {
-      const jsonPath = outputPath.replace(/\.html$/i, '.json');
-      fs.writeFileSync(jsonPath, JSON.stringify(filledProposal, null, 2));
-      results.jsonPath = jsonPath;
-      console.log(`Saved proposal JSON: ${jsonPath}`);
-
-      // Save HTML polish log if any changes were made
-      if (results.stages.htmlPolish?.changes?.length > 0 && results.stages.htmlPolish.method !== 'skipped') {
-        const polishLogPath = outputPath.replace(/\.html$/i, '_html_polish_log.json');
-        fs.writeFileSync(polishLogPath, JSON.stringify(results.stages.htmlPolish.changes, null, 2));
-        console.log(`Saved HTML polish log: ${polishLogPath}`);
+      run.save('polish', fs.readFileSync(outputPath, 'utf8'), { changes: polishResult.changes || [] });
+
+      // Save intermediate JSON if requested
+      if (options.saveJson) {
+        const jsonPath = outputPath.replace(/\.html$/i, '.json');
+        fs.writeFileSync(jsonPath, JSON.stringify(filledProposal, null, 2));
+        results.jsonPath = jsonPath;
+        console.log(`Saved proposal JSON: ${jsonPath}`);
+
+        // Save HTML polish log if any changes were made
+        if (results.stages.htmlPolish?.changes?.length > 0 && results.stages.htmlPolish.method !== 'skipped') {
+          const polishLogPath = outputPath.replace(/\.html$/i, '_html_polish_log.json');
+          fs.writeFileSync(polishLogPath, JSON.stringify(results.stages.htmlPolish.changes, null, 2));
+          console.log(`Saved HTML polish log: ${polishLogPath}`);
+        }
       }
     }
+    if (run.isLast('polish')) return completeRun(results, llmClient, startTime, 'polish');
 
     // Stage 7: PDF
-    if (!options.skipPdf) {
+    currentStage = 'pdf';
+    if (options.skipPdf) {
+      run.skip('pdf');
+    } else {
       console.log('Stage 7: Generating PDF...');
-      const pdfPath = await runPdfGenerate(htmlPath, options);
+      // Restore the polished HTML in case the output was removed since the checkpoint
+      fs.writeFileSync(outputPath, stageOutput('polish'), 'utf8');
+      const pdfPath = await runPdfGenerate(outputPath, options);
+      run.save('pdf', null, { path: pdfPath });
       results.stages.pdf = { success: true, path: pdfPath };
       results.pdfPath = pdfPath;
     }
 
-    results.success = true;
-    results.duration = Date.now() - startTime;
-
-    console.log(`\nProposal generated successfully in ${results.duration}ms`);
-    console.log(`  HTML: ${results.outputPath}`);
-    if (results.pdfPath) console.log(`  PDF:  ${results.pdfPath}`);
-    if (results.jsonPath) console.log(`  JSON: ${results.jsonPath}`);
-
-    return results;
+    return completeRun(results, llmClient, startTime, 'pdf');
 
   } catch (error) {
     results.error = error.message;
     results.stack = error.stack;
+    if (run && currentStage) {
+      run.fail(currentStage, error);
+      console.error(`Checkpoints saved in ${run.runDir}. Resume with: cli.js resume ${run.runDir}`);
+    }
     console.error('Pipeline failed:', error.message);
     throw error;
   }
 }
 
+/**
+ * Mark a run successful and log the summary
+ */
+function completeRun(results, llmClient, startTime, lastStage) {
+  results.success = true;
+  results.lastStage = lastStage;
+  results.duration = Date.now() - startTime;
+  results.llmUsage = llmClient.getStats();
+
+  if (lastStage === STAGES[STAGES.length - 1]) {
+    console.log(`\nProposal generated successfully in ${results.duration}ms`);
+  } else {
+    console.log(`\nStopped after stage "${lastStage}" in ${results.duration}ms`);
+  }
+  if (results.outputPath) console.log(`  HTML: ${results.outputPath}`);
+  if (results.pdfPath) console.log(`  PDF:  ${results.pdfPath}`);
+  if (results.jsonPath) console.log(`  JSON: ${results.jsonPath}`);
+  if (results.appendixPath) console.log(`  Pricing appendix (internal): ${results.appendixPath}`);
+  console.log(`  Run:  ${results.runDir}`);
+  console.log(`  LLM:  ${results.llmUsage.requestCount} calls, ${results.llmUsage.tokensUsed} tokens (${results.llmUsage.provider}/${results.llmUsage.modelUsed})`);
+
+  return results;
+}
+
+/**
+ * Resume a checkpointed run
+ * Reuses the audit path, output path and options recorded in the manifest.
+ * @param {string} runDir - Run directory containing manifest.json
+ * @param {Object} options - Overrides (fromStage, toStage, llmClient, ...)
+ * @returns {Promise<Object>} Generation result
+ */
+async function resumeRun(runDir, options = {}) {
+  const manifest = loadManifest(runDir);
+  const fromStage = options.fromStage || resolveResumeStage(manifest);
+
+  if (!fromStage) {
+    throw new Error(`Run already complete: ${runDir}. Use --from-stage to re-run a stage.`);
+  }
+
+  const result = await generate(manifest.audit_path, manifest.output_path, {
+    ...manifest.options,
+    ...options,
+    runDir,
+    fromStage
+  });
+  return result;
+}
+
 /**
  * Extract stage
  */
 async function runExtract(auditPath, options) {
-  const extracted = extractFromAudit(auditPath);
+  const extracted = extractFromAudit(auditPath, { clock: options.clock });
+
+  const format = extracted.source_format;
+  console.log(`  Input format: ${format.name} (confidence ${format.confidence})`);
+  if (!format.schema_valid) {
+    console.warn(`  Input does not match the ${format.name} schema:`,
+      format.schema_errors.map(e => `${e.path || '/'} ${e.message}`).join(', '));
+  }
 
   const validation = validateExtraction(extracted);
   if (!validation.valid) {
@@ -150,9 +291,24 @@ async function runExtract(auditPath, options) {
  */
 async function runTransform(extracted, options) {
   const proposal = buildProposal(extracted, {
-    platform: options.platform || 'direct',
-    valid_days: options.validDays || 14,
-    pricing_options: options.pricingOptions || {}
+    platform: options.platform,
+    valid_days: options.validDays,
+    config: options.proposalConfig,
+    currency: options.currency,
+    locale: options.locale,
+    milestone_template: options.milestoneTemplate,
+    team_size: options.teamSize,
+    hours_per_week: options.hoursPerWeek,
+    start_date: options.startDate,
+    holiday_calendar: options.holidays,
+    tiers: options.tiers,
+    add_ons: options.addOns,
+    pricing_model: options.pricingModel,
+    retainer_term_months: options.retainerTerm,
+    pricing_appendix: options.pricingAppendix,
+    pricing_options: options.pricingOptions || {},
+    requirements: options.requirements ? loadRequirements(options.requirements) : undefined,
+    clock: options.clock
   });
 
   return proposal;
@@ -163,12 +319,18 @@ async function runTransform(extracted, options) {
  */
 async function runLLMFill(proposal, extracted, options) {
   const context = {
-    // Add any additional context from options or requirements
+    // Add any additional context from options (requirements come in through proposal.scope.requirements)
     ...options.additionalContext
   };
 
   const filled = await fillProposalPlaceholders(proposal, context, {
-    useGroq: options.useGroq || false
+    useGroq: options.useGroq || false,
+    provider: options.provider,
+    fixturesPath: options.fixturesPath,
+    llmClient: options.llmClient,
+    noCache: options.noCache || false,
+    refresh: options.refresh || [],
+    cacheDir: options.cacheDir
   });
 
   return filled;
@@ -204,7 +366,7 @@ async function runRender(proposal, outputPath, options) {
   }
 
   // Prepare template data
-  const templateData = prepareTemplateData(proposal);
+  const templateData = prepareTemplateData(proposal, options.clock);
 
   // Render with Mustache
   const html = Mustache.render(template, templateData);
@@ -220,6 +382,20 @@ async function runRender(proposal, outputPath, options) {
   return outputPath;
 }
 
+/**
+ * Write the internal pricing appendix next to the HTML output
+ * @returns {string} Appendix path
+ */
+function writePricingAppendix(proposal, outputPath) {
+  const appendixPath = outputPath.replace(/\.html$/i, '_pricing_appendix.txt');
+  const ledger = formatPricingLedger(proposal.internal.pricing_ledger, {
+    locale: proposal.rendering?.locale,
+    title: `Pricing appendix (internal) - ${proposal.prepared_for?.account_name || 'Client'}, ${proposal.document?.proposal_number}`
+  });
+  fs.writeFileSync(appendixPath, `${ledger}\n`, 'utf8');
+  return appendixPath;
+}
+
 /**
  * PDF generation stage
  */
@@ -232,20 +408,23 @@ async function runPdfGenerate(htmlPath, options) {
 /**
  * Prepare data for template rendering
  */
-function prepareTemplateData(proposal) {
+function prepareTemplateData(proposal, clock = systemClock) {
   // Deep clone to avoid mutating original
   const data = JSON.parse(JSON.stringify(proposal));
 
   // Add computed fields for template
-  data._year = new Date().getFullYear();
-  data._generated_at = new Date().toISOString();
+  const now = clock.now();
+  data._year = now.getFullYear();
+  data._generated_at = now.toISOString();
 
-  // Format dates for display
+  // Format dates for display in the proposal's locale
+  const locale = data.rendering?.locale || DEFAULT_LOCALE;
+  data._lang = locale;
   if (data.document?.created_at) {
-    data.document.created_at_display = formatDateDisplay(data.document.created_at);
+    data.document.created_at_display = formatDateDisplay(data.document.created_at, locale);
   }
   if (data.document?.valid_until) {
-    data.document.valid_until_display = formatDateDisplay(data.document.valid_until);
+    data.document.valid_until_display = formatDateDisplay(data.document.valid_until, locale);
   }
 
   // Phase helpers
@@ -254,35 +433,154 @@ function prepareTemplateData(proposal) {
     data.phase_stabilize = data.phases.find(p => p.phase_name === 'Stabilize');
     data.phase_scale = data.phases.find(p => p.phase_name === 'Scale');
 
-    // Milestone helpers for Phase 2
+    // Milestone helpers for Phase 2, by template key (milestone_design, milestone_build, ...)
+    // Proposals saved before milestone templates have no milestone_key; they used the default template
     if (data.phase_stabilize?.milestones) {
-      data.milestone_design = data.phase_stabilize.milestones.find(m => m.milestone_number === '2.1');
-      data.milestone_build = data.phase_stabilize.milestones.find(m => m.milestone_number === '2.2');
-      data.milestone_test = data.phase_stabilize.milestones.find(m => m.milestone_number === '2.3');
-      data.milestone_deploy = data.phase_stabilize.milestones.find(m => m.milestone_number === '2.4');
+      const defaultKeys = getMilestoneTemplate().milestones.map(m => m.key);
+      data.phase_stabilize.milestones.forEach((milestone, index) => {
+        const key = milestone.milestone_key || defaultKeys[index];
+        if (key) data[`milestone_${key}`] = milestone;
+        if (milestone.start_date) {
+          milestone.start_date_display = formatDateDisplay(milestone.start_date, locale);
+          milestone.end_date_display = formatDateDisplay(milestone.end_date, locale);
+        }
+      });
+      data.timeline = buildTimelineData(data.phase_stabilize, locale);
     }
   }
 
+  // Good/Better/Best comparison table: one column per tier
+  if (data.pricing?.tiers?.length) {
+    data.tier_comparison = buildTierComparison(data.pricing.tiers, loadLocale(locale).tiers);
+  }
+
+  // Retainer and time-and-materials terms as sentences in the proposal's language
+  const copy = loadLocale(locale).payment_schedule;
+  const retainer = data.pricing?.retainer;
+  if (retainer) {
+    retainer.summary_display = formatText(copy.retainer_summary, {
+      monthly_fee: retainer.monthly_fee.display,
+      term_months: retainer.term_months,
+      included_hours: retainer.included_hours,
+      overage_rate: retainer.overage_rate.display
+    });
+  }
+  const tm = data.pricing?.time_and_materials;
+  if (tm) {
+    tm.summary_display = formatText(copy.time_and_materials_summary, {
+      low: tm.estimate.low.display,
+      high: tm.estimate.high.display,
+      expected: tm.estimate.expected.display,
+      not_to_exceed: tm.not_to_exceed.display
+    });
+    tm.headers = copy.rate_card;
+    tm.rate_card.forEach(role => {
+      role.rate_display = formatText(copy.rate_card.hourly_rate, { rate: role.rate.display });
+    });
+  }
+  const comparison = data.roi?.monthly_comparison;
+  if (comparison) {
+    comparison.summary_display = formatText(copy.retainer_net_value, {
+      monthly_fee: comparison.monthly_fee.display,
+      monthly_recovery: comparison.monthly_recovery.display,
+      net_monthly_value: comparison.net_monthly_value.display
+    });
+  }
+
   // Boolean helpers for conditionals
   data._is_upwork = data.rendering?.platform === 'upwork';
   data._is_direct = data.rendering?.platform === 'direct';
   data._has_discount = data.pricing?.discount_applied?.percentage > 0;
   data._has_secondary_cta = !!data.cta?.secondary_action;
   data._has_savings = !!(data.pricing?.audit_credit || data.pricing?.early_adopter_discount);
+  data._has_add_ons = data.add_ons?.items?.length > 0;
+  if (data._has_add_ons) {
+    data.add_ons.title = loadLocale(locale).add_ons.title;
+  }
 
   return data;
 }
 
 /**
- * Format date for display
+ * Gantt-style timeline rows for the Phase 2 milestones
+ * Bars are positioned in calendar days, so weekends and holidays show as gaps in the span.
+ * @returns {Object|null} { start_date_display, end_date_display, calendar_days, working_days,
+ *   holiday_calendar, holidays, title, holidays_label, rows: [{ label, start/end_date_display, working_days, offset_percent, width_percent }] }
+ */
+function buildTimelineData(phase, locale) {
+  const dated = (phase.milestones || []).filter(m => m.start_date && m.end_date);
+  if (dated.length === 0) return null;
+
+  const dayNumber = date => Date.parse(`${date}T00:00:00Z`) / 86400000;
+  const first = dayNumber(dated[0].start_date);
+  const calendarDays = dayNumber(dated[dated.length - 1].end_date) - first + 1;
+  const percent = days => Math.round(days / calendarDays * 1000) / 10;
+  const strings = loadLocale(locale).timeline;
+
+  return {
+    start_date_display: formatDateDisplay(dated[0].start_date, locale),
+    end_date_display: formatDateDisplay(dated[dated.length - 1].end_date, locale),
+    calendar_days: calendarDays,
+    working_days: dated.reduce((sum, m) => sum + (m.working_days || 0), 0),
+    holiday_calendar: phase.schedule?.holiday_calendar,
+    holidays: (phase.schedule?.holidays || []).map(holiday => ({
+      ...holiday,
+      date_display: formatDateDisplay(holiday.date, locale)
+    })),
+    title: strings.title,
+    holidays_label: strings.holidays,
+    rows: dated.map(milestone => ({
+      label: `${milestone.milestone_number} ${milestone.milestone_name}`,
+      milestone_key: milestone.milestone_key,
+      start_date_display: milestone.start_date_display,
+      end_date_display: milestone.end_date_display,
+      working_days: milestone.working_days,
+      offset_percent: percent(dayNumber(milestone.start_date) - first),
+      width_percent: percent(dayNumber(milestone.end_date) - dayNumber(milestone.start_date) + 1)
+    }))
+  };
+}
+
+/**
+ * Comparison rows for tiered proposals (Mustache can't index columns, so each row carries its cells)
+ * @param {Array<Object>} tiers - pricing.tiers
+ * @param {Object} strings - The locale's tiers copy: { title, recommended, rows }
  */
-function formatDateDisplay(dateStr) {
-  const date = new Date(dateStr);
-  return date.toLocaleDateString('en-US', {
-    month: 'long',
-    day: 'numeric',
-    year: 'numeric'
+function buildTierComparison(tiers, strings) {
+  const row = (key, cell) => ({
+    label: strings.rows[key],
+    cells: tiers.map(tier => ({ value: cell(tier), is_recommended: tier.is_recommended }))
   });
+  return {
+    title: strings.title,
+    recommended_label: strings.recommended,
+    tiers: tiers.map(tier => ({ tier_name: tier.tier_name, description: tier.description, is_recommended: tier.is_recommended })),
+    rows: [
+      row('investment', tier => tier.price.display),
+      ...(tiers.some(tier => tier.monthly_fee)
+        ? [row('monthly_fee', tier => tier.monthly_fee?.display || '')]
+        : []),
+      row('fixes_included', tier => (tier.scope || []).map(fix => fix.label).join('; ')),
+      row('timeline', tier => tier.duration?.display || ''),
+      row('monthly_recovery', tier => tier.roi?.monthly_recovery?.display || ''),
+      row('payback', tier => tier.roi?.payback_display || '')
+    ]
+  };
+}
+
+/**
+ * Format date for display
+ */
+function formatDateDisplay(dateStr, locale = DEFAULT_LOCALE) {
+  return formatDate(dateStr, locale);
+}
+
+/**
+ * Language the polish pass should enforce (none for the default locale)
+ */
+function outputLanguage(proposal) {
+  const locale = proposal.rendering?.locale || DEFAULT_LOCALE;
+  return locale !== DEFAULT_LOCALE ? getLanguageName(locale) : undefined;
 }
 
 /**
@@ -290,6 +588,7 @@ function formatDateDisplay(dateStr) {
  */
 function summarizeExtracted(extracted) {
   return {
+    format: extracted.source_format?.name,
     client: extracted.client?.account_name,
     industry: extracted.client?.industry,
     bleed: extracted.bleed?.display,
@@ -299,12 +598,36 @@ function summarizeExtracted(extracted) {
   };
 }
 
+/**
+ * Summarize a validation result for reports
+ */
+function summarizeValidation(validation) {
+  return {
+    valid: validation.valid,
+    errors: validation.errors?.length || 0,
+    warnings: validation.warnings?.length || 0
+  };
+}
+
+/**
+ * Summarize a filled proposal for reports
+ */
+function summarizeProposal(proposal) {
+  return {
+    client: proposal.prepared_for?.account_name,
+    total_price: proposal.pricing?.total?.amount,
+    total_price_display: proposal.pricing?.total?.display,
+    payback_months: proposal.roi?.payback_period_months,
+    payback_display: proposal.roi?.payback_display
+  };
+}
+
 /**
  * Generate minimal fallback template
  */
 function generateFallbackTemplate() {
   return `<!DOCTYPE html>
-<html lang="en">
+<html lang="{{_lang}}">
 <head>
   <meta charset="UTF-8">
   <title>{{document.title}} - {{prepared_for.account_name}}</title>
@@ -312,6 +635,12 @@ function generateFallbackTemplate() {
     body { font-family: Inter, sans-serif; margin: 2rem; }
     h1 { color: #ff5f00; }
     .section { margin: 1.5rem 0; padding: 1rem; border: 1px solid #dac39f; }
+    td.recommended { background: #fff3e8; }
+    th, td { padding: 0.25rem 0.5rem; text-align: left; vertical-align: top; }
+    .gantt-row { display: flex; align-items: center; gap: 0.5rem; margin: 0.25rem 0; }
+    .gantt-label { width: 10rem; }
+    .gantt-track { flex: 1; background: #f5efe6; height: 0.75rem; }
+    .gantt-bar { background: #ff5f00; height: 100%; }
   </style>
 </head>
 <body>
@@ -327,12 +656,73 @@ function generateFallbackTemplate() {
   <div class="section">
     <h2>Investment</h2>
     <p><strong>Total: {{pricing.total.display}}</strong></p>
+    {{#pricing.retainer}}
+    <p>{{summary_display}}</p>
+    {{/pricing.retainer}}
+    {{#pricing.time_and_materials}}
+    <p>{{summary_display}}</p>
+    <table>
+      <tr><th>{{headers.role}}</th><th>{{headers.rate}}</th><th>{{headers.estimated_hours}}</th><th>{{headers.estimated_cost}}</th></tr>
+      {{#rate_card}}
+      <tr><td>{{role_name}}</td><td>{{rate_display}}</td><td>{{estimated_hours}}</td><td>{{estimated_amount.display}}</td></tr>
+      {{/rate_card}}
+    </table>
+    {{/pricing.time_and_materials}}
+    <ul>
+      {{#phase_stabilize.milestones}}
+      <li>{{milestone_number}} {{milestone_name}}: {{^pricing.time_and_materials}}{{price_allocation.display}} {{/pricing.time_and_materials}}({{duration.display}}{{#start_date_display}}, {{start_date_display}} – {{end_date_display}}{{/start_date_display}})</li>
+      {{/phase_stabilize.milestones}}
+    </ul>
+  </div>
+
+  {{#tier_comparison}}
+  <div class="section">
+    <h2>{{title}}</h2>
+    <table>
+      <tr><th></th>{{#tiers}}<th>{{tier_name}}{{#is_recommended}} ({{recommended_label}}){{/is_recommended}}</th>{{/tiers}}</tr>
+      {{#rows}}
+      <tr><th>{{label}}</th>{{#cells}}<td{{#is_recommended}} class="recommended"{{/is_recommended}}>{{value}}</td>{{/cells}}</tr>
+      {{/rows}}
+    </table>
+  </div>
+  {{/tier_comparison}}
+
+  {{#add_ons}}
+  <div class="section">
+    <h2>{{title}}</h2>
+    <p>{{note}}</p>
+    <table>
+      {{#items}}
+      <tr><td>☐</td><td><strong>{{name}}</strong><br>{{description}}</td><td>{{price_display}}</td><td>{{roi_note}}</td></tr>
+      {{/items}}
+    </table>
+  </div>
+  {{/add_ons}}
+
+  {{#timeline}}
+  <div class="section">
+    <h2>{{title}}</h2>
+    <p>{{start_date_display}} – {{end_date_display}}</p>
+    {{#rows}}
+    <div class="gantt-row">
+      <span class="gantt-label">{{label}}</span>
+      <div class="gantt-track"><div class="gantt-bar" style="margin-left: {{offset_percent}}%; width: {{width_percent}}%"></div></div>
+      <span>{{start_date_display}} – {{end_date_display}}</span>
+    </div>
+    {{/rows}}
+    {{#holidays.length}}
+    <p>{{holidays_label}} {{#holidays}}{{name}} ({{date_display}}); {{/holidays}}</p>
+    {{/holidays.length}}
   </div>
+  {{/timeline}}
 
   <div class="section">
     <h2>ROI</h2>
     <p>Monthly Recovery: {{roi.monthly_recovery.display}}</p>
     <p>Payback Period: {{roi.payback_display}}</p>
+    {{#roi.monthly_comparison}}
+    <p>{{summary_display}}</p>
+    {{/roi.monthly_comparison}}
   </div>
 
   <div class="section">
@@ -354,22 +744,58 @@ function generateFallbackTemplate() {
  */
 async function calculatePricingOnly(auditPath, options = {}) {
   const extracted = extractFromAudit(auditPath);
-  const pricing = calculatePricing(extracted.raw_audit || extracted, options);
-  const roi = calculateROI(extracted.bleed?.monthly_amount || 0, pricing.final_price);
+  const { currency, pricing, roi } = priceExtracted(extracted, options);
 
   return {
     pricing,
     roi,
+    ...(options.add_ons && { add_ons: priceAddOns(options.add_ons, { currency, locale: options.locale }) }),
     summary: {
-      base_price: formatMoney(pricing.base_price),
+      currency,
+      base_price: formatMoney(pricing.base_price, currency, options.locale),
       multiplier: pricing.complexity_multiplier.toFixed(2),
-      final_price: formatMoney(pricing.final_price),
-      monthly_bleed: formatMoney(extracted.bleed?.monthly_amount || 0),
+      pricing_model: pricing.pricing_model,
+      final_price: formatMoney(pricing.final_price, currency, options.locale),
+      monthly_bleed: roi.monthly_recovery.display,
       payback: roi.payback_display
     }
   };
 }
 
+/**
+ * Price several what-if scenarios of one audit (utility command)
+ * @param {string} auditPath - Path to audit file
+ * @param {Array<Object>} scenarios - [{ name, options }]; scenario options override the shared ones
+ * @param {Object} options - Pricing options shared by every scenario
+ * @returns {Array<Object>} [{ name, options, pricing, roi }] in scenario order
+ */
+function comparePricing(auditPath, scenarios, options = {}) {
+  const extracted = extractFromAudit(auditPath);
+
+  return scenarios.map(scenario => {
+    try {
+      const { pricing, roi } = priceExtracted(extracted, { ...options, ...scenario.options });
+      return { name: scenario.name, options: scenario.options, pricing, roi };
+    } catch (error) {
+      throw new Error(`Scenario "${scenario.name}": ${error.message}`);
+    }
+  });
+}
+
+/**
+ * Price extracted audit data and its ROI in the billing currency
+ */
+function priceExtracted(extracted, options) {
+  const currency = resolveCurrency(options.currency, extracted);
+  const pricing = calculatePricing(getPricingInput(extracted), { ...options, currency });
+  const roi = calculateROI(convertBleed(extracted.bleed, currency), pricing.final_price, {
+    currency,
+    locale: options.locale,
+    monthly_fee: pricing.retainer?.monthly_fee
+  });
+  return { currency, pricing, roi };
+}
+
 /**
  * Preview milestones only (utility command)
  */
@@ -403,6 +829,7 @@ async function renderFromJson(proposalPath, outputPath, options = {}) {
 
 export {
   generate,
+  resumeRun,
   runExtract,
   runTransform,
   runLLMFill,
@@ -410,6 +837,7 @@ export {
   runRender,
   runPdfGenerate,
   calculatePricingOnly,
+  comparePricing,
   previewMilestones,
   renderFromJson,
   prepareTemplateData
@@ -417,6 +845,7 @@ export {
 
 export default {
   generate,
+  resumeRun,
   runExtract,
   runTransform,
   runLLMFill,
@@ -424,6 +853,7 @@ export default {
   runRender,
   runPdfGenerate,
   calculatePricingOnly,
+  comparePricing,
   previewMilestones,
   renderFromJson,
   prepareTemplateData
@@ -6,6 +6,9 @@
 import fs from 'fs';
 import path from 'path';
 import { fileURLToPath } from 'url';
+import { formatMoney, getCurrency, BASE_CURRENCY } from './currency.js';
+import { DEFAULT_LOCALE, formatUnit, loadLocale } from './locale.js';
+import { getMilestoneTemplate } from './milestone_builder.js';
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
@@ -20,108 +23,535 @@ const COMPLEXITY_MULTIPLIERS = JSON.parse(
 const DISCOUNT_RULES = JSON.parse(
   fs.readFileSync(path.join(__dirname, '../pricing/discount_rules.json'), 'utf8')
 );
+const ADD_ONS = JSON.parse(
+  fs.readFileSync(path.join(__dirname, '../pricing/add_ons.json'), 'utf8')
+);
+
+const PRICING_MODELS = ['fixed_price', 'retainer', 'time_and_materials'];
+
+// Config entries that define the accepted values of each enumerated pricing option
+const OPTION_VALUES = {
+  industry: () => COMPLEXITY_MULTIPLIERS.industry_complexity.industries,
+  timeline_pressure: () => COMPLEXITY_MULTIPLIERS.timeline_pressure.speeds,
+  client_readiness: () => COMPLEXITY_MULTIPLIERS.client_technical_readiness.levels,
+  data_sensitivity: () => COMPLEXITY_MULTIPLIERS.data_sensitivity.levels,
+  commitment_type: () => DISCOUNT_RULES.commitment_discounts.options,
+  payment_terms: () => DISCOUNT_RULES.early_payment_discounts.options
+};
+
+// Typical project composition by role; weights the blended rate and splits T&M hours
+const ROLE_WEIGHTS = {
+  ai_engineering: 0.25,
+  integration_development: 0.35,
+  system_design: 0.15,
+  testing_qa: 0.10,
+  project_management: 0.10,
+  training_documentation: 0.05
+};
 
 /**
  * Calculate total project price from audit findings
  * @param {Object} auditData - Parsed audit report data
  * @param {Object} options - Additional pricing options
+ * @param {string} options.currency - Billing currency (default: base currency from pricing/currencies.json)
+ * @param {string} options.locale - Display locale for amounts (default: the currency's locale)
+ * @param {string} options.milestone_template - Phase 2 milestone template (default: pricing/milestone_templates.json default_template)
+ * @param {string} options.pricing_model - "fixed_price" (default), "retainer" or "time_and_materials"
+ * @param {number} options.retainer_term_months - Retainer term (default: pricing/base_rates.json retainer)
+ * @param {string} options.industry - Client industry for complexity pricing (default: the audit's)
  * @returns {Object} Pricing breakdown
  */
 export function calculatePricing(auditData, options = {}) {
   const findings = auditData.findings || auditData.scorecard?.categories || [];
-  const complexity = assessComplexity(auditData, options);
+  const complexityRules = resolveComplexityRules(auditData, options);
+  const complexity = toComplexityFactors(complexityRules);
+  const currency = getCurrency(options.currency || BASE_CURRENCY);
+  const milestoneTemplate = getMilestoneTemplate(options.milestone_template);
+  const model = resolvePricingModel(options);
+  const minimumProjectValue = roundToIncrement(
+    BASE_RATES.minimum_project_value * currency.fx_rate,
+    BASE_RATES.rounding_increment
+  );
+
+  // Every rounding step and minimum floor is recorded for the pricing ledger
+  const adjustments = [];
+  const round = (step, value, increment, direction = 'nearest') => {
+    const rounded = direction === 'up'
+      ? Math.ceil(value / increment) * increment
+      : roundToIncrement(value, increment);
+    if (rounded !== value) {
+      adjustments.push({ step, type: 'rounding', increment, direction, before: value, after: rounded, adjustment: rounded - value });
+    }
+    return rounded;
+  };
+  const floor = (step, value, minimum) => {
+    if (value >= minimum) return value;
+    adjustments.push({ step, type: 'minimum', before: value, after: minimum, adjustment: minimum - value });
+    return minimum;
+  };
 
-  // Calculate base price from effort estimation
-  let basePrice = calculateBasePrice(findings, auditData);
+  // Calculate base price from effort estimation (scope_share < 1 prices part of the audit's fixes, e.g. a tier)
+  const scopeShare = options.scope_share ?? 1;
+  const effort = estimateTotalHours(findings, auditData);
+  const totalHours = effort.hours * scopeShare;
+  const hourlyRate = getWeightedRate(currency);
+  let basePrice = totalHours * hourlyRate;
 
   // Apply complexity multipliers
   const multiplier = calculateTotalMultiplier(complexity);
   let adjustedPrice = basePrice * multiplier;
 
-  // Apply discounts if any
-  const discount = calculateDiscount(adjustedPrice, options);
+  // Apply discounts if any; a retainer carries its term's commitment discount
+  const discount = calculateDiscount(
+    adjustedPrice,
+    model.retainer_term_months
+      ? { ...options, commitment_type: `retainer_${model.retainer_term_months}_month` }
+      : options,
+    currency.fx_rate
+  );
   let finalPrice = adjustedPrice - discount.amount;
 
-  // Round the pre-discount price to get subtotal
-  let subtotal = roundToIncrement(finalPrice, BASE_RATES.rounding_increment);
-
-  // Calculate milestone allocations from SUBTOTAL (before credits/discounts)
-  const milestones = allocateMilestones(subtotal);
-
-  // Calculate audit credit (default $100 for Phase 1 audit)
-  const auditCreditAmount = options.audit_credit_amount || 100;
+  // Calculate audit credit (default $100 for Phase 1 audit, converted; an explicit amount is in the billing currency).
+  // Time and materials bills hours as worked up to the cap, so no credit comes off it.
+  const auditCreditAmount = model.pricing_model === 'time_and_materials'
+    ? 0
+    : options.audit_credit_amount ?? Math.round(100 * currency.fx_rate);
   const auditCredit = {
     amount: auditCreditAmount,
-    display: formatMoney(auditCreditAmount),
+    display: formatMoney(auditCreditAmount, currency.code, options.locale),
     description: 'AI Process Audit credit applied'
   };
 
-  // Calculate early adopter discount (10% if enabled)
-  let earlyAdopterDiscount = null;
-  const afterCredit = subtotal - auditCreditAmount;
+  let priced;
+  if (model.pricing_model === 'time_and_materials') {
+    const tm = priceTimeAndMaterials({
+      hours: totalHours,
+      min_hours: effort.min_hours * scopeShare,
+      max_hours: effort.max_hours * scopeShare
+    }, {
+      multiplier,
+      discountPercent: discount.total_percentage,
+      minimumProjectValue,
+      currency,
+      round,
+      floor
+    });
+    priced = {
+      subtotal: tm.estimate.expected,
+      early_adopter_discount: null,
+      final_price: tm.not_to_exceed,
+      time_and_materials: tm
+    };
+  } else if (model.pricing_model === 'retainer') {
+    const retainer = priceRetainer(finalPrice, {
+      term: model.retainer_term_months,
+      hours: totalHours,
+      hourlyRate: hourlyRate * multiplier,
+      minimumProjectValue,
+      auditCreditAmount,
+      currency,
+      options,
+      round,
+      floor
+    });
+    priced = {
+      subtotal: retainer.subtotal,
+      early_adopter_discount: retainer.early_adopter_discount,
+      final_price: retainer.total_contract_value,
+      retainer: retainer.terms
+    };
+  } else {
+    // Round the pre-discount price to get subtotal
+    const subtotal = round('subtotal', finalPrice, BASE_RATES.rounding_increment);
+
+    // Calculate early adopter discount (10% if enabled)
+    let earlyAdopterDiscount = null;
+    const afterCredit = subtotal - auditCreditAmount;
+
+    if (options.early_adopter !== false) {
+      const earlyAdopterPercent = options.early_adopter_percent || 10;
+      // Calculate the target final price first (after all discounts and rounding)
+      const rawFinal = afterCredit * (1 - earlyAdopterPercent / 100);
+      finalPrice = round('final_price', rawFinal, BASE_RATES.rounding_increment);
+      finalPrice = floor('minimum_project_value', finalPrice, minimumProjectValue);
+
+      // Back-calculate the discount amount so the math adds up exactly
+      const earlyAdopterAmount = afterCredit - finalPrice;
+      earlyAdopterDiscount = {
+        percentage: earlyAdopterPercent,
+        amount: earlyAdopterAmount,
+        display: formatMoney(earlyAdopterAmount, currency.code, options.locale),
+        note: 'Thank you for being an early adopter as we grow'
+      };
+    } else {
+      finalPrice = round('final_price', afterCredit, BASE_RATES.rounding_increment);
+      finalPrice = floor('minimum_project_value', finalPrice, minimumProjectValue);
+    }
 
+    priced = {
+      subtotal,
+      early_adopter_discount: earlyAdopterDiscount,
+      final_price: finalPrice
+    };
+  }
+
+  const pricing = {
+    base_price: basePrice,
+    complexity_multiplier: multiplier,
+    complexity_factors: complexity,
+    adjusted_price: adjustedPrice,
+    discount: discount,
+    subtotal: priced.subtotal,
+    audit_credit: auditCredit,
+    early_adopter_discount: priced.early_adopter_discount,
+    final_price: priced.final_price,
+    // Milestone allocations come from the SUBTOTAL (before credits/discounts)
+    milestones: allocateMilestones(priced.subtotal, milestoneTemplate),
+    milestone_template: milestoneTemplate.name,
+    currency: currency.code,
+    fx_rate: currency.fx_rate,
+    locale: options.locale,
+    scope_share: scopeShare,
+    pricing_model: model.pricing_model,
+    ...(priced.retainer && { retainer: priced.retainer }),
+    ...(priced.time_and_materials && { time_and_materials: priced.time_and_materials })
+  };
+
+  pricing.ledger = buildPricingLedger(pricing, {
+    effort,
+    rate: describeWeightedRate(currency),
+    complexityRules,
+    adjustments
+  });
+  return pricing;
+}
+
+/**
+ * Step-by-step record of how calculatePricing reached its numbers: effort per fix, the blended
+ * rate, each multiplier and discount with the rule behind it, credits and every rounding step
+ */
+function buildPricingLedger(pricing, { effort, rate, complexityRules, adjustments }) {
+  const discount = pricing.discount;
+  const highest = discount.discounts_applied.length > 0
+    ? discount.discounts_applied.reduce((a, b) => a.percentage > b.percentage ? a : b)
+    : null;
+
+  return {
+    pricing_model: pricing.pricing_model,
+    currency: pricing.currency,
+    effort: {
+      source: effort.source,
+      fixes: effort.fixes.map(fix => ({
+        fix_id: fix.fix_id,
+        label: fix.label,
+        effort_tier: fix.effort_tier,
+        hours: fix.hours,
+        min_hours: fix.min_hours,
+        max_hours: fix.max_hours,
+        rate: rate.blended_rate,
+        amount: fix.hours * rate.blended_rate
+      })),
+      ...(effort.source === 'finding_count' && {
+        finding_count: effort.finding_count,
+        hours_per_finding: BASE_RATES.effort_tiers.moderate.default_hours
+      }),
+      total_hours: effort.hours,
+      scope_share: pricing.scope_share,
+      priced_hours: effort.hours * pricing.scope_share
+    },
+    rate,
+    base_price: pricing.base_price,
+    multipliers: Object.entries(complexityRules).map(([factor, rule]) => ({ factor, ...rule })),
+    combined_multiplier: pricing.complexity_multiplier,
+    adjusted_price: pricing.adjusted_price,
+    discounts: {
+      applied: discount.discounts_applied.map(d => ({
+        ...d,
+        counted: discount.stacking !== 'highest_only' || d === highest
+      })),
+      stacking: discount.stacking,
+      maximum_percentage: discount.maximum_percentage,
+      total_percentage: discount.total_percentage,
+      amount: discount.amount,
+      applies_to: pricing.pricing_model === 'time_and_materials' ? 'hourly_rates' : 'adjusted_price'
+    },
+    credits: [
+      { type: 'audit_credit', amount: pricing.audit_credit.amount, description: pricing.audit_credit.description },
+      ...(pricing.early_adopter_discount
+        ? [{
+          type: 'early_adopter',
+          percentage: pricing.early_adopter_discount.percentage,
+          amount: pricing.early_adopter_discount.amount,
+          description: pricing.early_adopter_discount.note
+        }]
+        : [])
+    ].filter(credit => credit.amount > 0),
+    rounding: adjustments,
+    ...(pricing.retainer && { retainer: pricing.retainer }),
+    ...(pricing.time_and_materials && { time_and_materials: pricing.time_and_materials }),
+    subtotal: pricing.subtotal,
+    final_price: pricing.final_price
+  };
+}
+
+/**
+ * List supported pricing models
+ */
+export function listPricingModels() {
+  return [...PRICING_MODELS];
+}
+
+/**
+ * List retainer terms in months (pricing/base_rates.json retainer)
+ */
+export function listRetainerTerms() {
+  return [...BASE_RATES.retainer.terms_months];
+}
+
+/**
+ * Values accepted for an enumerated pricing option, from the pricing config
+ * @param {string} option - industry, timeline_pressure, client_readiness, data_sensitivity,
+ *   commitment_type or payment_terms
+ * @returns {Array<string>} Accepted values
+ */
+export function listOptionValues(option) {
+  if (!OPTION_VALUES[option]) {
+    throw new Error(`Not an enumerated pricing option: ${option}`);
+  }
+  return Object.keys(OPTION_VALUES[option]());
+}
+
+/**
+ * Resolve and check the pricing model options
+ * @param {Object} options - { pricing_model, retainer_term_months, commitment_type }
+ * @returns {Object} { pricing_model, retainer_term_months? }
+ */
+export function resolvePricingModel(options = {}) {
+  const model = options.pricing_model || 'fixed_price';
+  if (!PRICING_MODELS.includes(model)) {
+    throw new Error(`Unknown pricing model: ${model}. Available: ${PRICING_MODELS.join(', ')}`);
+  }
+  if (model !== 'retainer') {
+    if (options.retainer_term_months) {
+      throw new Error(`A retainer term needs the "retainer" pricing model, got "${model}"`);
+    }
+    if (model === 'time_and_materials' && String(options.commitment_type || '').startsWith('retainer_')) {
+      throw new Error(`Commitment "${options.commitment_type}" needs the "retainer" pricing model, got "${model}"`);
+    }
+    return { pricing_model: model };
+  }
+
+  const term = Number(options.retainer_term_months || BASE_RATES.retainer.default_term_months);
+  if (!listRetainerTerms().includes(term)) {
+    throw new Error(`Retainer term must be one of ${listRetainerTerms().join(', ')} months, got ${options.retainer_term_months}`);
+  }
+  const commitment = `retainer_${term}_month`;
+  if (options.commitment_type && options.commitment_type !== commitment) {
+    throw new Error(`Commitment "${options.commitment_type}" conflicts with a ${term}-month retainer (${commitment})`);
+  }
+  return { pricing_model: model, retainer_term_months: term };
+}
+
+/**
+ * Spread the discounted project price over a retainer term as a monthly fee
+ * Early adopter pricing applies to the fee; the audit credit comes off the first invoice,
+ * and whatever is left of a credit larger than one month's fee comes off the next ones.
+ * @returns {Object} { subtotal, early_adopter_discount, total_contract_value, terms }
+ */
+function priceRetainer(discountedPrice, context) {
+  const { term, hours, hourlyRate, minimumProjectValue, auditCreditAmount, currency, options, round, floor } = context;
+  const settings = BASE_RATES.retainer;
+  const monthlyMinimum = roundToIncrement(minimumProjectValue / term, settings.rounding_increment);
+  const listFee = floor(
+    'retainer_monthly_minimum',
+    round('retainer_list_fee', discountedPrice / term, settings.rounding_increment),
+    monthlyMinimum
+  );
+
+  let monthlyFee = listFee;
+  let earlyAdopterDiscount = null;
   if (options.early_adopter !== false) {
     const earlyAdopterPercent = options.early_adopter_percent || 10;
-    // Calculate the target final price first (after all discounts and rounding)
-    const rawFinal = afterCredit * (1 - earlyAdopterPercent / 100);
-    finalPrice = roundToIncrement(rawFinal, BASE_RATES.rounding_increment);
-    finalPrice = Math.max(finalPrice, BASE_RATES.minimum_project_value);
-
-    // Back-calculate the discount amount so the math adds up exactly
-    const earlyAdopterAmount = afterCredit - finalPrice;
+    monthlyFee = floor(
+      'retainer_monthly_minimum',
+      round('retainer_monthly_fee', listFee * (1 - earlyAdopterPercent / 100), settings.rounding_increment),
+      monthlyMinimum
+    );
+    const earlyAdopterAmount = (listFee - monthlyFee) * term;
     earlyAdopterDiscount = {
       percentage: earlyAdopterPercent,
       amount: earlyAdopterAmount,
-      display: formatMoney(earlyAdopterAmount),
+      display: formatMoney(earlyAdopterAmount, currency.code, options.locale),
       note: 'Thank you for being an early adopter as we grow'
     };
-  } else {
-    finalPrice = roundToIncrement(afterCredit, BASE_RATES.rounding_increment);
-    finalPrice = Math.max(finalPrice, BASE_RATES.minimum_project_value);
   }
 
+  let creditLeft = Math.min(auditCreditAmount, monthlyFee * term);
+  const monthlyInvoices = Array.from({ length: term }, () => {
+    const credit = Math.min(creditLeft, monthlyFee);
+    creditLeft -= credit;
+    return monthlyFee - credit;
+  });
+  const totalContractValue = monthlyInvoices.reduce((sum, amount) => sum + amount, 0);
   return {
-    base_price: basePrice,
-    complexity_multiplier: multiplier,
-    complexity_factors: complexity,
-    adjusted_price: adjustedPrice,
-    discount: discount,
-    subtotal: subtotal,
-    audit_credit: auditCredit,
+    subtotal: listFee * term,
     early_adopter_discount: earlyAdopterDiscount,
-    final_price: finalPrice,
-    milestones: milestones,
-    currency: 'USD',
-    pricing_model: 'fixed_price'
+    total_contract_value: totalContractValue,
+    terms: {
+      term_months: term,
+      monthly_fee: monthlyFee,
+      first_month_fee: monthlyInvoices[0],
+      monthly_invoices: monthlyInvoices,
+      included_hours: round('retainer_included_hours', hours / term, settings.hours_increment, 'up'),
+      overage_rate: round('retainer_overage_rate', hourlyRate * (1 + settings.overage_premium_percent / 100), 5),
+      total_contract_value: totalContractValue
+    }
+  };
+}
+
+/**
+ * Price time and materials: hours per role at the hourly rates, an estimate range and a not-to-exceed cap
+ * Hours carry the complexity multiplier; percentage discounts come off the rates. The cap is the
+ * expected cost plus the buffer, or the high estimate when that is more.
+ * @param {Object} hours - { hours, min_hours, max_hours } summed over the fixes, before the multiplier
+ * @returns {Object} { rate_card, estimated_hours, estimate, not_to_exceed, buffer_percent }
+ */
+function priceTimeAndMaterials(hours, context) {
+  const { multiplier, discountPercent, minimumProjectValue, currency, round, floor } = context;
+  const settings = BASE_RATES.time_and_materials;
+  const estimatedHours = {
+    low: Math.round(hours.min_hours * multiplier),
+    expected: Math.round(hours.hours * multiplier),
+    high: Math.round(hours.max_hours * multiplier)
+  };
+
+  // Split the expected hours by role weight; the last role takes the rounding remainder
+  let allocated = 0;
+  const roles = Object.entries(ROLE_WEIGHTS);
+  const rateCard = roles.map(([type, weight], index) => {
+    const roleHours = index === roles.length - 1
+      ? estimatedHours.expected - allocated
+      : Math.round(estimatedHours.expected * weight);
+    allocated += roleHours;
+    const rate = Math.round(getHourlyRate(type, currency) * (1 - discountPercent / 100));
+    return {
+      role: type,
+      role_name: BASE_RATES.hourly_rates[type].name,
+      description: BASE_RATES.hourly_rates[type].description,
+      rate,
+      hours: roleHours,
+      amount: rate * roleHours
+    };
+  });
+
+  const expectedCost = rateCard.reduce((sum, role) => sum + role.amount, 0);
+  const blendedRate = estimatedHours.expected > 0 ? expectedCost / estimatedHours.expected : 0;
+  const estimate = {
+    low: round('estimate_low', estimatedHours.low * blendedRate, settings.rounding_increment),
+    expected: round('estimate_expected', expectedCost, settings.rounding_increment),
+    high: round('estimate_high', estimatedHours.high * blendedRate, settings.rounding_increment)
+  };
+
+  // The cap never falls inside the estimate range: the buffered expected cost or the high estimate
+  const notToExceed = floor(
+    'minimum_project_value',
+    round(
+      'not_to_exceed',
+      Math.max(expectedCost * (1 + settings.not_to_exceed_buffer_percent / 100), estimate.high),
+      BASE_RATES.rounding_increment,
+      'up'
+    ),
+    minimumProjectValue
+  );
+
+  return {
+    rate_card: rateCard,
+    estimated_hours: estimatedHours,
+    estimate,
+    not_to_exceed: notToExceed,
+    buffer_percent: settings.not_to_exceed_buffer_percent
   };
 }
 
 /**
- * Calculate base price from audit findings
+ * Estimate total project hours from the recommended fixes, with the effort_tiers range
+ * @returns {Object} { hours, min_hours, max_hours, source, fixes, finding_count? }
  */
-function calculateBasePrice(findings, auditData) {
-  let totalHours = 0;
-  const hourlyRates = BASE_RATES.hourly_rates;
+function estimateTotalHours(findings, auditData) {
   const effortTiers = BASE_RATES.effort_tiers;
+  const fixes = estimateFixHours(auditData.recommended_fixes || []);
+  const total = { hours: 0, min_hours: 0, max_hours: 0, source: 'recommended_fixes', fixes };
 
-  // Process each finding/fix
-  const fixes = auditData.recommended_fixes || [];
+  // The range is the sum of each fix's effort tier range
   for (const fix of fixes) {
-    const tier = mapToEffortTier(fix.effort_tier || fix.complexity || 'moderate');
-    const hours = effortTiers[tier]?.default_hours || 16;
-    totalHours += hours;
+    total.hours += fix.hours;
+    total.min_hours += fix.min_hours;
+    total.max_hours += fix.max_hours;
   }
 
   // If no fixes found, estimate from category count
-  if (totalHours === 0) {
+  if (total.hours === 0) {
     const categoryCount = findings.length || 3;
-    totalHours = categoryCount * effortTiers.moderate.default_hours;
+    total.source = 'finding_count';
+    total.finding_count = categoryCount;
+    total.hours = categoryCount * effortTiers.moderate.default_hours;
+    total.min_hours = categoryCount * effortTiers.moderate.min_hours;
+    total.max_hours = categoryCount * effortTiers.moderate.max_hours;
   }
 
-  // Calculate weighted hourly rate
-  const weightedRate = calculateWeightedRate(hourlyRates);
+  return total;
+}
+
+/**
+ * Weighted hourly rate in the billing currency (currency rate card, or base rates converted)
+ */
+function getWeightedRate(currency) {
+  return currency.hourly_rates
+    ? calculateWeightedRate(Object.fromEntries(
+      Object.entries(currency.hourly_rates).map(([type, rate]) => [type, { rate }])
+    ))
+    : calculateWeightedRate(BASE_RATES.hourly_rates) * currency.fx_rate;
+}
+
+/**
+ * Role rates and weights behind the blended rate, for the pricing ledger
+ */
+function describeWeightedRate(currency) {
+  const roles = Object.entries(ROLE_WEIGHTS).map(([role, weight]) => {
+    const rate = currency.hourly_rates
+      ? currency.hourly_rates[role] || 150
+      : (BASE_RATES.hourly_rates[role]?.rate || 150) * currency.fx_rate;
+    return { role, weight, rate, contribution: rate * weight };
+  });
+  return {
+    source: currency.hourly_rates
+      ? `currencies.json ${currency.code} hourly_rates`
+      : `base_rates.json hourly_rates × fx_rate ${currency.fx_rate}`,
+    roles,
+    blended_rate: getWeightedRate(currency)
+  };
+}
 
-  return totalHours * weightedRate;
+/**
+ * Estimate hours per recommended fix from its effort tier (pricing/base_rates.json effort_tiers)
+ * @param {Array<Object>} fixes - Recommended fixes
+ * @returns {Array<Object>} [{ fix_id, label, effort_tier, hours, min_hours, max_hours, depends_on }] in input order
+ */
+export function estimateFixHours(fixes = []) {
+  const effortTiers = BASE_RATES.effort_tiers;
+  return fixes.map((fix, index) => {
+    const tier = mapToEffortTier(fix.effort_tier || fix.complexity || 'moderate');
+    const hours = effortTiers[tier]?.default_hours || 16;
+    return {
+      fix_id: String(fix.fix_id || fix.id || `fix_${index + 1}`),
+      label: fix.fix || fix.problem || `Fix ${index + 1}`,
+      effort_tier: tier,
+      hours,
+      min_hours: effortTiers[tier]?.min_hours ?? hours,
+      max_hours: effortTiers[tier]?.max_hours ?? hours,
+      depends_on: fix.depends_on || []
+    };
+  });
 }
 
 /**
@@ -132,7 +562,7 @@ function mapToEffortTier(effort) {
   if (normalized.includes('trivial') || normalized.includes('simple') || normalized.includes('quick')) {
     return 'trivial';
   }
-  if (normalized.includes('critical') || normalized.includes('major') || normalized.includes('complex')) {
+  if (normalized.includes('critical') || normalized.includes('major')) {
     return 'critical';
   }
   if (normalized.includes('complex') || normalized.includes('significant')) {
@@ -146,17 +576,8 @@ function mapToEffortTier(effort) {
  */
 function calculateWeightedRate(rates) {
   // Weight by typical project composition
-  const weights = {
-    ai_engineering: 0.25,
-    integration_development: 0.35,
-    system_design: 0.15,
-    testing_qa: 0.10,
-    project_management: 0.10,
-    training_documentation: 0.05
-  };
-
   let weightedSum = 0;
-  for (const [type, weight] of Object.entries(weights)) {
+  for (const [type, weight] of Object.entries(ROLE_WEIGHTS)) {
     weightedSum += (rates[type]?.rate || 150) * weight;
   }
 
@@ -167,83 +588,88 @@ function calculateWeightedRate(rates) {
  * Assess project complexity from audit data
  */
 export function assessComplexity(auditData, options) {
-  const complexity = {};
+  return toComplexityFactors(resolveComplexityRules(auditData, options));
+}
+
+/**
+ * Multiplier per complexity factor, from the matched rules
+ */
+function toComplexityFactors(rules) {
+  return Object.fromEntries(Object.entries(rules).map(([factor, rule]) => [factor, rule.multiplier]));
+}
+
+/**
+ * Match each complexity factor to its complexity_multipliers.json rule
+ * @returns {Object} factor -> { input, rule, multiplier, description }; rule is null when nothing matched (1.0)
+ */
+function resolveComplexityRules(auditData, options = {}) {
+  const rules = {};
 
   // Systems count
   const systemsCount = auditData.systems?.length ||
     auditData.workflow?.systems_involved?.length || 2;
-  complexity.systems_count = getSystemsMultiplier(systemsCount);
+  rules.systems_count = complexityRule('systems_count', 'ranges', systemsRange(systemsCount), systemsCount);
 
-  // Integration difficulty
+  // Integration difficulty (use highest)
   const integrationTypes = auditData.integration_types || ['api_available'];
-  complexity.integration_difficulty = getIntegrationMultiplier(integrationTypes);
-
-  // Data sensitivity
-  const industry = auditData.client?.industry || auditData.prepared_for?.industry || 'technology';
-  complexity.data_sensitivity = getDataSensitivityMultiplier(industry, options);
+  const integrationRules = integrationTypes
+    .map(type => complexityRule('integration_difficulty', 'types', type.toLowerCase().replace(/\s+/g, '_'), type))
+    .filter(rule => rule.rule);
+  rules.integration_difficulty = integrationRules.length > 0
+    ? integrationRules.reduce((highest, rule) => (rule.multiplier > highest.multiplier ? rule : highest))
+    : complexityRule(null, null, null, integrationTypes.join(', '));
+
+  // Data sensitivity (explicit option, else inferred from industry; options.industry overrides the audit's)
+  const industry = options.industry || auditData.client?.industry || auditData.prepared_for?.industry || 'technology';
+  rules.data_sensitivity = options.data_sensitivity
+    ? complexityRule('data_sensitivity', 'levels', options.data_sensitivity, `option: ${options.data_sensitivity}`)
+    : complexityRule('data_sensitivity', 'levels', inferDataSensitivity(industry), `industry: ${industry}`);
 
   // Timeline pressure
   const timelinePressure = options.timeline_pressure || 'standard';
-  complexity.timeline_pressure = COMPLEXITY_MULTIPLIERS.timeline_pressure.speeds[timelinePressure]?.multiplier || 1.0;
+  rules.timeline_pressure = complexityRule('timeline_pressure', 'speeds', timelinePressure, timelinePressure);
 
   // Client readiness
   const clientReadiness = options.client_readiness || 'standard';
-  complexity.client_readiness = COMPLEXITY_MULTIPLIERS.client_technical_readiness.levels[clientReadiness]?.multiplier || 1.0;
+  rules.client_readiness = complexityRule('client_technical_readiness', 'levels', clientReadiness, clientReadiness);
 
   // Industry complexity
-  const industryKey = normalizeIndustry(industry);
-  complexity.industry = COMPLEXITY_MULTIPLIERS.industry_complexity.industries[industryKey]?.multiplier || 1.0;
+  rules.industry = complexityRule('industry_complexity', 'industries', normalizeIndustry(industry), industry);
 
-  return complexity;
+  return rules;
 }
 
 /**
- * Get systems count multiplier
+ * Look up one complexity rule; unmatched inputs count as 1.0
  */
-function getSystemsMultiplier(count) {
-  const ranges = COMPLEXITY_MULTIPLIERS.systems_count.ranges;
-  if (count <= 2) return ranges['1-2'].multiplier;
-  if (count <= 4) return ranges['3-4'].multiplier;
-  if (count <= 6) return ranges['5-6'].multiplier;
-  return ranges['7+'].multiplier;
+function complexityRule(section, group, key, input) {
+  const entry = section && COMPLEXITY_MULTIPLIERS[section][group][key];
+  return entry
+    ? { input, rule: `${section}.${group}.${key}`, multiplier: entry.multiplier || 1.0, description: entry.description }
+    : { input, rule: null, multiplier: 1.0, description: 'No matching rule' };
 }
 
 /**
- * Get integration difficulty multiplier (use highest)
+ * Systems count range key
  */
-function getIntegrationMultiplier(types) {
-  const integrationTypes = COMPLEXITY_MULTIPLIERS.integration_difficulty.types;
-  let maxMultiplier = 1.0;
-
-  for (const type of types) {
-    const normalized = type.toLowerCase().replace(/\s+/g, '_');
-    const mult = integrationTypes[normalized]?.multiplier || 1.0;
-    maxMultiplier = Math.max(maxMultiplier, mult);
-  }
-
-  return maxMultiplier;
+function systemsRange(count) {
+  if (count <= 2) return '1-2';
+  if (count <= 4) return '3-4';
+  if (count <= 6) return '5-6';
+  return '7+';
 }
 
 /**
- * Get data sensitivity multiplier based on industry
+ * Infer a data sensitivity level from the industry
  */
-function getDataSensitivityMultiplier(industry, options) {
-  // Check explicit override
-  if (options.data_sensitivity) {
-    return COMPLEXITY_MULTIPLIERS.data_sensitivity.levels[options.data_sensitivity]?.multiplier || 1.0;
-  }
-
-  // Infer from industry
-  const normalized = normalizeIndustry(industry);
+function inferDataSensitivity(industry) {
   const industryToSensitivity = {
     healthcare: 'hipaa_phi',
     financial_services: 'financial_regulated',
     legal: 'pii_present',
     government: 'government_classified'
   };
-
-  const sensitivity = industryToSensitivity[normalized] || 'standard';
-  return COMPLEXITY_MULTIPLIERS.data_sensitivity.levels[sensitivity]?.multiplier || 1.0;
+  return industryToSensitivity[normalizeIndustry(industry)] || 'standard';
 }
 
 /**
@@ -294,19 +720,23 @@ function calculateTotalMultiplier(complexity) {
 
 /**
  * Calculate applicable discounts
+ * Volume tiers are in the base currency; fxRate converts the price back for matching.
  */
-function calculateDiscount(price, options) {
+function calculateDiscount(price, options, fxRate = 1) {
   const discounts = [];
 
   // Volume discount
-  const volumeTier = DISCOUNT_RULES.volume_discounts.tiers.find(
-    t => price >= t.min_value && (t.max_value === null || price <= t.max_value)
+  const basePrice = price / fxRate;
+  const volumeIndex = DISCOUNT_RULES.volume_discounts.tiers.findIndex(
+    t => basePrice >= t.min_value && (t.max_value === null || basePrice <= t.max_value)
   );
+  const volumeTier = DISCOUNT_RULES.volume_discounts.tiers[volumeIndex];
   if (volumeTier && volumeTier.discount_percentage > 0) {
     discounts.push({
       type: 'volume',
       percentage: volumeTier.discount_percentage,
-      description: volumeTier.description
+      description: volumeTier.description,
+      rule: `volume_discounts.tiers[${volumeIndex}]`
     });
   }
 
@@ -317,7 +747,8 @@ function calculateDiscount(price, options) {
       discounts.push({
         type: 'commitment',
         percentage: commitment.discount_percentage,
-        description: commitment.description
+        description: commitment.description,
+        rule: `commitment_discounts.options.${options.commitment_type}`
       });
     }
   }
@@ -329,7 +760,8 @@ function calculateDiscount(price, options) {
       discounts.push({
         type: 'early_payment',
         percentage: earlyPay.discount_percentage,
-        description: earlyPay.description
+        description: earlyPay.description,
+        rule: `early_payment_discounts.options.${options.payment_terms}`
       });
     }
   }
@@ -339,7 +771,8 @@ function calculateDiscount(price, options) {
     discounts.push({
       type: 'referral',
       percentage: DISCOUNT_RULES.referral_discounts.first_project_discount,
-      description: DISCOUNT_RULES.referral_discounts.description_text
+      description: DISCOUNT_RULES.referral_discounts.description_text,
+      rule: 'referral_discounts.first_project_discount'
     });
   }
 
@@ -359,6 +792,8 @@ function calculateDiscount(price, options) {
 
   return {
     discounts_applied: discounts,
+    stacking: DISCOUNT_RULES.discount_stacking,
+    maximum_percentage: DISCOUNT_RULES.maximum_combined_discount,
     total_percentage: totalPercentage,
     amount: amount,
     requires_approval: totalPercentage > DISCOUNT_RULES.notes.approval_required_above
@@ -373,50 +808,34 @@ function roundToIncrement(price, increment) {
 }
 
 /**
- * Allocate price across milestones
+ * Allocate price across the template's milestones, keyed by milestone key
  * Uses "remainder adjustment" on last milestone to ensure sum equals total
  */
-function allocateMilestones(totalPrice) {
-  const allocation = BASE_RATES.milestone_allocation;
-
-  // Calculate first three milestones with rounding
-  const designAmount = roundToIncrement(totalPrice * (allocation.design.percentage / 100), 100);
-  const buildAmount = roundToIncrement(totalPrice * (allocation.build.percentage / 100), 100);
-  const testAmount = roundToIncrement(totalPrice * (allocation.test.percentage / 100), 100);
-
-  // Last milestone gets the remainder to ensure sum = total
-  const deployAmount = totalPrice - designAmount - buildAmount - testAmount;
+function allocateMilestones(totalPrice, template) {
+  const allocations = {};
+  let allocated = 0;
+
+  template.milestones.forEach((milestone, index) => {
+    const milestoneNumber = `2.${index + 1}`;
+    const isLast = index === template.milestones.length - 1;
+
+    // Last milestone gets the remainder to ensure sum = total
+    const amount = isLast
+      ? totalPrice - allocated
+      : roundToIncrement(totalPrice * (milestone.percentage / 100), 100);
+    allocated += amount;
+
+    allocations[milestone.key] = {
+      milestone_number: milestoneNumber,
+      milestone_name: milestone.name,
+      percentage: milestone.percentage,
+      amount: amount,
+      description: `Milestone ${milestoneNumber}: ${milestone.summary}`,
+      due_event: milestone.due_event
+    };
+  });
 
-  return {
-    design: {
-      milestone_number: '2.1',
-      milestone_name: 'Design',
-      percentage: allocation.design.percentage,
-      amount: designAmount,
-      description: allocation.design.description
-    },
-    build: {
-      milestone_number: '2.2',
-      milestone_name: 'Build',
-      percentage: allocation.build.percentage,
-      amount: buildAmount,
-      description: allocation.build.description
-    },
-    test: {
-      milestone_number: '2.3',
-      milestone_name: 'Test',
-      percentage: allocation.test.percentage,
-      amount: testAmount,
-      description: allocation.test.description
-    },
-    deploy: {
-      milestone_number: '2.4',
-      milestone_name: 'Deploy',
-      percentage: allocation.deploy.percentage,
-      amount: deployAmount,
-      description: allocation.deploy.description
-    }
-  };
+  return allocations;
 }
 
 // =============================================================================
@@ -499,6 +918,8 @@ export function calculateHardLaborSavings(monthlyBleed) {
  * @returns {Object} Modeled opportunity breakdown
  */
 export function calculateModeledOpportunity(config = {}) {
+  const currency = config.currency || BASE_CURRENCY;
+  const locale = config.locale;
   const dailyLeads = config.daily_leads_default || 20;
   const liftPercent = config.opportunity_lift_percent || 1;
   const avgDealValue = config.average_deal_value || 5000;
@@ -518,7 +939,7 @@ export function calculateModeledOpportunity(config = {}) {
     avg_deal_value: avgDealValue,
     type: 'modeled_opportunity',
     label: `Modeled Opportunity (Est. ${liftPercent}% Lift)`,
-    formula: `${dailyLeads} leads/day × 30 × ${liftPercent}% × $${avgDealValue.toLocaleString()}`
+    formula: `${dailyLeads} leads/day × 30 × ${liftPercent}% × ${formatMoney(avgDealValue, currency, locale)}`
   };
 }
 
@@ -575,10 +996,20 @@ export function validatePayback(projectPrice, totalMonthlyValue, config = {}) {
  * @param {number} monthlyBleed - Monthly revenue bleed from audit
  * @param {number} investmentTotal - Total project investment
  * @param {Object} options - Validation options
+ * @param {string} options.currency - Currency of bleed and investment (default: base currency)
+ * @param {string} options.locale - Display locale for amounts and payback (default: the currency's locale)
+ * @param {number} options.monthly_fee - Retainer fee; adds monthly_comparison against the monthly recovery
  * @returns {Object} Complete ROI with value breakdown and validation
  */
 export function calculateROI(monthlyBleed, investmentTotal, options = {}) {
-  const config = { ...DEFAULT_PRICING_VALIDATION, ...options };
+  const currency = getCurrency(options.currency || BASE_CURRENCY);
+  const config = {
+    ...DEFAULT_PRICING_VALIDATION,
+    // Default deal value is in the base currency
+    average_deal_value: Math.round(DEFAULT_PRICING_VALIDATION.average_deal_value * currency.fx_rate),
+    ...options,
+    currency: currency.code
+  };
 
   // Hard Savings (from audit bleed data - guaranteed)
   const hardSavings = calculateHardLaborSavings(monthlyBleed);
@@ -611,16 +1042,16 @@ export function calculateROI(monthlyBleed, investmentTotal, options = {}) {
     // Legacy format (backward compatible)
     monthly_recovery: {
       amount: monthlyBleed,
-      currency: 'USD',
-      display: formatMoney(monthlyBleed)
+      currency: currency.code,
+      display: formatMoney(monthlyBleed, currency.code, options.locale)
     },
     annual_recovery: {
       amount: annualRecovery,
-      currency: 'USD',
-      display: formatMoney(annualRecovery)
+      currency: currency.code,
+      display: formatMoney(annualRecovery, currency.code, options.locale)
     },
     payback_period_months: Math.ceil(paybackMonths * 10) / 10,
-    payback_display: formatPaybackPeriod(paybackMonths),
+    payback_display: formatPaybackPeriod(paybackMonths, options.locale),
 
     // Enterprise pricing (CFO-credible, separated values)
     value_breakdown: {
@@ -638,33 +1069,110 @@ export function calculateROI(monthlyBleed, investmentTotal, options = {}) {
         ? 'All pricing validation checks passed'
         : 'WARNING: One or more pricing validation checks failed'
     },
-    annual_roi_percent: annualROIPercent
+    annual_roi_percent: annualROIPercent,
+
+    // Retainers: what the client pays each month against what the fixes recover each month
+    ...(options.monthly_fee !== undefined && {
+      monthly_comparison: compareMonthlyFee(monthlyBleed, options.monthly_fee, currency.code, options.locale)
+    })
   };
 }
 
 /**
- * Format money for display
+ * Compare a recurring monthly fee with the monthly recovery
  */
-export function formatMoney(amount, currency = 'USD') {
-  return new Intl.NumberFormat('en-US', {
-    style: 'currency',
-    currency: currency,
-    minimumFractionDigits: 0,
-    maximumFractionDigits: 0
-  }).format(amount);
+function compareMonthlyFee(monthlyRecovery, monthlyFee, currency, locale) {
+  const money = amount => ({ amount, currency, display: formatMoney(amount, currency, locale) });
+  return {
+    monthly_fee: money(monthlyFee),
+    monthly_recovery: money(monthlyRecovery),
+    net_monthly_value: money(monthlyRecovery - monthlyFee),
+    recovery_to_fee_ratio: monthlyFee > 0 ? Math.round((monthlyRecovery / monthlyFee) * 10) / 10 : null,
+    covers_fee: monthlyRecovery >= monthlyFee
+  };
 }
 
+// Money formatting lives in currency.js; re-exported for existing importers
+export { formatMoney };
+
 /**
  * Format payback period for display
  */
-export function formatPaybackPeriod(months) {
+export function formatPaybackPeriod(months, locale) {
   if (months < 1) {
-    const weeks = Math.ceil(months * 4.33);
-    return `${weeks} week${weeks !== 1 ? 's' : ''}`;
+    return formatUnit(Math.ceil(months * 4.33), 'weeks', locale);
+  }
+  return formatUnit(Math.ceil(months * 10) / 10, 'months', locale);
+}
+
+/**
+ * List add-on IDs from pricing/add_ons.json
+ */
+export function listAddOns() {
+  return Object.keys(ADD_ONS.add_ons);
+}
+
+/**
+ * Hourly rate for a skill type in the billing currency (the currency's rate card, else converted base rate)
+ */
+function getHourlyRate(type, currency) {
+  if (currency.hourly_rates?.[type] !== undefined) return currency.hourly_rates[type];
+  const base = BASE_RATES.hourly_rates[type];
+  if (!base) {
+    throw new Error(`Unknown rate type: ${type}. Available: ${Object.keys(BASE_RATES.hourly_rates).join(', ')}`);
+  }
+  return base.rate * currency.fx_rate;
+}
+
+/**
+ * Price optional add-ons; never part of the proposal total
+ * @param {Array<string>|string|boolean} requested - Add-on IDs (array or comma-separated), or true for the whole catalog
+ * @param {Object} options - { currency, locale }
+ * @returns {Array<Object>} [{ add_on_id, name, description, pricing_basis, hours?, hourly_rate?, price, billing, roi_note }]
+ *   name, description and roi_note come from the locale's add_ons.items, else the catalog;
+ *   description and roi_note may still hold {placeholders}
+ */
+export function priceAddOns(requested, options = {}) {
+  const list = typeof requested === 'string' ? requested.split(',').map(a => a.trim()).filter(Boolean) : requested;
+  const ids = list === true ? listAddOns() : [...new Set(list || [])];
+  const unknown = ids.filter(id => !ADD_ONS.add_ons[id]);
+  if (unknown.length > 0) {
+    throw new Error(`Unknown add-on: ${unknown.join(', ')}. Available: ${listAddOns().join(', ')}`);
   }
-  const roundedMonths = Math.ceil(months * 10) / 10;
-  if (roundedMonths === 1) return '1 month';
-  return `${roundedMonths} months`;
+
+  const currency = getCurrency(options.currency || BASE_CURRENCY);
+  const money = amount => ({
+    amount,
+    currency: currency.code,
+    display: formatMoney(amount, currency.code, options.locale)
+  });
+
+  const translations = loadLocale(options.locale || DEFAULT_LOCALE).add_ons?.items || {};
+
+  return ids.map(id => {
+    const addOn = ADD_ONS.add_ons[id];
+    const copy = { ...addOn, ...translations[id] };
+    const item = {
+      add_on_id: id,
+      name: copy.name,
+      description: copy.description,
+      pricing_basis: addOn.pricing,
+      billing: addOn.billing || 'one_time',
+      roi_note: copy.roi_note || ''
+    };
+
+    if (addOn.pricing === 'fixed') {
+      item.price = money(roundToIncrement(addOn.amount * currency.fx_rate, ADD_ONS.rounding_increment));
+    } else if (addOn.pricing === 'hours') {
+      const rate = getHourlyRate(addOn.rate_type, currency);
+      item.hours = addOn.hours;
+      item.hourly_rate = money(Math.round(rate));
+      item.price = money(roundToIncrement(addOn.hours * rate, ADD_ONS.rounding_increment));
+    } else {
+      throw new Error(`Add-on ${id}: pricing must be "fixed" or "hours", got "${addOn.pricing}"`);
+    }
+    return item;
+  });
 }
 
 /**
@@ -695,6 +1203,13 @@ export default {
   calculateROI,
   formatMoney,
   formatPaybackPeriod,
+  estimateFixHours,
+  listPricingModels,
+  listRetainerTerms,
+  listOptionValues,
+  resolvePricingModel,
+  listAddOns,
+  priceAddOns,
   getPackageRecommendation,
   assessComplexity,
   // Enterprise pricing validation
@@ -0,0 +1,117 @@
+/**
+ * Pricing Ledger Formatting
+ * Plain-text view of the ledger calculatePricing attaches to its result (pricing.ledger)
+ *
+ * Used by `calculate-pricing --explain` and for the internal pricing appendix written
+ * next to a generated proposal. Never part of the client-facing document.
+ */
+
+import { getCurrency } from './currency.js';
+
+/**
+ * Format a pricing ledger as numbered, human-readable steps
+ * @param {Object} ledger - pricing.ledger from calculatePricing
+ * @param {Object} options - { locale, title }
+ * @returns {string} Multi-line text
+ */
+export function formatPricingLedger(ledger, options = {}) {
+  const locale = options.locale || getCurrency(ledger.currency).locale;
+  const number = new Intl.NumberFormat(locale, { maximumFractionDigits: 2 });
+  const factor = new Intl.NumberFormat(locale, { maximumFractionDigits: 4 });
+  // Whole amounts without cents, anything else to the cent ($52.50, not $52.5)
+  const currencyFormat = digits => new Intl.NumberFormat(locale, {
+    style: 'currency',
+    currency: ledger.currency,
+    minimumFractionDigits: digits,
+    maximumFractionDigits: digits
+  });
+  const wholeMoney = currencyFormat(0);
+  const centsMoney = currencyFormat(2);
+  const money = amount => (Number.isInteger(amount) ? wholeMoney : centsMoney).format(amount);
+  const signed = amount => `${amount < 0 ? '−' : '+'}${money(Math.abs(amount))}`;
+  const lines = [];
+  const { effort, rate, discounts } = ledger;
+
+  lines.push(`${options.title || 'Pricing ledger'} (${ledger.pricing_model}, ${ledger.currency})`);
+
+  lines.push('', '1. Effort');
+  if (effort.source === 'finding_count') {
+    lines.push(`   No recommended fixes: ${effort.finding_count} findings × ${effort.hours_per_finding}h (moderate default)`);
+  }
+  // Time and materials estimates its range from each fix's min/max hours
+  const range = fix => (ledger.time_and_materials ? ` (${fix.min_hours}–${fix.max_hours}h)` : '');
+  for (const fix of effort.fixes) {
+    lines.push(`   ${fix.fix_id}  ${fix.label}`);
+    lines.push(`      ${fix.effort_tier} → ${fix.hours}h${range(fix)} × ${money(fix.rate)}/h = ${money(fix.amount)}`);
+  }
+  lines.push(`   Total: ${number.format(effort.total_hours)}h`);
+  if (effort.scope_share !== 1) {
+    lines.push(`   Scope share ${number.format(effort.scope_share * 100)}% → ${number.format(effort.priced_hours)}h priced`);
+  }
+
+  lines.push('', `2. Blended rate (${rate.source})`);
+  for (const role of rate.roles) {
+    lines.push(`   ${role.role.padEnd(26)} ${money(role.rate)} × ${role.weight} = ${money(role.contribution)}`);
+  }
+  lines.push(`   Blended: ${money(rate.blended_rate)}/h`);
+
+  lines.push('', `3. Base price: ${number.format(effort.priced_hours)}h × ${money(rate.blended_rate)}/h = ${money(ledger.base_price)}`);
+
+  lines.push('', '4. Complexity multipliers (complexity_multipliers.json)');
+  for (const m of ledger.multipliers) {
+    const source = m.rule ? m.rule : 'no matching rule';
+    lines.push(`   ${m.factor.padEnd(24)} ×${factor.format(m.multiplier)}  ${source} (input: ${m.input})`);
+  }
+  lines.push(`   Combined: ×${factor.format(ledger.combined_multiplier)} → adjusted price ${money(ledger.adjusted_price)}`);
+
+  lines.push('', `5. Discounts (discount_rules.json, ${discounts.stacking}, max ${discounts.maximum_percentage}%)`);
+  if (discounts.applied.length === 0) lines.push('   None triggered');
+  for (const d of discounts.applied) {
+    lines.push(`   ${d.counted ? '✓' : '✗'} ${d.type} ${d.percentage}%  ${d.rule} (${d.description})`);
+  }
+  lines.push(discounts.applies_to === 'hourly_rates'
+    ? `   Total: ${discounts.total_percentage}% off the hourly rates`
+    : `   Total: ${discounts.total_percentage}% = ${signed(-discounts.amount)}`);
+
+  lines.push('', '6. Credits');
+  if (ledger.credits.length === 0) lines.push('   None');
+  for (const credit of ledger.credits) {
+    const percentage = credit.percentage ? ` ${credit.percentage}%` : '';
+    lines.push(`   ${credit.type}${percentage}: ${signed(-credit.amount)} (${credit.description})`);
+  }
+
+  lines.push('', '7. Rounding and minimums');
+  if (ledger.rounding.length === 0) lines.push('   None');
+  for (const step of ledger.rounding) {
+    const how = step.type === 'minimum'
+      ? 'raised to minimum'
+      : `${step.direction === 'up' ? 'up' : 'nearest'} ${number.format(step.increment)}`;
+    lines.push(`   ${step.step.padEnd(26)} ${number.format(step.before)} → ${number.format(step.after)} (${how}, ${step.adjustment < 0 ? '−' : '+'}${number.format(Math.abs(step.adjustment))})`);
+  }
+
+  if (ledger.retainer) {
+    const { term_months: term, monthly_fee: fee } = ledger.retainer;
+    const credit = ledger.credits.find(c => c.type === 'audit_credit')?.amount;
+    lines.push('', '8. Retainer');
+    lines.push(`   ${money(fee)}/month × ${term} months${credit ? ` ${signed(-credit)} audit credit` : ''} = ${money(ledger.final_price)}`);
+    lines.push(`   Included: ${ledger.retainer.included_hours}h/month; overage ${money(ledger.retainer.overage_rate)}/h`);
+  }
+  if (ledger.time_and_materials) {
+    const tm = ledger.time_and_materials;
+    lines.push('', '8. Time and materials (hours × complexity multiplier, split by role weight)');
+    for (const role of tm.rate_card) {
+      lines.push(`   ${role.role.padEnd(26)} ${role.hours}h × ${money(role.rate)}/h = ${money(role.amount)}`);
+    }
+    lines.push(`   Estimate: ${money(tm.estimate.low)}–${money(tm.estimate.high)} (${tm.estimated_hours.low}–${tm.estimated_hours.high}h, per-fix min/max hours)`);
+    lines.push(`   Not to exceed: expected + ${tm.buffer_percent}% or the high estimate, whichever is more = ${money(tm.not_to_exceed)}`);
+  }
+
+  lines.push('', `Subtotal: ${money(ledger.subtotal)}`);
+  lines.push(`Final price: ${money(ledger.final_price)}`);
+
+  return lines.join('\n');
+}
+
+export default {
+  formatPricingLedger
+};
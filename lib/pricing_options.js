@@ -0,0 +1,142 @@
+/**
+ * Pricing Options
+ * Validated layer between CLI flags / --pricing-config files and calculatePricing's options
+ *
+ * Option names are calculatePricing's snake_case names. Enumerated values come from the
+ * pricing config that defines them (complexity_multipliers.json, discount_rules.json), so
+ * a level added there is accepted here without code changes. Unknown options, bad values
+ * and combinations that contradict each other are rejected rather than priced as 1.0.
+ */
+
+import fs from 'fs';
+import { getCurrency } from './currency.js';
+import { getMilestoneTemplate } from './milestone_builder.js';
+import { listOptionValues, listPricingModels, listRetainerTerms, resolvePricingModel } from './pricing_calculator.js';
+
+const ENUMERATED = ['industry', 'timeline_pressure', 'client_readiness', 'data_sensitivity', 'commitment_type', 'payment_terms'];
+
+// CLI flags arrive as strings; these are converted before checking
+const NUMERIC = ['retainer_term_months', 'early_adopter_percent', 'audit_credit_amount', 'valid_days'];
+
+// Option -> check(value) returning an error message, or null when valid
+const CHECKS = {
+  currency: value => {
+    try {
+      getCurrency(value);
+      return null;
+    } catch (error) {
+      return error.message;
+    }
+  },
+  milestone_template: value => {
+    try {
+      getMilestoneTemplate(value);
+      return null;
+    } catch (error) {
+      return error.message;
+    }
+  },
+  pricing_model: value => (listPricingModels().includes(value)
+    ? null
+    : `must be one of ${listPricingModels().join(', ')}`),
+  retainer_term_months: value => (listRetainerTerms().includes(value)
+    ? null
+    : `must be one of ${listRetainerTerms().join(', ')} months`),
+  ...Object.fromEntries(ENUMERATED.map(option => [
+    option,
+    value => (listOptionValues(option).includes(value) ? null : `must be one of ${listOptionValues(option).join(', ')}`)
+  ])),
+  is_referral: value => (typeof value === 'boolean' ? null : 'must be true or false'),
+  early_adopter: value => (typeof value === 'boolean' ? null : 'must be true or false'),
+  early_adopter_percent: value => (typeof value === 'number' && value > 0 && value < 100
+    ? null
+    : 'must be a number between 0 and 100'),
+  audit_credit_amount: value => (typeof value === 'number' && value >= 0 ? null : 'must be a number of 0 or more'),
+  valid_days: value => (Number.isInteger(value) && value > 0 ? null : 'must be a positive whole number of days')
+};
+
+/**
+ * List the options a pricing config may set
+ */
+export function listPricingOptions() {
+  return Object.keys(CHECKS);
+}
+
+/**
+ * Check pricing options, naming where each bad value came from
+ * @param {Object} options - snake_case pricing options
+ * @param {string} source - Where they came from, for error messages (e.g. "pricing.json")
+ * @returns {Object} The options, with numeric strings from the CLI converted
+ */
+export function validatePricingOptions(options, source) {
+  const checked = {};
+  for (const [option, raw] of Object.entries(options)) {
+    if (raw === undefined) continue;
+    if (!CHECKS[option]) {
+      throw new Error(`Unknown pricing option "${option}" in ${source}. Known options: ${listPricingOptions().join(', ')}`);
+    }
+    const value = NUMERIC.includes(option) && typeof raw === 'string' && raw.trim() !== '' ? Number(raw) : raw;
+    const problem = CHECKS[option](value);
+    if (problem) {
+      throw new Error(`Invalid ${option} "${raw}" in ${source}: ${problem}`);
+    }
+    checked[option] = option === 'currency' ? getCurrency(value).code : value;
+  }
+  return checked;
+}
+
+/**
+ * Reject option combinations that contradict each other
+ */
+function checkConflicts(options) {
+  if (options.early_adopter === false && options.early_adopter_percent !== undefined) {
+    throw new Error('early_adopter_percent conflicts with early_adopter: false');
+  }
+  if (options.pricing_model === 'time_and_materials' && String(options.payment_terms || '').startsWith('prepaid_')) {
+    throw new Error(`Payment terms "${options.payment_terms}" can't prepay time and materials, which is billed as worked`);
+  }
+  resolvePricingModel(options);
+}
+
+/**
+ * Load a --pricing-config file: a JSON object of pricing options
+ * @param {string} filePath - Path to the JSON file
+ * @returns {Object} Validated options
+ */
+export function loadPricingConfig(filePath) {
+  if (!fs.existsSync(filePath)) {
+    throw new Error(`Pricing config not found: ${filePath}`);
+  }
+
+  let config;
+  try {
+    config = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+  } catch (error) {
+    throw new Error(`Pricing config ${filePath} is not valid JSON: ${error.message}`);
+  }
+  if (!config || typeof config !== 'object' || Array.isArray(config)) {
+    throw new Error(`Pricing config ${filePath} must be a JSON object of pricing options`);
+  }
+  return validatePricingOptions(config, filePath);
+}
+
+/**
+ * Merge option layers, later layers overriding earlier ones, then check the result as a whole
+ * @param {Array<Object>} layers - [{ source, options }] lowest precedence first
+ * @returns {Object} Merged, validated pricing options
+ */
+export function resolvePricingOptions(layers) {
+  const merged = {};
+  for (const { source, options } of layers) {
+    Object.assign(merged, validatePricingOptions(options, source));
+  }
+  checkConflicts(merged);
+  return merged;
+}
+
+export default {
+  listPricingOptions,
+  validatePricingOptions,
+  loadPricingConfig,
+  resolvePricingOptions
+};
@@ -0,0 +1,142 @@
+/**
+ * Pricing Scenarios
+ * What-if option sets for `compare-pricing` and the side-by-side table it prints
+ *
+ * A scenario file is a JSON object of calculatePricing options, e.g.
+ *   { "name": "Healthcare, expedited", "industry": "healthcare", "timeline_pressure": "expedited" }
+ * "name" labels the column (default: the file name). Options not set fall back to the
+ * shared ones from the command line.
+ */
+
+import fs from 'fs';
+import path from 'path';
+import { formatMoney, getCurrency } from './currency.js';
+import { validatePricingOptions } from './pricing_options.js';
+
+/**
+ * Load a scenario file
+ * @param {string} filePath - Path to a scenario JSON file
+ * @returns {Object} { name, options }
+ */
+export function loadScenario(filePath) {
+  if (!fs.existsSync(filePath)) {
+    throw new Error(`Scenario file not found: ${filePath}`);
+  }
+
+  let scenario;
+  try {
+    scenario = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+  } catch (error) {
+    throw new Error(`Scenario ${filePath} is not valid JSON: ${error.message}`);
+  }
+  if (!scenario || typeof scenario !== 'object' || Array.isArray(scenario)) {
+    throw new Error(`Scenario ${filePath} must be a JSON object of pricing options`);
+  }
+
+  const { name, ...options } = scenario;
+  return { name: name || path.basename(filePath, '.json'), options: validatePricingOptions(options, filePath) };
+}
+
+/**
+ * Union of row keys across scenarios, in first-seen order
+ */
+function unionKeys(results, keysOf) {
+  return [...new Set(results.flatMap(keysOf))];
+}
+
+/**
+ * Build the comparison table rows: [label, ...one cell per scenario], or a section title
+ * @param {Array<Object>} results - From comparePricing
+ * @returns {Array<Array<string>|string>} Rows
+ */
+export function buildScenarioRows(results) {
+  const money = (result, amount) => formatMoney(amount, result.pricing.currency, result.pricing.locale);
+  // Multipliers to at most four decimals, as in the pricing ledger (×1.65, not ×1.6500000000000001)
+  const formatFactor = (result, value) => new Intl.NumberFormat(
+    result.pricing.locale || getCurrency(result.pricing.currency).locale,
+    { maximumFractionDigits: 4 }
+  ).format(value);
+  const row = (label, cell) => [label, ...results.map(result => cell(result) ?? '—')];
+  const rows = [];
+
+  rows.push(row('Pricing model', r => r.pricing.pricing_model));
+
+  rows.push('Multipliers');
+  for (const factor of unionKeys(results, r => r.pricing.ledger.multipliers.map(m => m.factor))) {
+    rows.push(row(factor, r => {
+      const multiplier = r.pricing.ledger.multipliers.find(m => m.factor === factor);
+      return multiplier && `×${formatFactor(r, multiplier.multiplier)} (${multiplier.input})`;
+    }));
+  }
+  rows.push(row('combined', r => `×${formatFactor(r, r.pricing.ledger.combined_multiplier)}`));
+
+  // Triggered discounts the stacking mode did not count are shown in parentheses
+  rows.push('Discounts');
+  for (const type of unionKeys(results, r => r.pricing.ledger.discounts.applied.map(d => d.type))) {
+    rows.push(row(type, r => {
+      const discount = r.pricing.ledger.discounts.applied.find(d => d.type === type);
+      return discount && (discount.counted ? `${discount.percentage}%` : `(${discount.percentage}%)`);
+    }));
+  }
+  rows.push(row('total', r => `${r.pricing.discount.total_percentage}%`));
+  rows.push(row('early_adopter', r => r.pricing.early_adopter_discount && money(r, -r.pricing.early_adopter_discount.amount)));
+  rows.push(row('audit_credit', r => (r.pricing.audit_credit.amount > 0 ? money(r, -r.pricing.audit_credit.amount) : null)));
+
+  rows.push('Price');
+  rows.push(row('Base price', r => money(r, r.pricing.base_price)));
+  rows.push(row('Subtotal', r => money(r, r.pricing.subtotal)));
+  if (results.some(r => r.pricing.retainer)) {
+    rows.push(row('Monthly fee', r => r.pricing.retainer && `${money(r, r.pricing.retainer.monthly_fee)} × ${r.pricing.retainer.term_months}`));
+  }
+  rows.push(row('Final price', r => money(r, r.pricing.final_price)));
+
+  // Retainer and T&M bill monthly, so their milestones carry no payment
+  rows.push('Milestones');
+  const milestoneLabel = m => `${m.milestone_number} ${m.milestone_name}`;
+  for (const label of unionKeys(results, r => Object.values(r.pricing.milestones).map(milestoneLabel))) {
+    rows.push(row(label, r => {
+      if (r.pricing.pricing_model !== 'fixed_price') return 'billed monthly';
+      const milestone = Object.values(r.pricing.milestones).find(m => milestoneLabel(m) === label);
+      return milestone && `${money(r, milestone.amount)} (${milestone.percentage}%)`;
+    }));
+  }
+
+  rows.push('ROI');
+  rows.push(row('Monthly recovery', r => r.roi.monthly_recovery.display));
+  rows.push(row('Payback', r => r.roi.payback_display));
+
+  return rows;
+}
+
+/**
+ * Format comparison results as a side-by-side text table
+ * @param {Array<Object>} results - From comparePricing
+ * @returns {string} Multi-line table
+ */
+export function formatScenarioTable(results) {
+  // Indent rows under a section title
+  let inSection = false;
+  const rows = buildScenarioRows(results).map(row => {
+    if (!Array.isArray(row)) {
+      inSection = true;
+      return row;
+    }
+    return inSection ? [`  ${row[0]}`, ...row.slice(1)] : row;
+  });
+  const header = ['', ...results.map(r => r.name)];
+  const cells = [header, ...rows.filter(Array.isArray)];
+  const widths = header.map((_, i) => Math.max(...cells.map(cell => String(cell[i]).length)));
+  const line = cell => cell.map((value, i) => String(value).padEnd(widths[i])).join('  ').trimEnd();
+
+  const lines = [line(header), widths.map(w => '-'.repeat(w)).join('  ')];
+  for (const row of rows) {
+    lines.push(Array.isArray(row) ? line(row) : `\n${row}`);
+  }
+  return lines.join('\n');
+}
+
+export default {
+  loadScenario,
+  buildScenarioRows,
+  formatScenarioTable
+};
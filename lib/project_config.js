@@ -0,0 +1,169 @@
+/**
+ * Project Config and Profiles
+ * proposal.config.json (or .proposalrc, same JSON) with named profiles, e.g. "upwork-solo"
+ * and "agency-direct", each bundling platform, pricing overrides, brand, template, locale
+ * and LLM provider. Validated against schemas/proposal_config_schema.json.
+ *
+ * Precedence is CLI flag > profile > env > defaults: a profile fills in what the command
+ * line leaves unset, and the env/built-in defaults in transform_proposal.js fill in the rest.
+ */
+
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import Ajv2020 from 'ajv/dist/2020.js';
+import { getCurrency } from './currency.js';
+import { resolveLocale } from './locale.js';
+import { getMilestoneTemplate } from './milestone_builder.js';
+import { listProviders } from './llm_provider.js';
+import { validatePricingOptions } from './pricing_options.js';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+export const CONFIG_FILES = ['proposal.config.json', '.proposalrc'];
+
+const ajv = new Ajv2020({ allErrors: true, strict: false });
+const validateSchema = ajv.compile(JSON.parse(
+  fs.readFileSync(path.join(__dirname, '../schemas/proposal_config_schema.json'), 'utf8')
+));
+
+/**
+ * Find the project config in a directory
+ * @param {string} dir - Directory to look in (default: current directory)
+ * @returns {string|null} Path to proposal.config.json or .proposalrc, or null
+ */
+export function findProjectConfig(dir = process.cwd()) {
+  const found = CONFIG_FILES.map(name => path.join(dir, name)).find(file => fs.existsSync(file));
+  return found || null;
+}
+
+/**
+ * Check what the schema can't: references to locales, currencies, templates, providers and pricing rules
+ */
+function checkProfile(name, profile, source) {
+  const label = `${source}: profile "${name}"`;
+  try {
+    if (profile.locale) resolveLocale(profile.locale);
+    if (profile.currency) getCurrency(profile.currency);
+    if (profile.milestone_template) getMilestoneTemplate(profile.milestone_template);
+    if (profile.pricing) validatePricingOptions(profile.pricing, 'pricing');
+  } catch (error) {
+    throw new Error(`${label}: ${error.message}`);
+  }
+  if (profile.llm?.provider && !listProviders().includes(profile.llm.provider)) {
+    throw new Error(`${label}: unknown LLM provider "${profile.llm.provider}". Available: ${listProviders().join(', ')}`);
+  }
+  if (profile.template && !fs.existsSync(path.resolve(path.dirname(source), profile.template))) {
+    throw new Error(`${label}: template not found: ${profile.template}`);
+  }
+}
+
+/**
+ * Load and validate a project config file
+ * @param {string} filePath - Path to proposal.config.json or .proposalrc
+ * @returns {Object} { path, default_profile, profiles }
+ */
+export function loadProjectConfig(filePath) {
+  if (!fs.existsSync(filePath)) {
+    throw new Error(`Project config not found: ${filePath}`);
+  }
+
+  let config;
+  try {
+    config = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+  } catch (error) {
+    throw new Error(`Project config ${filePath} is not valid JSON: ${error.message}`);
+  }
+
+  if (!validateSchema(config)) {
+    const problems = validateSchema.errors.map(err => {
+      const property = err.params.additionalProperty ? ` ("${err.params.additionalProperty}")` : '';
+      return `  ${err.instancePath || '/'} ${err.message}${property}`;
+    });
+    throw new Error(`Project config ${filePath} does not match schemas/proposal_config_schema.json:\n${problems.join('\n')}`);
+  }
+  if (config.default_profile && !config.profiles[config.default_profile]) {
+    throw new Error(`Project config ${filePath}: default_profile "${config.default_profile}" is not one of its profiles`);
+  }
+  for (const [name, profile] of Object.entries(config.profiles)) {
+    checkProfile(name, profile, filePath);
+  }
+
+  return { path: filePath, default_profile: config.default_profile, profiles: config.profiles };
+}
+
+/**
+ * Select the profile for a run
+ * @param {Object} options - { configPath, profile } (configPath default: found in the current directory)
+ * @returns {Object|null} { name, source, profile }, or null when no profile applies
+ */
+export function selectProfile({ configPath, profile: name } = {}) {
+  const filePath = configPath || findProjectConfig();
+  if (!filePath) {
+    if (name) throw new Error(`Profile "${name}" needs a project config: none of ${CONFIG_FILES.join(', ')} found`);
+    return null;
+  }
+
+  const config = loadProjectConfig(filePath);
+  const selected = name || config.default_profile;
+  if (!selected) return null;
+  if (!config.profiles[selected]) {
+    throw new Error(`Unknown profile: ${selected}. Available in ${filePath}: ${Object.keys(config.profiles).join(', ')}`);
+  }
+  return { name: selected, source: filePath, profile: config.profiles[selected] };
+}
+
+/**
+ * Turn a profile into pipeline options (camelCase, as the CLI passes them)
+ * Only what the profile sets is returned, so the caller can let flags win.
+ * @param {Object} selected - From selectProfile
+ * @returns {Object} { platform, locale, currency, milestoneTemplate, templatePath, provider, models,
+ *   baseUrl, authHeader, fixtures, profilePricing, proposalConfig }
+ */
+export function profileToOptions({ source, profile }) {
+  const options = {
+    platform: profile.platform,
+    locale: profile.locale,
+    currency: profile.currency,
+    milestoneTemplate: profile.milestone_template,
+    templatePath: profile.template && path.resolve(path.dirname(source), profile.template),
+    provider: profile.llm?.provider,
+    models: profile.llm?.models,
+    baseUrl: profile.llm?.base_url,
+    authHeader: profile.llm?.auth_header,
+    fixtures: profile.llm?.fixtures && path.resolve(path.dirname(source), profile.llm.fixtures),
+    profilePricing: profile.pricing,
+    proposalConfig: Object.fromEntries(
+      ['brand', 'producer', 'cta', 'defaults'].filter(section => profile[section]).map(section => [section, profile[section]])
+    )
+  };
+  return Object.fromEntries(Object.entries(options).filter(([, value]) => value !== undefined));
+}
+
+/**
+ * Lay command-line options over a profile
+ * Only options typed on the command line override the profile; values from the environment
+ * or option defaults fill in just what the profile leaves unset.
+ * @param {Object} selected - From selectProfile
+ * @param {Object} options - Parsed command options
+ * @param {Function} getSource - Option key → 'cli' | 'env' | 'default' | ... (Commander's getOptionValueSource)
+ * @returns {Object} Merged options, with profileName and profileSource
+ */
+export function mergeProfileOptions(selected, options, getSource) {
+  const merged = { ...profileToOptions(selected), profileName: selected.name, profileSource: selected.source };
+  for (const [key, value] of Object.entries(options)) {
+    if (value === undefined) continue;
+    if (getSource(key) === 'cli' || !(key in merged)) merged[key] = value;
+  }
+  return merged;
+}
+
+export default {
+  CONFIG_FILES,
+  findProjectConfig,
+  loadProjectConfig,
+  selectProfile,
+  profileToOptions,
+  mergeProfileOptions
+};
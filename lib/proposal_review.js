@@ -0,0 +1,175 @@
+/**
+ * Proposal Review
+ * Interactive terminal pass over the LLM-written fields of a saved proposal (`cli.js review`):
+ * accept, edit or regenerate each one (optionally with a revision instruction), with the
+ * proposal re-validated after every change.
+ *
+ * Reads answers line by line, so it works in a terminal and with piped input alike.
+ */
+
+import readline from 'readline';
+import { listLLMFields, regenerateField, applyFieldValue } from './llm_batch_executor.js';
+import { validateProposal, formatErrors } from './validate.js';
+
+const ACTIONS = '[a]ccept  [e]dit  [r]egenerate  [q]uit';
+
+/**
+ * Format a field value for display, indented
+ */
+function formatValue(value) {
+  if (Array.isArray(value)) return value.map(item => `    - ${item}`).join('\n');
+  return String(value ?? '').split('\n').map(line => `    ${line}`).join('\n');
+}
+
+/**
+ * Line-based prompter over an input stream; ask() resolves to null when input ends
+ */
+function createPrompter(input, output) {
+  const rl = readline.createInterface({ input, output });
+  const lines = rl[Symbol.asyncIterator]();
+  return {
+    async ask(question) {
+      output.write(question);
+      const { value, done } = await lines.next();
+      return done ? null : value.trim();
+    },
+    close: () => rl.close()
+  };
+}
+
+/**
+ * Read a replacement value: lines until an empty one, kept as typed; one line per item for list fields
+ * @returns {string|Array<string>|null} New value, or null when nothing was entered
+ */
+async function readEdit(prompter, current, output) {
+  const list = Array.isArray(current);
+  output.write(list
+    ? '  New items, one per line; empty line to finish:\n'
+    : '  New text (an empty line finishes):\n');
+
+  const lines = [];
+  for (;;) {
+    const line = await prompter.ask('  > ');
+    if (!line) break;
+    lines.push(line);
+  }
+  if (lines.length === 0) return null;
+  return list ? lines : lines.join('\n');
+}
+
+/**
+ * Validate and print a one-line result (errors in full)
+ */
+function reportValidation(proposal, log) {
+  const validation = validateProposal(proposal);
+  const warnings = validation.warnings?.length ? `, ${validation.warnings.length} warning(s)` : '';
+  log(validation.valid
+    ? `  ✓ Proposal is valid${warnings}`
+    : `  ✗ Proposal is invalid${warnings}:\n${formatErrors(validation.errors)}`);
+  return validation;
+}
+
+/**
+ * Review one field until it is accepted
+ * @returns {Promise<boolean>} false when the reviewer quit
+ */
+async function reviewField(proposal, field, session) {
+  const { prompter, output, log, changes } = session;
+
+  for (;;) {
+    const answer = await prompter.ask(`  ${ACTIONS} > `);
+    const action = (answer ?? 'q').toLowerCase().charAt(0) || 'a';
+    if (action === 'a') return true;
+    if (action === 'q') return false;
+
+    let value = null;
+    let instruction;
+    if (action === 'e') {
+      value = await readEdit(prompter, field.value, output);
+    } else if (action === 'r') {
+      let llmOptions;
+      try {
+        llmOptions = session.getLLMOptions();
+      } catch (error) {
+        log(`  Cannot regenerate: ${error.message}`);
+        continue;
+      }
+      instruction = await prompter.ask('  Instruction (optional, e.g. "mention the CRM sync"): ') || undefined;
+      log('  Regenerating...');
+      try {
+        const content = await regenerateField(proposal, field, { ...llmOptions, instruction });
+        log(formatValue(content));
+        const keep = await prompter.ask('  Use this version? [y/n] > ');
+        if (keep?.toLowerCase().startsWith('y')) value = content;
+      } catch (error) {
+        log(`  Regeneration failed: ${error.message}`);
+      }
+    } else {
+      log(`  Unknown action "${answer}"`);
+      continue;
+    }
+
+    if (value === null) {
+      log('  Unchanged');
+      continue;
+    }
+
+    const revision = action === 'e' ? 'edited' : 'regenerated';
+    applyFieldValue(proposal, field, value, { revision, instruction });
+    field.value = value;
+    changes.push({ placeholder_name: field.placeholder_name, path: field.path, revision });
+    log(`  ${revision === 'edited' ? 'Edited' : 'Regenerated'}:`);
+    log(formatValue(value));
+    session.validation = reportValidation(proposal, log);
+  }
+}
+
+/**
+ * Review the LLM-written fields of a proposal interactively
+ * Changes are applied to the proposal in place.
+ * @param {Object} proposal - Filled proposal JSON
+ * @param {Object} options - Review options
+ * @param {Object|Function} options.llmOptions - createLLMClient options for regeneration (provider,
+ *   fixturesPath, ...), or a function returning them, called on the first regenerate (throw to refuse)
+ * @param {stream.Readable} options.input - Answers (default: stdin)
+ * @param {stream.Writable} options.output - Prompts (default: stdout)
+ * @returns {Promise<Object>} { proposal, changes: [{ placeholder_name, path, revision }], validation, completed }
+ */
+export async function reviewProposal(proposal, options = {}) {
+  const output = options.output || process.stdout;
+  let llmOptions = null;
+  const session = {
+    output,
+    log: message => output.write(`${message}\n`),
+    prompter: createPrompter(options.input || process.stdin, output),
+    getLLMOptions: () => {
+      if (!llmOptions) {
+        llmOptions = typeof options.llmOptions === 'function' ? options.llmOptions() : options.llmOptions || {};
+      }
+      return llmOptions;
+    },
+    changes: [],
+    validation: validateProposal(proposal)
+  };
+  const fields = listLLMFields(proposal);
+  let completed = true;
+
+  try {
+    for (const [index, field] of fields.entries()) {
+      session.log(`\n[${index + 1}/${fields.length}] ${field.placeholder_name} (${field.path})`);
+      session.log(formatValue(field.value));
+      if (!await reviewField(proposal, field, session)) {
+        completed = false;
+        break;
+      }
+    }
+  } finally {
+    session.prompter.close();
+  }
+
+  return { proposal, changes: session.changes, validation: session.validation, completed };
+}
+
+export default {
+  reviewProposal
+};
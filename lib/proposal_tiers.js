@@ -0,0 +1,154 @@
+/**
+ * Tiered Proposal Options (Good / Better / Best)
+ * Prices two or three scopes from the same audit, each with its own ROI and milestones
+ *
+ * Tiers are configured in pricing/proposal_tiers.json. A tier covers either every
+ * recommended fix ("all") or the priority fixes ("priority": fixes marked critical/high,
+ * else the top half by priority), plus the fixes those depend on, plus optional
+ * extra_work items priced like fixes. Its price is the audit price scaled by the
+ * tier's share of the fix hours, so the "all fixes" tier matches the single-price proposal.
+ */
+
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { calculatePricing, calculateROI, estimateFixHours, getPackageRecommendation } from './pricing_calculator.js';
+import { buildPhase2Stabilize } from './milestone_builder.js';
+import { DEFAULT_LOCALE, loadLocale } from './locale.js';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+const TIER_CONFIG = JSON.parse(
+  fs.readFileSync(path.join(__dirname, '../pricing/proposal_tiers.json'), 'utf8')
+);
+
+const FIX_SELECTIONS = ['all', 'priority'];
+
+/**
+ * List configured tier IDs
+ */
+export function listTiers() {
+  return TIER_CONFIG.tiers.map(t => t.tier_id);
+}
+
+/**
+ * Resolve which tiers to offer
+ * @param {Array<string>|string|boolean} requested - Tier IDs (array or comma-separated), or true for all
+ * @returns {Array<Object>} Tier definitions in configured order
+ */
+export function resolveTiers(requested) {
+  const list = typeof requested === 'string' ? requested.split(',').map(t => t.trim()).filter(Boolean) : requested;
+  const ids = list === true ? listTiers() : [...new Set(list)];
+  const unknown = ids.filter(id => !listTiers().includes(id));
+  if (unknown.length > 0) {
+    throw new Error(`Unknown tier: ${unknown.join(', ')}. Available: ${listTiers().join(', ')}`);
+  }
+  if (ids.length < 2) {
+    throw new Error(`A tiered proposal needs two or three tiers, got ${ids.length}`);
+  }
+
+  return TIER_CONFIG.tiers.filter(tier => {
+    if (!ids.includes(tier.tier_id)) return false;
+    if (!FIX_SELECTIONS.includes(tier.fixes)) {
+      throw new Error(`Tier ${tier.tier_id}: "fixes" must be one of ${FIX_SELECTIONS.join(', ')}`);
+    }
+    return true;
+  });
+}
+
+/**
+ * Fixes a tier covers, in audit order, including the fixes they depend on
+ */
+function selectFixes(fixes, selection) {
+  if (selection === 'all') return fixes;
+
+  const flagged = fixes.filter(f => ['critical', 'high'].includes(String(f.priority).toLowerCase()));
+  const chosen = new Set((flagged.length > 0
+    ? flagged
+    : [...fixes].sort((a, b) => (Number(a.priority) || 0) - (Number(b.priority) || 0)).slice(0, Math.ceil(fixes.length / 2))
+  ).map(f => String(f.fix_id)));
+
+  // Pull in dependencies so the tier can actually be delivered
+  const byId = new Map(fixes.map(f => [String(f.fix_id), f]));
+  const pending = [...chosen];
+  while (pending.length > 0) {
+    for (const dep of byId.get(pending.pop())?.depends_on || []) {
+      if (byId.has(dep) && !chosen.has(dep)) {
+        chosen.add(dep);
+        pending.push(dep);
+      }
+    }
+  }
+
+  return fixes.filter(f => chosen.has(String(f.fix_id)));
+}
+
+/**
+ * Price, ROI and Phase 2 milestones for each tier
+ * @param {Object} extracted - Extracted audit data
+ * @param {Object} context - { tiers, auditData (getPricingInput), monthlyBleed, currency, locale, pricingOptions, phaseOptions }
+ * @returns {Array<Object>} [{ tier_id, tier_name, description, is_recommended, package, fixes, pricing, roi, phase }]
+ */
+export function buildTiers(extracted, context) {
+  const fixes = extracted.recommended_fixes || [];
+  if (fixes.length === 0) {
+    throw new Error('A tiered proposal needs recommended fixes in the audit');
+  }
+
+  const definitions = resolveTiers(context.tiers);
+  const recommendedId = definitions.some(t => t.tier_id === TIER_CONFIG.recommended)
+    ? TIER_CONFIG.recommended
+    : definitions[Math.floor((definitions.length - 1) / 2)].tier_id;
+  const allHours = estimateFixHours(fixes).reduce((sum, fix) => sum + fix.hours, 0);
+  // Tier names, descriptions and extra work labels from the locale's tiers block, else the config
+  const strings = loadLocale(context.locale || DEFAULT_LOCALE).tiers || {};
+
+  return definitions.map(definition => {
+    const copy = { ...definition, ...strings.items?.[definition.tier_id] };
+    const tierFixes = selectFixes(fixes, definition.fixes);
+    const extraWork = (definition.extra_work || []).map(item => ({
+      ...item,
+      fix: strings.extra_work?.[item.fix_id] || item.fix,
+      depends_on: item.after_fixes ? tierFixes.map(f => String(f.fix_id)) : (item.depends_on || [])
+    }));
+    const fixHours = estimateFixHours([...tierFixes, ...extraWork]);
+    const scopeShare = fixHours.reduce((sum, fix) => sum + fix.hours, 0) / allHours;
+
+    const pricing = calculatePricing(context.auditData, {
+      ...context.pricingOptions,
+      currency: context.currency,
+      locale: context.locale,
+      scope_share: scopeShare
+    });
+    const roi = calculateROI(
+      Math.round(context.monthlyBleed * definition.recovery_share),
+      pricing.final_price,
+      { currency: context.currency, locale: context.locale, monthly_fee: pricing.retainer?.monthly_fee }
+    );
+    const phase = buildPhase2Stabilize(context.auditData, pricing, {
+      ...context.phaseOptions,
+      fix_hours: fixHours
+    });
+
+    return {
+      tier_id: definition.tier_id,
+      tier_name: copy.tier_name,
+      description: copy.description,
+      is_recommended: definition.tier_id === recommendedId,
+      package: getPackageRecommendation({ ...extracted, recommended_fixes: tierFixes }).key,
+      fixes: fixHours,
+      scope_share: scopeShare,
+      recovery_share: definition.recovery_share,
+      pricing,
+      roi,
+      phase
+    };
+  });
+}
+
+export default {
+  listTiers,
+  resolveTiers,
+  buildTiers
+};
@@ -0,0 +1,70 @@
+/**
+ * rate_limiter.js - Shared Per-Model Request Spacing
+ *
+ * One RateLimiter is shared by every LLM client in a batch so concurrent jobs
+ * draw from the same per-model RPM budget instead of each assuming it has the
+ * whole quota. Spacing comes from getModelDelay (Gemini) and getGroqDelay (Groq);
+ * fixture and self-hosted providers are not throttled.
+ */
+
+import { getModelDelay } from './model_config.js';
+import { getGroqDelay } from './groq_adapter.js';
+
+/**
+ * Minimum spacing between requests to one model
+ * @param {string} provider - Provider name
+ * @param {string} model - Model ID
+ * @returns {number} Delay in milliseconds
+ */
+export function getRequestDelay(provider, model) {
+  if (provider === 'gemini') return getModelDelay(model);
+  if (provider === 'groq') return getGroqDelay(model);
+  return 0;
+}
+
+/**
+ * Reserves evenly spaced request slots per provider/model
+ */
+export class RateLimiter {
+  /**
+   * @param {Object} options - Limiter options
+   * @param {Function} options.getDelay - (provider, model) => ms (default: getRequestDelay)
+   */
+  constructor(options = {}) {
+    this.getDelay = options.getDelay || getRequestDelay;
+    this.nextSlot = {};
+    this.stats = { acquired: 0, waitedMs: 0 };
+  }
+
+  /**
+   * Wait for the next free slot for a model
+   * Slots are reserved synchronously, so concurrent callers queue in call order.
+   * @param {string} provider - Provider name
+   * @param {string} model - Model ID
+   */
+  async acquire(provider, model) {
+    const key = `${provider}/${model}`;
+    const now = Date.now();
+    const slot = Math.max(now, this.nextSlot[key] || 0);
+
+    this.nextSlot[key] = slot + this.getDelay(provider, model);
+    this.stats.acquired++;
+    this.stats.waitedMs += slot - now;
+
+    if (slot > now) {
+      await sleep(slot - now);
+    }
+  }
+}
+
+/**
+ * Sleep helper
+ */
+function sleep(ms) {
+  return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+export default {
+  RateLimiter,
+  getRequestDelay
+};
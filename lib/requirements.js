@@ -0,0 +1,152 @@
+/**
+ * Client Requirements
+ * Reads a --requirements document (Markdown or JSON) into extra in-scope items,
+ * constraints and client-specific notes for the proposal.
+ *
+ * Markdown sections are found by heading; sub-headings belong to the section above them:
+ *
+ *   ## In Scope / Requirements / Deliverables    Bullets become in-scope items
+ *   ## Constraints / Limitations                 Bullets become constraints
+ *   ## Notes / Context / Background              Bullets and paragraphs become notes
+ *
+ * JSON is { "in_scope": [...], "constraints": [...], "notes": [...] } (arrays of strings).
+ *
+ * Every item keeps a reference to where it came from ("Constraints, item 2" or
+ * "constraints[1]"), so what transform merges into the scope can be traced back
+ * to the requirements file.
+ */
+
+import fs from 'fs';
+import path from 'path';
+import { parseMarkdownSections } from './markdown_format.js';
+
+/**
+ * Requirement sections, checked in order (so "Scope constraints" is a constraint)
+ */
+const SECTIONS = {
+  constraints: { label: 'Constraints', pattern: /constraint|limitation|restriction|non.negotiable/i },
+  in_scope: { label: 'In Scope', pattern: /scope|requirement|deliverable|must.have/i },
+  notes: { label: 'Notes', pattern: /note|context|background/i }
+};
+
+// Headings that look like a section but must not be merged as one
+const EXCLUDED_HEADINGS = /out.of.scope|exclu/i;
+
+/**
+ * Match a heading to a requirement section
+ * @returns {string|null} Section key, or null when the heading is not one
+ */
+function matchSection(heading) {
+  if (!heading || EXCLUDED_HEADINGS.test(heading)) return null;
+  return Object.keys(SECTIONS).find(key => SECTIONS[key].pattern.test(heading)) || null;
+}
+
+/**
+ * Parse a Markdown requirements document
+ */
+function parseMarkdownRequirements(content, filePath) {
+  const items = [];
+  const open = []; // [{ level, section }] for the headings enclosing the current one
+
+  for (const section of parseMarkdownSections(content)) {
+    while (open.length && open[open.length - 1].level >= section.level) open.pop();
+    const key = matchSection(section.heading) || open[open.length - 1]?.section || null;
+    if (section.heading) open.push({ level: section.level, section: key });
+
+    if (!key) {
+      if (section.bullets.length > 0) {
+        const labels = Object.values(SECTIONS).map(s => s.label).join(', ');
+        throw new Error(`Requirements ${filePath}: list under "${section.heading || 'the title'}" is not in a known section (${labels})`);
+      }
+      continue;
+    }
+
+    section.bullets.forEach((text, index) => {
+      items.push({ section: key, text, ref: `${section.heading}, item ${index + 1}` });
+    });
+    // Paragraphs under In Scope / Constraints are usually lead-ins ("The following must..."), so only notes keep them
+    if (key === 'notes') {
+      section.paragraphs.forEach((text, index) => {
+        items.push({ section: key, text, ref: `${section.heading}, paragraph ${index + 1}` });
+      });
+    }
+  }
+
+  return items;
+}
+
+/**
+ * Parse a JSON requirements document
+ */
+function parseJsonRequirements(content, filePath) {
+  let data;
+  try {
+    data = JSON.parse(content);
+  } catch (error) {
+    throw new Error(`Requirements ${filePath} is not valid JSON: ${error.message}`);
+  }
+  if (!data || typeof data !== 'object' || Array.isArray(data)) {
+    throw new Error(`Requirements ${filePath} must be a JSON object of ${Object.keys(SECTIONS).join(', ')}`);
+  }
+
+  const items = [];
+  for (const [key, values] of Object.entries(data)) {
+    if (key === '$schema') continue;
+    if (!SECTIONS[key]) {
+      throw new Error(`Unknown requirements section "${key}" in ${filePath}. Known sections: ${Object.keys(SECTIONS).join(', ')}`);
+    }
+    if (!Array.isArray(values) || values.some(value => typeof value !== 'string')) {
+      throw new Error(`Requirements ${filePath}: "${key}" must be an array of strings`);
+    }
+    values.forEach((value, index) => {
+      if (value.trim()) items.push({ section: key, text: value.trim(), ref: `${key}[${index}]` });
+    });
+  }
+  return items;
+}
+
+/**
+ * Load a requirements document
+ * @param {string} filePath - Markdown (.md, .markdown, .txt) or JSON file
+ * @returns {Object} { source, format, items: [{ section, text, ref }] }
+ */
+export function loadRequirements(filePath) {
+  if (!fs.existsSync(filePath)) {
+    throw new Error(`Requirements file not found: ${filePath}`);
+  }
+
+  const content = fs.readFileSync(filePath, 'utf8');
+  const format = path.extname(filePath).toLowerCase() === '.json' ? 'json' : 'markdown';
+  const items = format === 'json'
+    ? parseJsonRequirements(content, filePath)
+    : parseMarkdownRequirements(content, filePath);
+
+  if (items.length === 0) {
+    const labels = Object.values(SECTIONS).map(s => s.label).join(', ');
+    throw new Error(`Requirements ${filePath} has no items: expected ${labels} sections`);
+  }
+
+  return { source: filePath, format, items };
+}
+
+/**
+ * Prompt context for requirements recorded on a proposal (proposal.scope.requirements)
+ * @param {Object|undefined} requirements - { source, items }
+ * @returns {Object} { client_requirements, client_constraints, client_notes }, each a "- " list or undefined
+ */
+export function requirementsPromptContext(requirements) {
+  const list = section => {
+    const texts = (requirements?.items || []).filter(item => item.section === section).map(item => item.text);
+    return texts.length > 0 ? `- ${texts.join('\n- ')}` : undefined;
+  };
+  return {
+    client_requirements: list('in_scope'),
+    client_constraints: list('constraints'),
+    client_notes: list('notes')
+  };
+}
+
+export default {
+  loadRequirements,
+  requirementsPromptContext
+};
@@ -0,0 +1,182 @@
+/**
+ * response_cache.js - On-disk LLM Response Cache
+ *
+ * Content-addressed cache for narrative generation. Each entry is keyed on a
+ * SHA-256 of prompt ID, provider, base URL, fixture content hash, model, system
+ * prompt and rendered user prompt, so a change to the audit, the prompt template,
+ * the provider or endpoint, the recorded fixtures or the model is a cache miss.
+ * Stores the normalized LLM text; post-processing still runs on every hit.
+ *
+ * Layout: <cacheDir>/<sha256>.json
+ *   { key, prompt_id, placeholder, provider, model, created_at, response }
+ */
+
+import fs from 'fs';
+import path from 'path';
+import crypto from 'crypto';
+import { fileURLToPath } from 'url';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+/**
+ * Default cache directory (override with PROPOSAL_CACHE_DIR)
+ */
+export const DEFAULT_CACHE_DIR = path.join(__dirname, '../.cache/llm_responses');
+
+/**
+ * Resolve the cache directory from an explicit path or the environment
+ * @param {string} cacheDir - Optional explicit directory
+ * @returns {string} Absolute cache directory
+ */
+export function resolveCacheDir(cacheDir) {
+  return path.resolve(cacheDir || process.env.PROPOSAL_CACHE_DIR || DEFAULT_CACHE_DIR);
+}
+
+/**
+ * Compute the cache key for one LLM call
+ * @param {Object} parts - { promptId, provider, baseUrl, fixturesHash, model, systemPrompt, userPrompt }
+ *   (provider, baseUrl and fixturesHash from LLMClient.cacheIdentity())
+ * @returns {string} Hex SHA-256 digest
+ */
+export function computeCacheKey({ promptId, provider, baseUrl, fixturesHash, model, systemPrompt, userPrompt }) {
+  return crypto
+    .createHash('sha256')
+    .update(JSON.stringify([promptId, provider ?? null, baseUrl ?? null, fixturesHash ?? null, model, systemPrompt, userPrompt]))
+    .digest('hex');
+}
+
+/**
+ * Response cache bound to one directory and one run's refresh list
+ */
+export class ResponseCache {
+  /**
+   * @param {Object} options - Cache options
+   * @param {string} options.cacheDir - Cache directory (default: DEFAULT_CACHE_DIR)
+   * @param {Array<string>} options.refresh - Placeholder names to regenerate and overwrite
+   */
+  constructor(options = {}) {
+    this.cacheDir = resolveCacheDir(options.cacheDir);
+    this.refresh = new Set(options.refresh || []);
+    this.stats = { hits: 0, misses: 0, writes: 0 };
+  }
+
+  /**
+   * Whether cached content may be used for a placeholder
+   */
+  shouldRead(placeholderName) {
+    return !this.refresh.has(placeholderName);
+  }
+
+  /**
+   * Read a cached response
+   * @param {string} key - Cache key
+   * @returns {string|null} Cached response text, or null on miss
+   */
+  get(key) {
+    const filePath = path.join(this.cacheDir, `${key}.json`);
+
+    try {
+      const entry = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+      this.stats.hits++;
+      return entry.response;
+    } catch {
+      // Missing or unreadable entries are treated as misses and rewritten
+      this.stats.misses++;
+      return null;
+    }
+  }
+
+  /**
+   * Store a response
+   * @param {string} key - Cache key
+   * @param {Object} meta - { promptId, placeholder, provider, model }
+   * @param {string} response - Normalized response text
+   */
+  set(key, meta, response) {
+    fs.mkdirSync(this.cacheDir, { recursive: true });
+
+    const entry = {
+      key,
+      prompt_id: meta.promptId,
+      placeholder: meta.placeholder,
+      provider: meta.provider,
+      model: meta.model,
+      created_at: new Date().toISOString(),
+      response
+    };
+
+    fs.writeFileSync(path.join(this.cacheDir, `${key}.json`), JSON.stringify(entry, null, 2));
+    this.stats.writes++;
+  }
+}
+
+/**
+ * List cache entry files
+ */
+function listEntryFiles(cacheDir) {
+  if (!fs.existsSync(cacheDir)) {
+    return [];
+  }
+  return fs.readdirSync(cacheDir)
+    .filter(f => f.endsWith('.json'))
+    .map(f => path.join(cacheDir, f));
+}
+
+/**
+ * Summarize cache contents
+ * @param {string} cacheDir - Optional explicit directory
+ * @returns {Object} { cacheDir, entries, sizeBytes, byPrompt, byModel, oldest, newest }
+ */
+export function getCacheStats(cacheDir) {
+  const dir = resolveCacheDir(cacheDir);
+  const stats = {
+    cacheDir: dir,
+    entries: 0,
+    sizeBytes: 0,
+    byPrompt: {},
+    byModel: {},
+    oldest: null,
+    newest: null
+  };
+
+  for (const filePath of listEntryFiles(dir)) {
+    stats.entries++;
+    stats.sizeBytes += fs.statSync(filePath).size;
+
+    try {
+      const entry = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+      stats.byPrompt[entry.prompt_id] = (stats.byPrompt[entry.prompt_id] || 0) + 1;
+      stats.byModel[entry.model] = (stats.byModel[entry.model] || 0) + 1;
+
+      if (!stats.oldest || entry.created_at < stats.oldest) stats.oldest = entry.created_at;
+      if (!stats.newest || entry.created_at > stats.newest) stats.newest = entry.created_at;
+    } catch {
+      // Corrupt entries still count toward size; they are overwritten on next write
+    }
+  }
+
+  return stats;
+}
+
+/**
+ * Delete all cache entries
+ * @param {string} cacheDir - Optional explicit directory
+ * @returns {number} Number of entries removed
+ */
+export function clearCache(cacheDir) {
+  const files = listEntryFiles(resolveCacheDir(cacheDir));
+  for (const filePath of files) {
+    fs.unlinkSync(filePath);
+  }
+  return files.length;
+}
+
+export default {
+  ResponseCache,
+  DEFAULT_CACHE_DIR,
+  resolveCacheDir,
+  computeCacheKey,
+  getCacheStats,
+  clearCache
+};
@@ -0,0 +1,264 @@
+/**
+ * run_checkpoint.js - Per-stage Checkpoints for Resumable Pipeline Runs
+ *
+ * Every generate() run writes each stage's output into a run directory with a
+ * manifest, so a failure in a late stage (HTML polish, PDF) does not throw away
+ * the paid LLM fill. `cli.js resume <run-dir>` restarts from the first stage
+ * that did not complete.
+ *
+ * Run directory layout:
+ *   manifest.json      Audit/output paths, options, per-stage status
+ *   extracted.json     Stage 1 output
+ *   transformed.json   Stage 2 output (proposal with placeholders)
+ *   filled.json        Stage 3 output (proposal with narratives)
+ *   validated.json     Stage 4 output ({ valid, errors, warnings, repairs, proposal })
+ *   rendered.html      Stage 5 output (before polish)
+ *   polished.html      Stage 6 output
+ *
+ * Checkpoints are plain files: editing filled.json and resuming with
+ * --from-stage validate re-renders without another LLM call.
+ */
+
+import fs from 'fs';
+import path from 'path';
+
+/**
+ * Pipeline stages in execution order
+ */
+export const STAGES = ['extract', 'transform', 'fill', 'validate', 'render', 'polish', 'pdf'];
+
+/**
+ * Checkpoint file per stage (pdf output lives next to the HTML)
+ */
+const STAGE_FILES = {
+  extract: 'extracted.json',
+  transform: 'transformed.json',
+  fill: 'filled.json',
+  validate: 'validated.json',
+  render: 'rendered.html',
+  polish: 'polished.html'
+};
+
+const MANIFEST_FILE = 'manifest.json';
+
+// Options that are per-invocation or not serializable; never written to the manifest
+const TRANSIENT_OPTIONS = ['llmClient', 'rateLimiter', 'clock', 'runDir', 'fromStage', 'toStage', 'apiKey'];
+
+/**
+ * Get a stage's position, rejecting unknown names
+ * @param {string} stage - Stage name
+ * @returns {number} Index into STAGES
+ */
+export function getStageIndex(stage) {
+  const index = STAGES.indexOf(stage);
+  if (index === -1) {
+    throw new Error(`Unknown stage: ${stage}. Available: ${STAGES.join(', ')}`);
+  }
+  return index;
+}
+
+/**
+ * Default run directory for an output file: <output dir>/runs/<output basename>
+ */
+export function getDefaultRunDir(outputPath) {
+  return path.join(
+    path.dirname(outputPath),
+    'runs',
+    path.basename(outputPath, path.extname(outputPath))
+  );
+}
+
+/**
+ * Read a run manifest
+ * @param {string} runDir - Run directory
+ * @returns {Object} Manifest
+ */
+export function loadManifest(runDir) {
+  const manifestPath = path.join(runDir, MANIFEST_FILE);
+  if (!fs.existsSync(manifestPath)) {
+    throw new Error(`No run manifest found in ${runDir}`);
+  }
+  return JSON.parse(fs.readFileSync(manifestPath, 'utf8'));
+}
+
+/**
+ * First stage that has not completed, or null when the run is finished
+ * @param {Object} manifest - Run manifest
+ * @returns {string|null} Stage name
+ */
+export function resolveResumeStage(manifest) {
+  return STAGES.find(stage => {
+    const status = manifest.stages?.[stage]?.status;
+    return status !== 'complete' && status !== 'skipped';
+  }) || null;
+}
+
+/**
+ * Strip transient and non-serializable values from pipeline options
+ */
+function serializeOptions(options) {
+  const persisted = {};
+  for (const [key, value] of Object.entries(options)) {
+    if (!TRANSIENT_OPTIONS.includes(key) && value !== undefined && typeof value !== 'function') {
+      persisted[key] = value;
+    }
+  }
+  return JSON.parse(JSON.stringify(persisted));
+}
+
+/**
+ * One pipeline run bound to its run directory and stage window
+ */
+export class PipelineRun {
+  /**
+   * @param {string} runDir - Run directory
+   * @param {Object} manifest - Run manifest
+   * @param {Object} window - { fromStage, toStage }
+   */
+  constructor(runDir, manifest, window = {}) {
+    this.runDir = runDir;
+    this.manifest = manifest;
+    this.fromIndex = getStageIndex(window.fromStage || STAGES[0]);
+    this.toIndex = getStageIndex(window.toStage || STAGES[STAGES.length - 1]);
+
+    if (this.fromIndex > this.toIndex) {
+      throw new Error(`--from-stage ${window.fromStage} comes after --to-stage ${window.toStage}`);
+    }
+  }
+
+  /**
+   * Whether a stage executes in this run (vs. loaded from its checkpoint)
+   */
+  shouldRun(stage) {
+    const index = getStageIndex(stage);
+    return index >= this.fromIndex && index <= this.toIndex;
+  }
+
+  /**
+   * Whether the run stops after this stage
+   */
+  isLast(stage) {
+    return getStageIndex(stage) === this.toIndex;
+  }
+
+  /**
+   * Path of a stage's checkpoint file
+   */
+  checkpointPath(stage) {
+    return path.join(this.runDir, STAGE_FILES[stage]);
+  }
+
+  /**
+   * Load a completed stage's output
+   * @param {string} stage - Stage name
+   * @returns {Object|string} Parsed JSON, or HTML text for render/polish
+   */
+  load(stage) {
+    const filePath = this.checkpointPath(stage);
+    if (this.manifest.stages[stage]?.status !== 'complete' || !fs.existsSync(filePath)) {
+      throw new Error(`No checkpoint for stage "${stage}" in ${this.runDir}. Run from an earlier stage.`);
+    }
+
+    const content = fs.readFileSync(filePath, 'utf8');
+    return filePath.endsWith('.json') ? JSON.parse(content) : content;
+  }
+
+  /**
+   * Write a stage's output and mark it complete
+   * Re-running a stage invalidates every later stage.
+   * @param {string} stage - Stage name
+   * @param {Object|string} data - Stage output (pdf stage: null)
+   * @param {Object} meta - Extra manifest fields (e.g. { path })
+   */
+  save(stage, data, meta = {}) {
+    if (STAGE_FILES[stage]) {
+      const content = typeof data === 'string' ? data : JSON.stringify(data, null, 2);
+      fs.writeFileSync(this.checkpointPath(stage), content, 'utf8');
+    }
+
+    this.resetAfter(stage);
+    this.manifest.stages[stage] = {
+      status: 'complete',
+      checkpoint: STAGE_FILES[stage] || null,
+      completed_at: new Date().toISOString(),
+      ...meta
+    };
+    this.writeManifest();
+  }
+
+  /**
+   * Mark a stage skipped (e.g. pdf with --skip-pdf)
+   */
+  skip(stage) {
+    this.manifest.stages[stage] = { status: 'skipped', completed_at: new Date().toISOString() };
+    this.writeManifest();
+  }
+
+  /**
+   * Mark a stage failed so resume restarts there
+   * @param {string} stage - Stage name
+   * @param {Error|string} error - Failure reason
+   */
+  fail(stage, error) {
+    this.resetAfter(stage);
+    this.manifest.stages[stage] = {
+      status: 'failed',
+      error: error?.message || String(error),
+      failed_at: new Date().toISOString()
+    };
+    this.writeManifest();
+  }
+
+  resetAfter(stage) {
+    for (const later of STAGES.slice(getStageIndex(stage) + 1)) {
+      this.manifest.stages[later] = { status: 'pending' };
+    }
+  }
+
+  writeManifest() {
+    this.manifest.updated_at = new Date().toISOString();
+    fs.writeFileSync(path.join(this.runDir, MANIFEST_FILE), JSON.stringify(this.manifest, null, 2));
+  }
+}
+
+/**
+ * Open a run directory for a pipeline invocation
+ * Starting at the first stage creates a fresh manifest; any later start
+ * requires an existing manifest with the earlier checkpoints.
+ * @param {Object} params - { auditPath, outputPath, options }
+ * @returns {PipelineRun} Run handle
+ */
+export function openRun({ auditPath, outputPath, options = {} }) {
+  const runDir = path.resolve(options.runDir || getDefaultRunDir(outputPath));
+  const fromStage = options.fromStage || STAGES[0];
+  let manifest;
+
+  if (getStageIndex(fromStage) === 0) {
+    fs.mkdirSync(runDir, { recursive: true });
+    manifest = {
+      run_id: path.basename(runDir),
+      created_at: new Date().toISOString(),
+      updated_at: null,
+      audit_path: path.resolve(auditPath),
+      output_path: path.resolve(outputPath),
+      options: serializeOptions(options),
+      stages: Object.fromEntries(STAGES.map(stage => [stage, { status: 'pending' }]))
+    };
+  } else {
+    manifest = loadManifest(runDir);
+  }
+
+  const run = new PipelineRun(runDir, manifest, { fromStage, toStage: options.toStage });
+  run.writeManifest();
+  return run;
+}
+
+export default {
+  STAGES,
+  PipelineRun,
+  openRun,
+  loadManifest,
+  resolveResumeStage,
+  getStageIndex,
+  getDefaultRunDir
+};
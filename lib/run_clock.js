@@ -0,0 +1,97 @@
+/**
+ * run_clock.js - Time and ID Source for a Pipeline Run
+ *
+ * Everything stamped into a proposal that would otherwise differ between runs
+ * (timestamps, document/phase/milestone UUIDs, the proposal number, the default
+ * schedule start) is drawn from one clock. Runs use the system clock unless a
+ * fixed clock is asked for (`--fixed-clock <iso>` or SOURCE_DATE_EPOCH); with
+ * seeded IDs, the same audit and fixtures then produce byte-identical output.
+ *
+ * Clock interface:
+ *   now()    - Current time as a Date
+ *   uuid()   - New v4 UUID
+ *   random() - Number in [0, 1)
+ */
+
+import { v4 as uuidv4 } from 'uuid';
+
+/**
+ * Time `--fixed-clock` runs are stamped with when no instant is given; midday UTC keeps the local calendar day
+ * the same in nearly every time zone
+ */
+export const FIXED_CLOCK_TIME = '2025-01-06T12:00:00.000Z';
+
+/**
+ * Wall clock with random IDs
+ */
+export const systemClock = {
+  now: () => new Date(),
+  uuid: () => uuidv4(),
+  random: () => Math.random()
+};
+
+/**
+ * Clock frozen at one instant, with IDs from a seeded generator
+ * @param {Object} options - Clock options
+ * @param {string|Date} options.time - Instant returned by now() (default: FIXED_CLOCK_TIME)
+ * @param {number} options.seed - Seed for random() and uuid() (default: 1)
+ * @returns {Object} Clock
+ */
+export function createFixedClock(options = {}) {
+  const time = new Date(options.time || FIXED_CLOCK_TIME);
+  if (isNaN(time)) {
+    throw new Error(`Invalid clock time: ${options.time}`);
+  }
+  const random = seededRandom(options.seed ?? 1);
+
+  return {
+    now: () => new Date(time),
+    uuid: () => uuidv4({ random: Array.from({ length: 16 }, () => Math.floor(random() * 256)) }),
+    random
+  };
+}
+
+/**
+ * Pick the clock for a run: an injected clock, else a fixed clock when one is
+ * asked for, else the system clock
+ * @param {Object} options - Pipeline options
+ * @param {Object} options.clock - Clock to use as is
+ * @param {string|boolean} options.fixedClock - Freeze at this instant (true: FIXED_CLOCK_TIME)
+ * @param {Object} env - Environment; SOURCE_DATE_EPOCH (seconds) freezes the clock too
+ * @returns {Object} Clock
+ */
+export function resolveClock(options = {}, env = process.env) {
+  if (options.clock) return options.clock;
+  if (options.fixedClock) {
+    return createFixedClock({ time: options.fixedClock === true ? undefined : options.fixedClock });
+  }
+  if (env.SOURCE_DATE_EPOCH) {
+    const seconds = Number(env.SOURCE_DATE_EPOCH);
+    if (!Number.isInteger(seconds)) {
+      throw new Error(`Invalid SOURCE_DATE_EPOCH: ${env.SOURCE_DATE_EPOCH}`);
+    }
+    return createFixedClock({ time: new Date(seconds * 1000) });
+  }
+  return systemClock;
+}
+
+/**
+ * mulberry32: small, fast and good enough for reproducible IDs
+ */
+function seededRandom(seed) {
+  let state = seed >>> 0;
+  return () => {
+    state = (state + 0x6D2B79F5) >>> 0;
+    let t = state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+export default {
+  FIXED_CLOCK_TIME,
+  systemClock,
+  createFixedClock,
+  resolveClock
+};
@@ -0,0 +1,244 @@
+/**
+ * spreadsheet_format.js - CSV/TSV Audit Intake Adapter
+ *
+ * Reads discovery notes kept in a spreadsheet (exported as CSV or TSV) and
+ * maps the rows into the normalized audit structure used by extract_proposal.js.
+ *
+ * One row per item. The `type` column says what the row is; when it is absent
+ * the type is inferred from which columns are filled.
+ *
+ *   type      columns
+ *   client    name, industry, contact_name, contact_title, email
+ *   workflow  name, description, volume, frequency
+ *   finding   category, finding, status, systems
+ *   fix       id, problem, fix, effort_tier, impact, priority, systems, depends_on
+ *   bleed     item, amount, period (month | year | week), currency
+ *
+ * Headers are case-insensitive; spaces and dashes become underscores.
+ * `systems` and `depends_on` (fix ids) take semicolon-separated lists.
+ *
+ * XLSX workbooks are not read directly: export the sheet as CSV.
+ */
+
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+// Monthly multipliers for bleed periods
+export const PERIOD_TO_MONTHLY = {
+  month: 1,
+  monthly: 1,
+  year: 1 / 12,
+  yearly: 1 / 12,
+  annual: 1 / 12,
+  week: 52 / 12,
+  weekly: 52 / 12
+};
+
+/**
+ * Parse delimited text into an array of string arrays
+ * Handles quoted fields, escaped quotes ("") and newlines inside quotes.
+ * @param {string} text - CSV/TSV content
+ * @param {string} delimiter - Field delimiter (default: ',')
+ * @returns {Array<Array<string>>} Rows of cells
+ */
+export function parseDelimited(text, delimiter = ',') {
+  const rows = [];
+  let row = [];
+  let cell = '';
+  let inQuotes = false;
+  const input = text.replace(/^\uFEFF/, '');
+
+  for (let i = 0; i < input.length; i++) {
+    const char = input[i];
+
+    if (inQuotes) {
+      if (char === '"' && input[i + 1] === '"') {
+        cell += '"';
+        i++;
+      } else if (char === '"') {
+        inQuotes = false;
+      } else {
+        cell += char;
+      }
+    } else if (char === '"') {
+      inQuotes = true;
+    } else if (char === delimiter) {
+      row.push(cell);
+      cell = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && input[i + 1] === '\n') i++;
+      row.push(cell);
+      rows.push(row);
+      row = [];
+      cell = '';
+    } else {
+      cell += char;
+    }
+  }
+
+  if (cell !== '' || row.length > 0) {
+    row.push(cell);
+    rows.push(row);
+  }
+
+  // Drop blank lines
+  return rows.filter(r => r.some(c => c.trim() !== ''));
+}
+
+/**
+ * Normalize a header cell: "Effort Tier" -> "effort_tier"
+ */
+function normalizeHeader(header) {
+  return header.trim().toLowerCase().replace(/[\s-]+/g, '_');
+}
+
+/**
+ * Infer a row type from the filled columns
+ */
+function inferRowType(row) {
+  if (row.fix || row.problem) return 'fix';
+  if (row.finding) return 'finding';
+  if (row.amount) return 'bleed';
+  return null;
+}
+
+/**
+ * Parse a money cell like "$12,500" or "12500.50"
+ */
+export function parseAmount(value) {
+  if (value === undefined || value === null || value === '') return 0;
+  return parseFloat(String(value).replace(/[^0-9.-]/g, '')) || 0;
+}
+
+/**
+ * Split a semicolon-separated list cell
+ */
+function parseList(value) {
+  return String(value || '').split(';').map(s => s.trim()).filter(Boolean);
+}
+
+/**
+ * Spreadsheet format adapter
+ */
+export const spreadsheetFormat = {
+  name: 'spreadsheet',
+  description: 'CSV/TSV discovery sheet with client, finding, fix and bleed rows',
+  schema: JSON.parse(fs.readFileSync(path.join(__dirname, '../schemas/audit_formats/spreadsheet.schema.json'), 'utf8')),
+  extensions: ['.csv', '.tsv'],
+
+  /**
+   * Parse file content into row objects keyed by header
+   * @param {string} content - File content
+   * @param {string} filePath - Source path (delimiter chosen by extension)
+   * @returns {Object} { source_file, spreadsheet_rows }
+   */
+  parse(content, filePath = '') {
+    const delimiter = path.extname(filePath).toLowerCase() === '.tsv' ? '\t' : ',';
+    const [headerRow, ...dataRows] = parseDelimited(content, delimiter);
+    if (!headerRow) {
+      throw new Error(`Spreadsheet has no header row: ${filePath}`);
+    }
+
+    const headers = headerRow.map(normalizeHeader);
+    const rows = dataRows.map(cells => {
+      const row = {};
+      headers.forEach((header, i) => {
+        const value = (cells[i] || '').trim();
+        if (header && value !== '') row[header] = value;
+      });
+      row.type = (row.type || inferRowType(row) || '').toLowerCase();
+      return row;
+    });
+
+    return { source_file: path.basename(filePath), spreadsheet_rows: rows };
+  },
+
+  detect(data) {
+    return Array.isArray(data.spreadsheet_rows) ? 1 : 0;
+  },
+
+  normalize(data, { now = new Date() } = {}) {
+    const rows = data.spreadsheet_rows;
+    const ofType = type => rows.filter(r => r.type === type);
+
+    const clientRow = ofType('client')[0] || {};
+    const workflowRow = ofType('workflow')[0] || {};
+
+    // Group findings by category, matching the scorecard categories shape
+    const categories = [];
+    for (const row of ofType('finding')) {
+      const name = row.category || 'General';
+      let category = categories.find(c => c.category_name === name);
+      if (!category) {
+        category = { category_name: name, status: row.status || row.severity, findings: [], systems: [] };
+        categories.push(category);
+      }
+      category.findings.push(row.finding);
+      category.systems.push(...parseList(row.systems));
+    }
+
+    const fixes = ofType('fix').map((row, i) => ({
+      id: row.id || i + 1,
+      problem: row.problem,
+      fix: row.fix,
+      effort_tier: row.effort_tier,
+      impact: row.impact,
+      priority: row.priority ? parseInt(row.priority, 10) : i + 1,
+      systems: parseList(row.systems),
+      depends_on: parseList(row.depends_on)
+    }));
+
+    // Bleed line items are summed as a monthly figure
+    const lineItems = ofType('bleed').map(row => {
+      const period = (row.period || 'month').toLowerCase();
+      const amount = parseAmount(row.amount);
+      return {
+        category: row.item || row.category || row.description,
+        amount,
+        period,
+        monthly_amount: Math.round(amount * (PERIOD_TO_MONTHLY[period] ?? 1))
+      };
+    });
+
+    return {
+      format: 'spreadsheet',
+      document: {
+        created_at: now.toISOString(),
+        document_id: data.source_file
+      },
+      client: {
+        account_name: clientRow.name || clientRow.account_name,
+        industry: clientRow.industry,
+        contact_name: clientRow.contact_name,
+        contact_title: clientRow.contact_title,
+        email: clientRow.email
+      },
+      scorecard: { categories },
+      bleed: {
+        amount: lineItems.reduce((sum, item) => sum + item.monthly_amount, 0),
+        currency: ofType('bleed').find(r => r.currency)?.currency || 'USD',
+        period: 'month',
+        line_items: lineItems
+      },
+      fixes,
+      workflow: {
+        name: workflowRow.name,
+        description: workflowRow.description,
+        volume: workflowRow.volume,
+        frequency: workflowRow.frequency,
+        categories: categories.map(c => c.category_name)
+      }
+    };
+  }
+};
+
+export default {
+  spreadsheetFormat,
+  parseDelimited,
+  parseAmount,
+  PERIOD_TO_MONTHLY
+};
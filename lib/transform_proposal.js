@@ -3,15 +3,19 @@
  * Builds complete proposal JSON from extracted audit data and pricing
  */
 
-import { v4 as uuidv4 } from 'uuid';
-import { calculatePricing, calculateROI, formatMoney } from './pricing_calculator.js';
+import { calculatePricing, calculateROI, estimateFixHours, priceAddOns } from './pricing_calculator.js';
+import { resolveCurrency, convertBleed, toMoney } from './currency.js';
+import { DEFAULT_LOCALE, loadLocale, formatText, formatDate } from './locale.js';
 import { buildPhases, calculateTotalDuration } from './milestone_builder.js';
+import { buildTiers } from './proposal_tiers.js';
+import { getPricingInput } from './extract_proposal.js';
 import { slugify } from './file_utils.js';
+import { systemClock } from './run_clock.js';
 import {
   generateProjectIdentity
 } from '../../unified_presales_report/project_identity.js';
 
-// Default configuration
+// Default configuration (env over built-in defaults); a profile's sections override it per key
 const DEFAULT_CONFIG = {
   brand: {
     brand_name: process.env.PRODUCER_NAME || 'Wranngle Systems LLC',
@@ -38,12 +42,68 @@ const DEFAULT_CONFIG = {
  * Build complete proposal JSON from extracted data
  * @param {Object} extracted - Output from extract_proposal.js
  * @param {Object} options - Generation options
+ * @param {string} options.currency - Billing currency (default: audit bleed currency, else USD)
+ * @param {string} options.locale - Locale for static copy, dates and numbers (default: en-US)
+ * @param {string} options.milestone_template - Phase 2 milestone template (pricing/milestone_templates.json)
+ * @param {Array<string>|boolean} options.tiers - Offer Good/Better/Best options (tier IDs, or true for all);
+ *   the recommended tier drives the headline price, ROI and phases
+ * @param {Array<string>|boolean} options.add_ons - Optional add-ons to offer (pricing/add_ons.json IDs, or true for all)
+ * @param {string} options.pricing_model - "fixed_price" (default), "retainer" (monthly fee over a term)
+ *   or "time_and_materials" (rate card, estimate range and not-to-exceed cap)
+ * @param {number} options.retainer_term_months - Retainer term in months (pricing/base_rates.json retainer)
+ * @param {boolean} options.pricing_appendix - Attach the pricing ledger under internal (never rendered)
+ * @param {Object} options.config - Brand, producer, cta and defaults overrides (e.g. from a config profile),
+ *   merged key by key over DEFAULT_CONFIG
+ * @param {Object} options.requirements - Client requirements from loadRequirements (lib/requirements.js),
+ *   merged into the scope and recorded under scope.requirements
+ * @param {Object} options.clock - Run clock for the document ID, proposal number, dates and
+ *   phase/milestone IDs (see run_clock.js; default: system clock)
  * @returns {Object} Complete proposal JSON (with LLM placeholders)
  */
 function buildProposal(extracted, options = {}) {
-  const config = { ...DEFAULT_CONFIG, ...options.config };
+  const config = mergeConfig(DEFAULT_CONFIG, options.config);
   const platform = options.platform || config.defaults.platform;
   const validDays = options.valid_days || config.defaults.valid_days;
+  const currency = resolveCurrency(options.currency || options.pricing_options?.currency, extracted);
+  const strings = loadLocale(options.locale || DEFAULT_LOCALE);
+  const locale = strings.locale;
+
+  const monthlyBleed = convertBleed(extracted.bleed, currency);
+  const pricingOptions = {
+    ...options.pricing_options,
+    currency,
+    locale: options.locale,
+    milestone_template: options.milestone_template || options.pricing_options?.milestone_template,
+    pricing_model: options.pricing_model || options.pricing_options?.pricing_model,
+    retainer_term_months: options.retainer_term_months || options.pricing_options?.retainer_term_months
+  };
+
+  // Price and schedule from the same recommended fixes
+  const auditData = getPricingInput(extracted);
+
+  // Tiered proposals price each option; the recommended tier is the headline
+  let tiers = null;
+  if (extracted.project_plan?.pricing && pricingOptions.pricing_model && pricingOptions.pricing_model !== 'fixed_price') {
+    throw new Error(`The ${pricingOptions.pricing_model} pricing model needs audit-based pricing; project plans carry a fixed price`);
+  }
+  if (options.pricing_appendix && extracted.project_plan?.pricing) {
+    throw new Error('The pricing appendix needs audit-based pricing; project plans carry a fixed price');
+  }
+  if (options.tiers) {
+    if (extracted.project_plan?.pricing) {
+      throw new Error('Tiered proposals need audit-based pricing; project plans carry a fixed price');
+    }
+    tiers = buildTiers(extracted, {
+      tiers: options.tiers,
+      auditData,
+      monthlyBleed,
+      currency,
+      locale: options.locale,
+      pricingOptions,
+      phaseOptions: { ...options, locale }
+    });
+  }
+  const recommendedTier = tiers?.find(t => t.is_recommended);
 
   // Use pricing from project_plan if available, otherwise calculate
   let pricing;
@@ -59,31 +119,42 @@ function buildProposal(extracted, options = {}) {
       contingency: pp.summary?.contingency || pp.cost?.contingency || 0,
       contingency_percent: 0.15,
       final_price: pp.summary?.total || pp.cost?.total || 0,
-      breakdown: pp.detailed_rates || pp.breakdown || []
+      breakdown: pp.detailed_rates || pp.breakdown || [],
+      currency: currency
     };
+  } else if (recommendedTier) {
+    pricing = recommendedTier.pricing;
   } else {
-    pricing = calculatePricing(extracted.raw_audit || extracted, options.pricing_options || {});
+    pricing = calculatePricing(auditData, pricingOptions);
   }
 
-  // Calculate ROI from bleed data
-  const monthlyBleed = extracted.bleed?.monthly_amount || 0;
-  const roi = calculateROI(monthlyBleed, pricing.final_price);
+  // Calculate ROI from bleed data, in the billing currency
+  const roi = recommendedTier?.roi || calculateROI(monthlyBleed, pricing.final_price, {
+    currency,
+    locale: options.locale,
+    monthly_fee: pricing.retainer?.monthly_fee
+  });
 
-  // Build phase structure
-  const phases = buildPhases(extracted.raw_audit || extracted, pricing, options);
-  const totalDuration = calculateTotalDuration(phases);
+  // Build phase structure, scheduling the recommended fixes' hours for the timeline
+  const phases = buildPhases(auditData, pricing, {
+    ...options,
+    locale,
+    fix_hours: recommendedTier?.fixes || estimateFixHours(auditData.recommended_fixes)
+  });
+  const totalDuration = calculateTotalDuration(phases, locale);
 
   // Generate document metadata
-  const now = new Date();
+  const clock = options.clock || systemClock;
+  const now = clock.now();
   const validUntil = new Date(now.getTime() + validDays * 24 * 60 * 60 * 1000);
-  const proposalNumber = generateProposalNumber(now);
+  const proposalNumber = generateProposalNumber(now, clock.random);
 
   // Build the proposal
   const proposal = {
     schema_version: '1.0.0',
 
     document: {
-      document_id: uuidv4(),
+      document_id: clock.uuid(),
       proposal_number: proposalNumber,
       created_at: now.toISOString(),
       valid_until: validUntil.toISOString(),
@@ -106,13 +177,9 @@ function buildProposal(extracted, options = {}) {
 
     audit_reference: {
       audit_id: extracted.audit?.audit_id,
-      audit_date: formatDate(extracted.audit?.audit_date),
+      audit_date: formatDate(extracted.audit?.audit_date, locale),
       workflow_name: extracted.workflow?.name,
-      bleed_total: {
-        amount: monthlyBleed,
-        currency: 'USD',
-        display: formatMoney(monthlyBleed)
-      },
+      bleed_total: toMoney(monthlyBleed, currency, options.locale),
       bleed_period: 'month',
       key_findings: extractKeyFindings(extracted.findings, 3)
     },
@@ -122,39 +189,61 @@ function buildProposal(extracted, options = {}) {
       value_proposition: '[LLM_PLACEHOLDER: value_proposition]'
     },
 
-    pricing: buildPricingSection(pricing, platform),
+    pricing: buildPricingSection(pricing, platform, tiers, strings),
 
     roi: roi,
 
+    ...(options.add_ons && {
+      add_ons: buildAddOnsSection(options.add_ons, roi, config, strings, { currency, locale: options.locale })
+    }),
+
     phases: phases,
 
     total_duration: totalDuration,
 
-    scope: buildScopeSection(extracted, options),
+    scope: buildScopeSection(extracted, options, strings),
 
-    terms: buildTermsSection(platform, validDays, config),
+    terms: buildTermsSection(platform, validDays, config, strings),
 
-    cta: buildCTASection(proposalNumber, validUntil, platform, config),
+    cta: buildCTASection(proposalNumber, validUntil, platform, config, strings),
 
     rendering: {
       mode: 'proposal',
       platform: platform,
+      locale: locale,
       page: {
         size: 'letter',
         page_count: 2
       }
-    }
+    },
+
+    // Internal only: kept out of the rendered document and the LLM prompts
+    ...(options.pricing_appendix && {
+      internal: { pricing_ledger: pricing.ledger }
+    })
   };
 
   return proposal;
 }
 
+/**
+ * Merge config overrides over the defaults one section at a time,
+ * so a profile that only sets brand_name keeps the env logo and domain
+ */
+function mergeConfig(defaults, overrides = {}) {
+  const merged = { ...defaults };
+  for (const [section, values] of Object.entries(overrides)) {
+    merged[section] = { ...defaults[section], ...values };
+  }
+  return merged;
+}
+
 /**
  * Generate proposal number
  */
-function generateProposalNumber(date) {
+function generateProposalNumber(date, random = Math.random) {
   const year = date.getFullYear();
-  const sequence = Math.floor(Math.random() * 9000) + 1000;
+  const sequence = Math.floor(random() * 9000) + 1000;
   return `WRN-${year}-${sequence}`;
 }
 
@@ -185,16 +274,6 @@ function buildProjectIdentity(extracted, validDays) {
   });
 }
 
-/**
- * Format date for display
- */
-function formatDate(dateStr) {
-  if (!dateStr) return new Date().toLocaleDateString('en-US', { month: 'long', day: 'numeric', year: 'numeric' });
-
-  const date = new Date(dateStr);
-  return date.toLocaleDateString('en-US', { month: 'long', day: 'numeric', year: 'numeric' });
-}
-
 /**
  * Extract top N key findings
  */
@@ -214,59 +293,59 @@ function extractKeyFindings(findings, count = 3) {
 
 /**
  * Build pricing section
+ * @param {Array<Object>|null} tiers - From buildTiers; adds pricing.tiers for the comparison table
+ * @param {Object} strings - Locale strings for the payment schedule
  */
-function buildPricingSection(pricing, platform) {
+function buildPricingSection(pricing, platform, tiers = null, strings = loadLocale()) {
+  const currency = pricing.currency;
+  const locale = pricing.locale;
   const section = {
-    currency: 'USD',
-    pricing_model: 'fixed_price',
-    subtotal: {
-      amount: pricing.subtotal,
-      currency: 'USD',
-      display: formatMoney(pricing.subtotal)
-    },
-    total: {
-      amount: pricing.final_price,
-      currency: 'USD',
-      display: formatMoney(pricing.final_price)
-    },
+    currency: currency,
+    pricing_model: pricing.pricing_model || 'fixed_price',
+    milestone_template: pricing.milestone_template,
+    subtotal: toMoney(pricing.subtotal, currency, locale),
+    total: toMoney(pricing.final_price, currency, locale),
     payment_schedule: {
       schedule_type: 'milestone_based',
       installments: []
     }
   };
 
-  // Add milestone-based installments
-  const milestones = pricing.milestones;
-  section.payment_schedule.installments = [
-    {
-      milestone_id: '2.1',
-      label: 'Milestone 2.1: Design',
-      amount: { amount: milestones.design.amount, currency: 'USD', display: formatMoney(milestones.design.amount) },
-      percentage: milestones.design.percentage,
-      due_event: 'Design sign-off'
-    },
-    {
-      milestone_id: '2.2',
-      label: 'Milestone 2.2: Build',
-      amount: { amount: milestones.build.amount, currency: 'USD', display: formatMoney(milestones.build.amount) },
-      percentage: milestones.build.percentage,
-      due_event: 'Build complete'
-    },
-    {
-      milestone_id: '2.3',
-      label: 'Milestone 2.3: Test',
-      amount: { amount: milestones.test.amount, currency: 'USD', display: formatMoney(milestones.test.amount) },
-      percentage: milestones.test.percentage,
-      due_event: 'Testing approved'
-    },
-    {
-      milestone_id: '2.4',
-      label: 'Milestone 2.4: Deploy',
-      amount: { amount: milestones.deploy.amount, currency: 'USD', display: formatMoney(milestones.deploy.amount) },
-      percentage: milestones.deploy.percentage,
-      due_event: 'Go-live complete'
-    }
-  ];
+  if (pricing.retainer) {
+    // Retainers bill monthly; milestones stay as the delivery plan
+    section.retainer = {
+      term_months: pricing.retainer.term_months,
+      monthly_fee: toMoney(pricing.retainer.monthly_fee, currency, locale),
+      included_hours: pricing.retainer.included_hours,
+      overage_rate: toMoney(pricing.retainer.overage_rate, currency, locale),
+      total_contract_value: toMoney(pricing.retainer.total_contract_value, currency, locale)
+    };
+    section.payment_schedule = {
+      schedule_type: 'monthly',
+      installments: buildMonthlyInstallments(pricing, strings.payment_schedule)
+    };
+  } else if (pricing.time_and_materials) {
+    // T&M bills hours worked against the rate card; there are no fixed installments
+    section.time_and_materials = buildTimeAndMaterialsSection(pricing.time_and_materials, currency, locale);
+    section.payment_schedule = {
+      schedule_type: 'monthly',
+      installments: [],
+      billing_note: strings.payment_schedule.time_and_materials_note
+    };
+  } else {
+    // Add milestone-based installments, one per milestone template entry
+    section.payment_schedule.installments = Object.values(pricing.milestones).map(milestone => ({
+      milestone_id: milestone.milestone_number,
+      label: `Milestone ${milestone.milestone_number}: ${milestone.milestone_name}`,
+      amount: toMoney(milestone.amount, currency, locale),
+      percentage: milestone.percentage,
+      due_event: milestone.due_event
+    }));
+  }
+
+  if (tiers) {
+    section.tiers = tiers.map(tier => buildTierSummary(tier, currency, locale));
+  }
 
   // Add platform-specific fees
   if (platform === 'upwork') {
@@ -287,13 +366,13 @@ function buildPricingSection(pricing, platform) {
   if (pricing.discount?.total_percentage > 0) {
     section.discount_applied = {
       percentage: pricing.discount.total_percentage,
-      amount: { amount: pricing.discount.amount, currency: 'USD', display: formatMoney(pricing.discount.amount) },
+      amount: toMoney(pricing.discount.amount, currency, locale),
       reason: pricing.discount.discounts_applied?.[0]?.description || 'Volume discount'
     };
   }
 
   // Add audit credit
-  if (pricing.audit_credit) {
+  if (pricing.audit_credit?.amount > 0) {
     section.audit_credit = {
       amount: pricing.audit_credit.amount,
       display: pricing.audit_credit.display,
@@ -314,10 +393,114 @@ function buildPricingSection(pricing, platform) {
   return section;
 }
 
+/**
+ * Monthly retainer invoices, with the audit credit already taken off the first ones
+ * @param {Object} copy - Locale payment_schedule strings
+ */
+function buildMonthlyInstallments(pricing, copy) {
+  const { term_months: term, monthly_invoices: invoices } = pricing.retainer;
+  return invoices.map((amount, index) => ({
+    milestone_id: `month_${index + 1}`,
+    label: formatText(copy.retainer_month, { n: index + 1, term }),
+    amount: toMoney(amount, pricing.currency, pricing.locale),
+    percentage: Math.round((amount / pricing.final_price) * 1000) / 10,
+    due_event: index === 0 ? copy.retainer_first_due : formatText(copy.retainer_month_due, { n: index + 1 })
+  }));
+}
+
+/**
+ * Rate card, estimate range and not-to-exceed cap for time-and-materials pricing
+ */
+function buildTimeAndMaterialsSection(tm, currency, locale) {
+  return {
+    rate_card: tm.rate_card.map(role => ({
+      role: role.role,
+      role_name: role.role_name,
+      description: role.description,
+      rate: toMoney(role.rate, currency, locale),
+      estimated_hours: role.hours,
+      estimated_amount: toMoney(role.amount, currency, locale)
+    })),
+    estimated_hours: tm.estimated_hours,
+    estimate: {
+      low: toMoney(tm.estimate.low, currency, locale),
+      expected: toMoney(tm.estimate.expected, currency, locale),
+      high: toMoney(tm.estimate.high, currency, locale)
+    },
+    not_to_exceed: toMoney(tm.not_to_exceed, currency, locale),
+    buffer_percent: tm.buffer_percent
+  };
+}
+
+/**
+ * Summarize one tier for the proposal: scope, price, ROI and its Phase 2 milestones
+ */
+function buildTierSummary(tier, currency, locale) {
+  const milestones = tier.phase.milestones;
+  return {
+    tier_id: tier.tier_id,
+    tier_name: tier.tier_name,
+    description: tier.description,
+    price: toMoney(tier.pricing.final_price, currency, locale),
+    subtotal: toMoney(tier.pricing.subtotal, currency, locale),
+    ...(tier.pricing.retainer && { monthly_fee: toMoney(tier.pricing.retainer.monthly_fee, currency, locale) }),
+    is_recommended: tier.is_recommended,
+    package: tier.package,
+    scope: tier.fixes.map(fix => ({ fix_id: fix.fix_id, label: fix.label, hours: fix.hours })),
+    total_hours: tier.fixes.reduce((sum, fix) => sum + fix.hours, 0),
+    roi: {
+      monthly_recovery: tier.roi.monthly_recovery,
+      payback_period_months: tier.roi.payback_period_months,
+      payback_display: tier.roi.payback_display
+    },
+    duration: calculateTotalDuration([tier.phase], locale),
+    start_date: tier.phase.schedule.start_date,
+    end_date: tier.phase.schedule.end_date,
+    milestones: milestones.map(milestone => ({
+      milestone_number: milestone.milestone_number,
+      milestone_name: milestone.milestone_name,
+      milestone_key: milestone.milestone_key,
+      duration: milestone.duration,
+      price_allocation: milestone.price_allocation,
+      start_date: milestone.start_date,
+      end_date: milestone.end_date
+    }))
+  };
+}
+
+/**
+ * Build the opt-in add-ons section (priced separately; never added to pricing.total)
+ */
+function buildAddOnsSection(requested, roi, config, strings, pricingOptions) {
+  const values = {
+    monthly_recovery: roi.monthly_recovery.display,
+    annual_recovery: roi.annual_recovery.display,
+    warranty_days: config.defaults.warranty_days
+  };
+
+  return {
+    note: strings.add_ons.note,
+    items: priceAddOns(requested, pricingOptions).map(item => ({
+      ...item,
+      description: formatText(item.description, values),
+      roi_note: formatText(item.roi_note, values),
+      price_display: formatText(strings.add_ons.billing[item.billing] || '{price}', { price: item.price.display })
+    }))
+  };
+}
+
 /**
  * Build scope section
  */
-function buildScopeSection(extracted, options) {
+function buildScopeSection(extracted, options, strings = loadLocale()) {
+  const scope = buildBaseScope(extracted, strings);
+  return options.requirements ? mergeRequirements(scope, options.requirements) : scope;
+}
+
+/**
+ * Build the scope from the project plan, or from the audit's fixes
+ */
+function buildBaseScope(extracted, strings) {
   // Use project_plan scope if available
   if (extracted.project_plan?.scope) {
     const ppScope = extracted.project_plan.scope;
@@ -326,7 +509,7 @@ function buildScopeSection(extracted, options) {
       out_of_scope: ppScope.out_of_scope || [],
       assumptions: ppScope.assumptions || [],
       dependencies: ppScope.dependencies || [],
-      change_control: 'Changes to scope after Design milestone sign-off may require separate pricing and timeline adjustment.'
+      change_control: strings.scope.change_control
     };
   }
 
@@ -342,54 +525,68 @@ function buildScopeSection(extracted, options) {
 
   // Add standard in-scope items if needed
   if (inScope.length < 3) {
-    inScope.push(
-      `${extracted.workflow?.name || 'Workflow'} automation implementation`,
-      'System integration and data synchronization',
-      'User training and documentation'
-    );
+    const workflowName = extracted.workflow?.name || strings.scope.workflow_fallback;
+    inScope.push(...strings.scope.default_in_scope.map(item => formatText(item, { workflow_name: workflowName })));
   }
 
   // Standard out-of-scope items
-  const outOfScope = [
-    'Third-party system licensing or subscription fees',
-    'Hardware procurement or infrastructure changes',
-    'Data migration from legacy systems not specified in scope',
-    'Ongoing maintenance beyond 30-day warranty period'
-  ];
+  const outOfScope = [...strings.scope.out_of_scope];
 
   // Standard assumptions
-  const assumptions = [
-    'Client will provide timely access to required systems and credentials',
-    'Key stakeholders available for requirements and testing sessions',
-    'Existing system documentation is accurate and current',
-    'No significant changes to business requirements during implementation'
-  ];
+  const assumptions = [...strings.scope.assumptions];
 
   return {
     in_scope: inScope.length > 0 ? inScope : ['[LLM_PLACEHOLDER: scope_in_items]'],
     out_of_scope: outOfScope,
     assumptions: assumptions,
-    change_control: 'Changes to scope after Design milestone sign-off may require separate pricing and timeline adjustment.'
+    change_control: strings.scope.change_control
+  };
+}
+
+/**
+ * Merge client requirements into the scope: in-scope items into in_scope, constraints into
+ * assumptions (so templates show them), notes only into the LLM context. scope.requirements
+ * records where each item came from and where it ended up.
+ */
+function mergeRequirements(scope, requirements) {
+  const placeholder = scope.in_scope.length === 1 && /^\[LLM_PLACEHOLDER:/.test(scope.in_scope[0]);
+  const merged = {
+    ...scope,
+    in_scope: placeholder ? [] : [...scope.in_scope],
+    assumptions: [...(scope.assumptions || [])]
   };
+  const targets = { in_scope: 'in_scope', constraints: 'assumptions' };
+
+  const items = requirements.items.map(item => {
+    const target = targets[item.section];
+    if (!target) return { ...item, merged_into: null };
+
+    // An item the scope already lists is traced to that entry rather than repeated
+    const list = merged[target];
+    let index = list.findIndex(entry => entry.toLowerCase() === item.text.toLowerCase());
+    if (index === -1) index = list.push(item.text) - 1;
+    return { ...item, merged_into: `scope.${target}[${index}]` };
+  });
+
+  if (merged.in_scope.length === 0) merged.in_scope = scope.in_scope;
+  merged.requirements = { source: requirements.source, items };
+  return merged;
 }
 
 /**
  * Build terms section
  */
-function buildTermsSection(platform, validDays, config) {
+function buildTermsSection(platform, validDays, config, strings = loadLocale()) {
+  const copy = strings.terms;
   const terms = {
-    validity_period: `This proposal is valid for ${validDays} days from date of issue.`,
-    warranty_period: `${config.defaults.warranty_days}-day bug fix warranty post-deployment`,
-    ip_ownership: 'All custom code and configurations become client property upon final payment.'
+    validity_period: formatText(copy.validity_period, { valid_days: validDays }),
+    warranty_period: formatText(copy.warranty_period, { warranty_days: config.defaults.warranty_days }),
+    ip_ownership: copy.ip_ownership
   };
 
-  if (platform === 'upwork') {
-    terms.payment_terms = 'Payment via Upwork escrow upon milestone approval.';
-    terms.cancellation_policy = 'Per Upwork Terms of Service. Completed milestones are non-refundable.';
-  } else {
-    terms.payment_terms = 'Invoice upon milestone completion, NET 15 payment terms.';
-    terms.cancellation_policy = 'Either party may cancel with 5 business days written notice. Client pays for completed work.';
-  }
+  const key = platform === 'upwork' ? 'upwork' : 'direct';
+  terms.payment_terms = copy.payment_terms[key];
+  terms.cancellation_policy = copy.cancellation_policy[key];
 
   return terms;
 }
@@ -397,12 +594,9 @@ function buildTermsSection(platform, validDays, config) {
 /**
  * Build CTA section
  */
-function buildCTASection(proposalNumber, validUntil, platform, config) {
-  const expiresDisplay = validUntil.toLocaleDateString('en-US', {
-    month: 'long',
-    day: 'numeric',
-    year: 'numeric'
-  });
+function buildCTASection(proposalNumber, validUntil, platform, config, strings = loadLocale()) {
+  const copy = strings.cta;
+  const expiresDisplay = formatText(copy.expires_display, { date: formatDate(validUntil, strings.locale) });
 
   if (platform === 'upwork') {
     return {
@@ -410,8 +604,8 @@ function buildCTASection(proposalNumber, validUntil, platform, config) {
       headline: '[LLM_PLACEHOLDER: cta_headline]',
       subtext: '[LLM_PLACEHOLDER: cta_subtext]',
       link: 'https://www.upwork.com/messages',
-      link_display: 'Reply on Upwork to approve',
-      expires_display: `Proposal valid until ${expiresDisplay}`
+      link_display: copy.upwork_link_display,
+      expires_display: expiresDisplay
     };
   }
 
@@ -429,14 +623,14 @@ function buildCTASection(proposalNumber, validUntil, platform, config) {
     headline: '[LLM_PLACEHOLDER: cta_headline]',
     subtext: '[LLM_PLACEHOLDER: cta_subtext]',
     link: approveLink,
-    link_display: 'Approve This Proposal',
-    expires_display: `Proposal valid until ${expiresDisplay}`
+    link_display: copy.approve_link_display,
+    expires_display: expiresDisplay
   };
 
   // Add secondary action only if we have a valid booking link
   if (secondaryLink) {
     cta.secondary_action = {
-      label: 'Schedule a Call',
+      label: copy.secondary_action_label,
       link: secondaryLink
     };
   }
@@ -108,6 +108,8 @@ function checkWarnings(proposal) {
   // Check pricing sanity
   if (proposal.pricing?.total?.amount) {
     const total = proposal.pricing.total.amount;
+    // T&M bills hours worked, so there are no installments to reconcile
+    const hasInstallments = proposal.pricing.pricing_model !== 'time_and_materials';
 
     if (total < 2500) {
       warnings.push({
@@ -117,12 +119,15 @@ function checkWarnings(proposal) {
     }
 
     // Check milestone allocations sum to subtotal (before discounts)
-    // Milestones represent work value; discounts (audit credit, early adopter) are applied after
+    // Milestones represent work value; discounts (audit credit, early adopter) are applied after.
+    // Monthly (retainer) invoices already carry the discounts, so they sum to the total.
     const milestoneSum = (proposal.pricing?.payment_schedule?.installments || [])
       .reduce((sum, inst) => sum + (inst.amount?.amount || 0), 0);
 
-    const subtotal = proposal.pricing?.subtotal?.amount || total;
-    if (Math.abs(milestoneSum - subtotal) > 100) {
+    const subtotal = proposal.pricing?.payment_schedule?.schedule_type === 'monthly'
+      ? total
+      : proposal.pricing?.subtotal?.amount || total;
+    if (hasInstallments && Math.abs(milestoneSum - subtotal) > 100) {
       warnings.push({
         type: 'milestone_mismatch',
         message: `Milestone sum (${milestoneSum}) doesn't match subtotal (${subtotal})`
@@ -146,12 +151,14 @@ function checkWarnings(proposal) {
     });
   }
 
-  // Check Phase 2 milestones
+  // Check Phase 2 milestones match the payment schedule (one installment per template milestone)
   const phase2 = proposal.phases?.find(p => p.phase_number === 2);
-  if (phase2 && phase2.milestones?.length !== 4) {
+  const installments = proposal.pricing?.payment_schedule?.schedule_type !== 'monthly'
+    && proposal.pricing?.payment_schedule?.installments;
+  if (phase2 && installments && phase2.milestones?.length !== installments.length) {
     warnings.push({
       type: 'milestone_count',
-      message: `Phase 2 should have 4 milestones (2.1-2.4), found ${phase2.milestones?.length || 0}`
+      message: `Phase 2 has ${phase2.milestones?.length || 0} milestones but the payment schedule has ${installments.length} installments`
     });
   }
 
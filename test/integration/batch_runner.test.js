@@ -0,0 +1,104 @@
+import { describe, it, expect, vi, beforeEach, afterEach } from 'vitest';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { loadBatchJobs, runBatch } from '../../lib/batch_runner.js';
+import { RateLimiter, getRequestDelay } from '../../lib/rate_limiter.js';
+
+const SAMPLE_AUDIT = path.resolve('input/sample_audit.json');
+
+let tmpDir;
+
+beforeEach(() => {
+  tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'batch-'));
+  vi.spyOn(console, 'log').mockImplementation(() => {});
+  vi.spyOn(console, 'warn').mockImplementation(() => {});
+});
+
+afterEach(() => {
+  vi.restoreAllMocks();
+  fs.rmSync(tmpDir, { recursive: true, force: true });
+});
+
+function writeManifest(manifest) {
+  const manifestPath = path.join(tmpDir, 'batch.json');
+  fs.writeFileSync(manifestPath, JSON.stringify(manifest));
+  return manifestPath;
+}
+
+describe('loadBatchJobs', () => {
+  it('should pick up audit files from a directory in name order', () => {
+    const dir = path.join(tmpDir, 'audits');
+    fs.mkdirSync(dir);
+    for (const file of ['b.json', 'a.csv', 'notes.txt']) fs.writeFileSync(path.join(dir, file), '');
+
+    expect(loadBatchJobs(dir).map(job => path.basename(job.audit))).toEqual(['a.csv', 'b.json']);
+  });
+
+  it('should resolve manifest paths against the manifest directory', () => {
+    const jobs = loadBatchJobs(writeManifest({
+      jobs: ['audits/acme.json', { audit: 'audits/globex.json', platform: 'upwork', output: 'out/globex.html' }]
+    }));
+
+    expect(jobs).toEqual([
+      { audit: path.join(tmpDir, 'audits/acme.json') },
+      { audit: path.join(tmpDir, 'audits/globex.json'), platform: 'upwork', output: path.join(tmpDir, 'out/globex.html') }
+    ]);
+  });
+
+  it('should reject malformed manifests', () => {
+    expect(() => loadBatchJobs(writeManifest({ audits: [] }))).toThrow('must be an array of jobs');
+    expect(() => loadBatchJobs(writeManifest([{ platform: 'upwork' }]))).toThrow('job 1 is missing "audit"');
+    expect(() => loadBatchJobs(path.join(tmpDir, 'missing'))).toThrow('Batch input not found');
+  });
+});
+
+describe('runBatch', () => {
+  it('should record failed jobs, finish the rest and write the summary', async () => {
+    const summary = await runBatch([
+      { audit: SAMPLE_AUDIT, output: path.join(tmpDir, 'out/acme.html'), currency: 'EUR' },
+      { audit: path.join(tmpDir, 'missing.json'), output: path.join(tmpDir, 'out/missing.html') }
+    ], {
+      provider: 'fixture',
+      noCache: true,
+      skipPdf: true,
+      concurrency: 2,
+      outputDir: path.join(tmpDir, 'out')
+    });
+
+    expect(summary).toMatchObject({ total: 2, succeeded: 1, failed: 1 });
+    expect(summary.jobs[0]).toMatchObject({ status: 'success', html_path: path.join(tmpDir, 'out/acme.html') });
+    expect(summary.jobs[0].total_price_display).toContain('€');
+    expect(summary.jobs[1].status).toBe('failed');
+    expect(summary.jobs[1].error).toBeTruthy();
+
+    const csv = fs.readFileSync(summary.summaryPaths.csv, 'utf8').trim().split('\n');
+    expect(csv[0]).toMatch(/^client,status,total_price,/);
+    expect(csv).toHaveLength(3);
+    expect(JSON.parse(fs.readFileSync(summary.summaryPaths.json, 'utf8')).succeeded).toBe(1);
+  });
+});
+
+describe('RateLimiter', () => {
+  it('should not throttle fixture or self-hosted providers', () => {
+    expect(getRequestDelay('fixture', 'fixture')).toBe(0);
+    expect(getRequestDelay('openai-compatible', 'llama3')).toBe(0);
+    expect(getRequestDelay('groq', 'unknown-model')).toBeGreaterThan(0);
+  });
+
+  it('should space requests to one model across callers', async () => {
+    const limiter = new RateLimiter({ getDelay: () => 20 });
+    const start = Date.now();
+
+    await Promise.all([
+      limiter.acquire('groq', 'llama'),
+      limiter.acquire('groq', 'llama'),
+      limiter.acquire('groq', 'other')
+    ]);
+
+    expect(Date.now() - start).toBeGreaterThanOrEqual(15);
+    expect(limiter.stats.acquired).toBe(3);
+    expect(limiter.stats.waitedMs).toBeGreaterThanOrEqual(15);
+    expect(limiter.stats.waitedMs).toBeLessThan(40);
+  });
+});
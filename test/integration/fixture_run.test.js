@@ -0,0 +1,102 @@
+import { describe, it, expect, vi, beforeEach, afterEach } from 'vitest';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { generate } from '../../lib/pipeline.js';
+import { createFixedClock, resolveClock, systemClock, FIXED_CLOCK_TIME } from '../../lib/run_clock.js';
+import { extractFromAudit } from '../../lib/extract_proposal.js';
+import { buildProposal } from '../../lib/transform_proposal.js';
+
+let tmpDir;
+
+beforeEach(() => {
+  tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'fixture-run-'));
+  vi.spyOn(console, 'log').mockImplementation(() => {});
+});
+
+afterEach(() => {
+  vi.restoreAllMocks();
+  fs.rmSync(tmpDir, { recursive: true, force: true });
+});
+
+async function runFixture(name, options = { fixedClock: true }) {
+  const outputPath = path.join(tmpDir, name, 'proposal.html');
+  const result = await generate('input/sample_audit.json', outputPath, {
+    provider: 'fixture',
+    noCache: true,
+    skipPdf: true,
+    saveJson: true,
+    ...options
+  });
+  return {
+    result,
+    html: fs.readFileSync(outputPath, 'utf8'),
+    json: fs.readFileSync(result.jsonPath, 'utf8')
+  };
+}
+
+describe('Fixture provider runs', () => {
+  it('should produce byte-identical output between runs', async () => {
+    const first = await runFixture('first');
+    const second = await runFixture('second');
+
+    expect(second.html).toBe(first.html);
+    expect(second.json).toBe(first.json);
+
+    const proposal = JSON.parse(first.json);
+    expect(proposal.document.created_at).toBe(FIXED_CLOCK_TIME);
+    expect(proposal.document.proposal_number).toMatch(/^WRN-2025-\d{4}$/);
+  });
+
+  it('should date runs without --fixed-clock from the system clock', async () => {
+    const before = Date.now();
+    const { json } = await runFixture('live', {});
+
+    const createdAt = Date.parse(JSON.parse(json).document.created_at);
+    expect(createdAt).toBeGreaterThanOrEqual(before - 1000);
+    expect(createdAt).toBeLessThanOrEqual(Date.now());
+  });
+
+  it('should answer the final HTML review from the fixtures', async () => {
+    const error = vi.spyOn(console, 'error').mockImplementation(() => {});
+    const { result, html } = await runFixture('polish');
+
+    expect(error).not.toHaveBeenCalledWith(expect.stringContaining('Final HTML pass failed'));
+    expect(html).toBe(fs.readFileSync(path.join(result.runDir, 'rendered.html'), 'utf8'));
+  });
+});
+
+describe('run clock', () => {
+  it('should use the system clock unless a fixed clock is asked for', () => {
+    expect(resolveClock({ provider: 'fixture' }, {})).toBe(systemClock);
+    expect(resolveClock({ fixedClock: true }, {}).now().toISOString()).toBe(FIXED_CLOCK_TIME);
+    expect(resolveClock({ fixedClock: '2025-03-07T12:00:00Z' }, {}).now().toISOString())
+      .toBe('2025-03-07T12:00:00.000Z');
+  });
+
+  it('should freeze the clock at SOURCE_DATE_EPOCH', () => {
+    expect(resolveClock({}, { SOURCE_DATE_EPOCH: '1736164800' }).now().toISOString()).toBe(FIXED_CLOCK_TIME);
+    expect(() => resolveClock({}, { SOURCE_DATE_EPOCH: 'soon' })).toThrow('Invalid SOURCE_DATE_EPOCH');
+  });
+
+  it('should stamp IDs, numbers and dates from the clock', () => {
+    const extracted = extractFromAudit('input/sample_audit.json');
+    const build = () => buildProposal(extracted, { clock: createFixedClock() });
+    const first = build();
+
+    expect(build()).toEqual(first);
+    expect(buildProposal(extracted, { clock: createFixedClock({ seed: 2 }) }).document.document_id)
+      .not.toBe(first.document.document_id);
+  });
+
+  it('should start the default schedule after the clock\'s day', () => {
+    const proposal = buildProposal(extractFromAudit('input/sample_audit.json'), {
+      clock: createFixedClock({ time: '2025-03-07T12:00:00Z' }),
+      holiday_calendar: 'none'
+    });
+    const phase2 = proposal.phases.find(phase => phase.phase_number === 2);
+
+    // Friday → next working day is Monday
+    expect(phase2.schedule.start_date).toBe('2025-03-10');
+  });
+});
@@ -0,0 +1,39 @@
+import { describe, it, expect } from 'vitest';
+import { extractFromAudit, getPricingInput } from '../../lib/extract_proposal.js';
+import { calculatePricing } from '../../lib/pricing_calculator.js';
+import { buildProposal } from '../../lib/transform_proposal.js';
+
+function phase2Schedule(proposal) {
+  return proposal.phases.find(phase => phase.phase_number === 2).schedule;
+}
+
+describe('Extract → Pricing → Schedule Integration', () => {
+  it('should price the hours the timeline schedules for the sample audit', () => {
+    const proposal = buildProposal(extractFromAudit('input/sample_audit.json'), { pricing_appendix: true });
+    const ledger = proposal.internal.pricing_ledger;
+    const schedule = phase2Schedule(proposal);
+
+    expect(ledger.effort.source).toBe('recommended_fixes');
+    expect(schedule.method).toBe('effort');
+    expect(ledger.effort.priced_hours).toBe(schedule.total_hours);
+    expect(ledger.effort.fixes.map(fix => fix.fix_id)).toEqual(schedule.fixes.map(fix => fix.fix_id));
+  });
+
+  it('should price the normalized fixes for every bundled audit format', () => {
+    for (const file of ['input/sample_audit.json', 'input/sample_audit.csv', 'input/sample_audit.md']) {
+      const extracted = extractFromAudit(file);
+      const pricing = calculatePricing(getPricingInput(extracted));
+
+      expect(pricing.ledger.effort.source).toBe('recommended_fixes');
+      expect(pricing.ledger.effort.fixes).toHaveLength(extracted.recommended_fixes.length);
+    }
+  });
+
+  it('should schedule and price the recommended tier from the same fixes', () => {
+    const proposal = buildProposal(extractFromAudit('input/sample_audit.json'), { tiers: true, pricing_appendix: true });
+    const recommended = proposal.pricing.tiers.find(tier => tier.is_recommended);
+
+    expect(proposal.internal.pricing_ledger.effort.priced_hours).toBe(recommended.total_hours);
+    expect(phase2Schedule(proposal).total_hours).toBe(recommended.total_hours);
+  });
+});
@@ -0,0 +1,67 @@
+import { describe, it, expect, vi, beforeEach, afterEach } from 'vitest';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { generate, resumeRun } from '../../lib/pipeline.js';
+import { loadManifest } from '../../lib/run_checkpoint.js';
+
+let tmpDir;
+let outputPath;
+let runDir;
+
+beforeEach(() => {
+  tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'resume-run-'));
+  outputPath = path.join(tmpDir, 'proposal.html');
+  runDir = path.join(tmpDir, 'run');
+  vi.spyOn(console, 'log').mockImplementation(() => {});
+  vi.spyOn(console, 'warn').mockImplementation(() => {});
+});
+
+afterEach(() => {
+  vi.restoreAllMocks();
+  fs.rmSync(tmpDir, { recursive: true, force: true });
+});
+
+function runFixture(options = {}) {
+  return generate('input/sample_audit.json', outputPath, {
+    provider: 'fixture',
+    noCache: true,
+    skipPdf: true,
+    runDir,
+    ...options
+  });
+}
+
+describe('Resumable runs', () => {
+  it('should stop after --to-stage and resume without repeating the fill', async () => {
+    const stopped = await runFixture({ toStage: 'fill' });
+    expect(stopped.lastStage).toBe('fill');
+    expect(fs.existsSync(outputPath)).toBe(false);
+
+    const resumed = await resumeRun(runDir);
+    expect(resumed.success).toBe(true);
+    expect(resumed.stages.llmFill).toBeUndefined();
+    // Only the final HTML review calls the provider
+    expect(resumed.llmUsage.requestCount).toBe(1);
+    expect(fs.existsSync(outputPath)).toBe(true);
+    expect(loadManifest(runDir).stages.pdf.status).toBe('skipped');
+  });
+
+  it('should re-render an edited checkpoint with --from-stage', async () => {
+    await runFixture({ toStage: 'fill' });
+    const filledPath = path.join(runDir, 'filled.json');
+    const filled = JSON.parse(fs.readFileSync(filledPath, 'utf8'));
+    filled.cta.headline = 'Edited headline for the resumed run';
+    fs.writeFileSync(filledPath, JSON.stringify(filled, null, 2));
+
+    await resumeRun(runDir, { fromStage: 'validate' });
+
+    expect(fs.readFileSync(outputPath, 'utf8')).toContain('Edited headline for the resumed run');
+  });
+
+  it('should report a finished run', async () => {
+    await runFixture();
+
+    await expect(resumeRun(runDir)).rejects.toThrow('Run already complete');
+  });
+});
@@ -0,0 +1,10 @@
+/**
+ * Vitest setup, run before every test file
+ */
+
+import { vi } from 'vitest';
+
+// Project identity comes from the sibling unified_presales_report checkout
+vi.mock('../../unified_presales_report/project_identity.js', () => ({
+  generateProjectIdentity: () => ({ project_id: 'test-project', friendly_name: 'Test Project' })
+}));
@@ -0,0 +1,75 @@
+import { describe, it, expect } from 'vitest';
+import { listAddOns, priceAddOns } from '../../lib/pricing_calculator.js';
+import { manualPolishHTML } from '../../lib/html_final_pass.js';
+import { extractFromAudit } from '../../lib/extract_proposal.js';
+import { buildProposal } from '../../lib/transform_proposal.js';
+
+describe('priceAddOns', () => {
+  it('should price the whole catalog for true', () => {
+    const items = priceAddOns(true);
+
+    expect(items.map(item => item.add_on_id)).toEqual(listAddOns());
+    expect(items.find(item => item.add_on_id === 'extended_warranty').price.amount).toBe(1500);
+  });
+
+  it('should price hour-based add-ons at the role rate, rounded', () => {
+    const [workshop] = priceAddOns('training_workshop');
+
+    expect(workshop.hours).toBe(8);
+    expect(workshop.price.amount % 50).toBe(0);
+    expect(workshop.price.amount).toBeCloseTo(8 * workshop.hourly_rate.amount, -2);
+  });
+
+  it('should convert to the billing currency', () => {
+    const [warranty] = priceAddOns(['extended_warranty'], { currency: 'EUR', locale: 'de-DE' });
+
+    expect(warranty.price).toMatchObject({ amount: 1400, currency: 'EUR' });
+    expect(warranty.price.display).toContain('€');
+  });
+
+  it('should reject unknown add-ons', () => {
+    expect(() => priceAddOns('extended_warranty,gold_plating')).toThrow('Unknown add-on: gold_plating');
+  });
+
+  it('should use the catalog copy for en-US', () => {
+    const [warranty] = priceAddOns(['extended_warranty']);
+
+    expect(warranty.name).toBe('Extended Warranty');
+    expect(warranty.description).toContain('{warranty_days}');
+  });
+
+  it('should translate names, descriptions and ROI notes for the locale', () => {
+    for (const item of priceAddOns(true, { currency: 'EUR', locale: 'de-DE' })) {
+      const english = priceAddOns([item.add_on_id])[0];
+
+      expect(item.name).not.toBe(english.name);
+      expect(item.description).not.toBe(english.description);
+      expect(item.roi_note).not.toBe(english.roi_note);
+    }
+    expect(priceAddOns(['extended_warranty'], { locale: 'de-DE' })[0].name).toBe('Erweiterte Gewährleistung');
+  });
+});
+
+describe('add-ons section', () => {
+  it('should fill the translated copy with the proposal\'s figures', () => {
+    const proposal = buildProposal(extractFromAudit('input/sample_audit.json'), {
+      add_ons: ['extended_warranty', 'monitoring_retainer'],
+      currency: 'EUR',
+      locale: 'de-DE'
+    });
+    const [warranty, monitoring] = proposal.add_ons.items;
+
+    expect(warranty.description).toBe('Verlängert die 30-tägige Fehlerbehebungsgarantie auf 90 Tage');
+    expect(monitoring.roi_note).toContain(`${proposal.roi.monthly_recovery.display}/Monat`);
+    expect(monitoring.price_display).toMatch(/ pro Monat$/);
+  });
+});
+
+describe('manualPolishHTML', () => {
+  it('should keep "$&" in suffix-currency amounts when adding punctuation', () => {
+    const html = '<p>Keeps the 8.500 $&#x2F;month recovery protected through the first full quarter</p>';
+    const { html: polished } = manualPolishHTML(html);
+
+    expect(polished).toBe('<p>Keeps the 8.500 $&#x2F;month recovery protected through the first full quarter.</p>');
+  });
+});
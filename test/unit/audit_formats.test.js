@@ -0,0 +1,144 @@
+import { describe, it, expect } from 'vitest';
+import {
+  detectFormat,
+  getAuditExtensions,
+  getFormat,
+  listFormats,
+  loadAuditFile,
+  registerFormat
+} from '../../lib/audit_formats.js';
+import { extractFromAudit } from '../../lib/extract_proposal.js';
+import { createFixedClock, FIXED_CLOCK_TIME } from '../../lib/run_clock.js';
+
+const SIMPLE_AUDIT = {
+  audit_date: '2025-02-03',
+  client_name: 'Globex',
+  findings: [{ category_name: 'Order intake', status: 'critical', findings: ['Orders re-keyed by hand'] }],
+  bleed: { total_monthly: 4200 },
+  fixes: [{ fix: 'Sync orders from the web shop', effort_tier: 'moderate' }]
+};
+
+const PROJECT_PLAN = {
+  project_identity: { client_name: 'Initech', project_name: 'TPS automation' },
+  meta: { plan_id: 'plan-7', generated_at: '2025-02-01T00:00:00Z' },
+  scope: { objectives: ['Cut report prep time'], in_scope: ['TPS report generation', 'Cover sheet check'] }
+};
+
+describe('detectFormat', () => {
+  it('should recognize each built-in format', () => {
+    expect(detectFormat(loadAuditFile('input/sample_audit.json')).name).toBe('traffic_light_report');
+    expect(detectFormat(loadAuditFile('input/sample_audit.csv')).name).toBe('spreadsheet');
+    expect(detectFormat(loadAuditFile('input/sample_audit.md')).name).toBe('markdown');
+    expect(detectFormat(SIMPLE_AUDIT).name).toBe('simple_audit');
+    expect(detectFormat(PROJECT_PLAN).name).toBe('project_plan');
+  });
+
+  it('should fall back to raw intake with every candidate listed', () => {
+    const detected = detectFormat({ client: { account_name: 'Acme' } });
+
+    expect(detected.name).toBe('raw_intake');
+    expect(detected.confidence).toBe(0.1);
+    expect(detected.candidates).toEqual([{ name: 'raw_intake', confidence: 0.1 }]);
+  });
+
+  it('should score optional signals into the confidence', () => {
+    const full = detectFormat(SIMPLE_AUDIT).confidence;
+    const bare = detectFormat({ audit_date: '2025-02-03' }).confidence;
+
+    expect(bare).toBe(0.5);
+    expect(full).toBe(1);
+  });
+
+  it('should report schema errors for the detected format', () => {
+    const detected = detectFormat({ ...SIMPLE_AUDIT, fixes: 'none' });
+
+    expect(detected.name).toBe('simple_audit');
+    expect(detected.schema_valid).toBe(false);
+    expect(detected.schema_errors).toContainEqual({ path: '/fixes', message: 'must be array' });
+  });
+});
+
+describe('normalize', () => {
+  it('should map each format to the common structure', () => {
+    const simple = getFormat('simple_audit').normalize(SIMPLE_AUDIT);
+    const plan = getFormat('project_plan').normalize(PROJECT_PLAN);
+
+    expect(simple).toMatchObject({
+      format: 'simple_audit',
+      document: { created_at: '2025-02-03' },
+      client: { account_name: 'Globex' },
+      scorecard: { categories: SIMPLE_AUDIT.findings },
+      fixes: SIMPLE_AUDIT.fixes
+    });
+    expect(plan).toMatchObject({
+      format: 'project_plan',
+      document: { created_at: '2025-02-01T00:00:00Z', document_id: 'plan-7' },
+      client: { account_name: 'Initech' },
+      fixes: [{ id: 1, fix: 'TPS report generation' }, { id: 2, fix: 'Cover sheet check' }]
+    });
+  });
+
+  it('should date undated audits from the run clock', () => {
+    const extracted = extractFromAudit({ client: { account_name: 'Acme' } }, { clock: createFixedClock() });
+
+    expect(extracted.audit.audit_date).toBe(FIXED_CLOCK_TIME);
+    expect(extracted.raw_audit.document.created_at).toBe(FIXED_CLOCK_TIME);
+  });
+});
+
+describe('registerFormat', () => {
+  const ticketExport = {
+    name: 'ticket_export',
+    description: 'Helpdesk ticket export',
+    schema: { $id: 'test:ticket-export', type: 'object', required: ['tickets'] },
+    detect: data => (Array.isArray(data.tickets) ? 0.9 : 0),
+    normalize: data => ({
+      format: 'ticket_export',
+      document: { created_at: '2025-03-01' },
+      client: { account_name: data.customer },
+      scorecard: { categories: [] },
+      fixes: data.tickets.map(ticket => ({ fix: ticket.title, effort_tier: 'trivial' }))
+    })
+  };
+
+  it('should add an adapter ahead of the raw intake fallback', () => {
+    registerFormat(ticketExport);
+    const names = listFormats().map(adapter => adapter.name);
+
+    expect(names.indexOf('ticket_export')).toBe(names.indexOf('raw_intake') - 1);
+    expect(detectFormat({ tickets: [] }).name).toBe('ticket_export');
+  });
+
+  it('should feed the extractor without changes to it', () => {
+    registerFormat(ticketExport);
+    const extracted = extractFromAudit({ customer: 'Umbrella', tickets: [{ title: 'Auto-close stale tickets' }] });
+
+    expect(extracted.source_format).toMatchObject({ name: 'ticket_export', schema_valid: true });
+    expect(extracted.client.account_name).toBe('Umbrella');
+    expect(extracted.recommended_fixes.map(fix => fix.fix)).toEqual(['Auto-close stale tickets']);
+  });
+
+  it('should replace an adapter with the same name in place', () => {
+    registerFormat(ticketExport);
+    const position = listFormats().findIndex(adapter => adapter.name === 'ticket_export');
+    registerFormat({ ...ticketExport, description: 'Replaced' });
+
+    expect(listFormats().findIndex(adapter => adapter.name === 'ticket_export')).toBe(position);
+    expect(getFormat('ticket_export').description).toBe('Replaced');
+  });
+
+  it('should reject incomplete adapters and unknown names', () => {
+    expect(() => registerFormat({ name: 'broken', detect: () => 0, schema: {} })).toThrow('missing "normalize"');
+    expect(() => getFormat('nope')).toThrow('Unknown audit format: nope');
+  });
+});
+
+describe('loadAuditFile', () => {
+  it('should read JSON and the extensions adapters declare', () => {
+    expect(getAuditExtensions()).toEqual(expect.arrayContaining(['.json', '.csv', '.tsv', '.md']));
+  });
+
+  it('should ask for a CSV export of Excel workbooks', () => {
+    expect(() => loadAuditFile('audit.xlsx')).toThrow('export the sheet as CSV');
+  });
+});
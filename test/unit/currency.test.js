@@ -0,0 +1,101 @@
+import { describe, it, expect } from 'vitest';
+import {
+  BASE_CURRENCY,
+  convertAmount,
+  convertBleed,
+  formatMoney,
+  getCurrency,
+  listCurrencies,
+  resolveCurrency,
+  toMoney
+} from '../../lib/currency.js';
+import { extractFromAudit, getPricingInput, validateExtraction } from '../../lib/extract_proposal.js';
+import { calculatePricing } from '../../lib/pricing_calculator.js';
+import { buildProposal } from '../../lib/transform_proposal.js';
+
+const extracted = extractFromAudit('input/sample_audit.json');
+
+describe('currency config', () => {
+  it('should list the configured currencies with USD as the base', () => {
+    expect(BASE_CURRENCY).toBe('USD');
+    expect(listCurrencies()).toEqual(expect.arrayContaining(['USD', 'GBP', 'EUR', 'CAD', 'AUD']));
+  });
+
+  it('should look up codes case-insensitively and reject unknown ones', () => {
+    expect(getCurrency('eur')).toMatchObject({ code: 'EUR', fx_rate: 0.92, locale: 'de-DE' });
+    expect(() => getCurrency('XYZ')).toThrow('Unknown currency: XYZ');
+  });
+});
+
+describe('resolveCurrency', () => {
+  it('should prefer the option, then the audit\'s bleed currency, then the base currency', () => {
+    expect(resolveCurrency('gbp', extracted)).toBe('GBP');
+    expect(resolveCurrency(undefined, { bleed: { currency: 'eur' } })).toBe('EUR');
+    expect(resolveCurrency(undefined, { bleed: { currency: 'JPY' } })).toBe('USD');
+    expect(resolveCurrency(undefined, {})).toBe('USD');
+  });
+});
+
+describe('conversion', () => {
+  it('should convert through the base currency', () => {
+    expect(convertAmount(1000, 'USD', 'EUR')).toBeCloseTo(920);
+    expect(convertAmount(920, 'EUR', 'USD')).toBeCloseTo(1000);
+    expect(convertAmount(790, 'GBP', 'EUR')).toBeCloseTo(920);
+  });
+
+  it('should convert the audit bleed into the billing currency, rounded', () => {
+    expect(convertBleed({ monthly_amount: 4500, currency: 'USD' }, 'EUR')).toBe(4140);
+    expect(convertBleed({ monthly_amount: 4500 }, 'EUR')).toBe(4500);
+  });
+
+  it('should reject bleed in a currency without an FX rate', () => {
+    const bleed = { monthly_amount: 650000, currency: 'JPY' };
+
+    expect(() => convertBleed(bleed, 'USD')).toThrow('Audit bleed is in JPY, which has no FX rate');
+    expect(validateExtraction({ ...extracted, bleed }).errors)
+      .toContain('Bleed currency JPY has no FX rate in pricing/currencies.json');
+  });
+});
+
+describe('formatMoney', () => {
+  it('should format in the currency\'s own locale without decimals', () => {
+    expect(formatMoney(12500)).toBe('$12,500');
+    expect(formatMoney(9500, 'GBP')).toBe('£9,500');
+    expect(formatMoney(11500, 'EUR')).toBe('11.500\u00a0€');
+    expect(formatMoney(12499.6, 'USD')).toBe('$12,500');
+  });
+
+  it('should let the proposal locale override the currency\'s locale', () => {
+    expect(formatMoney(11500, 'EUR', 'en-US')).toBe('€11,500');
+    expect(toMoney(11500, 'eur', 'en-US')).toEqual({ amount: 11500, currency: 'EUR', display: '€11,500' });
+  });
+});
+
+describe('pricing in the billing currency', () => {
+  const auditData = getPricingInput(extracted);
+
+  it('should convert base rates and carry the currency on the result', () => {
+    const usd = calculatePricing(auditData);
+    const eur = calculatePricing(auditData, { currency: 'EUR' });
+
+    expect(eur).toMatchObject({ currency: 'EUR', fx_rate: 0.92 });
+    expect(eur.final_price).toBeLessThan(usd.final_price);
+    expect(eur.final_price).toBeCloseTo(usd.final_price * 0.92, -3);
+    expect(eur.ledger.rate.source).toContain('fx_rate 0.92');
+  });
+
+  it('should use a currency\'s own rate card instead of converting', () => {
+    const gbp = calculatePricing(auditData, { currency: 'GBP' });
+
+    expect(gbp.ledger.rate.source).toBe('currencies.json GBP hourly_rates');
+  });
+
+  it('should render every amount in the proposal in one currency', () => {
+    const proposal = buildProposal(extracted, { currency: 'EUR', locale: 'de-DE' });
+    const amounts = JSON.stringify(proposal).match(/"currency":"[A-Z]{3}"/g);
+
+    expect(new Set(amounts)).toEqual(new Set(['"currency":"EUR"']));
+    expect(proposal.audit_reference.bleed_total).toEqual({ amount: 7820, currency: 'EUR', display: '7.820\u00a0€' });
+    expect(proposal.roi.monthly_recovery.display).toContain('€');
+  });
+});
@@ -0,0 +1,85 @@
+import { describe, it, expect } from 'vitest';
+import { resolveCapacity, scheduleFixes } from '../../lib/effort_scheduler.js';
+import { estimateEffortDurations } from '../../lib/milestone_builder.js';
+import { estimateFixHours } from '../../lib/pricing_calculator.js';
+
+// 30 hours per week → 6 hours per working day
+const PAIR = { team_size: 2, hours_per_week: 30 };
+
+describe('resolveCapacity', () => {
+  it('should default to the base rates and coerce CLI strings', () => {
+    expect(resolveCapacity()).toEqual({ team_size: 2, hours_per_week: 30 });
+    expect(resolveCapacity({ team_size: '3', hours_per_week: '20' })).toEqual({ team_size: 3, hours_per_week: 20 });
+  });
+
+  it('should reject teams and weeks that cannot be scheduled', () => {
+    expect(() => resolveCapacity({ team_size: 0 })).toThrow('Team size must be a positive integer, got "0"');
+    expect(() => resolveCapacity({ team_size: 1.5 })).toThrow('Team size must be a positive integer');
+    expect(() => resolveCapacity({ hours_per_week: 90 })).toThrow('Hours per week must be between 1 and 80, got "90"');
+  });
+});
+
+describe('scheduleFixes', () => {
+  it('should run independent fixes in parallel on the free person', () => {
+    const schedule = scheduleFixes([
+      { fix_id: 1, label: 'A', hours: 12 },
+      { fix_id: 2, label: 'B', hours: 6 },
+      { fix_id: 3, label: 'C', hours: 6 }
+    ], PAIR);
+
+    expect(schedule.fixes.map(f => [f.fix_id, f.person, f.start_day, f.end_day])).toEqual([
+      ['1', 1, 0, 2],
+      ['2', 2, 0, 1],
+      ['3', 2, 1, 2]
+    ]);
+    expect(schedule.total_hours).toBe(24);
+    expect(schedule.makespan_days).toBe(2);
+  });
+
+  it('should start a fix once its dependencies are done', () => {
+    const schedule = scheduleFixes([
+      { fix_id: 'report', hours: 6, depends_on: ['sync'] },
+      { fix_id: 'sync', hours: 12 }
+    ], PAIR);
+
+    expect(schedule.fixes.map(f => f.fix_id)).toEqual(['sync', 'report']);
+    expect(schedule.fixes[1].start_day).toBe(2);
+    expect(schedule.makespan_days).toBe(3);
+  });
+
+  it('should warn about unknown dependencies and reject cycles', () => {
+    const schedule = scheduleFixes([{ fix_id: 1, hours: 6, depends_on: [9] }], PAIR);
+
+    expect(schedule.warnings).toEqual(['Fix 1 depends on unknown fix 9; dependency ignored']);
+    expect(() => scheduleFixes([
+      { fix_id: 1, hours: 6, depends_on: [2] },
+      { fix_id: 2, hours: 6, depends_on: [1] }
+    ], PAIR)).toThrow('Fix dependencies form a cycle between: 1, 2');
+  });
+
+  it('should finish sooner with a bigger team', () => {
+    const fixes = estimateFixHours([
+      { fix: 'Sync orders', effort_tier: 'moderate' },
+      { fix: 'Auto-invoice', effort_tier: 'moderate' },
+      { fix: 'Weekly report', effort_tier: 'quick_win' }
+    ]);
+
+    const solo = scheduleFixes(fixes, { team_size: 1, hours_per_week: 30 });
+    const trio = scheduleFixes(fixes, { team_size: 3, hours_per_week: 30 });
+
+    expect(trio.total_hours).toBe(solo.total_hours);
+    expect(trio.makespan_days).toBeLessThan(solo.makespan_days);
+  });
+});
+
+describe('estimateEffortDurations', () => {
+  it('should size the fix-work milestone from the schedule and scale the rest by share', () => {
+    // 10 working days of fix work = 2 weeks of build (45%); design 20% → 2/45 of that, rounded up
+    const schedule = scheduleFixes([{ fix_id: 1, hours: 60 }], { team_size: 1, hours_per_week: 30 });
+    const durations = estimateEffortDurations(schedule);
+
+    expect(durations.build).toMatchObject({ value: 2, unit: 'weeks' });
+    expect(durations.design).toMatchObject({ value: 1, unit: 'weeks' });
+    expect(durations.total.value).toBe(5);
+  });
+});
@@ -0,0 +1,132 @@
+import { describe, it, expect, afterEach } from 'vitest';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import {
+  getHoliday,
+  holidaysBetween,
+  listHolidayCalendars,
+  loadHolidayCalendar,
+  resolveHolidayCalendar
+} from '../../lib/holiday_calendar.js';
+import {
+  addWorkingDays,
+  datesForFixes,
+  scheduleFixes,
+  scheduleMilestoneDates,
+  toISODate,
+  toUTCDate
+} from '../../lib/effort_scheduler.js';
+
+const day = iso => toUTCDate(iso);
+const weeks = value => ({ duration: { value, unit: 'weeks' } });
+
+let tmpDir;
+
+afterEach(() => {
+  if (tmpDir) fs.rmSync(tmpDir, { recursive: true, force: true });
+  tmpDir = null;
+});
+
+function writeCalendar(calendar) {
+  if (!tmpDir) tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'holidays-'));
+  const file = path.join(tmpDir, 'office.json');
+  fs.writeFileSync(file, JSON.stringify(calendar));
+  return file;
+}
+
+describe('holiday rules', () => {
+  const us = loadHolidayCalendar('us');
+  const de = loadHolidayCalendar('DE');
+
+  it('should expand fixed, nth-weekday and last-weekday rules', () => {
+    expect(getHoliday(us, day('2025-11-27'))).toBe('Thanksgiving Day');
+    expect(getHoliday(us, day('2025-05-26'))).toBe('Memorial Day');
+    expect(getHoliday(us, day('2025-12-25'))).toBe('Christmas Day');
+    expect(getHoliday(us, day('2025-12-24'))).toBeNull();
+  });
+
+  it('should expand Easter-relative rules', () => {
+    // Easter Sunday 2025 is April 20
+    expect(holidaysBetween(de, '2025-04-18', '2025-04-21')).toEqual([
+      { date: '2025-04-18', name: 'Karfreitag' },
+      { date: '2025-04-21', name: 'Ostermontag' }
+    ]);
+  });
+
+  it('should observe weekend holidays on the nearest weekday, across the year end', () => {
+    // July 4 2026 is a Saturday; January 1 2022 was a Saturday
+    expect(getHoliday(us, day('2026-07-03'))).toBe('Independence Day');
+    expect(getHoliday(us, day('2021-12-31'))).toBe('New Year\'s Day');
+  });
+});
+
+describe('loadHolidayCalendar', () => {
+  it('should list the shipped calendars and reject unknown ones', () => {
+    expect(listHolidayCalendars()).toEqual(expect.arrayContaining(['DE', 'GB', 'US']));
+    expect(() => loadHolidayCalendar('XX')).toThrow('Unknown holiday calendar: XX. Available:');
+  });
+
+  it('should load a calendar file with one-off closures', () => {
+    const calendar = loadHolidayCalendar(writeCalendar({
+      holidays: [{ name: 'Founders Day', date: '03-12' }],
+      closures: ['2025-08-15']
+    }));
+
+    expect(getHoliday(calendar, day('2025-03-12'))).toBe('Founders Day');
+    expect(getHoliday(calendar, day('2025-08-15'))).not.toBeNull();
+  });
+
+  it('should name the first bad rule', () => {
+    expect(() => loadHolidayCalendar(writeCalendar({ holidays: [{ name: 'Odd', date: '2025-03-12' }] })))
+      .toThrow('"Odd" date must be MM-DD');
+    expect(() => loadHolidayCalendar(writeCalendar({ holidays: [{ name: 'Vague', month: 4 }] })))
+      .toThrow('"Vague" needs date, easter_offset or weekday');
+  });
+
+  it('should default to the locale\'s country, or weekends only', () => {
+    expect(resolveHolidayCalendar(undefined, 'de-DE').country).toBe('DE');
+    expect(resolveHolidayCalendar(undefined, 'es-MX').country).toBe('MX');
+    expect(resolveHolidayCalendar('none', 'en-US')).toBeNull();
+    expect(resolveHolidayCalendar(undefined, 'en')).toBeNull();
+  });
+});
+
+describe('working-day dates', () => {
+  const us = loadHolidayCalendar('US');
+
+  it('should skip weekends and holidays when adding working days', () => {
+    expect(toISODate(addWorkingDays('2025-11-26', 1))).toBe('2025-11-27');
+    expect(toISODate(addWorkingDays('2025-11-26', 1, us))).toBe('2025-11-28');
+    expect(toISODate(addWorkingDays('2025-11-28', 1, us))).toBe('2025-12-01');
+  });
+
+  it('should reject malformed dates', () => {
+    expect(() => toUTCDate('2025-02-30')).toThrow('Invalid date "2025-02-30": expected YYYY-MM-DD');
+  });
+
+  it('should lay milestones end to end and list the holidays inside each', () => {
+    const dates = scheduleMilestoneDates([weeks(1), weeks(1)], '2025-11-22', us);
+
+    // Saturday start moves to Monday; Thanksgiving pushes the first week to Monday
+    expect(dates[0]).toEqual({
+      start_date: '2025-11-24',
+      end_date: '2025-12-01',
+      working_days: 5,
+      holidays: [{ date: '2025-11-27', name: 'Thanksgiving Day' }]
+    });
+    expect(dates[1]).toMatchObject({ start_date: '2025-12-02', end_date: '2025-12-08', holidays: [] });
+  });
+
+  it('should give each fix calendar dates from the start of fix work', () => {
+    const schedule = scheduleFixes([
+      { fix_id: 1, hours: 12 },
+      { fix_id: 2, hours: 6, depends_on: [1] }
+    ], { team_size: 1, hours_per_week: 30 });
+
+    expect(datesForFixes(schedule, '2025-12-23', us).map(f => [f.start_date, f.end_date])).toEqual([
+      ['2025-12-23', '2025-12-24'],
+      ['2025-12-26', '2025-12-26']
+    ]);
+  });
+});
@@ -0,0 +1,101 @@
+import { describe, it, expect } from 'vitest';
+import {
+  LLMClient,
+  createLLMClient,
+  listProviders,
+  normalizeResponse,
+  registerProvider,
+  resolveProviderName
+} from '../../lib/llm_provider.js';
+
+/**
+ * Adapter that replays a script of results (text or Error) and records requests
+ */
+class ScriptedAdapter {
+  constructor(options = {}) {
+    this.name = 'scripted';
+    this.label = 'Scripted';
+    this.models = ['big', 'small'];
+    this.fallbackDelayMs = 0;
+    this.retryDelayMs = 0;
+    this.waitOnRateLimit = false;
+    this.script = [...(options.script || [])];
+    this.requests = [];
+  }
+
+  complete(request) {
+    this.requests.push(request);
+    const next = this.script.shift();
+    if (next instanceof Error) return Promise.reject(next);
+    return Promise.resolve({ text: next, usage: { inputTokens: 3, outputTokens: 2, totalTokens: 5 } });
+  }
+}
+
+registerProvider('scripted', ScriptedAdapter);
+
+function scriptedClient(script) {
+  return new LLMClient({ provider: 'scripted', script, verbose: false });
+}
+
+describe('provider registry', () => {
+  it('should list the built-in providers and registered ones', () => {
+    expect(listProviders()).toEqual(expect.arrayContaining(['gemini', 'groq', 'openai-compatible', 'fixture', 'scripted']));
+  });
+
+  it('should resolve the provider from --provider, else the legacy --use-groq flag', () => {
+    expect(resolveProviderName({ provider: 'fixture', useGroq: true })).toBe('fixture');
+    expect(resolveProviderName({ useGroq: true })).toBe('groq');
+    expect(resolveProviderName({})).toBe('gemini');
+  });
+
+  it('should reject unknown providers', () => {
+    expect(() => createLLMClient({ provider: 'carrier-pigeon' })).toThrow('Unknown LLM provider: carrier-pigeon');
+  });
+});
+
+describe('LLMClient', () => {
+  it('should pass prompts and options to the adapter and count tokens', async () => {
+    const client = scriptedClient(['Hello']);
+
+    expect(await client.generate('system', 'user', { promptId: 'cta_headline_v1', maxTokens: 50 })).toBe('Hello');
+    expect(client.adapter.requests[0]).toMatchObject({
+      model: 'big',
+      systemPrompt: 'system',
+      userPrompt: 'user',
+      promptId: 'cta_headline_v1',
+      maxTokens: 50
+    });
+    expect(client.getStats()).toMatchObject({ requestCount: 1, tokensUsed: 5, modelUsed: 'big' });
+  });
+
+  it('should fall back to the next model on a rate limit', async () => {
+    const client = scriptedClient([new Error('API error 429: Too Many Requests'), 'From small']);
+
+    expect(await client.generate('system', 'user')).toBe('From small');
+    expect(client.adapter.requests.map(request => request.model)).toEqual(['big', 'small']);
+    expect(client.getStats().fallbackHistory).toEqual([{ from: 'big', to: 'small' }]);
+  });
+
+  it('should retry network errors on the same model', async () => {
+    const client = scriptedClient([new Error('fetch failed'), 'Recovered']);
+
+    expect(await client.generate('system', 'user')).toBe('Recovered');
+    expect(client.adapter.requests.map(request => request.model)).toEqual(['big', 'big']);
+  });
+
+  it('should fail with the provider label once retries run out', async () => {
+    const client = scriptedClient([new Error('API error 400: bad request')]);
+
+    await expect(client.generate('system', 'user')).rejects.toThrow('Scripted API call failed: API error 400: bad request');
+    expect(client.getStats().failedCount).toBe(1);
+  });
+});
+
+describe('normalizeResponse', () => {
+  it('should trim text and unwrap a response that is one code block', () => {
+    expect(normalizeResponse('  plain  ')).toBe('plain');
+    expect(normalizeResponse('```html\n<p>Hi</p>\n```')).toBe('<p>Hi</p>');
+    expect(normalizeResponse('Intro\n```js\nx\n```')).toBe('Intro\n```js\nx\n```');
+    expect(normalizeResponse(undefined)).toBe('');
+  });
+});
@@ -0,0 +1,123 @@
+import { describe, it, expect } from 'vitest';
+import {
+  DEFAULT_LOCALE,
+  formatDate,
+  formatText,
+  formatUnit,
+  getLanguageName,
+  listLocales,
+  loadLocale,
+  resolveLocale
+} from '../../lib/locale.js';
+import { extractFromAudit } from '../../lib/extract_proposal.js';
+import { buildProposal } from '../../lib/transform_proposal.js';
+import { buildPromptContext, fillProposalPlaceholders } from '../../lib/llm_batch_executor.js';
+import { prepareTemplateData } from '../../lib/pipeline.js';
+import { registerRecordingProvider } from '../utils/test-helpers.js';
+
+const extracted = extractFromAudit('input/sample_audit.json');
+
+describe('resolveLocale', () => {
+  it('should canonicalize codes that have a strings file', () => {
+    expect(listLocales()).toEqual(['de-DE', 'en-US', 'es-MX', 'fr-FR']);
+    expect(resolveLocale('es-mx')).toBe('es-MX');
+    expect(resolveLocale()).toBe(DEFAULT_LOCALE);
+  });
+
+  it('should reject locales without a strings file', () => {
+    expect(() => resolveLocale('pt-BR')).toThrow('Unknown locale: pt-BR');
+    expect(() => resolveLocale('not a locale')).toThrow('Unknown locale');
+  });
+});
+
+describe('loadLocale', () => {
+  it('should fall back to en-US for keys a locale does not translate', () => {
+    const german = loadLocale('de-DE');
+
+    expect(german.locale).toBe('de-DE');
+    expect(german.description).toBe(loadLocale('en-US').description);
+    expect(german.terms.ip_ownership).not.toBe(loadLocale('en-US').terms.ip_ownership);
+  });
+});
+
+describe('formatting', () => {
+  it('should fill known placeholders and leave unknown ones', () => {
+    expect(formatText('{n} days, {unknown}', { n: 3 })).toBe('3 days, {unknown}');
+  });
+
+  it('should format dates, counts and units in the locale', () => {
+    expect(formatDate('2025-03-05', 'de-DE')).toBe('5. März 2025');
+    expect(formatDate('2025-03-05')).toBe('March 5, 2025');
+    expect(formatUnit(1, 'weeks', 'de-DE')).toBe('1 Woche');
+    expect(formatUnit(1.5, 'months', 'de-DE')).toBe('1,5 Monate');
+    expect(formatUnit(3, 'business_days', 'fr-FR')).toBe('3 jours ouvrés');
+  });
+
+  it('should name the output language in English for the prompts', () => {
+    expect(getLanguageName('es-MX')).toBe('Spanish (Mexico)');
+    expect(getLanguageName('fr')).toBe('French');
+  });
+});
+
+describe('localized proposals', () => {
+  it('should translate static copy and record the locale for rendering', () => {
+    const proposal = buildProposal(extracted, { locale: 'de-DE', valid_days: 21 });
+
+    expect(proposal.rendering.locale).toBe('de-DE');
+    expect(proposal.terms.validity_period).toBe('Dieses Angebot ist 21 Tage ab Ausstellungsdatum gültig.');
+    expect(proposal.total_duration.display).toMatch(/Wochen|Werktage/);
+  });
+
+  it('should translate the time-and-materials billing note', () => {
+    const proposal = buildProposal(extracted, { locale: 'fr-FR', pricing_model: 'time_and_materials' });
+
+    expect(proposal.pricing.payment_schedule.billing_note)
+      .toBe('Facturé mensuellement selon les heures travaillées, dans la limite du plafond convenu');
+  });
+
+  it('should title the timeline and label its holidays in the proposal language', () => {
+    const proposal = buildProposal(extracted, { locale: 'de-DE', start_date: '2025-12-22', holiday_calendar: 'DE' });
+    const { timeline } = prepareTemplateData(proposal);
+
+    expect(timeline.holidays.length).toBeGreaterThan(0);
+    expect(timeline.title).toBe('Zeitplan');
+    expect(timeline.holidays_label).toBe('Feiertage:');
+  });
+
+  it('should title the add-ons in the proposal language', () => {
+    const proposal = buildProposal(extracted, { locale: 'es-MX', add_ons: ['training_workshop'] });
+
+    expect(prepareTemplateData(proposal).add_ons.title).toBe('Extras opcionales');
+  });
+
+  it('should spell out retainer terms in the proposal language', () => {
+    const proposal = buildProposal(extracted, { locale: 'de-DE', pricing_model: 'retainer', retainer_term_months: 6 });
+    const { pricing, roi } = prepareTemplateData(proposal);
+
+    expect(pricing.retainer.summary_display).toMatch(/\/Monat über 6 Monate, \d+ Stunden\/Monat inklusive/);
+    expect(roi.monthly_comparison.summary_display).toContain(`Monatliche Gebühr ${pricing.retainer.monthly_fee.display}`);
+  });
+
+  it('should spell out time-and-materials terms and the rate card in the proposal language', () => {
+    const proposal = buildProposal(extracted, { locale: 'es-MX', pricing_model: 'time_and_materials' });
+    const tm = prepareTemplateData(proposal).pricing.time_and_materials;
+
+    expect(tm.summary_display).toContain(`sin exceder ${tm.not_to_exceed.display}`);
+    expect(tm.headers).toMatchObject({ role: 'Rol', estimated_hours: 'Horas estimadas' });
+    expect(tm.rate_card[0].rate_display).toBe(`${tm.rate_card[0].rate.display}/hora`);
+  });
+
+  it('should ask the model to write in the proposal\'s language', async () => {
+    const { prompts, createClient } = registerRecordingProvider('recording', 'Jetzt starten');
+    const proposal = { rendering: { locale: 'de-DE' }, cta: { headline: '[LLM_PLACEHOLDER: cta_headline]' } };
+
+    await fillProposalPlaceholders(proposal, {}, {
+      llmClient: createClient(),
+      noCache: true
+    });
+
+    expect(buildPromptContext(proposal).output_language).toBe('German (Germany)');
+    expect(buildPromptContext({}).output_language).toBeUndefined();
+    expect(prompts[0]).toContain('Write all output in German (Germany)');
+  });
+});
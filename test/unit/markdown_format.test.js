@@ -0,0 +1,77 @@
+import { describe, it, expect } from 'vitest';
+import fs from 'fs';
+import { markdownFormat } from '../../lib/markdown_format.js';
+import { loadAuditFile } from '../../lib/audit_formats.js';
+import { extractFromAudit, getPricingInput } from '../../lib/extract_proposal.js';
+import { calculatePricing } from '../../lib/pricing_calculator.js';
+
+const SAMPLE = fs.readFileSync('input/sample_audit.md', 'utf8');
+
+function normalize(content) {
+  return markdownFormat.normalize(markdownFormat.parse(content, 'audit.md'));
+}
+
+function priceMarkdown(content) {
+  return calculatePricing(getPricingInput(extractFromAudit(markdownFormat.parse(content, 'audit.md'))));
+}
+
+describe('markdownFormat', () => {
+  it('should normalize the sample write-up', () => {
+    const normalized = markdownFormat.normalize(loadAuditFile('input/sample_audit.md'));
+
+    expect(normalized.client.account_name).toBe('Example Manufacturing Corp');
+    expect(normalized.client.contact_title).toBe('Operations Director');
+    expect(normalized.scorecard.categories.map(c => c.category_name)).toEqual([
+      'Order Processing',
+      'Customer Communication',
+      'Reporting'
+    ]);
+    expect(normalized.fixes.map(fix => fix.effort_tier)).toEqual(['complex', 'moderate', 'moderate']);
+    expect(normalized.fixes[0].problem).toBe('Manual order entry between systems');
+    expect(normalized.bleed.amount).toBe(8500);
+    expect(normalized.missing_sections).toEqual([]);
+  });
+
+  it('should read fixes written as sub-headings with an Effort field', () => {
+    const normalized = normalize([
+      '# Audit',
+      '## Recommended Fixes',
+      '### 1. Quote turnaround',
+      '- **Fix:** Generate quotes from CRM templates',
+      '- **Effort:** trivial',
+      '- **Impact:** Same-day quotes'
+    ].join('\n'));
+
+    expect(normalized.fixes).toEqual([expect.objectContaining({
+      problem: 'Quote turnaround',
+      fix: 'Generate quotes from CRM templates',
+      effort_tier: 'trivial',
+      impact: 'Same-day quotes'
+    })]);
+  });
+
+  it('should read fixes from a table', () => {
+    const normalized = normalize([
+      '## Recommended Fixes',
+      '| Problem | Fix | Effort | Priority |',
+      '|---|---|---|---|',
+      '| Slow quotes | Quote templates | Critical | 2 |'
+    ].join('\n'));
+
+    expect(normalized.fixes[0]).toMatchObject({ fix: 'Quote templates', effort_tier: 'critical', priority: 2 });
+  });
+
+  it('should list the sections it could not find', () => {
+    expect(normalize('# Notes\n\nNothing structured here.').missing_sections).toHaveLength(3);
+  });
+
+  it('should price the effort written on each fix', () => {
+    const base = priceMarkdown(SAMPLE);
+    const complex = priceMarkdown(SAMPLE.replace('dashboard (moderate)', 'dashboard (complex)'));
+    const trivial = priceMarkdown(SAMPLE.replace('dashboard (moderate)', 'dashboard (trivial)'));
+
+    expect(complex.ledger.effort.fixes[2]).toMatchObject({ effort_tier: 'complex', hours: 40 });
+    expect(complex.final_price).toBeGreaterThan(base.final_price);
+    expect(trivial.final_price).toBeLessThan(base.final_price);
+  });
+});
@@ -0,0 +1,91 @@
+import { describe, it, expect } from 'vitest';
+import {
+  DEFAULT_MILESTONE_TEMPLATE,
+  getMilestoneTemplate,
+  listMilestoneTemplates
+} from '../../lib/milestone_builder.js';
+import { calculatePricing } from '../../lib/pricing_calculator.js';
+import { extractFromAudit, getPricingInput } from '../../lib/extract_proposal.js';
+import { buildProposal } from '../../lib/transform_proposal.js';
+import { createFixedClock } from '../../lib/run_clock.js';
+
+const extracted = extractFromAudit('input/sample_audit.json');
+
+function phase2(options = {}) {
+  const proposal = buildProposal(extracted, { clock: createFixedClock(), holiday_calendar: 'none', ...options });
+  return proposal.phases.find(phase => phase.phase_number === 2);
+}
+
+describe('getMilestoneTemplate', () => {
+  it('should list the built-in templates and default to standard', () => {
+    expect(listMilestoneTemplates()).toEqual(expect.arrayContaining(['standard', 'pilot', 'rollout']));
+    expect(DEFAULT_MILESTONE_TEMPLATE).toBe('standard');
+    expect(getMilestoneTemplate().milestones.map(m => m.key)).toEqual(['design', 'build', 'test', 'deploy']);
+  });
+
+  it('should reject unknown templates with the available names', () => {
+    expect(() => getMilestoneTemplate('waterfall')).toThrow('Unknown milestone template: waterfall. Available: standard');
+  });
+
+  it('should keep every built-in template at 100 percent', () => {
+    for (const name of listMilestoneTemplates()) {
+      const template = getMilestoneTemplate(name);
+      expect(template.milestones.reduce((sum, m) => sum + m.percentage, 0)).toBe(100);
+    }
+  });
+});
+
+describe('milestone price allocation', () => {
+  it('should split the price by template percentage and number milestones 2.N', () => {
+    const pricing = calculatePricing(getPricingInput(extracted), { milestone_template: 'pilot' });
+
+    expect(pricing.milestone_template).toBe('pilot');
+    expect(Object.keys(pricing.milestones)).toEqual(['build', 'evaluate']);
+    expect(pricing.milestones.build).toMatchObject({ milestone_number: '2.1', percentage: 60 });
+    expect(pricing.milestones.evaluate).toMatchObject({ milestone_number: '2.2', percentage: 40 });
+    expect(pricing.milestones.build.amount % 100).toBe(0);
+  });
+
+  it('should allocate the subtotal and give the rounding remainder to the last milestone', () => {
+    const pricing = calculatePricing(getPricingInput(extracted), { milestone_template: 'rollout' });
+    const amounts = Object.values(pricing.milestones).map(m => m.amount);
+
+    expect(amounts.reduce((sum, amount) => sum + amount, 0)).toBe(pricing.subtotal);
+    expect(amounts.slice(0, -1).every(amount => amount % 100 === 0)).toBe(true);
+  });
+});
+
+describe('Phase 2 milestones', () => {
+  it('should build one milestone per template entry with its own placeholder', () => {
+    const phase = phase2({ milestone_template: 'pilot' });
+
+    expect(phase.milestones.map(m => [m.milestone_number, m.milestone_key, m.milestone_name])).toEqual([
+      ['2.1', 'build', 'Pilot Build'],
+      ['2.2', 'evaluate', 'Pilot Review']
+    ]);
+    expect(phase.milestones[0].description).toBe('[LLM_PLACEHOLDER: milestone_2_1_description]');
+  });
+
+  it('should include conditional deliverables only when the audit qualifies', () => {
+    const buildMilestone = systems => {
+      const audit = { ...extracted, raw_audit: { ...extracted.raw_audit, systems } };
+      const proposal = buildProposal(audit, { clock: createFixedClock(), holiday_calendar: 'none' });
+      return proposal.phases[1].milestones.find(m => m.milestone_key === 'build');
+    };
+    const several = buildMilestone(['HubSpot', 'QuickBooks']);
+    const single = buildMilestone(['Excel']);
+
+    expect(several.deliverables.find(d => d.name === 'System Integrations').description)
+      .toBe('Connections between HubSpot, QuickBooks');
+    expect(single.deliverables.map(d => d.name)).not.toContain('System Integrations');
+  });
+
+  it('should schedule the fix work in the template\'s fix_work milestone', () => {
+    const phase = phase2({ milestone_template: 'rollout' });
+    const build = phase.milestones.find(m => m.milestone_key === 'build');
+
+    expect(phase.schedule.method).toBe('effort');
+    expect(phase.schedule.fixes.length).toBeGreaterThan(0);
+    expect(phase.schedule.fixes[0].start_date).toBe(build.start_date);
+  });
+});
@@ -0,0 +1,164 @@
+import { describe, it, expect, beforeAll, afterAll, beforeEach } from 'vitest';
+import http from 'http';
+import {
+  OpenAICompatibleAdapter,
+  buildChatCompletionsUrl,
+  parseModelList
+} from '../../lib/openai_compatible_adapter.js';
+import { createLLMClient } from '../../lib/llm_provider.js';
+
+// Stub chat-completions server: records requests, answers per model from `replies`,
+// leaving the first `hangs` requests unanswered
+let server;
+let baseUrl;
+let requests;
+let replies;
+let hangs;
+
+beforeAll(async () => {
+  server = http.createServer((req, res) => {
+    let body = '';
+    req.on('data', chunk => { body += chunk; });
+    req.on('end', () => {
+      const parsed = JSON.parse(body || '{}');
+      requests.push({ url: req.url, headers: req.headers, body: parsed });
+      if (hangs > 0) {
+        hangs--;
+        return;
+      }
+      const [status, payload] = replies[parsed.model] || [200, {
+        choices: [{ message: { content: `Reply from ${parsed.model}` } }],
+        usage: { prompt_tokens: 10, completion_tokens: 4, total_tokens: 14 }
+      }];
+      res.writeHead(status, { 'Content-Type': 'application/json' });
+      res.end(JSON.stringify(payload));
+    });
+  });
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  baseUrl = `http://127.0.0.1:${server.address().port}/v1`;
+});
+
+afterAll(() => new Promise(resolve => {
+  server.closeAllConnections();
+  server.close(resolve);
+}));
+
+beforeEach(() => {
+  requests = [];
+  replies = {};
+  hangs = 0;
+});
+
+function adapter(options = {}) {
+  return new OpenAICompatibleAdapter({ baseUrl, models: 'llama3,qwen2', ...options });
+}
+
+describe('OpenAICompatibleAdapter configuration', () => {
+  it('should accept the API root or the full endpoint', () => {
+    expect(buildChatCompletionsUrl('http://localhost:11434/v1/')).toBe('http://localhost:11434/v1/chat/completions');
+    expect(buildChatCompletionsUrl('http://gpu:8000/v1/chat/completions')).toBe('http://gpu:8000/v1/chat/completions');
+  });
+
+  it('should parse comma-separated model lists', () => {
+    expect(parseModelList(' llama3 , qwen2,,')).toEqual(['llama3', 'qwen2']);
+    expect(parseModelList(['llama3', ''])).toEqual(['llama3']);
+  });
+
+  it('should require a base URL and at least one model', () => {
+    const saved = { ...process.env };
+    delete process.env.OPENAI_COMPATIBLE_BASE_URL;
+    delete process.env.OPENAI_COMPATIBLE_MODELS;
+    try {
+      expect(() => new OpenAICompatibleAdapter({ models: 'llama3' })).toThrow('requires a base URL');
+      expect(() => new OpenAICompatibleAdapter({ baseUrl })).toThrow('requires at least one model');
+    } finally {
+      process.env = saved;
+    }
+  });
+});
+
+describe('OpenAICompatibleAdapter requests', () => {
+  it('should send the chat-completions request and read text and usage', async () => {
+    const result = await adapter().complete({
+      model: 'llama3',
+      systemPrompt: 'You write proposals',
+      userPrompt: 'Write a headline',
+      maxTokens: 100,
+      temperature: 0.1
+    });
+
+    expect(result).toEqual({
+      text: 'Reply from llama3',
+      usage: { inputTokens: 10, outputTokens: 4, totalTokens: 14 }
+    });
+    expect(requests[0].url).toBe('/v1/chat/completions');
+    expect(requests[0].body).toEqual({
+      model: 'llama3',
+      messages: [
+        { role: 'system', content: 'You write proposals' },
+        { role: 'user', content: 'Write a headline' }
+      ],
+      temperature: 0.1,
+      max_tokens: 100
+    });
+  });
+
+  it('should send no auth header without a key', async () => {
+    await adapter({ apiKey: '' }).complete({ model: 'llama3' });
+
+    expect(requests[0].headers.authorization).toBeUndefined();
+  });
+
+  it('should send a bearer token, or the raw key in a custom header', async () => {
+    await adapter({ apiKey: 'secret' }).complete({ model: 'llama3' });
+    await adapter({ apiKey: 'secret', authHeader: 'api-key' }).complete({ model: 'llama3' });
+
+    expect(requests[0].headers.authorization).toBe('Bearer secret');
+    expect(requests[1].headers['api-key']).toBe('secret');
+    expect(requests[1].headers.authorization).toBeUndefined();
+  });
+
+  it('should surface the server\'s error message', async () => {
+    replies.llama3 = [500, { error: { message: 'model not loaded' } }];
+
+    await expect(adapter().complete({ model: 'llama3' })).rejects.toThrow('OpenAI-compatible API error 500: model not loaded');
+  });
+
+  it('should time out a request the server never answers', async () => {
+    hangs = 1;
+
+    await expect(adapter({ timeoutMs: 50 }).complete({ model: 'llama3' })).rejects.toThrow('OpenAI-compatible request timeout after 50ms');
+  });
+
+  it('should read the timeout from OPENAI_COMPATIBLE_TIMEOUT_MS and reject invalid values', () => {
+    process.env.OPENAI_COMPATIBLE_TIMEOUT_MS = '5000';
+    try {
+      expect(adapter().timeoutMs).toBe(5000);
+      expect(adapter({ timeoutMs: 250 }).timeoutMs).toBe(250);
+    } finally {
+      delete process.env.OPENAI_COMPATIBLE_TIMEOUT_MS;
+    }
+    expect(adapter().timeoutMs).toBe(120000);
+    expect(() => adapter({ timeoutMs: 'soon' })).toThrow('timeout must be a positive number');
+  });
+});
+
+describe('openai-compatible provider', () => {
+  it('should fall back to the next model when the first is rate limited', async () => {
+    replies.llama3 = [429, { error: { message: 'Too many requests' } }];
+    const client = createLLMClient({ provider: 'openai-compatible', baseUrl, models: 'llama3,qwen2', verbose: false });
+
+    expect(await client.generate('system', 'user')).toBe('Reply from qwen2');
+    expect(requests.map(request => request.body.model)).toEqual(['llama3', 'qwen2']);
+    expect(client.getStats()).toMatchObject({ modelUsed: 'qwen2', tokensUsed: 14 });
+  });
+
+  it('should retry a timed-out request as a network error', async () => {
+    hangs = 1;
+    const client = createLLMClient({ provider: 'openai-compatible', baseUrl, models: 'llama3', timeoutMs: 50, verbose: false });
+    client.adapter.retryDelayMs = 0;
+
+    expect(await client.generate('system', 'user')).toBe('Reply from llama3');
+    expect(requests.map(request => request.body.model)).toEqual(['llama3', 'llama3']);
+  });
+});
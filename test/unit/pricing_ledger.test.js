@@ -0,0 +1,56 @@
+import { describe, it, expect } from 'vitest';
+import { extractFromAudit, getPricingInput } from '../../lib/extract_proposal.js';
+import { calculatePricing } from '../../lib/pricing_calculator.js';
+import { formatPricingLedger } from '../../lib/pricing_ledger.js';
+
+function priceSample(options = {}) {
+  return calculatePricing(getPricingInput(extractFromAudit('input/sample_audit.json')), options);
+}
+
+describe('pricing ledger', () => {
+  it('should record the hours of every recommended fix', () => {
+    const { ledger } = priceSample();
+
+    expect(ledger.effort.source).toBe('recommended_fixes');
+    expect(ledger.effort.fixes.map(fix => [fix.fix_id, fix.effort_tier, fix.hours])).toEqual([
+      ['fix_001', 'complex', 40],
+      ['fix_002', 'moderate', 16],
+      ['fix_003', 'complex', 40],
+      ['fix_004', 'moderate', 16]
+    ]);
+    expect(ledger.effort.total_hours).toBe(112);
+  });
+
+  it('should print a line per fix instead of the finding-count fallback', () => {
+    const text = formatPricingLedger(priceSample().ledger);
+
+    expect(text).not.toContain('No recommended fixes');
+    expect(text).toContain('fix_001  Implement bi-directional API integration between ERP and CRM');
+    expect(text).toContain('complex → 40h × $148.25/h = $5,930');
+    expect(text).toContain('Total: 112h');
+  });
+
+  it('should add up from base price to final price', () => {
+    const { ledger } = priceSample();
+    const subtotalRounding = ledger.rounding.find(step => step.step === 'subtotal')?.adjustment || 0;
+    const credits = ledger.credits.reduce((sum, credit) => sum + credit.amount, 0);
+
+    expect(ledger.base_price).toBeCloseTo(ledger.effort.priced_hours * ledger.rate.blended_rate);
+    expect(ledger.adjusted_price - ledger.discounts.amount + subtotalRounding).toBeCloseTo(ledger.subtotal);
+    expect(ledger.subtotal - credits).toBe(ledger.final_price);
+  });
+
+  it('should fall back to the finding count when there are no fixes', () => {
+    const pricing = calculatePricing({ findings: [{}, {}], recommended_fixes: [] });
+    const text = formatPricingLedger(pricing.ledger);
+
+    expect(pricing.ledger.effort.source).toBe('finding_count');
+    expect(text).toContain('No recommended fixes: 2 findings × 16h (moderate default)');
+  });
+
+  it('should show the priced share of a tier', () => {
+    const text = formatPricingLedger(priceSample({ scope_share: 0.5 }).ledger);
+
+    expect(text).toContain('Scope share 50% → 56h priced');
+  });
+});
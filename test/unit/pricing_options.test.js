@@ -0,0 +1,99 @@
+import { describe, it, expect, afterEach } from 'vitest';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import {
+  listPricingOptions,
+  loadPricingConfig,
+  resolvePricingOptions,
+  validatePricingOptions
+} from '../../lib/pricing_options.js';
+import { calculatePricing } from '../../lib/pricing_calculator.js';
+
+let tmpDir;
+
+afterEach(() => {
+  if (tmpDir) fs.rmSync(tmpDir, { recursive: true, force: true });
+  tmpDir = null;
+});
+
+function writeConfig(content) {
+  if (!tmpDir) tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'pricing-config-'));
+  const file = path.join(tmpDir, 'pricing.json');
+  fs.writeFileSync(file, typeof content === 'string' ? content : JSON.stringify(content));
+  return file;
+}
+
+describe('validatePricingOptions', () => {
+  it('should convert CLI strings and normalize the currency code', () => {
+    expect(validatePricingOptions({
+      currency: 'eur',
+      retainer_term_months: '12',
+      audit_credit_amount: '0',
+      timeline_pressure: undefined
+    }, 'flags')).toEqual({ currency: 'EUR', retainer_term_months: 12, audit_credit_amount: 0 });
+  });
+
+  it('should name the option, value and source of a bad value', () => {
+    expect(() => validatePricingOptions({ timeline_pressure: 'yesterday' }, 'pricing.json'))
+      .toThrow('Invalid timeline_pressure "yesterday" in pricing.json: must be one of standard, expedited, rush, emergency');
+    expect(() => validatePricingOptions({ early_adopter_percent: '150' }, 'flags'))
+      .toThrow('must be a number between 0 and 100');
+    expect(() => validatePricingOptions({ milestone_template: 'waterfall' }, 'flags'))
+      .toThrow('Unknown milestone template: waterfall');
+  });
+
+  it('should reject unknown options with the known ones listed', () => {
+    expect(listPricingOptions()).toEqual(expect.arrayContaining(['industry', 'payment_terms', 'valid_days']));
+    expect(() => validatePricingOptions({ discount: 10 }, 'pricing.json'))
+      .toThrow('Unknown pricing option "discount" in pricing.json. Known options:');
+  });
+});
+
+describe('resolvePricingOptions', () => {
+  it('should let later layers override earlier ones', () => {
+    const options = resolvePricingOptions([
+      { source: 'profile', options: { timeline_pressure: 'rush', payment_terms: 'net_0' } },
+      { source: 'pricing.json', options: { timeline_pressure: 'expedited' } },
+      { source: 'flags', options: { payment_terms: 'prepaid_50', industry: undefined } }
+    ]);
+
+    expect(options).toEqual({ timeline_pressure: 'expedited', payment_terms: 'prepaid_50' });
+  });
+
+  it('should reject contradictory combinations across layers', () => {
+    expect(() => resolvePricingOptions([
+      { source: 'pricing.json', options: { early_adopter: false } },
+      { source: 'flags', options: { early_adopter_percent: 15 } }
+    ])).toThrow('early_adopter_percent conflicts with early_adopter: false');
+    expect(() => resolvePricingOptions([
+      { source: 'flags', options: { pricing_model: 'time_and_materials', payment_terms: 'prepaid_full' } }
+    ])).toThrow('can\'t prepay time and materials');
+    expect(() => resolvePricingOptions([
+      { source: 'flags', options: { pricing_model: 'retainer', commitment_type: 'single_project' } }
+    ])).toThrow('conflicts with a 6-month retainer');
+  });
+
+  it('should pass the resolved options through to the price', () => {
+    const audit = { recommended_fixes: [{ fix: 'Sync orders', effort_tier: 'moderate' }] };
+    const base = calculatePricing(audit).adjusted_price;
+    const rushed = calculatePricing(audit, resolvePricingOptions([
+      { source: 'flags', options: { timeline_pressure: 'rush' } }
+    ])).adjusted_price;
+
+    expect(rushed).toBeGreaterThan(base);
+  });
+});
+
+describe('loadPricingConfig', () => {
+  it('should load and check a JSON object of options', () => {
+    expect(loadPricingConfig(writeConfig({ industry: 'healthcare', is_referral: true })))
+      .toEqual({ industry: 'healthcare', is_referral: true });
+  });
+
+  it('should report missing files, bad JSON and non-objects', () => {
+    expect(() => loadPricingConfig('missing.json')).toThrow('Pricing config not found: missing.json');
+    expect(() => loadPricingConfig(writeConfig('{ industry: '))).toThrow('is not valid JSON');
+    expect(() => loadPricingConfig(writeConfig(['rush']))).toThrow('must be a JSON object of pricing options');
+  });
+});
@@ -0,0 +1,63 @@
+import { describe, it, expect } from 'vitest';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { extractFromAudit, getPricingInput } from '../../lib/extract_proposal.js';
+import { calculatePricing, calculateROI } from '../../lib/pricing_calculator.js';
+import { buildScenarioRows, formatScenarioTable, loadScenario } from '../../lib/pricing_scenarios.js';
+
+const auditData = getPricingInput(extractFromAudit('input/sample_audit.json'));
+
+function compare(scenarios) {
+  return scenarios.map(({ name, options }) => {
+    const pricing = calculatePricing(auditData, options);
+    return { name, options, pricing, roi: calculateROI(10000, pricing.final_price, { monthly_fee: pricing.retainer?.monthly_fee }) };
+  });
+}
+
+describe('loadScenario', () => {
+  it('should name the scenario and validate its options', () => {
+    const scenario = loadScenario('input/scenarios/expedited.json');
+
+    expect(scenario).toEqual({
+      name: 'Expedited, prepaid',
+      options: { timeline_pressure: 'expedited', payment_terms: 'prepaid_50' }
+    });
+  });
+
+  it('should reject unknown option values', () => {
+    const file = path.join(fs.mkdtempSync(path.join(os.tmpdir(), 'scenario-')), 'bad.json');
+    fs.writeFileSync(file, JSON.stringify({ timeline_pressure: 'yesterday' }));
+
+    try {
+      expect(() => loadScenario(file)).toThrow('yesterday');
+    } finally {
+      fs.rmSync(path.dirname(file), { recursive: true, force: true });
+    }
+  });
+});
+
+describe('buildScenarioRows', () => {
+  it('should format multipliers without floating-point noise', () => {
+    const results = compare([
+      { name: 'Baseline', options: { industry: 'manufacturing' } },
+      { name: 'Rush', options: { industry: 'manufacturing', timeline_pressure: 'rush' } }
+    ]);
+    const combined = buildScenarioRows(results).find(row => Array.isArray(row) && row[0] === 'combined');
+
+    expect(results[1].pricing.complexity_multiplier).not.toBe(1.65);
+    expect(combined[2]).toBe('×1.65');
+  });
+
+  it('should show a column per scenario with the union of rows', () => {
+    const table = formatScenarioTable(compare([
+      { name: 'Fixed', options: {} },
+      { name: 'Retainer', options: { pricing_model: 'retainer', retainer_term_months: 12 } }
+    ]));
+
+    expect(table.split('\n')[0]).toMatch(/^\s+Fixed\s+Retainer$/);
+    expect(table).toContain('Monthly fee');
+    expect(table).toContain('billed monthly');
+    expect(table).not.toMatch(/\d\.\d{5,}/);
+  });
+});
@@ -0,0 +1,183 @@
+import { describe, it, expect, afterEach } from 'vitest';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { Command } from 'commander';
+import {
+  findProjectConfig,
+  loadProjectConfig,
+  mergeProfileOptions,
+  profileToOptions,
+  selectProfile
+} from '../../lib/project_config.js';
+import { DEFAULT_FIXTURES_PATH } from '../../lib/fixture_adapter.js';
+import { resolvePricingOptions } from '../../lib/pricing_options.js';
+import { extractFromAudit } from '../../lib/extract_proposal.js';
+import { buildProposal } from '../../lib/transform_proposal.js';
+import { createFixedClock } from '../../lib/run_clock.js';
+
+const PROFILES = {
+  default_profile: 'agency',
+  profiles: {
+    agency: { platform: 'direct', currency: 'EUR', pricing: { payment_terms: 'net_0' } },
+    solo: {
+      platform: 'upwork',
+      milestone_template: 'pilot',
+      template: 'templates/solo.html',
+      brand: { brand_name: 'Solo Studio' },
+      defaults: { valid_days: 7 },
+      llm: { provider: 'fixture' }
+    }
+  }
+};
+
+let tmpDir;
+
+afterEach(() => {
+  if (tmpDir) fs.rmSync(tmpDir, { recursive: true, force: true });
+  tmpDir = null;
+});
+
+function writeConfig(config, name = 'proposal.config.json') {
+  if (!tmpDir) {
+    tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'project-config-'));
+    fs.mkdirSync(path.join(tmpDir, 'templates'));
+  }
+  fs.writeFileSync(path.join(tmpDir, 'templates', 'solo.html'), '<html></html>');
+  const file = path.join(tmpDir, name);
+  fs.writeFileSync(file, JSON.stringify(config));
+  return file;
+}
+
+describe('loadProjectConfig', () => {
+  it('should find proposal.config.json or .proposalrc', () => {
+    const file = writeConfig(PROFILES, '.proposalrc');
+
+    expect(findProjectConfig(tmpDir)).toBe(file);
+    expect(findProjectConfig(os.tmpdir() + '/no-such-dir')).toBeNull();
+  });
+
+  it('should load the shipped example', () => {
+    const config = loadProjectConfig('proposal.config.example.json');
+
+    expect(config.default_profile).toBe('agency-direct');
+    expect(Object.keys(config.profiles)).toEqual(['upwork-solo', 'agency-direct']);
+  });
+
+  it('should report schema problems with their path', () => {
+    const file = writeConfig({ profiles: { solo: { platform: 'fiverr', colour: 'blue' } } });
+
+    expect(() => loadProjectConfig(file)).toThrow(/\/profiles\/solo must NOT have additional properties \("colour"\)/);
+    expect(() => loadProjectConfig(file)).toThrow('/profiles/solo/platform must be equal to one of the allowed values');
+  });
+
+  it('should check what profiles refer to', () => {
+    const bad = profile => () => loadProjectConfig(writeConfig({ profiles: { bad: profile } }));
+
+    expect(bad({ milestone_template: 'waterfall' })).toThrow('profile "bad": Unknown milestone template: waterfall');
+    expect(bad({ pricing: { payment_terms: 'net_90' } })).toThrow('profile "bad": Invalid payment_terms "net_90" in pricing');
+    expect(bad({ llm: { provider: 'carrier-pigeon' } })).toThrow('unknown LLM provider "carrier-pigeon"');
+    expect(bad({ template: 'missing.html' })).toThrow('template not found: missing.html');
+    expect(() => loadProjectConfig(writeConfig({ default_profile: 'gone', profiles: { solo: {} } })))
+      .toThrow('default_profile "gone" is not one of its profiles');
+  });
+});
+
+describe('selectProfile', () => {
+  it('should use the named profile, else the default', () => {
+    const configPath = writeConfig(PROFILES);
+
+    expect(selectProfile({ configPath }).name).toBe('agency');
+    expect(selectProfile({ configPath, profile: 'solo' })).toMatchObject({ name: 'solo', source: configPath });
+    expect(() => selectProfile({ configPath, profile: 'enterprise' }))
+      .toThrow('Unknown profile: enterprise. Available in');
+  });
+
+  it('should need a config file only when a profile is named', () => {
+    const cwd = process.cwd();
+    tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'project-config-'));
+    process.chdir(tmpDir);
+    try {
+      expect(selectProfile()).toBeNull();
+      expect(() => selectProfile({ profile: 'solo' })).toThrow('Profile "solo" needs a project config');
+    } finally {
+      process.chdir(cwd);
+    }
+  });
+});
+
+describe('profile precedence', () => {
+  it('should return only what the profile sets, with the template path resolved', () => {
+    const configPath = writeConfig(PROFILES);
+    const options = profileToOptions(selectProfile({ configPath, profile: 'solo' }));
+
+    expect(options).toEqual({
+      platform: 'upwork',
+      milestoneTemplate: 'pilot',
+      templatePath: path.join(tmpDir, 'templates', 'solo.html'),
+      provider: 'fixture',
+      proposalConfig: { brand: { brand_name: 'Solo Studio' }, defaults: { valid_days: 7 } }
+    });
+  });
+
+  it('should let pricing flags override profile pricing', () => {
+    const options = resolvePricingOptions([
+      { source: 'profile "agency" pricing', options: { payment_terms: 'net_0', timeline_pressure: 'rush' } },
+      { source: 'command-line flags', options: { payment_terms: 'prepaid_50', timeline_pressure: undefined } }
+    ]);
+
+    expect(options).toEqual({ payment_terms: 'prepaid_50', timeline_pressure: 'rush' });
+  });
+
+  it('should keep profile values over option defaults the user did not type', () => {
+    const configPath = writeConfig({
+      profiles: { offline: { llm: { provider: 'fixture', fixtures: 'responses.json' }, pricing: { early_adopter: false } } }
+    });
+    const selected = selectProfile({ configPath, profile: 'offline' });
+    const parse = (...argv) => {
+      const command = new Command()
+        .option('-p, --platform <type>')
+        .option('--fixtures <file>', 'Recorded LLM responses', DEFAULT_FIXTURES_PATH)
+        .option('--no-early-adopter')
+        .option('--refresh <placeholder>', 'Regenerate a placeholder', (value, previous) => previous.concat(value), []);
+      command.parse(argv, { from: 'user' });
+      return mergeProfileOptions(selected, command.opts(), key => command.getOptionValueSource(key));
+    };
+
+    const options = parse();
+    expect(options.fixtures).toBe(path.join(tmpDir, 'responses.json'));
+    expect(options.refresh).toEqual([]);
+    // The CLI passes --no-early-adopter on only when typed (false), never the default true
+    const pricing = resolvePricingOptions([
+      { source: 'profile "offline" pricing', options: options.profilePricing },
+      { source: 'command-line flags', options: { early_adopter: options.earlyAdopter === false ? false : undefined } }
+    ]);
+    expect(pricing.early_adopter).toBe(false);
+
+    expect(parse('--fixtures', 'other.json', '--platform', 'upwork')).toMatchObject({
+      fixtures: 'other.json',
+      platform: 'upwork',
+      profileName: 'offline'
+    });
+  });
+
+  it('should keep profile values over options set through the environment', () => {
+    const configPath = writeConfig({ profiles: { offline: { llm: { provider: 'fixture' } } } });
+    const selected = selectProfile({ configPath, profile: 'offline' });
+    const sources = { provider: 'env', platform: 'env' };
+
+    expect(mergeProfileOptions(selected, { provider: 'gemini', platform: 'upwork' }, key => sources[key]))
+      .toMatchObject({ provider: 'fixture', platform: 'upwork' });
+  });
+
+  it('should merge profile sections over the env and built-in defaults key by key', () => {
+    const extracted = extractFromAudit('input/sample_audit.json');
+    const build = options => buildProposal(extracted, { clock: createFixedClock(), ...options });
+    const plain = build();
+    const profiled = build({ config: { brand: { brand_name: 'Solo Studio' }, defaults: { valid_days: 7 } } });
+
+    expect(profiled.document.brand).toEqual({ ...plain.document.brand, brand_name: 'Solo Studio' });
+    expect(profiled.document.valid_days).toBe(7);
+    expect(build({ config: { defaults: { valid_days: 7 } }, valid_days: 30 }).document.valid_days).toBe(30);
+  });
+});
@@ -0,0 +1,113 @@
+import { describe, it, expect, vi, beforeAll } from 'vitest';
+import { PassThrough } from 'stream';
+import { reviewProposal } from '../../lib/proposal_review.js';
+import { extractFromAudit } from '../../lib/extract_proposal.js';
+import { buildProposal } from '../../lib/transform_proposal.js';
+import { fillProposalPlaceholders, listLLMFields } from '../../lib/llm_batch_executor.js';
+import { LLMClient } from '../../lib/llm_provider.js';
+import { createFixedClock } from '../../lib/run_clock.js';
+import { registerRecordingProvider } from '../utils/test-helpers.js';
+
+const { prompts, createClient } = registerRecordingProvider('review-recording', 'Regenerated with the CRM sync.');
+
+let filled;
+
+beforeAll(async () => {
+  vi.spyOn(console, 'log').mockImplementation(() => {});
+  const proposal = buildProposal(extractFromAudit('input/sample_audit.json'), { clock: createFixedClock() });
+  filled = await fillProposalPlaceholders(proposal, {}, {
+    llmClient: new LLMClient({ provider: 'fixture', verbose: false }),
+    noCache: true
+  });
+  vi.restoreAllMocks();
+});
+
+/**
+ * Run a review session with piped answers; returns the result and everything printed
+ */
+async function review(answers, llmOptions = { llmClient: createClient() }) {
+  const input = new PassThrough();
+  const output = new PassThrough();
+  let printed = '';
+  output.on('data', chunk => { printed += chunk; });
+  input.end(answers.map(answer => `${answer}\n`).join(''));
+
+  const result = await reviewProposal(structuredClone(filled), {
+    input,
+    output,
+    llmOptions
+  });
+  return { result, printed };
+}
+
+describe('reviewProposal', () => {
+  it('should walk every LLM-written field and finish when all are accepted', async () => {
+    const fields = listLLMFields(filled);
+    const { result, printed } = await review(fields.map(() => 'a'));
+
+    expect(result.completed).toBe(true);
+    expect(result.changes).toEqual([]);
+    expect(printed).toContain(`[1/${fields.length}] executive_summary (executive_summary.body)`);
+    expect(printed).toContain(`[${fields.length}/${fields.length}] cta_subtext (cta.subtext)`);
+  });
+
+  it('should apply edits and regenerations, re-validating after each', async () => {
+    prompts.length = 0;
+    const { result, printed } = await review([
+      'e', 'A shorter summary.', '', 'a',
+      'r', 'mention the CRM sync', 'y', 'a',
+      'x', 'r', '', 'n', '',
+      'q'
+    ]);
+
+    expect(result.completed).toBe(false);
+    expect(result.changes).toEqual([
+      { placeholder_name: 'executive_summary', path: 'executive_summary.body', revision: 'edited' },
+      { placeholder_name: 'value_proposition', path: 'executive_summary.value_proposition', revision: 'regenerated' }
+    ]);
+    expect(result.proposal.executive_summary).toMatchObject({
+      body: 'A shorter summary.',
+      value_proposition: 'Regenerated with the CRM sync.'
+    });
+    expect(result.proposal.internal.llm_fields.find(f => f.placeholder === 'value_proposition'))
+      .toMatchObject({ revision: 'regenerated', instruction: 'mention the CRM sync' });
+    expect(result.proposal.phases[0].description).toBe(filled.phases[0].description);
+    expect(result.validation.valid).toBe(true);
+
+    expect(prompts[0]).toContain('Rewrite it following this instruction: mention the CRM sync');
+    expect(prompts[0]).toContain(filled.executive_summary.value_proposition);
+    expect(printed).toContain('Unknown action "x"');
+    expect(printed).toContain('Unchanged');
+    expect(printed.match(/✓ Proposal is valid/g)).toHaveLength(2);
+  });
+
+  it('should keep the line breaks of a multi-line edit', async () => {
+    const { result } = await review(['e', 'First paragraph.', 'Second paragraph.', '', 'q']);
+
+    expect(result.proposal.executive_summary.body).toBe('First paragraph.\nSecond paragraph.');
+  });
+
+  it('should only ask for the provider when a field is regenerated', async () => {
+    const llmOptions = vi.fn(() => {
+      throw new Error('GEMINI_API_KEY environment variable required');
+    });
+    const { result, printed } = await review(['e', 'A shorter summary.', '', 'a', 'q'], llmOptions);
+
+    expect(llmOptions).not.toHaveBeenCalled();
+    expect(result.changes).toHaveLength(1);
+
+    const regenerated = await review(['r', 'r', 'q'], llmOptions);
+    expect(llmOptions).toHaveBeenCalledTimes(2);
+    expect(regenerated.printed).toContain('Cannot regenerate: GEMINI_API_KEY environment variable required');
+    expect(regenerated.result.changes).toEqual([]);
+    expect(printed).not.toContain('Cannot regenerate');
+  });
+
+  it('should stop without changes when the input ends', async () => {
+    const { result } = await review(['']);
+
+    expect(result.completed).toBe(false);
+    expect(result.changes).toEqual([]);
+    expect(result.proposal).toEqual(filled);
+  });
+});
@@ -0,0 +1,88 @@
+import { describe, it, expect } from 'vitest';
+import { extractFromAudit, getPricingInput } from '../../lib/extract_proposal.js';
+import { calculatePricing } from '../../lib/pricing_calculator.js';
+import { buildTiers, resolveTiers } from '../../lib/proposal_tiers.js';
+import { buildProposal } from '../../lib/transform_proposal.js';
+import { prepareTemplateData } from '../../lib/pipeline.js';
+
+const extracted = extractFromAudit('input/sample_audit.json');
+
+function tiersFor(requested, options = {}) {
+  return buildTiers(extracted, {
+    tiers: requested,
+    auditData: getPricingInput(extracted),
+    monthlyBleed: 10000,
+    currency: 'USD',
+    pricingOptions: {},
+    phaseOptions: {},
+    ...options
+  });
+}
+
+describe('resolveTiers', () => {
+  it('should resolve a comma-separated subset in configured order', () => {
+    expect(resolveTiers('best,good').map(tier => tier.tier_id)).toEqual(['good', 'best']);
+  });
+
+  it('should reject unknown tiers and single-tier offers', () => {
+    expect(() => resolveTiers(['good', 'premium'])).toThrow('Unknown tier: premium');
+    expect(() => resolveTiers(['good'])).toThrow('needs two or three tiers');
+  });
+});
+
+describe('buildTiers', () => {
+  it('should recommend the middle tier and price it like the single-price proposal', () => {
+    const tiers = tiersFor(true);
+    const better = tiers.find(tier => tier.tier_id === 'better');
+    const single = calculatePricing(getPricingInput(extracted));
+
+    expect(tiers.filter(tier => tier.is_recommended).map(tier => tier.tier_id)).toEqual(['better']);
+    expect(better.scope_share).toBe(1);
+    expect(better.pricing.final_price).toBe(single.final_price);
+  });
+
+  it('should price a smaller scope for fewer fixes and more for extra work', () => {
+    const [good, better, best] = tiersFor(true);
+
+    expect(good.fixes.length).toBeLessThan(better.fixes.length);
+    expect(good.pricing.final_price).toBeLessThan(better.pricing.final_price);
+    expect(best.fixes.map(fix => fix.fix_id)).toContain('phase3_optimize');
+    expect(best.pricing.final_price).toBeGreaterThan(better.pricing.final_price);
+  });
+
+  it('should need recommended fixes', () => {
+    expect(() => buildTiers({ recommended_fixes: [] }, { tiers: true })).toThrow('needs recommended fixes');
+  });
+
+  it('should translate tier names, descriptions and extra work for the locale', () => {
+    const best = tiersFor(true, { locale: 'de-DE' }).find(tier => tier.tier_id === 'best');
+
+    expect(best.tier_name).toBe('Komplett + Optimierung');
+    expect(best.fixes.find(fix => fix.fix_id === 'phase3_optimize').label).toMatch(/^Phase 3 Optimierung:/);
+  });
+});
+
+describe('tier comparison table', () => {
+  it('should label rows and columns in the proposal\'s language', () => {
+    const proposal = buildProposal(extracted, { tiers: true, currency: 'EUR', locale: 'de-DE' });
+    const comparison = prepareTemplateData(proposal).tier_comparison;
+
+    expect(comparison.title).toBe('Optionen');
+    expect(comparison.recommended_label).toBe('Empfohlen');
+    expect(comparison.tiers.map(tier => tier.tier_name)).toEqual(['Basis', 'Komplett', 'Komplett + Optimierung']);
+    expect(comparison.rows.map(row => row.label)).toEqual([
+      'Investition',
+      'Enthaltene Maßnahmen',
+      'Zeitrahmen',
+      'Monatliche Einsparung',
+      'Amortisation'
+    ]);
+  });
+
+  it('should keep the English labels by default', () => {
+    const comparison = prepareTemplateData(buildProposal(extracted, { tiers: 'good,better' })).tier_comparison;
+
+    expect(comparison.tiers.map(tier => tier.tier_name)).toEqual(['Essentials', 'Complete']);
+    expect(comparison.rows[0].label).toBe('Investment');
+  });
+});
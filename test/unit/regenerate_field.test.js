@@ -0,0 +1,108 @@
+import { describe, it, expect, vi, beforeAll, afterEach } from 'vitest';
+import { extractFromAudit } from '../../lib/extract_proposal.js';
+import { buildProposal } from '../../lib/transform_proposal.js';
+import {
+  applyFieldValue,
+  fillProposalPlaceholders,
+  findLLMField,
+  regenerateField
+} from '../../lib/llm_batch_executor.js';
+import { LLMClient } from '../../lib/llm_provider.js';
+import { createFixedClock } from '../../lib/run_clock.js';
+import { registerRecordingProvider } from '../utils/test-helpers.js';
+
+const { prompts, createClient } = registerRecordingProvider('regenerate-recording', recorded => `Take ${recorded.length}`);
+
+let unfilled;
+let filled;
+
+beforeAll(async () => {
+  vi.spyOn(console, 'log').mockImplementation(() => {});
+  unfilled = buildProposal(extractFromAudit('input/sample_audit.json'), { clock: createFixedClock() });
+  filled = await fillProposalPlaceholders(structuredClone(unfilled), {}, {
+    llmClient: new LLMClient({ provider: 'fixture', verbose: false }),
+    noCache: true
+  });
+  vi.restoreAllMocks();
+});
+
+afterEach(() => {
+  vi.restoreAllMocks();
+});
+
+describe('findLLMField', () => {
+  it('should find a field by placeholder name or path, filled or not', () => {
+    const byName = findLLMField(filled, 'milestone_2_2_description');
+
+    expect(byName).toMatchObject({
+      path: 'phases[1].milestones[1].description',
+      prompt_id: 'milestone_description_v1',
+      value: filled.phases[1].milestones[1].description
+    });
+    expect(findLLMField(filled, 'cta.headline').placeholder_name).toBe('cta_headline');
+    expect(findLLMField(unfilled, 'cta_headline').value).toBe('[LLM_PLACEHOLDER: cta_headline]');
+  });
+
+  it('should list the known fields for an unknown name', () => {
+    expect(() => findLLMField(filled, 'closing_remarks'))
+      .toThrow(/No LLM-written field "closing_remarks" in this proposal\. Fields: executive_summary, value_proposition/);
+    expect(() => findLLMField({}, 'cta_headline')).toThrow('Fields: none recorded');
+  });
+});
+
+describe('regenerateField', () => {
+  it('should answer from the provider options without touching the proposal', async () => {
+    vi.spyOn(console, 'log').mockImplementation(() => {});
+    const proposal = structuredClone(filled);
+    const field = findLLMField(proposal, 'milestone_2_2_description');
+
+    const content = await regenerateField(proposal, field, { provider: 'fixture', verbose: false });
+
+    expect(content).toBe(filled.phases[1].milestones[1].description);
+    expect(proposal).toEqual(filled);
+  });
+
+  it('should ask again on every call and pass the instruction with the current text', async () => {
+    prompts.length = 0;
+    const field = findLLMField(filled, 'cta_headline');
+    const llmClient = createClient();
+
+    expect(await regenerateField(filled, field, { llmClient })).toBe('Take 1');
+    expect(await regenerateField(filled, field, { llmClient, instruction: 'Make it shorter' })).toBe('Take 2');
+    expect(prompts[0]).not.toContain('<revision>');
+    expect(prompts[1]).toContain(`The current version is:\n${filled.cta.headline}`);
+    expect(prompts[1]).toContain('Rewrite it following this instruction: Make it shorter');
+  });
+
+  it('should reject fields without a prompt', () => {
+    expect(() => regenerateField(filled, { path: 'terms.notes', placeholder_name: 'terms_notes' }))
+      .toThrow('No prompt mapping for: terms_notes');
+  });
+});
+
+describe('applyFieldValue', () => {
+  it('should set the value and record the revision on the field', () => {
+    const proposal = structuredClone(filled);
+    const field = findLLMField(proposal, 'cta_headline');
+
+    applyFieldValue(proposal, field, 'Start this week', { revision: 'regenerated', instruction: 'Make it shorter' });
+    expect(proposal.cta.headline).toBe('Start this week');
+    expect(proposal.internal.llm_fields.find(f => f.path === 'cta.headline'))
+      .toMatchObject({ revision: 'regenerated', instruction: 'Make it shorter', prompt_id: 'cta_headline_v1', filled: true });
+
+    applyFieldValue(proposal, field, 'Start today', { revision: 'edited' });
+    const entry = proposal.internal.llm_fields.find(f => f.path === 'cta.headline');
+    expect(entry.revision).toBe('edited');
+    expect(entry).not.toHaveProperty('instruction');
+  });
+
+  it('should start the record for a proposal that has none', () => {
+    const proposal = structuredClone(unfilled);
+
+    applyFieldValue(proposal, findLLMField(proposal, 'cta_headline'), 'Start this week', { revision: 'edited' });
+
+    expect(proposal.internal.llm_fields).toEqual([
+      { path: 'cta.headline', placeholder: 'cta_headline', filled: true, revision: 'edited' }
+    ]);
+  });
+});
@@ -0,0 +1,129 @@
+import { describe, it, expect, afterEach } from 'vitest';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { loadRequirements, requirementsPromptContext } from '../../lib/requirements.js';
+import { extractFromAudit } from '../../lib/extract_proposal.js';
+import { buildProposal } from '../../lib/transform_proposal.js';
+import { buildPromptContext, fillProposalPlaceholders } from '../../lib/llm_batch_executor.js';
+import { createFixedClock } from '../../lib/run_clock.js';
+import { registerRecordingProvider } from '../utils/test-helpers.js';
+
+let tmpDir;
+
+afterEach(() => {
+  if (tmpDir) fs.rmSync(tmpDir, { recursive: true, force: true });
+  tmpDir = null;
+});
+
+function writeRequirements(name, content) {
+  if (!tmpDir) tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'requirements-'));
+  const file = path.join(tmpDir, name);
+  fs.writeFileSync(file, typeof content === 'string' ? content : JSON.stringify(content));
+  return file;
+}
+
+describe('loadRequirements', () => {
+  it('should read Markdown sections with a reference for each item', () => {
+    const requirements = loadRequirements('input/sample_requirements.md');
+
+    expect(requirements.format).toBe('markdown');
+    expect(requirements.items).toEqual([
+      { section: 'in_scope', text: 'Sync approved orders from the CRM into the ERP without re-keying', ref: 'In Scope, item 1' },
+      { section: 'in_scope', text: 'Weekly order-cycle report emailed to the operations team', ref: 'In Scope, item 2' },
+      { section: 'constraints', text: 'No changes to the ERP\'s custom fields during Q4 freeze', ref: 'Constraints, item 1' },
+      { section: 'constraints', text: 'All customer data must stay in the US region', ref: 'Constraints, item 2' },
+      { section: 'notes', text: 'Operations team is five people; training must fit into one afternoon', ref: 'Notes, item 1' },
+      { section: 'notes', text: 'The CFO signs off on anything over budget and wants payback shown in months.', ref: 'Notes, paragraph 1' }
+    ]);
+  });
+
+  it('should file sub-headings under their section and skip out-of-scope lists', () => {
+    const file = writeRequirements('reqs.md', [
+      '# Requirements',
+      '### Reporting',
+      '- Daily dashboard',
+      '## Scope constraints',
+      '- Read-only ERP access',
+      '## Out of scope',
+      'Mobile apps are not part of this.'
+    ].join('\n'));
+
+    expect(loadRequirements(file).items.map(item => [item.section, item.text])).toEqual([
+      ['in_scope', 'Daily dashboard'],
+      ['constraints', 'Read-only ERP access']
+    ]);
+  });
+
+  it('should reject lists outside a known section', () => {
+    const file = writeRequirements('reqs.md', '## Budget\n- Under 20k');
+
+    expect(() => loadRequirements(file)).toThrow('list under "Budget" is not in a known section (Constraints, In Scope, Notes)');
+  });
+
+  it('should read JSON arrays and reject unknown sections', () => {
+    const file = writeRequirements('reqs.json', { in_scope: ['Daily dashboard', ' '], notes: ['Prefers email'] });
+
+    expect(loadRequirements(file).items).toEqual([
+      { section: 'in_scope', text: 'Daily dashboard', ref: 'in_scope[0]' },
+      { section: 'notes', text: 'Prefers email', ref: 'notes[0]' }
+    ]);
+    expect(() => loadRequirements(writeRequirements('bad.json', { budget: ['20k'] })))
+      .toThrow('Unknown requirements section "budget"');
+    expect(() => loadRequirements(writeRequirements('empty.json', {}))).toThrow('has no items');
+  });
+});
+
+describe('merging requirements into the scope', () => {
+  const extracted = extractFromAudit('input/sample_audit.json');
+  const requirements = loadRequirements('input/sample_requirements.md');
+
+  it('should add in-scope items and constraints, tracing each to where it landed', () => {
+    const plain = buildProposal(extracted, { clock: createFixedClock() }).scope;
+    const scope = buildProposal(extracted, { clock: createFixedClock(), requirements }).scope;
+    const traced = scope.requirements.items;
+
+    expect(scope.requirements.source).toBe('input/sample_requirements.md');
+    expect(scope.in_scope).toEqual(expect.arrayContaining([requirements.items[0].text, requirements.items[1].text]));
+    expect(scope.assumptions.slice(-2)).toEqual([requirements.items[2].text, requirements.items[3].text]);
+    expect(scope.in_scope[Number(traced[0].merged_into.match(/\[(\d+)\]/)[1])]).toBe(traced[0].text);
+    expect(traced.filter(item => item.section === 'notes').map(item => item.merged_into)).toEqual([null, null]);
+    expect(scope.assumptions.length).toBe(plain.assumptions.length + 2);
+  });
+
+  it('should trace an item the scope already lists instead of repeating it', () => {
+    const scope = buildProposal(extracted, { clock: createFixedClock() }).scope;
+    const existing = scope.assumptions[0];
+    const merged = buildProposal(extracted, {
+      clock: createFixedClock(),
+      requirements: { source: 'call.md', items: [{ section: 'constraints', text: existing.toUpperCase(), ref: 'Constraints, item 1' }] }
+    }).scope;
+
+    expect(merged.assumptions).toEqual(scope.assumptions);
+    expect(merged.requirements.items[0].merged_into).toBe('scope.assumptions[0]');
+  });
+
+  it('should hand requirements, constraints and notes to the prompts', async () => {
+    const { prompts, createClient } = registerRecordingProvider('requirements-recording', 'Summary');
+    const proposal = {
+      scope: { requirements },
+      executive_summary: { body: '[LLM_PLACEHOLDER: executive_summary]' }
+    };
+
+    await fillProposalPlaceholders(proposal, {}, {
+      llmClient: createClient(),
+      noCache: true
+    });
+
+    expect(buildPromptContext(proposal).client_constraints)
+      .toBe('- No changes to the ERP\'s custom fields during Q4 freeze\n- All customer data must stay in the US region');
+    expect(prompts[0]).toContain('<client_requirements>\n- Sync approved orders from the CRM into the ERP without re-keying');
+    expect(prompts[0]).toContain('<client_notes>');
+    expect(prompts[0]).toContain('Do not promise anything the client\'s constraints rule out.');
+    expect(requirementsPromptContext(undefined)).toEqual({
+      client_requirements: undefined,
+      client_constraints: undefined,
+      client_notes: undefined
+    });
+  });
+});
@@ -0,0 +1,153 @@
+import { describe, it, expect, beforeEach, afterEach } from 'vitest';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { ResponseCache, computeCacheKey, getCacheStats, clearCache } from '../../lib/response_cache.js';
+import { createLLMClient, registerProvider } from '../../lib/llm_provider.js';
+import { fillProposalPlaceholders } from '../../lib/llm_batch_executor.js';
+import { loadFixture } from '../utils/test-helpers.js';
+
+const PARTS = {
+  promptId: 'cta_headline_v1',
+  provider: 'openai-compatible',
+  baseUrl: 'http://localhost:11434/v1/chat/completions',
+  fixturesHash: null,
+  model: 'llama3',
+  systemPrompt: 'system',
+  userPrompt: 'user'
+};
+
+let tmpDir;
+
+beforeEach(() => {
+  tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'response-cache-'));
+});
+
+afterEach(() => {
+  fs.rmSync(tmpDir, { recursive: true, force: true });
+});
+
+function writeFixtures(edit = fixtures => fixtures) {
+  const filePath = path.join(tmpDir, 'fixtures.json');
+  fs.writeFileSync(filePath, JSON.stringify(edit(loadFixture('mock_llm_responses.json')), null, 2));
+  return filePath;
+}
+
+describe('computeCacheKey', () => {
+  it('should be stable for the same call', () => {
+    expect(computeCacheKey(PARTS)).toBe(computeCacheKey({ ...PARTS }));
+  });
+
+  it('should change with every part of the call', () => {
+    const key = computeCacheKey(PARTS);
+    const changes = {
+      promptId: 'cta_subtext_v1',
+      provider: 'groq',
+      baseUrl: 'http://gpu-box:8000/v1/chat/completions',
+      fixturesHash: 'abc123',
+      model: 'llama3:70b',
+      systemPrompt: 'other system',
+      userPrompt: 'other user'
+    };
+
+    for (const [part, value] of Object.entries(changes)) {
+      expect(computeCacheKey({ ...PARTS, [part]: value }), part).not.toBe(key);
+    }
+  });
+});
+
+describe('LLMClient.cacheIdentity', () => {
+  it('should carry the provider and base URL', () => {
+    const client = createLLMClient({ provider: 'openai-compatible', baseUrl: 'http://localhost:11434/v1', models: 'llama3' });
+
+    expect(client.cacheIdentity()).toEqual({
+      provider: 'openai-compatible',
+      baseUrl: 'http://localhost:11434/v1/chat/completions',
+      fixturesHash: null
+    });
+  });
+
+  it('should hash the fixture file content', () => {
+    const original = createLLMClient({ provider: 'fixture', fixturesPath: writeFixtures() }).cacheIdentity();
+    const edited = createLLMClient({
+      provider: 'fixture',
+      fixturesPath: writeFixtures(fixtures => ({ ...fixtures, cta_headline_v1: { response: 'Edited' } }))
+    }).cacheIdentity();
+
+    expect(original.fixturesHash).toMatch(/^[0-9a-f]{64}$/);
+    expect(edited.fixturesHash).not.toBe(original.fixturesHash);
+  });
+});
+
+describe('ResponseCache', () => {
+  it('should store, read and summarize entries', () => {
+    const cache = new ResponseCache({ cacheDir: tmpDir });
+    const key = computeCacheKey(PARTS);
+
+    expect(cache.get(key)).toBeNull();
+    cache.set(key, { promptId: PARTS.promptId, placeholder: 'cta_headline', provider: PARTS.provider, model: PARTS.model }, 'Cached');
+
+    expect(new ResponseCache({ cacheDir: tmpDir }).get(key)).toBe('Cached');
+    expect(cache.stats).toEqual({ hits: 0, misses: 1, writes: 1 });
+    expect(getCacheStats(tmpDir)).toMatchObject({ entries: 1, byPrompt: { cta_headline_v1: 1 }, byModel: { llama3: 1 } });
+    expect(clearCache(tmpDir)).toBe(1);
+  });
+
+  it('should skip reads for refreshed placeholders', () => {
+    const cache = new ResponseCache({ cacheDir: tmpDir, refresh: ['cta_headline'] });
+
+    expect(cache.shouldRead('cta_headline')).toBe(false);
+    expect(cache.shouldRead('cta_subtext')).toBe(true);
+  });
+});
+
+describe('response cache in the fill stage', () => {
+  const proposal = { cta: { headline: '[LLM_PLACEHOLDER: cta_headline]' } };
+
+  async function fillHeadline(fixturesPath) {
+    const filled = await fillProposalPlaceholders(proposal, {}, {
+      provider: 'fixture',
+      fixturesPath,
+      cacheDir: path.join(tmpDir, 'cache'),
+      verbose: false
+    });
+    return filled.cta.headline;
+  }
+
+  it('should not serve a stale response after the fixtures change', async () => {
+    const fixturesPath = writeFixtures();
+    const first = await fillHeadline(fixturesPath);
+    expect(await fillHeadline(fixturesPath)).toBe(first);
+
+    writeFixtures(fixtures => ({ ...fixtures, cta_headline_v1: { response: 'Stop the Bleed This Quarter' } }));
+
+    expect(await fillHeadline(fixturesPath)).toBe('Stop the Bleed This Quarter');
+    expect(getCacheStats(path.join(tmpDir, 'cache')).entries).toBe(2);
+  });
+
+  it('should find a response a fallback model gave on the next run', async () => {
+    // The primary model is always rate limited, so every call falls back
+    const calls = [];
+    registerProvider('rate-limited', class {
+      constructor() {
+        Object.assign(this, { name: 'rate-limited', label: 'Rate limited', models: ['primary', 'backup'], fallbackDelayMs: 0 });
+      }
+
+      complete(request) {
+        calls.push(request.model);
+        if (request.model === 'primary') return Promise.reject(new Error('429 rate limit'));
+        return Promise.resolve({ text: 'Answered by backup', usage: {} });
+      }
+    });
+    const fill = () => fillProposalPlaceholders(proposal, {}, {
+      provider: 'rate-limited',
+      cacheDir: path.join(tmpDir, 'cache'),
+      verbose: false
+    });
+
+    expect((await fill()).cta.headline).toBe('Answered by backup');
+    expect((await fill()).cta.headline).toBe('Answered by backup');
+    expect(calls).toEqual(['primary', 'backup']);
+    expect(getCacheStats(path.join(tmpDir, 'cache'))).toMatchObject({ entries: 1, byModel: { backup: 1 } });
+  });
+});
@@ -0,0 +1,116 @@
+import { describe, it, expect } from 'vitest';
+import {
+  calculatePricing,
+  calculateROI,
+  listRetainerTerms,
+  resolvePricingModel
+} from '../../lib/pricing_calculator.js';
+import { extractFromAudit } from '../../lib/extract_proposal.js';
+import { buildProposal } from '../../lib/transform_proposal.js';
+import { createFixedClock } from '../../lib/run_clock.js';
+
+const FIXES = [
+  { fix_id: 'fix_1', fix: 'CRM to ERP sync', effort_tier: 'complex' },
+  { fix_id: 'fix_2', fix: 'Order emails', effort_tier: 'trivial' },
+  { fix_id: 'fix_3', fix: 'Ops dashboard', effort_tier: 'moderate' }
+];
+
+function priceRetainer(options = {}) {
+  return calculatePricing({ recommended_fixes: FIXES }, { pricing_model: 'retainer', ...options });
+}
+
+describe('resolvePricingModel', () => {
+  it('should default the retainer term and check it against the allowed terms', () => {
+    expect(listRetainerTerms()).toEqual([3, 6, 12]);
+    expect(resolvePricingModel({ pricing_model: 'retainer' })).toEqual({ pricing_model: 'retainer', retainer_term_months: 6 });
+    expect(() => resolvePricingModel({ pricing_model: 'retainer', retainer_term_months: 9 }))
+      .toThrow('Retainer term must be one of 3, 6, 12 months, got 9');
+  });
+
+  it('should reject retainer options on other models and conflicting commitments', () => {
+    expect(() => resolvePricingModel({ retainer_term_months: 6 })).toThrow('A retainer term needs the "retainer" pricing model');
+    expect(() => resolvePricingModel({ pricing_model: 'retainer', retainer_term_months: 3, commitment_type: 'retainer_12_month' }))
+      .toThrow('conflicts with a 3-month retainer');
+    expect(() => resolvePricingModel({ pricing_model: 'lease' })).toThrow('Unknown pricing model: lease');
+  });
+});
+
+describe('retainer pricing', () => {
+  it('should bill the monthly fee over the term, less the audit credit', () => {
+    const pricing = priceRetainer({ retainer_term_months: 3 });
+    const { retainer } = pricing;
+
+    expect(retainer.term_months).toBe(3);
+    expect(retainer.monthly_fee % 50).toBe(0);
+    expect(retainer.first_month_fee).toBe(retainer.monthly_fee - pricing.audit_credit.amount);
+    expect(retainer.total_contract_value).toBe(retainer.monthly_fee * 3 - pricing.audit_credit.amount);
+    expect(pricing.final_price).toBe(retainer.total_contract_value);
+  });
+
+  it('should carry an audit credit larger than one month\'s fee into the next invoices', () => {
+    const { monthly_fee: fee } = priceRetainer({ retainer_term_months: 3 }).retainer;
+    const pricing = priceRetainer({ retainer_term_months: 3, audit_credit_amount: fee * 1.5 });
+    const { retainer } = pricing;
+
+    expect(retainer.first_month_fee).toBe(0);
+    expect(retainer.monthly_invoices).toEqual([0, fee / 2, fee]);
+    expect(pricing.final_price).toBe(fee * 1.5);
+  });
+
+  it('should spread the hours as a monthly allowance with a premium overage rate', () => {
+    const short = priceRetainer({ retainer_term_months: 3 }).retainer;
+    const long = priceRetainer({ retainer_term_months: 12 }).retainer;
+
+    expect(short.included_hours % 5).toBe(0);
+    expect(long.included_hours).toBeLessThan(short.included_hours);
+    expect(long.overage_rate).toBe(short.overage_rate);
+  });
+
+  it('should apply the longer term\'s commitment discount', () => {
+    const short = priceRetainer({ retainer_term_months: 3 });
+    const long = priceRetainer({ retainer_term_months: 12 });
+
+    expect(long.discount.total_percentage).toBeGreaterThan(short.discount.total_percentage);
+    expect(long.final_price).toBeLessThan(short.final_price);
+  });
+
+  it('should compare the fee with the monthly recovery', () => {
+    const comparison = calculateROI(4000, 9000, { monthly_fee: 1500 }).monthly_comparison;
+
+    expect(comparison.net_monthly_value.amount).toBe(2500);
+    expect(comparison.recovery_to_fee_ratio).toBe(2.7);
+    expect(comparison.covers_fee).toBe(true);
+    expect(calculateROI(4000, 9000).monthly_comparison).toBeUndefined();
+  });
+});
+
+describe('retainer proposals', () => {
+  it('should replace milestone installments with monthly invoices', () => {
+    const proposal = buildProposal(extractFromAudit('input/sample_audit.json'), {
+      pricing_model: 'retainer',
+      retainer_term_months: 6,
+      clock: createFixedClock()
+    });
+    const { pricing } = proposal;
+    const installments = pricing.payment_schedule.installments;
+
+    expect(pricing.pricing_model).toBe('retainer');
+    expect(pricing.payment_schedule.schedule_type).toBe('monthly');
+    expect(installments.map(i => i.label)).toEqual([1, 2, 3, 4, 5, 6].map(n => `Month ${n} of 6`));
+    expect(installments.reduce((sum, i) => sum + i.amount.amount, 0)).toBe(pricing.total.amount);
+    expect(proposal.roi.monthly_comparison.monthly_fee.amount).toBe(pricing.retainer.monthly_fee.amount);
+  });
+
+  it('should label the monthly invoices in the proposal language', () => {
+    const proposal = buildProposal(extractFromAudit('input/sample_audit.json'), {
+      pricing_model: 'retainer',
+      retainer_term_months: 3,
+      locale: 'de-DE',
+      clock: createFixedClock()
+    });
+    const installments = proposal.pricing.payment_schedule.installments;
+
+    expect(installments.map(i => i.label)).toEqual(['Monat 1 von 3', 'Monat 2 von 3', 'Monat 3 von 3']);
+    expect(installments.map(i => i.due_event)).toEqual(['Projektbeginn', 'Beginn von Monat 2', 'Beginn von Monat 3']);
+  });
+});
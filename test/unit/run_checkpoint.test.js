@@ -0,0 +1,109 @@
+import { describe, it, expect, beforeEach, afterEach } from 'vitest';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import {
+  STAGES,
+  getDefaultRunDir,
+  getStageIndex,
+  loadManifest,
+  openRun,
+  resolveResumeStage
+} from '../../lib/run_checkpoint.js';
+
+let tmpDir;
+
+beforeEach(() => {
+  tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'run-checkpoint-'));
+});
+
+afterEach(() => {
+  fs.rmSync(tmpDir, { recursive: true, force: true });
+});
+
+function open(options = {}) {
+  return openRun({
+    auditPath: 'input/sample_audit.json',
+    outputPath: path.join(tmpDir, 'proposal.html'),
+    options: { runDir: path.join(tmpDir, 'run'), ...options }
+  });
+}
+
+describe('stages', () => {
+  it('should reject unknown stage names', () => {
+    expect(getStageIndex('fill')).toBe(2);
+    expect(() => getStageIndex('polishing')).toThrow('Unknown stage: polishing');
+  });
+
+  it('should default the run directory next to the output', () => {
+    expect(getDefaultRunDir('output/acme/proposal_acme.html')).toBe(path.join('output/acme/runs/proposal_acme'));
+  });
+});
+
+describe('openRun', () => {
+  it('should write a manifest without transient options', () => {
+    const run = open({ provider: 'fixture', apiKey: 'secret', llmClient: { generate() {} }, currency: 'EUR' });
+    const manifest = loadManifest(run.runDir);
+
+    expect(manifest.options).toEqual({ provider: 'fixture', currency: 'EUR' });
+    expect(Object.values(manifest.stages).every(stage => stage.status === 'pending')).toBe(true);
+  });
+
+  it('should need an existing manifest to start after the first stage', () => {
+    expect(() => open({ fromStage: 'fill' })).toThrow('No run manifest found');
+  });
+
+  it('should reject a stage window that runs backwards', () => {
+    open();
+    expect(() => open({ fromStage: 'render', toStage: 'fill' })).toThrow('comes after');
+  });
+});
+
+describe('PipelineRun checkpoints', () => {
+  it('should save and load JSON and HTML stage outputs', () => {
+    const run = open();
+    run.save('extract', { client: 'Acme' });
+    run.save('render', '<html></html>', { path: 'proposal.html' });
+
+    expect(run.load('extract')).toEqual({ client: 'Acme' });
+    expect(run.load('render')).toBe('<html></html>');
+    expect(loadManifest(run.runDir).stages.render).toMatchObject({ status: 'complete', path: 'proposal.html' });
+  });
+
+  it('should refuse to load a stage that has not completed', () => {
+    expect(() => open().load('fill')).toThrow('No checkpoint for stage "fill"');
+  });
+
+  it('should invalidate later stages when a stage is re-run or fails', () => {
+    const run = open();
+    for (const stage of ['extract', 'transform', 'fill', 'validate']) run.save(stage, {});
+
+    run.save('transform', {});
+    expect(resolveResumeStage(loadManifest(run.runDir))).toBe('fill');
+
+    run.fail('extract', new Error('bad input'));
+    const manifest = loadManifest(run.runDir);
+    expect(manifest.stages.extract).toMatchObject({ status: 'failed', error: 'bad input' });
+    expect(manifest.stages.transform.status).toBe('pending');
+  });
+
+  it('should resume from the first incomplete stage, treating skipped as done', () => {
+    const run = open();
+    for (const stage of STAGES.slice(0, -1)) run.save(stage, ['render', 'polish'].includes(stage) ? '' : {});
+    expect(resolveResumeStage(loadManifest(run.runDir))).toBe('pdf');
+
+    run.skip('pdf');
+    expect(resolveResumeStage(loadManifest(run.runDir))).toBeNull();
+  });
+
+  it('should keep checkpoints of earlier stages when resuming later', () => {
+    const first = open();
+    first.save('extract', { client: 'Acme' });
+    first.save('transform', { placeholders: 3 });
+
+    const resumed = open({ fromStage: 'fill' });
+    expect(resumed.shouldRun('transform')).toBe(false);
+    expect(resumed.shouldRun('fill')).toBe(true);
+    expect(resumed.load('transform')).toEqual({ placeholders: 3 });
+  });
+});
@@ -0,0 +1,66 @@
+import { describe, it, expect } from 'vitest';
+import fs from 'fs';
+import { parseDelimited, spreadsheetFormat } from '../../lib/spreadsheet_format.js';
+import { loadAuditFile } from '../../lib/audit_formats.js';
+import { extractFromAudit, getPricingInput } from '../../lib/extract_proposal.js';
+import { calculatePricing } from '../../lib/pricing_calculator.js';
+
+const SAMPLE = fs.readFileSync('input/sample_audit.csv', 'utf8');
+const FIX_ROW = 'Automate confirmation and status emails from CRM order events,moderate,';
+
+function priceSheet(content) {
+  const extracted = extractFromAudit(spreadsheetFormat.parse(content, 'audit.csv'));
+  return calculatePricing(getPricingInput(extracted));
+}
+
+describe('parseDelimited', () => {
+  it('should handle quoted fields, escaped quotes and newlines', () => {
+    const rows = parseDelimited('a,b\n"x, y","say ""hi""\nagain"\n\n');
+
+    expect(rows).toEqual([['a', 'b'], ['x, y', 'say "hi"\nagain']]);
+  });
+
+  it('should split TSV on tabs', () => {
+    expect(parseDelimited('a\tb\n1\t2', '\t')).toEqual([['a', 'b'], ['1', '2']]);
+  });
+});
+
+describe('spreadsheetFormat', () => {
+  it('should normalize fixes with effort tiers, priorities and systems', () => {
+    const normalized = spreadsheetFormat.normalize(loadAuditFile('input/sample_audit.csv'));
+
+    expect(normalized.fixes.map(fix => [fix.effort_tier, fix.priority])).toEqual([
+      ['complex', 1],
+      ['moderate', 2],
+      ['moderate', 3]
+    ]);
+    expect(normalized.fixes[0].systems).toEqual(['ERP', 'CRM']);
+  });
+
+  it('should infer row types and sum bleed rows as a monthly amount', () => {
+    const content = 'Problem,Fix,Effort Tier,Item,Amount,Period\n' +
+      'Slow quotes,Quote template,trivial,,,\n' +
+      ',,,Rework,"$1,200",month\n' +
+      ',,,Lost deals,"$24,000",year\n';
+    const normalized = spreadsheetFormat.normalize(spreadsheetFormat.parse(content, 'notes.csv'));
+
+    expect(normalized.fixes).toHaveLength(1);
+    expect(normalized.fixes[0].effort_tier).toBe('trivial');
+    expect(normalized.bleed.amount).toBe(3200);
+  });
+
+  it('should reject Excel workbooks with an export hint', () => {
+    expect(() => loadAuditFile('audit.xlsx')).toThrow('export the sheet as CSV');
+  });
+
+  it('should price the effort_tier column', () => {
+    const base = priceSheet(SAMPLE);
+    const simple = priceSheet(SAMPLE.replace(FIX_ROW, FIX_ROW.replace('moderate', 'simple')));
+    const complex = priceSheet(SAMPLE.replace(FIX_ROW, FIX_ROW.replace('moderate', 'complex')));
+
+    expect(simple.ledger.effort.fixes[1]).toMatchObject({ effort_tier: 'trivial', hours: 4 });
+    expect(complex.ledger.effort.fixes[1]).toMatchObject({ effort_tier: 'complex', hours: 40 });
+    expect(simple.final_price).toBeLessThan(base.final_price);
+    expect(complex.final_price).toBeGreaterThan(base.final_price);
+  });
+});
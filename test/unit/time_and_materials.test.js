@@ -0,0 +1,115 @@
+import { describe, it, expect } from 'vitest';
+import { calculatePricing, estimateFixHours } from '../../lib/pricing_calculator.js';
+import { formatPricingLedger } from '../../lib/pricing_ledger.js';
+import { extractFromAudit } from '../../lib/extract_proposal.js';
+import { buildProposal } from '../../lib/transform_proposal.js';
+
+const FIXES = [
+  { fix_id: 'fix_1', fix: 'CRM to ERP sync', effort_tier: 'complex' },
+  { fix_id: 'fix_2', fix: 'Order emails', effort_tier: 'trivial' },
+  { fix_id: 'fix_3', fix: 'Ops dashboard', effort_tier: 'moderate' }
+];
+
+function priceTM(fixes = FIXES, options = {}) {
+  return calculatePricing({ recommended_fixes: fixes }, { pricing_model: 'time_and_materials', ...options });
+}
+
+describe('time and materials pricing', () => {
+  it('should estimate the range from each fix\'s min and max hours', () => {
+    const pricing = priceTM();
+    const tm = pricing.time_and_materials;
+    const multiplier = pricing.complexity_multiplier;
+
+    // complex 24–80h, trivial 2–8h, moderate 8–24h
+    expect(tm.estimated_hours).toEqual({
+      low: Math.round(34 * multiplier),
+      expected: Math.round(60 * multiplier),
+      high: Math.round(112 * multiplier)
+    });
+    expect(tm.estimated_hours.low).toBeLessThan(tm.estimated_hours.expected);
+    expect(tm.estimated_hours.high).toBeGreaterThan(tm.estimated_hours.expected);
+  });
+
+  it('should widen the range when a fix moves to a harder tier', () => {
+    const base = priceTM().time_and_materials.estimated_hours;
+    const harder = priceTM(FIXES.map(fix => (fix.fix_id === 'fix_2' ? { ...fix, effort_tier: 'critical' } : fix)))
+      .time_and_materials.estimated_hours;
+
+    expect(harder.high - harder.low).toBeGreaterThan(base.high - base.low);
+  });
+
+  it('should split the expected hours across the rate card', () => {
+    const tm = priceTM().time_and_materials;
+
+    expect(tm.rate_card.reduce((sum, role) => sum + role.hours, 0)).toBe(tm.estimated_hours.expected);
+    expect(tm.rate_card.reduce((sum, role) => sum + role.amount, 0)).toBeGreaterThan(0);
+  });
+
+  it('should cap the price at the expected cost plus the buffer or the high estimate', () => {
+    const pricing = priceTM();
+    const tm = pricing.time_and_materials;
+    const expectedCost = tm.rate_card.reduce((sum, role) => sum + role.amount, 0);
+
+    expect(tm.not_to_exceed).toBe(Math.ceil(Math.max(expectedCost * 1.15, tm.estimate.high) / 500) * 500);
+    expect(pricing.final_price).toBe(tm.not_to_exceed);
+    expect(tm.estimate.low).toBeLessThan(tm.estimate.expected);
+    expect(tm.estimate.high).toBeGreaterThan(tm.estimate.expected);
+  });
+
+  it('should never cap the price below the high estimate', () => {
+    const pricing = priceTM();
+    const tm = pricing.time_and_materials;
+
+    expect(tm.estimate.high).toBeGreaterThan(tm.estimate.expected * 1.15);
+    expect(tm.not_to_exceed).toBeGreaterThanOrEqual(tm.estimate.high);
+    expect(pricing.final_price).toBe(tm.not_to_exceed);
+  });
+
+  it('should leave the audit credit out of the pricing section and the ledger', () => {
+    const pricing = priceTM(FIXES, { audit_credit_amount: 250 });
+
+    expect(pricing.audit_credit.amount).toBe(0);
+    expect(pricing.ledger.credits.map(credit => credit.type)).not.toContain('audit_credit');
+    expect(formatPricingLedger(pricing.ledger)).not.toContain('AI Process Audit credit applied');
+
+    const proposal = buildProposal(extractFromAudit('input/sample_audit.json'), { pricing_model: 'time_and_materials' });
+    expect(proposal.pricing.audit_credit).toBeUndefined();
+  });
+
+  it('should take percentage discounts off the rates', () => {
+    const full = priceTM().time_and_materials.rate_card[0].rate;
+    const discounted = priceTM(FIXES, { payment_terms: 'prepaid_full' }).time_and_materials.rate_card[0].rate;
+
+    expect(discounted).toBeLessThan(full);
+  });
+
+  it('should show each fix\'s range in the ledger', () => {
+    const text = formatPricingLedger(priceTM().ledger);
+
+    expect(text).toContain('complex → 40h (24–80h)');
+    expect(text).toContain('per-fix min/max hours');
+  });
+});
+
+describe('estimateFixHours', () => {
+  it('should carry the effort tier range on every fix', () => {
+    expect(estimateFixHours(FIXES).map(fix => [fix.hours, fix.min_hours, fix.max_hours])).toEqual([
+      [40, 24, 80],
+      [4, 2, 8],
+      [16, 8, 24]
+    ]);
+  });
+
+  it('should map effort descriptions to tiers by keyword', () => {
+    const fixes = ['complex', 'Critical', 'major overhaul', 'highly complex rebuild', 'significant', 'quick win', 'unknown']
+      .map((effort_tier, index) => ({ fix_id: `fix_${index + 1}`, effort_tier }));
+
+    expect(estimateFixHours(fixes).map(fix => fix.effort_tier))
+      .toEqual(['complex', 'critical', 'critical', 'complex', 'complex', 'trivial', 'moderate']);
+
+    // A complex fix is quoted at the complex tier's 40h, not the critical tier's 80h
+    const complex = calculatePricing({ recommended_fixes: [{ effort_tier: 'complex' }] });
+    const critical = calculatePricing({ recommended_fixes: [{ effort_tier: 'critical' }] });
+    expect(complex.base_price * 2).toBe(critical.base_price);
+  });
+});
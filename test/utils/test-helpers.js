@@ -5,6 +5,7 @@
 import fs from 'fs';
 import path from 'path';
 import { fileURLToPath } from 'url';
+import { LLMClient, registerProvider } from '../../lib/llm_provider.js';
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
@@ -290,3 +291,24 @@ export function formatMoney(amount) {
 export function delay(ms) {
   return new Promise(resolve => setTimeout(resolve, ms));
 }
+
+/**
+ * Register an LLM provider that records each user prompt and answers with canned text
+ * @param {string} name - Provider name
+ * @param {string|Function} reply - Response text, or a function of the prompts so far returning it
+ * @returns {Object} { prompts, createClient } - Recorded prompts and a factory for clients using the provider
+ */
+export function registerRecordingProvider(name, reply) {
+  const prompts = [];
+  registerProvider(name, class {
+    constructor() {
+      Object.assign(this, { name, label: 'Recording', models: ['m'], fallbackDelayMs: 0, retryDelayMs: 0 });
+    }
+
+    complete(request) {
+      prompts.push(request.userPrompt);
+      return Promise.resolve({ text: typeof reply === 'function' ? reply(prompts) : reply, usage: {} });
+    }
+  });
+  return { prompts, createClient: () => new LLMClient({ provider: name, verbose: false }) };
+}